@@ -1,6 +1,19 @@
 // To prevent unit tests from hiting real kvs
+const queryBuilder = {
+  where: jest.fn(() => queryBuilder),
+  limit: jest.fn(() => queryBuilder),
+  cursor: jest.fn(() => queryBuilder),
+  getMany: jest.fn(async () => ({ results: [] }))
+};
+
 export const kvs = {
   get: jest.fn(),
   set: jest.fn(),
-  delete: jest.fn()
-};
\ No newline at end of file
+  delete: jest.fn(),
+  query: jest.fn(() => queryBuilder)
+};
+
+export const WhereConditions = {
+  beginsWith: jest.fn(value => ({ condition: 'BEGINS_WITH', values: [value] })),
+  between: jest.fn((first, second) => ({ condition: 'BETWEEN', values: [first, second] }))
+};
@@ -0,0 +1,51 @@
+import { doc, paragraph, text, strong, link, mention, table, joinInline } from '../assignment/adf.js';
+
+describe('adf', () => {
+  test('builds a document and skips empty blocks', () => {
+    expect(doc(paragraph(text('hello')), null)).toEqual({
+      type: 'doc',
+      version: 1,
+      content: [{ type: 'paragraph', content: [{ type: 'text', text: 'hello' }] }]
+    });
+  });
+
+  test('adds marks for bold text and links', () => {
+    expect(strong('0.80')).toEqual({ type: 'text', text: '0.80', marks: [{ type: 'strong' }] });
+    expect(link('panel', '/browse/PROJ-1')).toEqual({
+      type: 'text',
+      text: 'panel',
+      marks: [{ type: 'link', attrs: { href: '/browse/PROJ-1' } }]
+    });
+  });
+
+  test('mentions with an optional display name', () => {
+    expect(mention('user-1')).toEqual({ type: 'mention', attrs: { id: 'user-1' } });
+    expect(mention('user-1', 'Alice')).toEqual({ type: 'mention', attrs: { id: 'user-1', text: '@Alice' } });
+  });
+
+  test('joins inline nodes with a separator', () => {
+    expect(joinInline([mention('user-1'), mention('user-2')])).toEqual([
+      mention('user-1'),
+      text(', '),
+      mention('user-2')
+    ]);
+    expect(joinInline([])).toEqual([]);
+  });
+
+  test('builds a table with a header row from strings and inline nodes', () => {
+    const result = table(['Candidate', 'Score'], [[[mention('user-1')], 0.5]]);
+
+    expect(result.type).toBe('table');
+    expect(result.content[0]).toEqual({
+      type: 'tableRow',
+      content: [
+        { type: 'tableHeader', content: [paragraph(text('Candidate'))] },
+        { type: 'tableHeader', content: [paragraph(text('Score'))] }
+      ]
+    });
+    expect(result.content[1].content).toEqual([
+      { type: 'tableCell', content: [paragraph(mention('user-1'))] },
+      { type: 'tableCell', content: [paragraph(text('0.5'))] }
+    ]);
+  });
+});
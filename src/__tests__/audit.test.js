@@ -0,0 +1,129 @@
+jest.mock('../cache.js', () => ({
+  appendAuditRecord: jest.fn(),
+  queryAuditRecords: jest.fn()
+}));
+
+import {
+  classifyAuditEvent,
+  buildAuditRecord,
+  recordAuditEvent,
+  isAuditedRun,
+  queryAuditLog,
+  DEFAULT_AUDIT_PAGE_SIZE
+} from '../assignment/audit.js';
+import * as cache from '../cache.js';
+
+const result = {
+  success: true,
+  status: 'recommendation-only',
+  assignee: { accountId: 'user-1', displayName: 'Alice', rawScore: 8, workloadPenalty: 1, finalScore: 7, evidence: {} },
+  alternatives: [{ accountId: 'user-2', displayName: 'Bob', rawScore: 4, workloadPenalty: 2, finalScore: 2, evidence: {} }],
+  excluded: [{ accountId: 'user-3', displayName: 'Cara', reason: 'capacity', message: 'at capacity: 3/3 open issues', limits: {} }],
+  strategy: { strategy: 'highest-score', reason: 'highest score' }
+};
+
+describe('audit', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('isAuditedRun leaves out panel previews only', () => {
+    expect(isAuditedRun({ skipAssignment: true, preview: true })).toBe(false);
+    expect(isAuditedRun({ skipAssignment: true })).toBe(true);
+    expect(isAuditedRun({ skipAssignment: true, declinedAccountId: 'user-9' })).toBe(true);
+    expect(isAuditedRun({})).toBe(true);
+  });
+
+  test('classifyAuditEvent describes the outcome of a call', () => {
+    expect(classifyAuditEvent(result, { skipAssignment: true })).toBe('recommendation');
+    expect(classifyAuditEvent(result, { skipAssignment: false })).toBe('assignment');
+    expect(classifyAuditEvent(result, { declinedAccountId: 'user-9' })).toBe('decline');
+    expect(classifyAuditEvent({ ...result, status: 'offered' }, { skipAssignment: false })).toBe('offer');
+    expect(classifyAuditEvent({ success: false }, {})).toBe('failure');
+    expect(classifyAuditEvent(null, {})).toBe('failure');
+  });
+
+  describe('buildAuditRecord()', () => {
+    test('keeps the ranked candidates, actor, criteria and outcome', () => {
+      const record = buildAuditRecord({
+        event: 'decline',
+        issueKey: 'PROJ-7',
+        options: { actorAccountId: 'user-9', actorDisplayName: 'Dan', declinedAccountId: 'user-9', declineReason: { code: 'no-capacity', note: null, until: null }, criteria: { labels: true } },
+        result
+      });
+
+      expect(record).toEqual(expect.objectContaining({
+        event: 'decline',
+        issueKey: 'PROJ-7',
+        projectKey: 'PROJ',
+        actor: { accountId: 'user-9', displayName: 'Dan' },
+        criteria: { labels: true },
+        strategy: { strategy: 'highest-score', reason: 'highest score' },
+        accountIds: ['user-9', 'user-1']
+      }));
+      expect(record.candidates).toEqual([
+        { rank: 1, accountId: 'user-1', displayName: 'Alice', rawScore: 8, workloadPenalty: 1, finalScore: 7 },
+        { rank: 2, accountId: 'user-2', displayName: 'Bob', rawScore: 4, workloadPenalty: 2, finalScore: 2 }
+      ]);
+      expect(record.excluded).toEqual([
+        { accountId: 'user-3', displayName: 'Cara', reason: 'capacity', message: 'at capacity: 3/3 open issues' }
+      ]);
+      expect(record.outcome).toEqual({
+        success: true,
+        status: 'recommendation-only',
+        message: null,
+        assigneeAccountId: 'user-1',
+        assigneeDisplayName: 'Alice',
+        declinedAccountId: 'user-9',
+        declineReason: { code: 'no-capacity', note: null, until: null },
+        attemptErrors: []
+      });
+      expect(Number.isNaN(Date.parse(record.timestamp))).toBe(false);
+    });
+
+    test('records the error of a failed call and the app as actor', () => {
+      const record = buildAuditRecord({ event: 'failure', issueKey: 'PROJ-7', error: new Error('boom') });
+
+      expect(record.actor).toBeNull();
+      expect(record.candidates).toEqual([]);
+      expect(record.outcome).toEqual(expect.objectContaining({ success: false, status: 'error', message: 'boom' }));
+      expect(record.accountIds).toEqual([]);
+    });
+  });
+
+  test('recordAuditEvent logs storage errors instead of throwing', async () => {
+    cache.appendAuditRecord.mockRejectedValue(new Error('storage unavailable'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(recordAuditEvent({ event: 'assignment', issueKey: 'PROJ-1', result })).resolves.toBeNull();
+    expect(consoleSpy).toHaveBeenCalledWith('error recording audit event:', expect.any(Error));
+
+    consoleSpy.mockRestore();
+  });
+
+  describe('queryAuditLog()', () => {
+    test('turns dates into timestamps covering whole days', async () => {
+      cache.queryAuditRecords.mockResolvedValue({ records: [], nextCursor: undefined });
+
+      await queryAuditLog({ projectKey: 'PROJ', accountId: 'user-1', from: '2024-01-01', to: '2024-01-31' });
+
+      expect(cache.queryAuditRecords).toHaveBeenCalledWith({
+        issueKey: undefined,
+        accountId: 'user-1',
+        projectKey: 'PROJ',
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-01-31T23:59:59.999Z',
+        cursor: undefined,
+        limit: DEFAULT_AUDIT_PAGE_SIZE
+      });
+    });
+
+    test('rejects malformed filters', async () => {
+      await expect(queryAuditLog({ from: 'yesterday', limit: 500 })).rejects.toThrow(
+        'invalid audit query: from must be a date; limit must be a whole number between 1 and 100'
+      );
+      await expect(queryAuditLog({ from: '2024-02-01', to: '2024-01-01' })).rejects.toThrow('from must not be after to');
+      expect(cache.queryAuditRecords).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -30,7 +30,25 @@ jest.mock('../cache.js', () => ({
 	cacheIssueAssignmentState: jest.fn(),
 	allIssues: jest.fn(),
 	allUserProfiles: jest.fn(),
+	getUserProfile: jest.fn(),
 	getWorkload: jest.fn(),
+	getProjectWeights: jest.fn(),
+	getProjectCapacity: jest.fn(),
+	allAvailability: jest.fn(),
+	getAvailability: jest.fn(),
+	cacheAvailability: jest.fn(),
+	allFeedback: jest.fn(),
+	getFeedback: jest.fn(),
+	cacheFeedback: jest.fn(),
+	getProjectRecency: jest.fn(),
+	getProjectDeclineExpiry: jest.fn(),
+	getProjectOfferSettings: jest.fn(),
+	getProjectNotificationSettings: jest.fn(),
+	getProjectWebhooks: jest.fn(),
+	getProjectStrategy: jest.fn(),
+	getRotationPointer: jest.fn(),
+	cacheRotationPointer: jest.fn(),
+	appendAuditRecord: jest.fn(),
 	cacheIssue: jest.fn(),
 	cacheUserProfile: jest.fn(),
 	updateAllUserProfiles: jest.fn()
@@ -40,12 +58,12 @@ jest.mock('../decline.js', () => ({
 	postComment: jest.fn()
 }));
 
-import { recommendAssignee } from '../assignment/autoAssign.js';
+import { recommendAssignee, undoDecline, acceptOffer } from '../assignment/autoAssign.js';
 import * as cache from '../cache.js';
 import * as jiraScraper from '../scrapers/jiraScraper.js';
 import * as scrapeOrchestrator from '../scrapers/scrapeOrchestrator.js';
 import { postComment } from '../decline.js';
-import { __mockAsUserRequest } from '@forge/api';
+import { __mockAsUserRequest, __mockAsAppRequest } from '@forge/api';
 
 const ISSUE_KEY = 'PROJ-1';
 
@@ -98,13 +116,36 @@ function seedEnvironment({
 	workloadByUser = {
 		'user-1': { totalIssues: 1, totalEstimateSeconds: 0 },
 		'user-2': { totalIssues: 5, totalEstimateSeconds: 14400 }
-	}
+	},
+	projectWeights = undefined,
+	projectCapacity = undefined,
+	availability = {},
+	feedback = {},
+	projectRecency = undefined,
+	projectDeclineExpiry = undefined,
+	projectOfferSettings = undefined,
+	projectNotificationSettings = undefined,
+	projectStrategy = undefined,
+	rotationPointer = undefined
 } = {}) {
 	cache.allIssues.mockImplementation(() => ({ [processedIssue.key]: processedIssue }));
 	cache.allUserProfiles.mockResolvedValue(createProfiles());
+	cache.getUserProfile.mockImplementation(accountId => Promise.resolve(createProfiles()[accountId]));
 	cache.getIssueAssignmentState.mockResolvedValue(assignmentState);
 	cache.cacheIssueAssignmentState.mockResolvedValue();
 	cache.getWorkload.mockImplementation(accountId => Promise.resolve(workloadByUser[accountId] || { totalIssues: 0, totalEstimateSeconds: 0 }));
+	cache.getProjectWeights.mockResolvedValue(projectWeights);
+	cache.getProjectCapacity.mockResolvedValue(projectCapacity);
+	cache.allAvailability.mockResolvedValue(availability);
+	cache.getAvailability.mockImplementation(accountId => Promise.resolve(availability[accountId]));
+	cache.allFeedback.mockResolvedValue(feedback);
+	cache.getFeedback.mockImplementation(accountId => Promise.resolve(feedback[accountId]));
+	cache.getProjectRecency.mockResolvedValue(projectRecency);
+	cache.getProjectDeclineExpiry.mockResolvedValue(projectDeclineExpiry);
+	cache.getProjectOfferSettings.mockResolvedValue(projectOfferSettings);
+	cache.getProjectNotificationSettings.mockResolvedValue(projectNotificationSettings);
+	cache.getProjectStrategy.mockResolvedValue(projectStrategy);
+	cache.getRotationPointer.mockResolvedValue(rotationPointer);
 
 	jiraScraper.scrapeAssignableUsers.mockResolvedValue(assignableUsers);
 	scrapeOrchestrator.scrapeSingleIssue.mockResolvedValue();
@@ -112,6 +153,8 @@ function seedEnvironment({
 	postComment.mockClear();
 	__mockAsUserRequest.mockReset();
 	__mockAsUserRequest.mockResolvedValue({ ok: true, text: jest.fn() });
+	__mockAsAppRequest.mockReset();
+	__mockAsAppRequest.mockResolvedValue({ ok: true, text: jest.fn() });
 }
 
 describe('recommendAssignee integration', () => {
@@ -132,11 +175,237 @@ describe('recommendAssignee integration', () => {
 			ISSUE_KEY,
 			expect.objectContaining({
 				currentAccountId: 'user-1',
+				pickedAccountId: null,
 				declinedAccountIds: []
 			})
 		);
 	});
 
+	test('uses the weights stored for the project', async () => {
+		seedEnvironment({
+			workloadByUser: {
+				'user-1': { totalIssues: 8, totalEstimateSeconds: 0 },
+				'user-2': { totalIssues: 0, totalEstimateSeconds: 0 }
+			},
+			projectWeights: { LABEL: 0, COMPONENT: 0, ISSUE_TYPE: 0 }
+		});
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		expect(cache.getProjectWeights).toHaveBeenCalledWith('PROJ');
+		expect(result.assignee.accountId).toBe('user-2');
+		expect(result.assignee.rawScore).toBe(0);
+	});
+
+	test('decays profile counts with the half-life stored for the project', async () => {
+		seedEnvironment({ projectRecency: { halfLifeDays: null } });
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		expect(cache.getProjectRecency).toHaveBeenCalledWith('PROJ');
+		expect(result.assignee.evidence.labels[0]).toEqual(expect.objectContaining({ count: 5, decayedCount: 5 }));
+	});
+
+	test('round-robin picks the next user in the rotation and advances it on assignment', async () => {
+		seedEnvironment({
+			projectStrategy: { name: 'round-robin' },
+			rotationPointer: 'user-1'
+		});
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: false, commentOnAssignment: false });
+
+		expect(result.assignee.accountId).toBe('user-2');
+		expect(result.strategy).toEqual({ strategy: 'round-robin', reason: 'next in rotation' });
+		expect(cache.cacheRotationPointer).toHaveBeenCalledWith('PROJ', 'user-2');
+	});
+
+	test('previews do not advance the rotation', async () => {
+		seedEnvironment({ rotationPointer: 'user-2' });
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true, strategy: 'round-robin' });
+
+		expect(result.assignee.accountId).toBe('user-1');
+		expect(cache.cacheRotationPointer).not.toHaveBeenCalled();
+	});
+
+	test('a strategy passed in the options overrides the project strategy', async () => {
+		seedEnvironment({ projectStrategy: { name: 'round-robin' } });
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true, strategy: { name: 'highest-score' } });
+
+		expect(result.strategy.strategy).toBe('highest-score');
+		expect(cache.getRotationPointer).not.toHaveBeenCalled();
+		await expect(recommendAssignee(ISSUE_KEY, { skipAssignment: true, strategy: 'coin-flip' })).rejects.toThrow('invalid strategy');
+	});
+
+	test('records the ranked candidates and outcome in the audit log', async () => {
+		seedEnvironment();
+
+		await recommendAssignee(ISSUE_KEY, {
+			skipAssignment: false,
+			commentOnAssignment: false,
+			actorAccountId: 'admin-1',
+			actorDisplayName: 'Admin',
+			criteria: { labels: true }
+		});
+
+		expect(cache.appendAuditRecord).toHaveBeenCalledTimes(1);
+		const [record] = cache.appendAuditRecord.mock.calls[0];
+		expect(record).toEqual(expect.objectContaining({
+			event: 'assignment',
+			issueKey: ISSUE_KEY,
+			projectKey: 'PROJ',
+			actor: { accountId: 'admin-1', displayName: 'Admin' },
+			criteria: { labels: true },
+			accountIds: ['admin-1', 'user-1']
+		}));
+		expect(record.candidates.map(candidate => [candidate.rank, candidate.accountId])).toEqual([[1, 'user-1'], [2, 'user-2']]);
+		expect(record.outcome).toEqual(expect.objectContaining({ success: true, status: 'assigned', assigneeAccountId: 'user-1' }));
+	});
+
+	test('records errors as failures in the audit log', async () => {
+		seedEnvironment();
+		cache.allIssues.mockImplementation(() => ({}));
+		scrapeOrchestrator.scrapeSingleIssue.mockResolvedValue();
+
+		await expect(recommendAssignee(ISSUE_KEY, { skipAssignment: false })).rejects.toThrow('is not available');
+
+		const [record] = cache.appendAuditRecord.mock.calls[0];
+		expect(record.event).toBe('failure');
+		expect(record.actor).toBeNull();
+		expect(record.outcome).toEqual(expect.objectContaining({ success: false, status: 'error' }));
+	});
+
+	test('an assignment still succeeds when the audit log cannot be written', async () => {
+		seedEnvironment();
+		cache.appendAuditRecord.mockRejectedValueOnce(new Error('storage unavailable'));
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: false });
+
+		expect(result.success).toBe(true);
+		expect(cache.appendAuditRecord).toHaveBeenCalledTimes(1);
+	});
+
+	test('records recommendations that are not panel previews', async () => {
+		seedEnvironment();
+
+		await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		expect(cache.appendAuditRecord).toHaveBeenCalledTimes(1);
+		const [record] = cache.appendAuditRecord.mock.calls[0];
+		expect(record.event).toBe('recommendation');
+		expect(record.outcome).toEqual(expect.objectContaining({ success: true, status: 'recommendation-only', assigneeAccountId: 'user-1' }));
+	});
+
+	test('panel previews are not audited, their errors included', async () => {
+		seedEnvironment();
+
+		await recommendAssignee(ISSUE_KEY, { skipAssignment: true, preview: true });
+
+		cache.allIssues.mockImplementation(() => ({}));
+		await expect(recommendAssignee(ISSUE_KEY, { skipAssignment: true, preview: true })).rejects.toThrow('is not available');
+
+		expect(cache.appendAuditRecord).not.toHaveBeenCalled();
+	});
+
+	test('skips users at capacity and reports why', async () => {
+		seedEnvironment({
+			projectCapacity: { defaults: { maxOpenIssues: 10 }, users: { 'user-1': { maxOpenIssues: 1 } } }
+		});
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		expect(result.assignee.accountId).toBe('user-2');
+		expect(result.excluded).toEqual([
+			expect.objectContaining({
+				accountId: 'user-1',
+				displayName: 'Alice',
+				reason: 'capacity',
+				message: 'at capacity: 1/1 open issues'
+			})
+		]);
+	});
+
+	test('returns all-candidates-excluded when everyone is at capacity', async () => {
+		seedEnvironment({
+			projectCapacity: { defaults: { maxEstimateHours: 0 } }
+		});
+
+		const result = await recommendAssignee(ISSUE_KEY, {});
+
+		expect(result.success).toBe(false);
+		expect(result.status).toBe('all-candidates-excluded');
+		expect(result.excluded.map(user => user.accountId)).toEqual(['user-1', 'user-2']);
+		expect(cache.cacheIssueAssignmentState).not.toHaveBeenCalled();
+		// comments on capacity problems are on by default
+		expect(postComment).toHaveBeenCalledWith(
+			ISSUE_KEY,
+			`Nobody could be assigned ${ISSUE_KEY} because every remaining candidate is at capacity.`
+		);
+	});
+
+	test('does not comment on capacity problems when only previewing', async () => {
+		seedEnvironment({
+			projectCapacity: { defaults: { maxEstimateHours: 0 } }
+		});
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		expect(result.status).toBe('all-candidates-excluded');
+		expect(postComment).not.toHaveBeenCalled();
+	});
+
+	test('notifies the declined event through the project channels', async () => {
+		seedEnvironment({
+			projectNotificationSettings: {
+				channels: { comment: { enabled: true, events: ['declined'] } },
+				templates: { declined: '{declined} passed on {issueKey} ({reason}), next up is {assignee}.' }
+			}
+		});
+
+		await recommendAssignee(ISSUE_KEY, {
+			skipAssignment: true,
+			declinedAccountId: 'user-2',
+			declineReason: { code: 'no-capacity', note: null, until: null },
+			commentOnDecline: false
+		});
+
+		expect(postComment).toHaveBeenCalledWith(ISSUE_KEY, `Bob passed on ${ISSUE_KEY} (no capacity), next up is Alice.`);
+	});
+
+	// ranges wide enough to cover whatever day the tests run on
+	test('skips users who are away and reports when', async () => {
+		seedEnvironment({
+			availability: { 'user-1': [{ start: '2000-01-01', end: '2999-12-31', percent: 0, note: 'Sabbatical' }] }
+		});
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		expect(result.assignee.accountId).toBe('user-2');
+		expect(result.excluded).toEqual([
+			expect.objectContaining({
+				accountId: 'user-1',
+				reason: 'availability',
+				message: expect.stringMatching(/^unavailable on \d{4}-\d{2}-\d{2}$/)
+			})
+		]);
+	});
+
+	test('scales the score of partly available users and records it in the evidence', async () => {
+		seedEnvironment();
+		const fullResult = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		seedEnvironment({
+			availability: { 'user-1': [{ start: '2000-01-01', end: '2999-12-31', percent: 50 }] }
+		});
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		const alice = [result.assignee, ...result.alternatives].find(candidate => candidate.accountId === 'user-1');
+		expect(alice.rawScore).toBeCloseTo(fullResult.assignee.rawScore / 2);
+		expect(alice.evidence.availability).toEqual(expect.objectContaining({ percent: 50, factor: 0.5 }));
+		expect(result.excluded).toEqual([]);
+	});
+
 	test('records decline and posts acknowledgement comment', async () => {
 		seedEnvironment({
 			assignmentState: { declinedAccountIds: ['user-old'] }
@@ -161,24 +430,256 @@ describe('recommendAssignee integration', () => {
 		);
 	});
 
+	test('keeps the decline reason in the state and quotes it in the comment', async () => {
+		seedEnvironment();
+		const declineReason = { code: 'wrong-skill', note: 'I have not worked on the api', until: null };
+
+		await recommendAssignee(ISSUE_KEY, {
+			skipAssignment: true,
+			declinedAccountId: 'user-2',
+			declineReason,
+			actorDisplayName: 'Bob'
+		});
+
+		expect(postComment).toHaveBeenCalledWith(
+			ISSUE_KEY,
+			'Bob declined the recommendation for Bob. Reason: wrong skill area (I have not worked on the api). Looking for the next best option...'
+		);
+		expect(cache.cacheIssueAssignmentState).toHaveBeenCalledWith(
+			ISSUE_KEY,
+			expect.objectContaining({
+				declineReasons: { 'user-2': { ...declineReason, declinedAt: expect.any(String) } }
+			})
+		);
+		expect(cache.cacheFeedback).toHaveBeenCalledWith('user-2', [
+			expect.objectContaining({ issueKey: ISSUE_KEY, reason: 'wrong-skill' })
+		]);
+	});
+
+	test('records leave given as a decline reason as time away', async () => {
+		seedEnvironment({
+			availability: { 'user-2': [{ start: '2099-01-01', end: '2099-01-05', percent: 0, note: '' }] }
+		});
+		const until = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+		await recommendAssignee(ISSUE_KEY, {
+			skipAssignment: true,
+			declinedAccountId: 'user-2',
+			declineReason: { code: 'on-leave', note: null, until }
+		});
+
+		expect(cache.cacheAvailability).toHaveBeenCalledWith('user-2', [
+			expect.objectContaining({ end: until, percent: 0, note: `on leave, declined ${ISSUE_KEY}` }),
+			expect.objectContaining({ start: '2099-01-01' })
+		]);
+		expect(postComment).toHaveBeenCalledWith(ISSUE_KEY, expect.stringContaining(`Reason: on leave until ${until}.`));
+	});
+
+	test('expired declines drop out so a fully declined issue recovers', async () => {
+		const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+		const assignmentState = {
+			declinedAccountIds: ['user-1', 'user-2'],
+			declinedAt: { 'user-1': daysAgo(10), 'user-2': daysAgo(1) }
+		};
+
+		seedEnvironment({ assignmentState, projectDeclineExpiry: { ttlDays: null } });
+		const kept = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+		expect(kept.status).toBe('declined-exhausted');
+
+		seedEnvironment({ assignmentState, projectDeclineExpiry: { ttlDays: 7 } });
+		const recovered = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		expect(recovered.assignee.accountId).toBe('user-1');
+		expect(recovered.declined).toEqual(['user-2']);
+		expect(cache.cacheIssueAssignmentState).toHaveBeenCalledWith(
+			ISSUE_KEY,
+			expect.objectContaining({ declinedAccountIds: ['user-2'], declinedAt: { 'user-2': assignmentState.declinedAt['user-2'] } })
+		);
+	});
+
+	test('undoes a single decline and its feedback', async () => {
+		const declinedAt = new Date().toISOString();
+		seedEnvironment({
+			assignmentState: {
+				declinedAccountIds: ['user-1', 'user-2'],
+				declinedAt: { 'user-1': declinedAt, 'user-2': declinedAt },
+				declineReasons: { 'user-2': { code: 'no-capacity', note: null, until: null, declinedAt } }
+			},
+			feedback: { 'user-2': [{ type: 'decline', issueKey: ISSUE_KEY, occurredAt: declinedAt }] }
+		});
+		cache.cacheIssueAssignmentState.mockImplementation((issueKey, state) => {
+			cache.getIssueAssignmentState.mockResolvedValue(state);
+		});
+
+		const state = await undoDecline(ISSUE_KEY, 'user-2');
+
+		expect(state.declinedAccountIds).toEqual(['user-1']);
+		expect(state.declineReasons).toEqual({});
+		expect(state.declines).toEqual([{
+			accountId: 'user-1',
+			displayName: 'Alice',
+			declinedAt,
+			expiresAt: new Date(Date.parse(declinedAt) + 14 * 24 * 60 * 60 * 1000).toISOString(),
+			reason: null
+		}]);
+		expect(cache.cacheFeedback).toHaveBeenCalledWith('user-2', []);
+
+		await expect(undoDecline(ISSUE_KEY, 'user-2')).rejects.toThrow(`user-2 has not declined ${ISSUE_KEY}`);
+	});
+
+	test('offers the issue to the top candidate when the project uses offers', async () => {
+		seedEnvironment({ projectOfferSettings: { enabled: true, timeoutHours: 24 } });
+
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: false });
+
+		expect(result.status).toBe('offered');
+		expect(result.offer).toEqual(expect.objectContaining({ accountId: 'user-1', displayName: 'Alice' }));
+		expect(__mockAsUserRequest).not.toHaveBeenCalled();
+		expect(__mockAsAppRequest).not.toHaveBeenCalled();
+		expect(postComment).toHaveBeenCalledWith(ISSUE_KEY, expect.stringContaining('offered this issue'), 'user-1');
+		expect(cache.cacheIssueAssignmentState).toHaveBeenCalledWith(
+			ISSUE_KEY,
+			expect.objectContaining({ currentAccountId: 'user-1', pickedAccountId: 'user-1', offer: result.offer })
+		);
+	});
+
+	test('accepting an offer assigns the candidate and clears the offer', async () => {
+		const offer = {
+			accountId: 'user-1',
+			displayName: 'Alice',
+			finalScore: 0.8,
+			offeredAt: new Date().toISOString(),
+			expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+		};
+		seedEnvironment({ assignmentState: { currentAccountId: 'user-1', declinedAccountIds: [], offer } });
+
+		await expect(acceptOffer(ISSUE_KEY, 'user-2')).rejects.toThrow(`there is no pending offer of ${ISSUE_KEY} to accept`);
+
+		const result = await acceptOffer(ISSUE_KEY, 'user-1', { actorDisplayName: 'Alice' });
+
+		expect(result.status).toBe('offer-accepted');
+		expect(__mockAsAppRequest).toHaveBeenCalledTimes(1);
+		expect(cache.cacheIssueAssignmentState).toHaveBeenCalledWith(
+			ISSUE_KEY,
+			expect.objectContaining({ currentAccountId: 'user-1', offer: null })
+		);
+		expect(postComment).toHaveBeenCalledWith(ISSUE_KEY, 'Alice accepted the offer and has been assigned.');
+	});
+
+	test('remembers the decline against the kind of work declined', async () => {
+		seedEnvironment();
+
+		await recommendAssignee(ISSUE_KEY, { skipAssignment: true, declinedAccountId: 'user-2' });
+
+		expect(cache.cacheFeedback).toHaveBeenCalledWith('user-2', [
+			expect.objectContaining({
+				type: 'decline',
+				issueKey: ISSUE_KEY,
+				issueType: 'Bug',
+				labels: ['frontend'],
+				components: ['api']
+			})
+		]);
+	});
+
+	test('penalises candidates who repeatedly declined similar work', async () => {
+		seedEnvironment();
+		const fullResult = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		const declined = (issueKey) => ({ type: 'decline', issueKey, issueType: 'Bug', labels: ['frontend'], components: [], occurredAt: new Date().toISOString() });
+		seedEnvironment({
+			feedback: {
+				'user-1': [declined('PROJ-7'), declined('PROJ-8'), declined('PROJ-9')],
+				'user-2': [declined('PROJ-7')]
+			}
+		});
+		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: true });
+
+		const find = (res, accountId) => [res.assignee, ...res.alternatives].find(candidate => candidate.accountId === accountId);
+		const alice = find(result, 'user-1');
+		expect(alice.evidence.feedback).toEqual(expect.objectContaining({ count: 3, message: 'declined similar work 3 times' }));
+		expect(alice.feedbackPenalty).toBeGreaterThan(0);
+		expect(alice.finalScore).toBeCloseTo(find(fullResult, 'user-1').finalScore - alice.feedbackPenalty);
+
+		// a single decline is shown but not penalised
+		const bob = find(result, 'user-2');
+		expect(bob.evidence.feedback).toEqual(expect.objectContaining({ count: 1, penalty: 0 }));
+		expect(bob.finalScore).toBeCloseTo(find(fullResult, 'user-2').finalScore);
+	});
+
 	test('attempts assignment and posts summary when assignment succeeds', async () => {
 		seedEnvironment();
+		__mockAsAppRequest.mockImplementation(async path => (path === '/rest/api/3/serverInfo'
+			? { ok: true, json: jest.fn().mockResolvedValue({ baseUrl: 'https://example.atlassian.net' }) }
+			: { ok: true, text: jest.fn() }));
 
 		const result = await recommendAssignee(ISSUE_KEY, { skipAssignment: false });
 
 		expect(result.status).toBe('assigned');
 		expect(__mockAsUserRequest).toHaveBeenCalledTimes(1);
 		expect(scrapeOrchestrator.scrapeSingleIssue).toHaveBeenCalled();
-		expect(postComment).toHaveBeenCalledWith(
-			ISSUE_KEY,
-			expect.stringContaining('has been recommended')
-		);
 		expect(cache.cacheIssueAssignmentState).toHaveBeenCalledWith(
 			ISSUE_KEY,
 			expect.objectContaining({
-				currentAccountId: 'user-1'
+				currentAccountId: 'user-1',
+				pickedAccountId: 'user-1'
 			})
 		);
+		// the pick is stored before jira is asked to assign
+		expect(cache.cacheIssueAssignmentState.mock.invocationCallOrder[0])
+			.toBeLessThan(__mockAsUserRequest.mock.invocationCallOrder[0]);
+		expect(cache.cacheIssueAssignmentState.mock.calls[0][1]).toEqual(expect.objectContaining({ pickedAccountId: 'user-1' }));
+
+		const [, comment] = postComment.mock.calls[0];
+		expect(comment.type).toBe('doc');
+		const [primary, alternatives, scoreTable, evidenceLink] = comment.content;
+		expect(primary.content).toEqual([
+			{ type: 'text', text: 'Auto-assignment completed. ' },
+			{ type: 'mention', attrs: { id: 'user-1', text: '@Alice' } },
+			{ type: 'text', text: expect.stringContaining('has been recommended') }
+		]);
+		expect(alternatives.content).toContainEqual({ type: 'mention', attrs: { id: 'user-2', text: '@Bob' } });
+		expect(scoreTable.type).toBe('table');
+		expect(scoreTable.content).toHaveLength(3);
+		expect(evidenceLink.content[1].marks).toEqual([
+			{ type: 'link', attrs: { href: `https://example.atlassian.net/browse/${ISSUE_KEY}` } }
+		]);
+	});
+
+	test('names the evidence panel without a link when the site url is unknown', async () => {
+		seedEnvironment();
+		__mockAsAppRequest.mockResolvedValue({ ok: false, status: 403, text: jest.fn() });
+
+		await recommendAssignee(ISSUE_KEY, { skipAssignment: false });
+
+		const [, comment] = postComment.mock.calls[0];
+		const evidenceLink = comment.content[comment.content.length - 1];
+		expect(evidenceLink.content[1]).toEqual({ type: 'text', text: 'Recommended Assignees panel' });
+	});
+
+	test('names declined candidates in the assignment comment', async () => {
+		seedEnvironment({ assignmentState: { declinedAccountIds: ['user-2', 'user-gone'] } });
+
+		await recommendAssignee(ISSUE_KEY, { skipAssignment: false });
+
+		const [, comment] = postComment.mock.calls[0];
+		expect(comment.content).toContainEqual({
+			type: 'paragraph',
+			content: [{ type: 'text', text: 'Declined so far: Bob, user-gone.' }]
+		});
+	});
+
+	test('assigns as the app when assignAsApp is set', async () => {
+		seedEnvironment();
+
+		const result = await recommendAssignee(ISSUE_KEY, { assignAsApp: true });
+
+		expect(result.status).toBe('assigned');
+		expect(__mockAsAppRequest).toHaveBeenCalledWith(
+			`/rest/api/3/issue/${ISSUE_KEY}/assignee`,
+			expect.objectContaining({ method: 'PUT' })
+		);
+		expect(__mockAsUserRequest).not.toHaveBeenCalled();
 	});
 
 	test('returns assignment-failed when Jira rejects all candidates', async () => {
@@ -200,7 +701,11 @@ describe('recommendAssignee integration', () => {
 		expect(result.success).toBe(false);
 		expect(result.attemptErrors).toHaveLength(1);
 		expect(postComment).not.toHaveBeenCalled();
-		expect(cache.cacheIssueAssignmentState).not.toHaveBeenCalled();
+		// nobody was assigned, so the earlier (empty) pick is put back
+		expect(cache.cacheIssueAssignmentState).toHaveBeenLastCalledWith(
+			ISSUE_KEY,
+			expect.objectContaining({ pickedAccountId: null })
+		);
 	});
 });
 
@@ -770,3 +770,182 @@ describe('calculateCandidateScore() - Additional Edge Cases', () => {
     expect(result.finalScore).toBeLessThanOrEqual(result.rawScore);
   });
 });
+
+describe('calculateCandidateScore() - Custom Weights', () => {
+  const issue = { labels: ['frontend'], components: [], issueType: 'Story', historicalAssignees: [], worklogContributors: [], commentContributors: [] };
+  const profile = { labels: { 'frontend': 5 }, components: {}, issueTypes: {}, epics: {}, parents: {}, assignedIssues: [], worklogIssues: [], commentedIssues: [] };
+  const workload = { totalIssues: 4, totalEstimateSeconds: 7200 };
+
+  test('scales contributions and penalties by the supplied weights', () => {
+    const weights = { LABEL: 10, WORKLOAD_OPEN_ISSUES: 1, WORKLOAD_ESTIMATE_HOURS: 0.5 };
+
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, workload, {}, null, weights);
+
+    expect(result.evidence.labels[0].contribution).toBeCloseTo(10 * Math.log1p(5), 5);
+    expect(result.workloadPenalty).toBeCloseTo(4 * 1 + 2 * 0.5, 5);
+  });
+
+  test('falls back to the default weights for missing keys', () => {
+    const defaults = calculateCandidateScore(issue, 'user123', 'Test', profile, workload, {}, null);
+    const partial = calculateCandidateScore(issue, 'user123', 'Test', profile, workload, {}, null, { COMPONENT: 9 });
+
+    expect(partial.rawScore).toBeCloseTo(defaults.rawScore, 5);
+    expect(partial.workloadPenalty).toBeCloseTo(defaults.workloadPenalty, 5);
+  });
+
+  test('a zero weight removes the signal from the raw score', () => {
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, {}, null, { LABEL: 0 });
+
+    expect(result.rawScore).toBe(0);
+  });
+});
+
+describe('calculateCandidateScore() - Text Similarity', () => {
+  const processedIssues = {
+    'PROJ-1': { key: 'PROJ-1', summaryTokens: ['oauth', 'login', 'fails'], descriptionTokens: ['token', 'refresh'] },
+    'PROJ-2': { key: 'PROJ-2', summaryTokens: ['billing', 'export'], descriptionTokens: ['invoice', 'csv'] },
+    'PROJ-3': { key: 'PROJ-3', summaryTokens: ['dashboard', 'charts'], descriptionTokens: ['render', 'slow'] }
+  };
+  const issue = {
+    key: 'PROJ-9',
+    summaryTokens: ['login', 'oauth', 'error'],
+    descriptionTokens: ['token', 'expired'],
+    labels: [],
+    components: [],
+    historicalAssignees: [],
+    worklogContributors: [],
+    commentContributors: []
+  };
+  const profile = {
+    labels: {}, components: {}, issueTypes: {}, epics: {}, parents: {},
+    assignedIssues: ['PROJ-2'],
+    worklogIssues: [],
+    commentedIssues: ['PROJ-1'],
+    historicalIssues: []
+  };
+
+  test('adds a weighted contribution and evidence for similar past issues', () => {
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, processedIssues, null, { TEXT_SIMILARITY: 10 });
+
+    expect(result.evidence.textMatches).toHaveLength(1);
+    const match = result.evidence.textMatches[0];
+    expect(match.issueKey).toBe('PROJ-1');
+    expect(match.terms).toEqual(expect.arrayContaining(['oauth', 'login', 'token']));
+    expect(match.contribution).toBeCloseTo(10 * match.similarity, 5);
+    expect(result.rawScore).toBeCloseTo(match.contribution + 0.9 * Math.log1p(1) + 0.5 * Math.log1p(1), 5);
+  });
+
+  test('can be disabled through the criteria', () => {
+    const criteria = { textSimilarity: false };
+
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, processedIssues, criteria);
+
+    expect(result.evidence.textMatches).toEqual([]);
+    expect(result.rawScore).toBe(0);
+  });
+
+  test('is mentioned in the assignment summary', () => {
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, processedIssues, { textSimilarity: true });
+
+    expect(generateAssignmentSummary(result)).toBe('Similar past issues (PROJ-1)');
+  });
+});
+
+describe('calculateCandidateScore() - Confluence', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const issue = {
+    key: 'PROJ-9',
+    summaryTokens: ['oauth', 'login', 'error'],
+    descriptionTokens: ['token', 'expired'],
+    labels: [],
+    components: [],
+    historicalAssignees: [],
+    worklogContributors: [],
+    commentContributors: []
+  };
+  const profile = {
+    labels: {}, components: {}, issueTypes: {}, epics: {}, parents: {},
+    assignedIssues: [], worklogIssues: [], commentedIssues: [], historicalIssues: [],
+    confluencePages: [
+      {
+        id: '101',
+        title: 'OAuth login flow',
+        spaceKey: 'DOCS',
+        url: 'https://example.atlassian.net/wiki/spaces/DOCS/pages/101',
+        keywords: ['oauth', 'token', 'login', 'refresh'],
+        lastUpdated: '2026-01-01T00:00:00Z',
+        isCreator: true
+      },
+      { id: '102', title: 'Billing', spaceKey: 'DOCS', keywords: ['billing', 'invoice', 'token'], lastUpdated: '2026-01-01T00:00:00Z' }
+    ]
+  };
+
+  test('adds page-level evidence for pages sharing keywords with the issue', () => {
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, {}, null, { CONFLUENCE: 2 }, { halfLifeDays: null }, now);
+
+    expect(result.evidence.confluence).toEqual([
+      expect.objectContaining({
+        pageId: '101',
+        title: 'OAuth login flow',
+        url: 'https://example.atlassian.net/wiki/spaces/DOCS/pages/101',
+        isCreator: true,
+        keywords: ['oauth', 'token', 'login'],
+        similarity: 0.75,
+        contribution: 1.5
+      })
+    ]);
+    expect(result.rawScore).toBeCloseTo(1.5, 5);
+  });
+
+  test('decays pages that have not been updated in a while', () => {
+    const stale = {
+      ...profile,
+      confluencePages: [{ ...profile.confluencePages[0], lastUpdated: '2025-01-01T00:00:00Z' }]
+    };
+
+    const result = calculateCandidateScore(issue, 'user123', 'Test', stale, null, {}, null, { CONFLUENCE: 2 }, { halfLifeDays: 365 }, now);
+
+    expect(result.evidence.confluence[0].contribution).toBeCloseTo(0.75, 5);
+  });
+
+  test('can be disabled through the criteria', () => {
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, {}, { confluence: false });
+
+    expect(result.evidence.confluence).toEqual([]);
+    expect(result.rawScore).toBe(0);
+  });
+
+  test('is mentioned in the assignment summary', () => {
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, {}, { confluence: true });
+
+    expect(generateAssignmentSummary(result)).toBe('Wrote about it in confluence (OAuth login flow)');
+  });
+});
+
+describe('calculateCandidateScore() - Recency Decay', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const issue = { labels: ['frontend'], components: [], historicalAssignees: [], worklogContributors: [], commentContributors: [] };
+  const profile = {
+    labels: { frontend: 2 },
+    components: {}, issueTypes: {}, epics: {}, parents: {},
+    interactionDates: { labels: { frontend: ['2025-01-01T00:00:00Z', '2024-01-01T00:00:00Z'] } },
+    assignedIssues: [], worklogIssues: [], commentedIssues: []
+  };
+  const criteria = { labels: true };
+
+  test('decays profile counts by the half-life and keeps both counts in the evidence', () => {
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, {}, criteria, undefined, { halfLifeDays: 365 }, now);
+
+    const [label] = result.evidence.labels;
+    expect(label.count).toBe(2);
+    expect(label.decayedCount).toBeCloseTo(0.5 + Math.pow(0.5, 731 / 365), 5);
+    expect(label.contribution).toBeCloseTo(3.2 * Math.log1p(label.decayedCount), 5);
+  });
+
+  test('leaves counts untouched when decay is switched off', () => {
+    const result = calculateCandidateScore(issue, 'user123', 'Test', profile, null, {}, criteria, undefined, { halfLifeDays: null }, now);
+
+    expect(result.evidence.labels[0].decayedCount).toBe(2);
+    expect(result.rawScore).toBeCloseTo(3.2 * Math.log1p(2), 5);
+  });
+});
@@ -0,0 +1,265 @@
+jest.mock('../cache.js', () => ({
+  allAvailability: jest.fn(),
+  getAvailability: jest.fn(),
+  cacheAvailability: jest.fn(),
+  uncacheAvailability: jest.fn()
+}));
+
+import {
+  validateAvailability,
+  loadAllAvailability,
+  saveAvailability,
+  addAvailabilityRange,
+  importAvailability,
+  parseICal,
+  assessAvailability,
+  MAX_WINDOW_DAYS
+} from '../assignment/availability.js';
+import * as cache from '../cache.js';
+
+const now = new Date('2026-03-02T09:00:00Z');
+
+describe('availability', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateAvailability()', () => {
+    test('parses ranges, defaults percent to 0 and sorts by start date', () => {
+      const result = validateAvailability([
+        { start: '2026-04-01', end: '2026-04-03', percent: '50', note: ' conference ' },
+        { start: '2026-03-10', end: '2026-03-14' }
+      ]);
+
+      expect(result.valid).toBe(true);
+      expect(result.ranges).toEqual([
+        { start: '2026-03-10', end: '2026-03-14', percent: 0, note: '' },
+        { start: '2026-04-01', end: '2026-04-03', percent: 50, note: 'conference' }
+      ]);
+    });
+
+    test('rejects malformed ranges', () => {
+      const result = validateAvailability([
+        { start: '2026-03-10', end: '2026-03-01' },
+        { start: '10/03/2026', end: '2026-03-12' },
+        { start: '2026-03-10', end: '2026-03-12', percent: 150 },
+        null
+      ]);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'range 1 ends before it starts',
+        'range 2 needs start and end dates in YYYY-MM-DD format',
+        'range 3 percent must be between 0 and 100',
+        'range 4 must be an object'
+      ]);
+    });
+
+    test('rejects input that is not a list', () => {
+      expect(validateAvailability({}).errors).toEqual(['availability must be a list of date ranges']);
+    });
+  });
+
+  test('loadAllAvailability returns the parsed ranges of every user', async () => {
+    cache.allAvailability.mockResolvedValue({
+      'user-1': [{ start: '2026-03-10', end: '2026-03-12' }]
+    });
+
+    expect(await loadAllAvailability()).toEqual({
+      'user-1': [{ start: '2026-03-10', end: '2026-03-12', percent: 0, note: '' }]
+    });
+  });
+
+  describe('saveAvailability()', () => {
+    test('stores the parsed ranges', async () => {
+      const saved = await saveAvailability('user-1', [{ start: '2026-03-10', end: '2026-03-12', percent: 20 }]);
+
+      expect(cache.cacheAvailability).toHaveBeenCalledWith('user-1', saved);
+      expect(saved[0].percent).toBe(20);
+    });
+
+    test('removes the record when no ranges are left', async () => {
+      await saveAvailability('user-1', []);
+
+      expect(cache.uncacheAvailability).toHaveBeenCalledWith('user-1');
+      expect(cache.cacheAvailability).not.toHaveBeenCalled();
+    });
+
+    test('throws and stores nothing when validation fails', async () => {
+      await expect(saveAvailability('user-1', [{ start: 'soon', end: 'later' }])).rejects.toThrow('invalid availability');
+      await expect(saveAvailability('', [])).rejects.toThrow('accountId is required');
+      expect(cache.cacheAvailability).not.toHaveBeenCalled();
+      expect(cache.uncacheAvailability).not.toHaveBeenCalled();
+    });
+  });
+
+  test('addAvailabilityRange keeps the ranges already stored', async () => {
+    cache.getAvailability.mockResolvedValue([{ start: '2026-03-10', end: '2026-03-12', percent: 20, note: '' }]);
+
+    const saved = await addAvailabilityRange('user-1', { start: '2026-03-02', end: '2026-03-04', percent: 0, note: 'leave' });
+
+    expect(saved.map(range => range.start)).toEqual(['2026-03-02', '2026-03-10']);
+    expect(cache.cacheAvailability).toHaveBeenCalledWith('user-1', saved);
+  });
+
+  describe('importAvailability()', () => {
+    const calendar = [
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20260310',
+      'DTEND;VALUE=DATE:20260313',
+      'SUMMARY:Annual leave',
+      'END:VEVENT'
+    ].join('\n');
+
+    test('adds the calendar events to the stored ranges', async () => {
+      cache.getAvailability.mockResolvedValue([{ start: '2026-04-01', end: '2026-04-02', percent: 50, note: 'conference' }]);
+
+      const result = await importAvailability('user-1', calendar);
+
+      expect(result.imported).toBe(1);
+      expect(result.ranges.map(range => range.start)).toEqual(['2026-03-10', '2026-04-01']);
+      expect(cache.cacheAvailability).toHaveBeenCalledWith('user-1', result.ranges);
+    });
+
+    test('does not add the same events again when a calendar is imported twice', async () => {
+      let stored;
+      cache.getAvailability.mockImplementation(async () => stored);
+      cache.cacheAvailability.mockImplementation(async (accountId, ranges) => {
+        stored = ranges;
+      });
+
+      await importAvailability('user-1', calendar);
+      const second = await importAvailability('user-1', calendar);
+
+      expect(second.imported).toBe(0);
+      expect(stored).toEqual([{ start: '2026-03-10', end: '2026-03-12', percent: 0, note: 'Annual leave' }]);
+    });
+
+    test('rejects a calendar without events', async () => {
+      await expect(importAvailability('user-1', 'BEGIN:VCALENDAR\nEND:VCALENDAR')).rejects.toThrow('no events found');
+      expect(cache.cacheAvailability).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parseICal()', () => {
+    test('reads all-day and timed events', () => {
+      const calendar = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20260310',
+        'DTEND;VALUE=DATE:20260313',
+        'SUMMARY:Annual leave\\, skiing',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20260401T090000Z',
+        'DTEND:20260402T170000Z',
+        'SUMMARY:Training',
+        ' day',
+        'X-AVAILABILITY:50',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      expect(parseICal(calendar)).toEqual([
+        { start: '2026-03-10', end: '2026-03-12', percent: 0, note: 'Annual leave, skiing' },
+        { start: '2026-04-01', end: '2026-04-02', percent: 50, note: 'Trainingday' }
+      ]);
+    });
+
+    test('only takes the hours of a timed event out of the day', () => {
+      const calendar = [
+        'BEGIN:VEVENT',
+        'DTSTART:20260310T140000Z',
+        'DTEND:20260310T150000Z',
+        'SUMMARY:Planning',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20260311T090000Z',
+        'SUMMARY:Reminder',
+        'END:VEVENT'
+      ].join('\n');
+
+      expect(parseICal(calendar)).toEqual([
+        { start: '2026-03-10', end: '2026-03-10', percent: 88, note: 'Planning' }
+      ]);
+    });
+
+    test('reads timed events in their TZID zone', () => {
+      const calendar = [
+        'BEGIN:VEVENT',
+        'DTSTART;TZID=America/New_York:20260310T220000',
+        'DTEND;TZID=America/New_York:20260311T020000',
+        'SUMMARY:Release',
+        'END:VEVENT'
+      ].join('\n');
+
+      expect(parseICal(calendar)).toEqual([
+        { start: '2026-03-10', end: '2026-03-11', percent: 75, note: 'Release' }
+      ]);
+    });
+
+    test('skips transparent events', () => {
+      const calendar = [
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20260310',
+        'DTEND;VALUE=DATE:20260311',
+        'TRANSP:TRANSPARENT',
+        'SUMMARY:Team birthday',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20260312T090000Z',
+        'DTEND:20260312T170000Z',
+        'TRANSP:OPAQUE',
+        'SUMMARY:Workshop',
+        'END:VEVENT'
+      ].join('\n');
+
+      expect(parseICal(calendar)).toEqual([
+        { start: '2026-03-12', end: '2026-03-12', percent: 0, note: 'Workshop' }
+      ]);
+    });
+
+    test('ignores events without a start date and empty input', () => {
+      expect(parseICal('BEGIN:VEVENT\nSUMMARY:No date\nEND:VEVENT')).toEqual([]);
+      expect(parseICal('')).toEqual([]);
+    });
+  });
+
+  describe('assessAvailability()', () => {
+    test('is fully available when no range overlaps the window', () => {
+      const ranges = [{ start: '2026-05-01', end: '2026-05-05', percent: 0 }];
+
+      expect(assessAvailability(ranges, null, now)).toEqual({
+        percent: 100,
+        from: '2026-03-02',
+        to: '2026-03-02',
+        ranges: []
+      });
+    });
+
+    test('only looks at today when there is no due date', () => {
+      const ranges = [{ start: '2026-03-01', end: '2026-03-03', percent: 0 }];
+
+      expect(assessAvailability(ranges, null, now).percent).toBe(0);
+    });
+
+    test('averages availability up to the due date using the most restrictive range', () => {
+      const ranges = [
+        { start: '2026-03-02', end: '2026-03-03', percent: 0 },
+        { start: '2026-03-03', end: '2026-03-05', percent: 50 }
+      ];
+
+      // 0 + 0 + 50 + 50 over four days
+      const result = assessAvailability(ranges, '2026-03-05', now);
+      expect(result.percent).toBe(25);
+      expect(result.to).toBe('2026-03-05');
+      expect(result.ranges).toHaveLength(2);
+    });
+
+    test('caps the window for distant due dates', () => {
+      const result = assessAvailability([], '2027-01-01', now);
+
+      expect(Date.parse(result.to) - Date.parse(result.from)).toBe((MAX_WINDOW_DAYS - 1) * 24 * 60 * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../cache.js', () => ({
+  allIssues: jest.fn(),
+  getProjectWeights: jest.fn(),
+  getProjectRecency: jest.fn()
+}));
+
+import { evaluateAssignments, runBacktest } from '../assignment/backtest.js';
+import { DEFAULT_WEIGHTS } from '../assignment/weights.js';
+import * as cache from '../cache.js';
+import resolvedIssues from './fixtures/resolvedIssues.json';
+
+const zeroWeights = Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(key => [key, 0]));
+
+describe('backtest', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('evaluateAssignments()', () => {
+    test('ranks the real assignee using only earlier history', () => {
+      const report = evaluateAssignments(resolvedIssues, { projectKey: 'PROJ' });
+
+      // PROJ-1 and PROJ-2 were created before anything was resolved
+      expect(report.skipped).toBe(2);
+      expect(report.evaluated).toBe(4);
+      expect(report.issues.map(issue => issue.issueKey)).toEqual(['PROJ-3', 'PROJ-4', 'PROJ-5', 'PROJ-6']);
+      expect(report).toEqual(expect.objectContaining({ top1: 1, top3: 1, mrr: 1 }));
+      expect(report.issues[1]).toEqual(expect.objectContaining({
+        actualAccountId: 'user-bob',
+        predictedAccountId: 'user-bob',
+        rank: 1,
+        candidateCount: 2
+      }));
+    });
+
+    test('does not let the issue give away its own assignee', () => {
+      // with every weight at zero the outcome data of the issue is the only
+      // thing that could separate the candidates, and names break the tie
+      const report = evaluateAssignments(resolvedIssues, { projectKey: 'PROJ', weights: zeroWeights });
+
+      expect(report.issues.map(issue => issue.rank)).toEqual([1, 2, 1, 2]);
+      expect(report).toEqual(expect.objectContaining({ top1: 0.5, top3: 1, mrr: 0.75 }));
+    });
+
+    test('evaluates every project and honours the limit', () => {
+      expect(evaluateAssignments(resolvedIssues).evaluated).toBe(5);
+
+      const report = evaluateAssignments(resolvedIssues, { limit: 2 });
+      expect(report.issues.map(issue => issue.issueKey)).toEqual(['PROJ-6', 'OPS-7']);
+    });
+
+    test('reports zeros when nothing can be evaluated', () => {
+      expect(evaluateAssignments({})).toEqual({ evaluated: 0, skipped: 0, top1: 0, top3: 0, mrr: 0, issues: [] });
+    });
+  });
+
+  describe('runBacktest()', () => {
+    test('uses the cached issues with the project settings', async () => {
+      cache.allIssues.mockResolvedValue(resolvedIssues);
+      cache.getProjectWeights.mockResolvedValue(undefined);
+      cache.getProjectRecency.mockResolvedValue({ halfLifeDays: 30 });
+
+      const report = await runBacktest({ projectKey: 'PROJ' });
+
+      expect(report.evaluated).toBe(4);
+      expect(report.weights).toEqual(DEFAULT_WEIGHTS);
+      expect(cache.getProjectWeights).toHaveBeenCalledWith('PROJ');
+      expect(cache.getProjectRecency).toHaveBeenCalledWith('PROJ');
+    });
+
+    test('tries supplied weights without loading the saved ones', async () => {
+      cache.allIssues.mockResolvedValue(resolvedIssues);
+
+      const report = await runBacktest({ projectKey: 'PROJ', weights: zeroWeights });
+
+      expect(report.top1).toBe(0.5);
+      expect(cache.getProjectWeights).not.toHaveBeenCalled();
+    });
+
+    test('rejects invalid input before reading any issues', async () => {
+      await expect(runBacktest({})).rejects.toThrow('projectKey is required to run a backtest');
+      await expect(runBacktest({ projectKey: 'PROJ', limit: 0 })).rejects.toThrow('invalid backtest: limit must be');
+      await expect(runBacktest({ projectKey: 'PROJ', weights: { LABEL: -1 } })).rejects.toThrow('invalid weights: LABEL must be between 0 and 100');
+      expect(cache.allIssues).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -7,18 +7,102 @@ import {
 	getIssueSummary,
 	cacheIssueAssignmentState,
 	getIssueAssignmentState,
+	allAssignmentStates,
 	cacheWorkload,
 	getWorkload,
 	uncacheIssue,
 	resetCache,
+	clearEntityData,
 	initialiseCache,
-	cacheIssueChange
+	cacheIssueChange,
+	cacheProjectWeights,
+	getProjectWeights,
+	uncacheProjectWeights,
+	registerProject,
+	allProjects,
+	cacheRefreshWatermark,
+	getRefreshWatermark,
+	cacheProjectRules,
+	getProjectRules,
+	cacheProjectRecency,
+	getProjectRecency,
+	cacheProjectDeclineExpiry,
+	getProjectDeclineExpiry,
+	cacheProjectOfferSettings,
+	getProjectOfferSettings,
+	cacheProjectCommentVisibility,
+	getProjectCommentVisibility,
+	cacheProjectNotificationSettings,
+	getProjectNotificationSettings,
+	cacheProjectConfluenceSettings,
+	getProjectConfluenceSettings,
+	cacheScrapeJob,
+	getScrapeJob,
+	cacheScrapeJobIssueKeys,
+	getScrapeJobIssueKeys,
+	cacheProjectWebhooks,
+	getProjectWebhooks,
+	cacheWebhookSecret,
+	getWebhookSecret,
+	uncacheWebhookSecret,
+	appendWebhookDelivery,
+	queryWebhookDeliveries,
+	MAX_WEBHOOK_DELIVERIES,
+	cacheProjectStrategy,
+	getProjectStrategy,
+	cacheRotationPointer,
+	getRotationPointer,
+	cacheAvailability,
+	getAvailability,
+	allAvailability,
+	uncacheAvailability,
+	allIssues,
+	getUserProfile,
+	updateAllUserProfiles,
+	migrateLegacyCache,
+	appendAuditRecord,
+	queryAuditRecords
 } from '../cache.js';
 import { kvs } from '@forge/kvs';
 import * as scrapeOrchestrator from '../scrapers/scrapeOrchestrator.js';
+import * as scrapeJobs from '../scrapeJobs.js';
 
 jest.mock('@forge/kvs', () => {
 	const store = new Map();
+	const secrets = new Map();
+
+	const query = () => {
+		let matches = () => true;
+		let limit = 100;
+		let offset = 0;
+
+		const builder = {
+			where: (property, condition) => {
+				const [first, second] = condition.values;
+				matches = condition.condition === 'BETWEEN'
+					? key => key >= first && key <= second
+					: key => key.startsWith(first);
+				return builder;
+			},
+			limit: value => {
+				limit = value;
+				return builder;
+			},
+			cursor: value => {
+				offset = Number(value);
+				return builder;
+			},
+			getMany: async () => {
+				const matching = [...store.keys()].filter(key => matches(key)).sort();
+				const page = matching.slice(offset, offset + limit);
+				return {
+					results: page.map(key => ({ key, value: store.get(key) })),
+					nextCursor: offset + limit < matching.length ? String(offset + limit) : undefined
+				};
+			}
+		};
+		return builder;
+	};
 
 	const kvs = {
 		get: jest.fn(async key => store.get(key)),
@@ -28,19 +112,28 @@ jest.mock('@forge/kvs', () => {
 		delete: jest.fn(async key => {
 			store.delete(key);
 		}),
-		__reset: () => store.clear()
+		query: jest.fn(query),
+		getSecret: jest.fn(async key => secrets.get(key)),
+		setSecret: jest.fn(async (key, value) => {
+			secrets.set(key, value);
+		}),
+		deleteSecret: jest.fn(async key => {
+			secrets.delete(key);
+		}),
+		__reset: () => {
+			store.clear();
+			secrets.clear();
+		},
+		__keys: () => [...store.keys()]
 	};
 
-	return { kvs };
-});
+	const WhereConditions = {
+		beginsWith: value => ({ condition: 'BEGINS_WITH', values: [value] }),
+		between: (first, second) => ({ condition: 'BETWEEN', values: [first, second] })
+	};
 
-const seedCacheBuckets = async () => {
-	await kvs.set('issues', {});
-	await kvs.set('users', {});
-	await kvs.set('summaries', {});
-	await kvs.set('assignmentStates', {});
-	await kvs.set('workloads', {});
-};
+	return { kvs, WhereConditions };
+});
 
 describe('cache module', () => {
 	beforeEach(async () => {
@@ -48,9 +141,8 @@ describe('cache module', () => {
 		kvs.get.mockClear();
 		kvs.set.mockClear();
 		kvs.delete.mockClear();
-		jest.spyOn(scrapeOrchestrator, 'scrapeFullProject').mockResolvedValue({});
+		jest.spyOn(scrapeJobs, 'startScrapeJob').mockResolvedValue({});
 		jest.spyOn(scrapeOrchestrator, 'scrapeSingleIssue').mockResolvedValue({});
-		await seedCacheBuckets();
 	});
 
 	afterEach(() => {
@@ -64,6 +156,45 @@ describe('cache module', () => {
 		const stored = await getIssue('TEST-1');
 
 		expect(stored).toEqual(issue);
+		expect(await kvs.get('issue:TEST-1')).toEqual(issue);
+	});
+
+	test('allIssues lists every issue across query pages', async () => {
+		for (let i = 0; i < 150; i += 1) {
+			await cacheIssue({ key: `TEST-${i}` });
+		}
+		await cacheIssueSummary('TEST-1', 'not an issue');
+
+		const issues = await allIssues();
+
+		expect(Object.keys(issues)).toHaveLength(150);
+		expect(issues['TEST-149']).toEqual({ key: 'TEST-149' });
+	});
+
+	test('writes to different entities do not overwrite each other', async () => {
+		await Promise.all([
+			cacheIssue({ key: 'TEST-A' }),
+			cacheIssue({ key: 'TEST-B' }),
+			cacheUserProfile({ accountId: 'user-a' }),
+			cacheUserProfile({ accountId: 'user-b' })
+		]);
+
+		expect(Object.keys(await allIssues()).sort()).toEqual(['TEST-A', 'TEST-B']);
+		expect(Object.keys(await allUserProfiles()).sort()).toEqual(['user-a', 'user-b']);
+	});
+
+	test('updateAllUserProfiles replaces the stored set of users', async () => {
+		await cacheUserProfile({ accountId: 'user-old' });
+		await cacheUserProfile({ accountId: 'user-kept', displayName: 'Before' });
+
+		await updateAllUserProfiles({
+			'user-kept': { accountId: 'user-kept', displayName: 'After' },
+			'user-new': { accountId: 'user-new' }
+		});
+
+		expect(await getUserProfile('user-old')).toBeUndefined();
+		expect(await getUserProfile('user-kept')).toEqual({ accountId: 'user-kept', displayName: 'After' });
+		expect(await getUserProfile('user-new')).toEqual({ accountId: 'user-new' });
 	});
 
 	test('cacheUserProfile stores user and allUserProfiles retrieves collection', async () => {
@@ -85,6 +216,16 @@ describe('cache module', () => {
 		expect(await getWorkload('user-2')).toEqual({ totalIssues: 5 });
 	});
 
+	test('allAssignmentStates lists the state of every issue', async () => {
+		await cacheIssueAssignmentState('TEST-3', { currentAccountId: 'user-3' });
+		await cacheIssueAssignmentState('TEST-4', { currentAccountId: null });
+
+		expect(await allAssignmentStates()).toEqual(expect.objectContaining({
+			'TEST-3': { currentAccountId: 'user-3' },
+			'TEST-4': { currentAccountId: null }
+		}));
+	});
+
 	test('uncacheIssue removes issue, summary, and assignment state', async () => {
 		const issueKey = 'TEST-UNCACHE';
 		await cacheIssue({ key: issueKey });
@@ -98,40 +239,297 @@ describe('cache module', () => {
 		expect(await getIssueAssignmentState(issueKey)).toBeUndefined();
 	});
 
-	test('resetCache clears all buckets', async () => {
+	test('resetCache clears all cached entities', async () => {
 		await cacheIssue({ key: 'TEST-RESET' });
 		await cacheUserProfile({ accountId: 'user-reset' });
+		await cacheIssueSummary('TEST-RESET', 'summary');
+		await cacheIssueAssignmentState('TEST-RESET', {});
+		await cacheWorkload('user-reset', {});
+		await cacheRefreshWatermark('PROJ', '2024-01-01T00:00:00.000Z');
+		await registerProject('PROJ');
+		await kvs.set('cacheInitialised', true);
+		await cacheProjectWeights('PROJ', { LABEL: 1 });
 
 		await resetCache();
 
-		expect(await kvs.get('issues')).toBeUndefined();
-		expect(await kvs.get('users')).toBeUndefined();
-		expect(await kvs.get('summaries')).toBeUndefined();
-		expect(await kvs.get('assignmentStates')).toBeUndefined();
-		expect(await kvs.get('workloads')).toBeUndefined();
+		expect(kvs.__keys()).toEqual(['weights:PROJ']);
 	});
 
-	describe('initialiseCache()', () => {
-		test('initialises cache when buckets are undefined', async () => {
-			kvs.__reset();
-			jest.spyOn(kvs, 'set');
+	test('clearEntityData keeps the project registry, watermarks and initialisation flag', async () => {
+		await cacheIssue({ key: 'TEST-RESET' });
+		await cacheUserProfile({ accountId: 'user-reset' });
+		await cacheWorkload('user-reset', {});
+		await cacheRefreshWatermark('PROJ', '2024-01-01T00:00:00.000Z');
+		await registerProject('PROJ');
+		await kvs.set('cacheInitialised', true);
+
+		await clearEntityData();
+
+		expect(kvs.__keys().sort()).toEqual(['cacheInitialised', 'projects', 'refreshWatermark:PROJ']);
+	});
+
+	test('project weights are stored per project key', async () => {
+		await cacheProjectWeights('PROJ', { LABEL: 1 });
+		await cacheProjectWeights('OTHER', { LABEL: 2 });
+
+		expect(await getProjectWeights('PROJ')).toEqual({ LABEL: 1 });
+		expect(await getProjectWeights('OTHER')).toEqual({ LABEL: 2 });
+
+		await uncacheProjectWeights('PROJ');
+
+		expect(await getProjectWeights('PROJ')).toBeUndefined();
+		expect(await getProjectWeights('OTHER')).toEqual({ LABEL: 2 });
+	});
+
+	test('project rules are stored per project key', async () => {
+		await cacheProjectRules('PROJ', { enabled: true, rules: [] });
+
+		expect(await getProjectRules('PROJ')).toEqual({ enabled: true, rules: [] });
+		expect(await getProjectRules('OTHER')).toBeUndefined();
+	});
+
+	test('project recency settings are stored per project key', async () => {
+		await cacheProjectRecency('PROJ', { halfLifeDays: 90 });
+
+		expect(await getProjectRecency('PROJ')).toEqual({ halfLifeDays: 90 });
+		expect(await getProjectRecency('OTHER')).toBeUndefined();
+	});
+
+	test('project decline expiry is stored per project key', async () => {
+		await cacheProjectDeclineExpiry('PROJ', { ttlDays: 3 });
+
+		expect(await getProjectDeclineExpiry('PROJ')).toEqual({ ttlDays: 3 });
+		expect(await getProjectDeclineExpiry('OTHER')).toBeUndefined();
+	});
+
+	test('project offer settings are stored per project key', async () => {
+		await cacheProjectOfferSettings('PROJ', { enabled: true, timeoutHours: 8 });
+
+		expect(await getProjectOfferSettings('PROJ')).toEqual({ enabled: true, timeoutHours: 8 });
+		expect(await getProjectOfferSettings('OTHER')).toBeUndefined();
+	});
+
+	test('project comment visibility is stored per project key', async () => {
+		await cacheProjectCommentVisibility('PROJ', { visibility: 'internal', restrictTo: null });
+
+		expect(await getProjectCommentVisibility('PROJ')).toEqual({ visibility: 'internal', restrictTo: null });
+		expect(await getProjectCommentVisibility('OTHER')).toBeUndefined();
+	});
+
+	test('project notification settings are stored per project key', async () => {
+		const settings = { channels: { comment: { enabled: false, events: [] } }, templates: {} };
+		await cacheProjectNotificationSettings('PROJ', settings);
+
+		expect(await getProjectNotificationSettings('PROJ')).toEqual(settings);
+		expect(await getProjectNotificationSettings('OTHER')).toBeUndefined();
+	});
+
+	test('project confluence settings are stored per project key', async () => {
+		await cacheProjectConfluenceSettings('PROJ', { spaceKeys: ['DOCS'] });
+
+		expect(await getProjectConfluenceSettings('PROJ')).toEqual({ spaceKeys: ['DOCS'] });
+		expect(await getProjectConfluenceSettings('OTHER')).toBeUndefined();
+	});
+
+	test('the latest scrape job is stored per project key', async () => {
+		await cacheScrapeJob('PROJ', { id: 'job-1', cursor: 0 });
+		await cacheScrapeJob('PROJ', { id: 'job-1', cursor: 25 });
+
+		expect(await getScrapeJob('PROJ')).toEqual({ id: 'job-1', cursor: 25 });
+		expect(await getScrapeJob('OTHER')).toBeUndefined();
+	});
+
+	test('scrape job issue keys are stored apart from the job record', async () => {
+		await cacheScrapeJob('PROJ', { id: 'job-1', cursor: 0 });
+		await cacheScrapeJobIssueKeys('PROJ', ['PROJ-1', 'PROJ-2']);
+
+		expect(await getScrapeJobIssueKeys('PROJ')).toEqual(['PROJ-1', 'PROJ-2']);
+		expect(await getScrapeJob('PROJ')).toEqual({ id: 'job-1', cursor: 0 });
+		expect(await getScrapeJobIssueKeys('OTHER')).toBeUndefined();
+	});
 
+	test('webhook endpoints are stored per project and their secrets apart from them', async () => {
+		await cacheProjectWebhooks('PROJ', [{ id: 'hook-1', url: 'https://chat.example.com', events: ['assignment'], enabled: true }]);
+		await cacheWebhookSecret('hook-1', 'a-very-long-signing-secret');
+
+		expect(await getProjectWebhooks('PROJ')).toEqual([expect.objectContaining({ id: 'hook-1' })]);
+		expect(JSON.stringify(await getProjectWebhooks('PROJ'))).not.toContain('a-very-long-signing-secret');
+		expect(await getWebhookSecret('hook-1')).toBe('a-very-long-signing-secret');
+
+		await uncacheWebhookSecret('hook-1');
+		expect(await getWebhookSecret('hook-1')).toBeUndefined();
+	});
+
+	test('webhook deliveries are listed per project, newest first', async () => {
+		await appendWebhookDelivery({ id: 'd-1', projectKey: 'PROJ', deliveredAt: '2026-01-01T00:00:00.000Z' });
+		await appendWebhookDelivery({ id: 'd-2', projectKey: 'PROJ', deliveredAt: '2026-01-02T00:00:00.000Z' });
+		await appendWebhookDelivery({ id: 'd-3', projectKey: 'OTHER', deliveredAt: '2026-01-03T00:00:00.000Z' });
+
+		const firstPage = await queryWebhookDeliveries('PROJ', { limit: 1 });
+		expect(firstPage.deliveries.map(delivery => delivery.id)).toEqual(['d-2']);
+
+		const secondPage = await queryWebhookDeliveries('PROJ', { cursor: firstPage.nextCursor, limit: 1 });
+		expect(secondPage.deliveries.map(delivery => delivery.id)).toEqual(['d-1']);
+		expect(secondPage.nextCursor).toBeUndefined();
+	});
+
+	test('the webhook delivery log keeps only the newest deliveries', async () => {
+		const start = Date.parse('2026-01-01T00:00:00.000Z');
+		for (let idx = 0; idx <= MAX_WEBHOOK_DELIVERIES; idx++) {
+			await appendWebhookDelivery({ id: `d-${idx}`, projectKey: 'PROJ', deliveredAt: new Date(start + idx * 1000).toISOString() });
+		}
+		await appendWebhookDelivery({ id: 'other', projectKey: 'OTHER', deliveredAt: new Date(start).toISOString() });
+
+		const keys = kvs.__keys().filter(key => key.startsWith('webhookDelivery:PROJ:'));
+		expect(keys).toHaveLength(MAX_WEBHOOK_DELIVERIES);
+		const { deliveries } = await queryWebhookDeliveries('PROJ', { limit: 1 });
+		expect(deliveries[0].id).toBe(`d-${MAX_WEBHOOK_DELIVERIES}`);
+		const ids = await Promise.all(keys.map(async key => (await kvs.get(key)).id));
+		expect(ids).not.toContain('d-0');
+		expect((await queryWebhookDeliveries('OTHER')).deliveries).toHaveLength(1);
+	});
+
+	test('strategies and rotation pointers are stored per project key', async () => {
+		await cacheProjectStrategy('PROJ', { name: 'round-robin', topN: 3 });
+		await cacheRotationPointer('PROJ', 'user-2');
+
+		expect(await getProjectStrategy('PROJ')).toEqual({ name: 'round-robin', topN: 3 });
+		expect(await getRotationPointer('PROJ')).toBe('user-2');
+		expect(await getRotationPointer('OTHER')).toBeUndefined();
+	});
+
+	test('availability is stored per account and survives a reset', async () => {
+		const ranges = [{ start: '2024-01-01', end: '2024-01-05', percent: 0, note: '' }];
+		await cacheAvailability('user-1', ranges);
+		await cacheAvailability('user-2', []);
+
+		await resetCache();
+
+		expect(await getAvailability('user-1')).toEqual(ranges);
+		expect(Object.keys(await allAvailability()).sort()).toEqual(['user-1', 'user-2']);
+
+		await uncacheAvailability('user-2');
+
+		expect(await allAvailability()).toEqual({ 'user-1': ranges });
+	});
+
+	test('registerProject records each project once', async () => {
+		await registerProject('PROJ');
+		await registerProject('OTHER');
+		await registerProject('PROJ');
+
+		expect(await allProjects()).toEqual(['PROJ', 'OTHER']);
+	});
+
+	test('refresh watermarks are stored per project key', async () => {
+		await cacheRefreshWatermark('PROJ', '2024-01-01T00:00:00.000Z');
+
+		expect(await getRefreshWatermark('PROJ')).toBe('2024-01-01T00:00:00.000Z');
+		expect(await getRefreshWatermark('OTHER')).toBeUndefined();
+	});
+
+	describe('audit records', () => {
+		const record = (issueKey, timestamp, accountIds = []) => ({ issueKey, projectKey: issueKey.split('-')[0], timestamp, accountIds });
+
+		beforeEach(async () => {
+			await appendAuditRecord(record('PROJ-1', '2024-01-01T10:00:00.000Z', ['user-1']));
+			await appendAuditRecord(record('PROJ-2', '2024-01-02T10:00:00.000Z', ['user-2']));
+			await appendAuditRecord(record('PROJ-1', '2024-01-03T10:00:00.000Z', ['user-2']));
+			await appendAuditRecord(record('OTHER-1', '2024-01-04T10:00:00.000Z', ['user-1']));
+		});
+
+		const timestamps = ({ records }) => records.map(({ timestamp }) => timestamp.slice(0, 10));
+
+		test('lists records newest first', async () => {
+			expect(timestamps(await queryAuditRecords())).toEqual(['2024-01-04', '2024-01-03', '2024-01-02', '2024-01-01']);
+		});
+
+		test('filters by issue, account and project', async () => {
+			expect(timestamps(await queryAuditRecords({ issueKey: 'PROJ-1' }))).toEqual(['2024-01-03', '2024-01-01']);
+			expect(timestamps(await queryAuditRecords({ accountId: 'user-1' }))).toEqual(['2024-01-04', '2024-01-01']);
+			expect(timestamps(await queryAuditRecords({ accountId: 'user-1', projectKey: 'PROJ' }))).toEqual(['2024-01-01']);
+			expect(timestamps(await queryAuditRecords({ projectKey: 'PROJ' }))).toEqual(['2024-01-03', '2024-01-02', '2024-01-01']);
+		});
+
+		test('filters by date range', async () => {
+			const page = await queryAuditRecords({
+				projectKey: 'PROJ',
+				from: '2024-01-02T00:00:00.000Z',
+				to: '2024-01-03T10:00:00.000Z'
+			});
+
+			expect(timestamps(page)).toEqual(['2024-01-03', '2024-01-02']);
+			expect(timestamps(await queryAuditRecords({ from: '2024-01-04T00:00:00.000Z' }))).toEqual(['2024-01-04']);
+			expect(timestamps(await queryAuditRecords({ to: '2024-01-01T23:59:59.999Z' }))).toEqual(['2024-01-01']);
+		});
+
+		test('pages with a cursor', async () => {
+			const first = await queryAuditRecords({ limit: 3 });
+			const second = await queryAuditRecords({ limit: 3, cursor: first.nextCursor });
+
+			expect(timestamps(first)).toEqual(['2024-01-04', '2024-01-03', '2024-01-02']);
+			expect(timestamps(second)).toEqual(['2024-01-01']);
+			expect(second.nextCursor).toBeUndefined();
+		});
+
+		test('survive a cache reset', async () => {
+			await resetCache();
+
+			expect((await queryAuditRecords()).records).toHaveLength(4);
+		});
+	});
+
+	describe('initialiseCache()', () => {
+		test('starts a background scrape when the cache has not been initialised', async () => {
 			await initialiseCache('PROJ');
 
-			expect(scrapeOrchestrator.scrapeFullProject).toHaveBeenCalledWith('PROJ', {});
-			expect(kvs.set).toHaveBeenCalledWith('users', {});
-			expect(kvs.set).toHaveBeenCalledWith('issues', {});
-			expect(kvs.set).toHaveBeenCalledWith('summaries', {});
-			expect(kvs.set).toHaveBeenCalledWith('assignmentStates', {});
-			expect(kvs.set).toHaveBeenCalledWith('workloads', {});
+			expect(scrapeJobs.startScrapeJob).toHaveBeenCalledWith('PROJ', {});
+			expect(await kvs.get('cacheInitialised')).toBe(true);
+			expect(await allProjects()).toEqual(['PROJ']);
 		});
 
 		test('does not reinitialise when cache already exists', async () => {
-			await seedCacheBuckets();
+			await kvs.set('cacheInitialised', true);
+			await initialiseCache('PROJ');
+
+			expect(scrapeJobs.startScrapeJob).not.toHaveBeenCalled();
+			expect(await allProjects()).toEqual(['PROJ']);
+		});
+
+		test('runs again after the scrape could not be started', async () => {
+			scrapeJobs.startScrapeJob.mockRejectedValueOnce(new Error('queue unavailable'));
+
+			await expect(initialiseCache('PROJ')).rejects.toThrow('queue unavailable');
+			expect(await kvs.get('cacheInitialised')).toBeUndefined();
+
 			await initialiseCache('PROJ');
 
-			expect(scrapeOrchestrator.scrapeFullProject).not.toHaveBeenCalled();
+			expect(scrapeJobs.startScrapeJob).toHaveBeenCalledTimes(2);
+			expect(await kvs.get('cacheInitialised')).toBe(true);
 		});
+
+		test('migrates a cache stored in the old single-key layout instead of scraping', async () => {
+			await kvs.set('issues', { 'TEST-1': { key: 'TEST-1' } });
+			await kvs.set('users', { 'user-1': { accountId: 'user-1' } });
+			await kvs.set('summaries', { 'TEST-1': 'summary' });
+			await kvs.set('assignmentStates', { 'TEST-1': { currentAccountId: 'user-1' } });
+			await kvs.set('workloads', { 'user-1': { totalIssues: 2 } });
+
+			await initialiseCache('PROJ');
+
+			expect(scrapeJobs.startScrapeJob).not.toHaveBeenCalled();
+			expect(await getIssue('TEST-1')).toEqual({ key: 'TEST-1' });
+			expect(await getUserProfile('user-1')).toEqual({ accountId: 'user-1' });
+			expect(await getIssueSummary('TEST-1')).toBe('summary');
+			expect(await getIssueAssignmentState('TEST-1')).toEqual({ currentAccountId: 'user-1' });
+			expect(await getWorkload('user-1')).toEqual({ totalIssues: 2 });
+			expect(await kvs.get('issues')).toBeUndefined();
+			expect(await kvs.get('users')).toBeUndefined();
+		});
+	});
+
+	test('migrateLegacyCache reports when there is nothing to migrate', async () => {
+		expect(await migrateLegacyCache()).toBe(false);
 	});
 
 	describe('cacheIssueChange()', () => {
@@ -0,0 +1,116 @@
+jest.mock('../cache.js', () => ({
+  getProjectCapacity: jest.fn(),
+  cacheProjectCapacity: jest.fn()
+}));
+
+import {
+  validateCapacity,
+  loadProjectCapacity,
+  saveProjectCapacity,
+  resolveUserLimits,
+  checkCapacity
+} from '../assignment/capacity.js';
+import * as cache from '../cache.js';
+
+describe('capacity', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateCapacity()', () => {
+    test('parses limits and treats blanks as uncapped', () => {
+      const result = validateCapacity({
+        defaults: { maxOpenIssues: '8', maxEstimateHours: '' },
+        users: {
+          'user-1': { maxOpenIssues: 3 },
+          'user-2': { maxOpenIssues: '', maxEstimateHours: null }
+        }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.capacity).toEqual({
+        defaults: { maxOpenIssues: 8, maxEstimateHours: null },
+        users: { 'user-1': { maxOpenIssues: 3, maxEstimateHours: null } }
+      });
+    });
+
+    test('rejects negative and non-numeric limits', () => {
+      const result = validateCapacity({
+        defaults: { maxOpenIssues: -1 },
+        users: { 'user-1': { maxEstimateHours: 'lots' }, 'user-2': 5 }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'default maxOpenIssues must be a non-negative number',
+        'user-1 maxEstimateHours must be a non-negative number',
+        'user-2 limits must be an object'
+      ]);
+    });
+
+    test('rejects non-object input', () => {
+      expect(validateCapacity(null).valid).toBe(false);
+    });
+  });
+
+  test('loadProjectCapacity is uncapped when nothing is stored', async () => {
+    cache.getProjectCapacity.mockResolvedValue(undefined);
+
+    expect(await loadProjectCapacity('PROJ')).toEqual({
+      defaults: { maxOpenIssues: null, maxEstimateHours: null },
+      users: {}
+    });
+  });
+
+  describe('saveProjectCapacity()', () => {
+    test('stores the parsed limits', async () => {
+      const saved = await saveProjectCapacity('PROJ', { defaults: { maxOpenIssues: '5' } });
+
+      expect(cache.cacheProjectCapacity).toHaveBeenCalledWith('PROJ', saved);
+      expect(saved.defaults.maxOpenIssues).toBe(5);
+    });
+
+    test('throws and stores nothing when validation fails', async () => {
+      await expect(saveProjectCapacity('PROJ', { defaults: { maxOpenIssues: 'x' } })).rejects.toThrow('invalid capacity');
+      expect(cache.cacheProjectCapacity).not.toHaveBeenCalled();
+    });
+  });
+
+  test('resolveUserLimits prefers the user limit over the project default', () => {
+    const capacity = {
+      defaults: { maxOpenIssues: 10, maxEstimateHours: 40 },
+      users: { 'user-1': { maxOpenIssues: 2, maxEstimateHours: null } }
+    };
+
+    expect(resolveUserLimits(capacity, 'user-1')).toEqual({ maxOpenIssues: 2, maxEstimateHours: 40 });
+    expect(resolveUserLimits(capacity, 'user-2')).toEqual({ maxOpenIssues: 10, maxEstimateHours: 40 });
+    expect(resolveUserLimits(null, 'user-1')).toEqual({ maxOpenIssues: null, maxEstimateHours: null });
+  });
+
+  describe('checkCapacity()', () => {
+    test('returns null while under every limit', () => {
+      expect(checkCapacity({ totalIssues: 2, totalEstimateSeconds: 3600 }, { maxOpenIssues: 3, maxEstimateHours: 2 })).toBeNull();
+      expect(checkCapacity({ totalIssues: 50 }, { maxOpenIssues: null, maxEstimateHours: null })).toBeNull();
+    });
+
+    test('reports every limit that has been reached', () => {
+      const result = checkCapacity(
+        { totalIssues: 3, totalEstimateSeconds: 9000 },
+        { maxOpenIssues: 3, maxEstimateHours: 2 }
+      );
+
+      expect(result).toEqual({
+        reason: 'capacity',
+        message: 'at capacity: 3/3 open issues, 2.5/2 estimate hours',
+        openIssues: 3,
+        estimateHours: 2.5,
+        limits: { maxOpenIssues: 3, maxEstimateHours: 2 }
+      });
+    });
+
+    test('treats a missing workload as empty', () => {
+      expect(checkCapacity(null, { maxOpenIssues: 1, maxEstimateHours: null })).toBeNull();
+      expect(checkCapacity(null, { maxOpenIssues: 0, maxEstimateHours: null }).openIssues).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../cache.js', () => ({
+  getProjectCommentVisibility: jest.fn(),
+  cacheProjectCommentVisibility: jest.fn()
+}));
+
+import {
+  DEFAULT_COMMENT_VISIBILITY,
+  validateCommentVisibility,
+  loadProjectCommentVisibility,
+  saveProjectCommentVisibility,
+  commentVisibilityFields
+} from '../assignment/commentVisibility.js';
+import * as cache from '../cache.js';
+
+describe('commentVisibility', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateCommentVisibility()', () => {
+    test('accepts each visibility and drops restrictTo where it does not apply', () => {
+      expect(validateCommentVisibility({}).settings).toEqual(DEFAULT_COMMENT_VISIBILITY);
+      expect(validateCommentVisibility({ visibility: 'internal', restrictTo: 'ignored' }).settings)
+        .toEqual({ visibility: 'internal', restrictTo: null });
+      expect(validateCommentVisibility({ visibility: 'role', restrictTo: ' Developers ' }).settings)
+        .toEqual({ visibility: 'role', restrictTo: 'Developers' });
+    });
+
+    test('rejects unknown visibilities and restrictions without a name', () => {
+      expect(validateCommentVisibility({ visibility: 'secret' }).errors)
+        .toEqual(['visibility must be one of public, internal, role, group']);
+      expect(validateCommentVisibility({ visibility: 'group', restrictTo: '  ' }).valid).toBe(false);
+      expect(validateCommentVisibility(null).valid).toBe(false);
+    });
+  });
+
+  test('loadProjectCommentVisibility falls back to public comments', async () => {
+    cache.getProjectCommentVisibility.mockResolvedValue(undefined);
+    expect(await loadProjectCommentVisibility('PROJ')).toEqual(DEFAULT_COMMENT_VISIBILITY);
+
+    cache.getProjectCommentVisibility.mockResolvedValue({ visibility: 'internal', restrictTo: null });
+    expect(await loadProjectCommentVisibility('PROJ')).toEqual({ visibility: 'internal', restrictTo: null });
+  });
+
+  test('saveProjectCommentVisibility stores the parsed settings and rejects bad ones', async () => {
+    const saved = await saveProjectCommentVisibility('PROJ', { visibility: 'group', restrictTo: 'jira-developers' });
+
+    expect(saved).toEqual({ visibility: 'group', restrictTo: 'jira-developers' });
+    expect(cache.cacheProjectCommentVisibility).toHaveBeenCalledWith('PROJ', saved);
+
+    cache.cacheProjectCommentVisibility.mockClear();
+    await expect(saveProjectCommentVisibility('PROJ', { visibility: 'role' })).rejects.toThrow('invalid comment visibility');
+    expect(cache.cacheProjectCommentVisibility).not.toHaveBeenCalled();
+  });
+
+  test('commentVisibilityFields maps the settings onto the comment request', () => {
+    expect(commentVisibilityFields({ visibility: 'public', restrictTo: null })).toEqual({});
+    expect(commentVisibilityFields({ visibility: 'internal', restrictTo: null }))
+      .toEqual({ properties: [{ key: 'sd.public.comment', value: { internal: true } }] });
+    expect(commentVisibilityFields({ visibility: 'role', restrictTo: 'Developers' }))
+      .toEqual({ visibility: { type: 'role', value: 'Developers' } });
+  });
+});
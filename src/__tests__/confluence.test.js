@@ -0,0 +1,86 @@
+jest.mock('../cache.js', () => ({
+  getProjectConfluenceSettings: jest.fn(),
+  cacheProjectConfluenceSettings: jest.fn()
+}));
+
+import {
+  MAX_CONFLUENCE_SPACES,
+  validateConfluenceSettings,
+  loadProjectConfluenceSettings,
+  saveProjectConfluenceSettings,
+  findMatchingPages
+} from '../assignment/confluence.js';
+import * as cache from '../cache.js';
+
+describe('confluence', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateConfluenceSettings()', () => {
+    test('accepts a list or text of space keys and drops duplicates', () => {
+      expect(validateConfluenceSettings({ spaceKeys: ['DOCS', 'ENG'] }).settings).toEqual({ spaceKeys: ['DOCS', 'ENG'] });
+      expect(validateConfluenceSettings({ spaceKeys: ' DOCS, ENG  DOCS ~5b10ac8d82e05b22cc7d4ef5' }).settings)
+        .toEqual({ spaceKeys: ['DOCS', 'ENG', '~5b10ac8d82e05b22cc7d4ef5'] });
+      expect(validateConfluenceSettings({ spaceKeys: '' }).settings).toEqual({ spaceKeys: [] });
+    });
+
+    test('rejects malformed keys and too many spaces', () => {
+      expect(validateConfluenceSettings({ spaceKeys: ['DOCS', 'not a key!'] }).errors)
+        .toEqual(['not a key! is not a valid space key']);
+      expect(validateConfluenceSettings({ spaceKeys: 'a"b' }).valid).toBe(false);
+
+      const tooMany = Array.from({ length: MAX_CONFLUENCE_SPACES + 1 }, (_, idx) => `SPACE${idx}`);
+      expect(validateConfluenceSettings({ spaceKeys: tooMany }).valid).toBe(false);
+      expect(validateConfluenceSettings(null).valid).toBe(false);
+    });
+  });
+
+  describe('loadProjectConfluenceSettings() and saveProjectConfluenceSettings()', () => {
+    test('falls back to no spaces', async () => {
+      cache.getProjectConfluenceSettings.mockResolvedValue(undefined);
+
+      await expect(loadProjectConfluenceSettings('PROJ')).resolves.toEqual({ spaceKeys: [] });
+    });
+
+    test('stores the parsed settings', async () => {
+      await expect(saveProjectConfluenceSettings('PROJ', { spaceKeys: 'DOCS' })).resolves.toEqual({ spaceKeys: ['DOCS'] });
+      expect(cache.cacheProjectConfluenceSettings).toHaveBeenCalledWith('PROJ', { spaceKeys: ['DOCS'] });
+    });
+
+    test('refuses invalid settings', async () => {
+      await expect(saveProjectConfluenceSettings('PROJ', { spaceKeys: ['no spaces'] }))
+        .rejects.toThrow('invalid confluence settings');
+      expect(cache.cacheProjectConfluenceSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findMatchingPages()', () => {
+    const issue = { summaryTokens: ['deploy', 'pipeline', 'fails'], descriptionTokens: ['kubernetes', 'helm'] };
+
+    test('ranks pages by the share of keywords they have in common with the issue', () => {
+      const pages = [
+        { id: '1', keywords: ['deploy', 'helm', 'release', 'rollback'] },
+        { id: '2', keywords: ['deploy', 'pipeline', 'kubernetes'] },
+        { id: '3', keywords: ['deploy', 'billing', 'invoice'] }
+      ];
+
+      const matches = findMatchingPages(issue, pages);
+
+      expect(matches.map(match => match.page.id)).toEqual(['2', '1']);
+      expect(matches[0]).toEqual({ page: pages[1], keywords: ['deploy', 'pipeline', 'kubernetes'], similarity: 1 });
+      expect(matches[1].similarity).toBe(0.5);
+    });
+
+    test('keeps only the best pages', () => {
+      const pages = Array.from({ length: 5 }, (_, idx) => ({ id: String(idx), keywords: ['deploy', 'helm'] }));
+
+      expect(findMatchingPages(issue, pages, { limit: 2 })).toHaveLength(2);
+    });
+
+    test('returns nothing without issue text or pages', () => {
+      expect(findMatchingPages({}, [{ id: '1', keywords: ['deploy', 'helm'] }])).toEqual([]);
+      expect(findMatchingPages(issue, undefined)).toEqual([]);
+    });
+  });
+});
@@ -73,7 +73,8 @@ describe('confluenceScraper', () => {
           title: 'Detail',
           type: 'page',
           space: { key: 'DOC', name: 'Docs' },
-          body: { storage: { value: '<p>body</p>' } },
+          body: { storage: { value: '<p>Rollback the release pipeline before each release</p>' } },
+          _links: { base: 'https://example.atlassian.net/wiki', webui: '/spaces/DOC/pages/456/Detail' },
           metadata: { labels: { results: [{ name: 'label' }] } },
           history: { createdDate: '2024', createdBy: { accountId: 'u1', displayName: 'Creator' } },
           version: { number: 3, when: '2024-02', by: { accountId: 'u2', displayName: 'Updater' } }
@@ -84,6 +85,9 @@ describe('confluenceScraper', () => {
     const page = await scrapePageDetails('456');
     expect(page.labels).toEqual(['label']);
     expect(page.lastUpdatedBy.displayName).toBe('Updater');
+    expect(page.url).toBe('https://example.atlassian.net/wiki/spaces/DOC/pages/456/Detail');
+    expect(page.keywords[0]).toBe('release');
+    expect(page.keywords).toEqual(expect.arrayContaining(['rollback', 'pipeline', 'before', 'each']));
   });
 
   test('scrapePageContributors collects creator and updater', async () => {
@@ -142,5 +146,10 @@ describe('confluenceScraper', () => {
     const result = extractKeywordsFromContent(html);
     expect(result[0]).toBe('keywords');
   });
+
+  test('extractKeywordsFromContent ignores html entities', () => {
+    const result = extractKeywordsFromContent('<p>Deploy&nbsp;steps &amp; deploy&#160;notes</p>');
+    expect(result).toEqual(['deploy', 'steps', 'notes']);
+  });
 });
 
@@ -1,4 +1,4 @@
-import { processIssue, processUserWorkload } from '../scrapers/dataProcessor.js';
+import { processIssue, processUserWorkload, processConfluencePage, buildUserProfiles } from '../scrapers/dataProcessor.js';
 import * as cache from '../cache.js';
 
 jest.mock('../cache.js', () => ({
@@ -6,7 +6,7 @@ jest.mock('../cache.js', () => ({
 	cacheUserProfile: jest.fn(),
 	cacheWorkload: jest.fn(),
 	allUserProfiles: jest.fn(),
-	updateAllUserProfiles: jest.fn()
+	getUserProfile: jest.fn()
 }));
 
 const buildIssue = () => ({
@@ -52,8 +52,11 @@ describe('dataProcessor', () => {
 			}
 		];
 
-		const userProfiles = {};
-		cache.allUserProfiles.mockResolvedValue(userProfiles);
+		cache.getUserProfile.mockImplementation(async accountId => (
+			accountId === 'user-assignee'
+				? { accountId, displayName: 'Assignee User', assignedIssues: ['PROJ-0'], labels: { api: 2 } }
+				: undefined
+		));
 
 		await processIssue(issue, worklogs, comments);
 
@@ -67,23 +70,123 @@ describe('dataProcessor', () => {
 		});
 		expect(cachedIssue.commentContributors[0].accountId).toBe('user-comment');
 
-		expect(cache.updateAllUserProfiles).toHaveBeenCalledTimes(1);
-		const updatedProfiles = cache.updateAllUserProfiles.mock.calls[0][0];
+		expect(cache.getUserProfile).toHaveBeenCalledTimes(4);
+		expect(cache.cacheUserProfile).toHaveBeenCalledTimes(4);
+		const updatedProfiles = Object.fromEntries(
+			cache.cacheUserProfile.mock.calls.map(([profile]) => [profile.accountId, profile])
+		);
 
-		expect(updatedProfiles['user-assignee'].assignedIssues).toContain('PROJ-1');
+		expect(updatedProfiles['user-assignee'].assignedIssues).toEqual(['PROJ-0', 'PROJ-1']);
 		expect(updatedProfiles['user-worklog'].worklogIssues).toContain('PROJ-1');
 		expect(updatedProfiles['user-worklog'].totalTimeSpent).toBe(7200);
 		expect(updatedProfiles['user-comment'].commentedIssues).toContain('PROJ-1');
 		expect(updatedProfiles['user-hist'].historicalIssues).toContain('PROJ-1');
-		expect(updatedProfiles['user-assignee'].labels.api).toBe(1);
+		expect(updatedProfiles['user-assignee'].labels.api).toBe(3);
 		expect(updatedProfiles['user-assignee'].components.backend).toBe(1);
 	});
 
+	test('processIssue records when profile counters were last incremented', async () => {
+		const issue = { ...buildIssue(), updated: '2024-02-01T10:00:00.000Z', changelog: null };
+
+		cache.getUserProfile.mockImplementation(async accountId => ({
+			accountId,
+			labels: { api: 1 },
+			interactionDates: { labels: { api: ['2023-05-01T10:00:00.000Z'] } }
+		}));
+
+		await processIssue(issue, [], []);
+
+		const [profile] = cache.cacheUserProfile.mock.calls[0];
+		expect(profile.labels.api).toBe(2);
+		expect(profile.interactionDates.labels).toEqual({
+			api: ['2024-02-01T10:00:00.000Z', '2023-05-01T10:00:00.000Z'],
+			critical: ['2024-02-01T10:00:00.000Z']
+		});
+		expect(profile.interactionDates.epics).toEqual({ 'EPIC-1': ['2024-02-01T10:00:00.000Z'] });
+	});
+
 	test('processIssue handles missing issue data', async () => {
 		await processIssue(null);
 		expect(cache.cacheIssue).not.toHaveBeenCalled();
 	});
 
+	test('buildUserProfiles replays processed issues without touching storage', () => {
+		const issue = {
+			key: 'PROJ-5',
+			labels: ['api'],
+			components: ['backend'],
+			issueType: 'Bug',
+			assignee: { accountId: 'user-a', displayName: 'User A' },
+			resolutionDate: '2024-03-01T10:00:00.000Z',
+			worklogContributors: [{ accountId: 'user-b', displayName: 'User B', timeSpentSeconds: 3600 }],
+			commentContributors: [],
+			historicalAssignees: []
+		};
+
+		const profiles = buildUserProfiles([issue]);
+		buildUserProfiles([{ ...issue, key: 'PROJ-6' }], profiles);
+
+		expect(Object.keys(profiles)).toEqual(['user-a', 'user-b']);
+		expect(profiles['user-a'].assignedIssues).toEqual(['PROJ-5', 'PROJ-6']);
+		expect(profiles['user-a'].labels.api).toBe(2);
+		expect(profiles['user-b'].totalTimeSpent).toBe(7200);
+		expect(cache.getUserProfile).not.toHaveBeenCalled();
+		expect(cache.cacheUserProfile).not.toHaveBeenCalled();
+	});
+
+	test('processConfluencePage stores the page with its keywords on each contributor profile', async () => {
+		cache.getUserProfile.mockImplementation(async accountId => (
+			accountId === 'user-creator'
+				? {
+					accountId,
+					displayName: 'Creator',
+					labels: { api: 1 },
+					confluencePages: [{ id: 'page-1', title: 'Old title', keywords: ['stale'] }]
+				}
+				: undefined
+		));
+
+		await processConfluencePage({
+			id: 'page-1',
+			title: 'Deploy guide',
+			spaceKey: 'DOCS',
+			url: 'https://example.atlassian.net/wiki/spaces/DOCS/pages/page-1',
+			keywords: ['deploy', 'pipeline'],
+			lastUpdated: '2024-02-01'
+		}, [
+			{ accountId: 'user-creator', displayName: 'Creator', contributionCount: 1, isCreator: true },
+			{ accountId: 'user-editor', displayName: 'Editor', contributionCount: 1, isCreator: false }
+		]);
+
+		expect(cache.allUserProfiles).not.toHaveBeenCalled();
+		expect(cache.cacheUserProfile).toHaveBeenCalledTimes(2);
+
+		const creator = cache.cacheUserProfile.mock.calls.find(([profile]) => profile.accountId === 'user-creator')[0];
+		expect(creator.labels).toEqual({ api: 1 });
+		expect(creator.confluencePages).toEqual([
+			expect.objectContaining({
+				id: 'page-1',
+				title: 'Deploy guide',
+				url: 'https://example.atlassian.net/wiki/spaces/DOCS/pages/page-1',
+				keywords: ['deploy', 'pipeline'],
+				lastUpdated: '2024-02-01',
+				isCreator: true
+			})
+		]);
+
+		const editor = cache.cacheUserProfile.mock.calls.find(([profile]) => profile.accountId === 'user-editor')[0];
+		expect(editor.confluencePages).toEqual([expect.objectContaining({ id: 'page-1', isCreator: false })]);
+	});
+
+	test('processConfluencePage ignores missing page data', async () => {
+		jest.spyOn(console, 'error').mockImplementation(() => {});
+
+		await processConfluencePage(null, [{ accountId: 'user-1' }]);
+
+		expect(cache.cacheUserProfile).not.toHaveBeenCalled();
+		console.error.mockRestore();
+	});
+
 	test('processUserWorkload caches workload with timestamp', async () => {
 		const workload = { totalIssues: 3 };
 		const before = Date.now();
@@ -1,7 +1,15 @@
 import { checkIssueAssignee, postComment, notifyOnAssignment } from '../decline.js';
 import api, { route } from '@forge/api';
+import { recordManualOverride } from '../assignment/feedback.js';
+import * as cache from '../cache.js';
 
 jest.mock('@forge/api');
+jest.mock('../assignment/feedback.js', () => ({
+	recordManualOverride: jest.fn()
+}));
+jest.mock('../cache.js', () => ({
+	getProjectCommentVisibility: jest.fn()
+}));
 
 describe('checkIssueAssignee()', () => {
 	beforeEach(() => {
@@ -181,6 +189,95 @@ describe('postComment()', () => {
 		expect(body.body.content[0].content[0].type).toBe('text');
 	});
 
+	test('mentions a user ahead of the message', async () => {
+		const mockResponse = {
+			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
+		};
+
+		api.asApp = jest.fn().mockReturnValue({
+			requestJira: jest.fn().mockResolvedValue(mockResponse)
+		});
+
+		await postComment('PROJ-123', 'you have been offered this issue.', 'user-1');
+
+		const requestJiraCall = api.asApp().requestJira.mock.calls[0];
+		const body = JSON.parse(requestJiraCall[1].body);
+		expect(body.body.content[0].content).toEqual([
+			{ type: 'mention', attrs: { id: 'user-1' } },
+			{ type: 'text', text: ' you have been offered this issue.' }
+		]);
+	});
+
+	test('posts an ADF document as it is', async () => {
+		const mockResponse = {
+			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
+		};
+
+		api.asApp = jest.fn().mockReturnValue({
+			requestJira: jest.fn().mockResolvedValue(mockResponse)
+		});
+
+		const document = {
+			type: 'doc',
+			version: 1,
+			content: [{ type: 'paragraph', content: [{ type: 'mention', attrs: { id: 'user-1' } }] }]
+		};
+		await postComment('PROJ-123', document);
+
+		const requestJiraCall = api.asApp().requestJira.mock.calls[0];
+		const body = JSON.parse(requestJiraCall[1].body);
+		expect(body.body).toEqual(document);
+	});
+
+	test('posts public comments unless the project restricts them', async () => {
+		const mockResponse = {
+			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
+		};
+
+		api.asApp = jest.fn().mockReturnValue({
+			requestJira: jest.fn().mockResolvedValue(mockResponse)
+		});
+
+		await postComment('PROJ-123', 'Test message');
+
+		const body = JSON.parse(api.asApp().requestJira.mock.calls[0][1].body);
+		expect(cache.getProjectCommentVisibility).toHaveBeenCalledWith('PROJ');
+		expect(body.visibility).toBeUndefined();
+		expect(body.properties).toBeUndefined();
+	});
+
+	test('marks comments internal on service management projects', async () => {
+		cache.getProjectCommentVisibility.mockResolvedValueOnce({ visibility: 'internal', restrictTo: null });
+		const mockResponse = {
+			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
+		};
+
+		api.asApp = jest.fn().mockReturnValue({
+			requestJira: jest.fn().mockResolvedValue(mockResponse)
+		});
+
+		await postComment('DESK-7', 'Test message');
+
+		const body = JSON.parse(api.asApp().requestJira.mock.calls[0][1].body);
+		expect(body.properties).toEqual([{ key: 'sd.public.comment', value: { internal: true } }]);
+	});
+
+	test('restricts comments to the configured role', async () => {
+		cache.getProjectCommentVisibility.mockResolvedValueOnce({ visibility: 'role', restrictTo: 'Developers' });
+		const mockResponse = {
+			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
+		};
+
+		api.asApp = jest.fn().mockReturnValue({
+			requestJira: jest.fn().mockResolvedValue(mockResponse)
+		});
+
+		await postComment('PROJ-123', 'Test message');
+
+		const body = JSON.parse(api.asApp().requestJira.mock.calls[0][1].body);
+		expect(body.visibility).toEqual({ type: 'role', value: 'Developers' });
+	});
+
 	test('posts comment with empty message', async () => {
 		const mockResponse = {
 			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
@@ -331,17 +428,12 @@ describe('postComment()', () => {
 describe('notifyOnAssignment()', () => {
 	beforeEach(() => {
 		jest.clearAllMocks();
-	});
-
-	test('posts comment when issue is assigned (to !== null)', async () => {
-		const mockResponse = {
-			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
-		};
-
 		api.asApp = jest.fn().mockReturnValue({
-			requestJira: jest.fn().mockResolvedValue(mockResponse)
+			requestJira: jest.fn()
 		});
+	});
 
+	test('records the new assignee without commenting', async () => {
 		const event = {
 			issue: { key: 'PROJ-123' },
 			changelog: {
@@ -357,15 +449,11 @@ describe('notifyOnAssignment()', () => {
 
 		await notifyOnAssignment(event);
 
-		expect(api.asApp).toHaveBeenCalled();
-		const requestJiraCall = api.asApp().requestJira.mock.calls[0];
-		expect(requestJiraCall[0]).toBeDefined();
-
-		const body = JSON.parse(requestJiraCall[1].body);
-		expect(body.body.content[0].content[0].text).toBe('This issue has been assigned.');
+		expect(recordManualOverride).toHaveBeenCalledWith('PROJ-123', 'user123');
+		expect(api.asApp).not.toHaveBeenCalled();
 	});
 
-	test('does not post comment when to is null', async () => {
+	test('records unassignment as an override without commenting', async () => {
 		const event = {
 			issue: { key: 'PROJ-123' },
 			changelog: {
@@ -382,155 +470,11 @@ describe('notifyOnAssignment()', () => {
 		await notifyOnAssignment(event);
 
 		expect(api.asApp).not.toHaveBeenCalled();
+		// unassigning the app's pick still counts as an override
+		expect(recordManualOverride).toHaveBeenCalledWith('PROJ-123', null);
 	});
 
-	test('posts comment when to is undefined (undefined !== null)', async () => {
-		const mockResponse = {
-			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
-		};
-
-		api.asApp = jest.fn().mockReturnValue({
-			requestJira: jest.fn().mockResolvedValue(mockResponse)
-		});
-
-		const event = {
-			issue: { key: 'PROJ-123' },
-			changelog: {
-				items: [
-					{
-						field: 'assignee',
-						from: 'user123',
-						to: undefined
-					}
-				]
-			}
-		};
-
-		await notifyOnAssignment(event);
-
-		// undefined !== null is true, so posts comment
-		expect(api.asApp).toHaveBeenCalled();
-	});
-
-	test('handles missing changelog', async () => {
-		const event = {
-			issue: { key: 'PROJ-123' }
-		};
-
-		await expect(notifyOnAssignment(event)).rejects.toThrow();
-	});
-
-	test('handles null changelog', async () => {
-		const event = {
-			issue: { key: 'PROJ-123' },
-			changelog: null
-		};
-
-		await expect(notifyOnAssignment(event)).rejects.toThrow();
-	});
-
-	test('handles missing items array', async () => {
-		const event = {
-			issue: { key: 'PROJ-123' },
-			changelog: {}
-		};
-
-		await expect(notifyOnAssignment(event)).rejects.toThrow();
-	});
-
-	test('handles empty items array', async () => {
-		const event = {
-			issue: { key: 'PROJ-123' },
-			changelog: {
-				items: []
-			}
-		};
-
-		await expect(notifyOnAssignment(event)).rejects.toThrow();
-	});
-
-	test('handles missing issue key', async () => {
-		const mockResponse = {
-			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
-		};
-
-		api.asApp = jest.fn().mockReturnValue({
-			requestJira: jest.fn().mockResolvedValue(mockResponse)
-		});
-
-		const event = {
-			issue: {},
-			changelog: {
-				items: [
-					{
-						field: 'assignee',
-						from: null,
-						to: 'user123'
-					}
-				]
-			}
-		};
-
-		// Will call postComment with undefined key, which may or may not throw
-		await notifyOnAssignment(event);
-		// Function doesn't explicitly throw, it just calls postComment
-		expect(api.asApp).toHaveBeenCalled();
-	});
-
-	test('handles null issue', async () => {
-		const event = {
-			issue: null,
-			changelog: {
-				items: [
-					{
-						field: 'assignee',
-						from: null,
-						to: 'user123'
-					}
-				]
-			}
-		};
-
-		await expect(notifyOnAssignment(event)).rejects.toThrow();
-	});
-
-	test('posts comment for non-assignee field if to !== null', async () => {
-		const mockResponse = {
-			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
-		};
-
-		api.asApp = jest.fn().mockReturnValue({
-			requestJira: jest.fn().mockResolvedValue(mockResponse)
-		});
-
-		const event = {
-			issue: { key: 'PROJ-123' },
-			changelog: {
-				items: [
-					{
-						field: 'status',
-						from: 'To Do',
-						to: 'In Progress'
-					}
-				]
-			}
-		};
-
-		// Function checks changedFields[0].to !== null, not the field type
-		// So it will post comment if to is not null
-		await notifyOnAssignment(event);
-		expect(api.asApp).toHaveBeenCalled();
-	});
-
-	test('checks first changelog item only', async () => {
-		const mockResponse = {
-			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
-		};
-
-		api.asApp = jest.fn().mockReturnValue({
-			requestJira: jest.fn().mockResolvedValue(mockResponse)
-		});
-
+	test('finds the assignee change among other changed fields', async () => {
 		const event = {
 			issue: { key: 'PROJ-123' },
 			changelog: {
@@ -540,56 +484,6 @@ describe('notifyOnAssignment()', () => {
 						from: 'To Do',
 						to: 'In Progress'
 					},
-					{
-						field: 'assignee',
-						from: null,
-						to: 'user123'
-					}
-				]
-			}
-		};
-
-		await notifyOnAssignment(event);
-
-		// Function checks changedFields[0].to !== null (first item)
-		// First item has to !== null, so posts comment
-		expect(api.asApp).toHaveBeenCalled();
-	});
-
-	test('handles API errors during notification', async () => {
-		api.asApp = jest.fn().mockReturnValue({
-			requestJira: jest.fn().mockRejectedValue(new Error('API Error'))
-		});
-
-		const event = {
-			issue: { key: 'PROJ-123' },
-			changelog: {
-				items: [
-					{
-						field: 'assignee',
-						from: null,
-						to: 'user123'
-					}
-				]
-			}
-		};
-
-		await expect(notifyOnAssignment(event)).rejects.toThrow('API Error');
-	});
-
-	test('handles assignment from one user to another', async () => {
-		const mockResponse = {
-			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
-		};
-
-		api.asApp = jest.fn().mockReturnValue({
-			requestJira: jest.fn().mockResolvedValue(mockResponse)
-		});
-
-		const event = {
-			issue: { key: 'PROJ-123' },
-			changelog: {
-				items: [
 					{
 						field: 'assignee',
 						from: 'user123',
@@ -601,21 +495,19 @@ describe('notifyOnAssignment()', () => {
 
 		await notifyOnAssignment(event);
 
-		expect(api.asApp).toHaveBeenCalled();
-		const requestJiraCall = api.asApp().requestJira.mock.calls[0];
-		const body = JSON.parse(requestJiraCall[1].body);
-		expect(body.body.content[0].content[0].text).toBe('This issue has been assigned.');
+		expect(recordManualOverride).toHaveBeenCalledWith('PROJ-123', 'user456');
+		expect(api.asApp).not.toHaveBeenCalled();
 	});
 
-	test('handles string "null" as to value', async () => {
+	test('ignores changes without an assignee item', async () => {
 		const event = {
 			issue: { key: 'PROJ-123' },
 			changelog: {
 				items: [
 					{
-						field: 'assignee',
-						from: 'user123',
-						to: 'null' // String, not actual null
+						field: 'status',
+						from: 'To Do',
+						to: 'In Progress'
 					}
 				]
 			}
@@ -623,18 +515,20 @@ describe('notifyOnAssignment()', () => {
 
 		await notifyOnAssignment(event);
 
-		// String 'null' is truthy, so should post comment
-		expect(api.asApp).toHaveBeenCalled();
+		expect(recordManualOverride).not.toHaveBeenCalled();
+		expect(api.asApp).not.toHaveBeenCalled();
 	});
 
-	test('posts comment when to is empty string (empty string !== null)', async () => {
-		const mockResponse = {
-			json: jest.fn().mockResolvedValue({ id: 'comment-123' })
-		};
+	test('handles missing or empty changelogs', async () => {
+		await notifyOnAssignment({ issue: { key: 'PROJ-123' } });
+		await notifyOnAssignment({ issue: { key: 'PROJ-123' }, changelog: null });
+		await notifyOnAssignment({ issue: { key: 'PROJ-123' }, changelog: { items: [] } });
 
-		api.asApp = jest.fn().mockReturnValue({
-			requestJira: jest.fn().mockResolvedValue(mockResponse)
-		});
+		expect(recordManualOverride).not.toHaveBeenCalled();
+	});
+
+	test('handles errors while recording the override', async () => {
+		recordManualOverride.mockRejectedValueOnce(new Error('KVS Error'));
 
 		const event = {
 			issue: { key: 'PROJ-123' },
@@ -642,17 +536,13 @@ describe('notifyOnAssignment()', () => {
 				items: [
 					{
 						field: 'assignee',
-						from: 'user123',
-						to: '' // Empty string !== null is true
+						from: null,
+						to: 'user123'
 					}
 				]
 			}
 		};
 
-		await notifyOnAssignment(event);
-
-		// Empty string !== null is true, so posts comment
-		expect(api.asApp).toHaveBeenCalled();
+		await expect(notifyOnAssignment(event)).rejects.toThrow('KVS Error');
 	});
 });
-
@@ -0,0 +1,89 @@
+jest.mock('../cache.js', () => ({
+  getProjectDeclineExpiry: jest.fn(),
+  cacheProjectDeclineExpiry: jest.fn()
+}));
+
+import {
+  DEFAULT_DECLINE_TTL_DAYS,
+  validateDeclineExpiry,
+  loadProjectDeclineExpiry,
+  saveProjectDeclineExpiry,
+  declineExpiresAt,
+  pruneExpiredDeclines
+} from '../assignment/declineExpiry.js';
+import * as cache from '../cache.js';
+
+const now = new Date('2026-01-15T00:00:00Z');
+
+describe('declineExpiry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateDeclineExpiry()', () => {
+    test('parses the time-to-live and treats blank as never expiring', () => {
+      expect(validateDeclineExpiry({ ttlDays: '3' }).expiry).toEqual({ ttlDays: 3 });
+      expect(validateDeclineExpiry({ ttlDays: '' }).expiry).toEqual({ ttlDays: null });
+      expect(validateDeclineExpiry({}).expiry).toEqual({ ttlDays: DEFAULT_DECLINE_TTL_DAYS });
+    });
+
+    test('rejects time-to-lives out of range', () => {
+      expect(validateDeclineExpiry({ ttlDays: 0 }).valid).toBe(false);
+      expect(validateDeclineExpiry({ ttlDays: 400 }).errors).toEqual(['ttlDays must be a number between 0 and 365']);
+      expect(validateDeclineExpiry(null).valid).toBe(false);
+    });
+  });
+
+  test('loadProjectDeclineExpiry falls back to the default', async () => {
+    cache.getProjectDeclineExpiry.mockResolvedValue(undefined);
+    expect(await loadProjectDeclineExpiry('PROJ')).toEqual({ ttlDays: DEFAULT_DECLINE_TTL_DAYS });
+
+    cache.getProjectDeclineExpiry.mockResolvedValue({ ttlDays: null });
+    expect(await loadProjectDeclineExpiry('PROJ')).toEqual({ ttlDays: null });
+  });
+
+  test('saveProjectDeclineExpiry stores the parsed settings and rejects bad ones', async () => {
+    const saved = await saveProjectDeclineExpiry('PROJ', { ttlDays: '7' });
+
+    expect(saved).toEqual({ ttlDays: 7 });
+    expect(cache.cacheProjectDeclineExpiry).toHaveBeenCalledWith('PROJ', saved);
+
+    cache.cacheProjectDeclineExpiry.mockClear();
+    await expect(saveProjectDeclineExpiry('PROJ', { ttlDays: -1 })).rejects.toThrow('invalid decline expiry settings');
+    expect(cache.cacheProjectDeclineExpiry).not.toHaveBeenCalled();
+  });
+
+  test('declineExpiresAt adds the time-to-live to the decline date', () => {
+    expect(declineExpiresAt('2026-01-01T00:00:00.000Z', 14)).toBe('2026-01-15T00:00:00.000Z');
+    expect(declineExpiresAt('2026-01-01T00:00:00.000Z', null)).toBeNull();
+    expect(declineExpiresAt(null, 14)).toBeNull();
+  });
+
+  describe('pruneExpiredDeclines()', () => {
+    test('drops declines older than the time-to-live with their reasons', () => {
+      const stored = {
+        declinedAccountIds: ['user-1', 'user-2', 'user-3'],
+        declinedAt: { 'user-1': '2026-01-01T00:00:00.000Z', 'user-2': '2026-01-10T00:00:00.000Z' },
+        declineReasons: {
+          'user-1': { code: 'no-capacity', note: null, until: null, declinedAt: '2026-01-01T00:00:00.000Z' },
+          'user-3': { code: 'on-leave', note: null, until: null, declinedAt: '2026-01-12T00:00:00.000Z' }
+        }
+      };
+
+      expect(pruneExpiredDeclines(stored, { ttlDays: 7 }, now)).toEqual({
+        declinedAccountIds: ['user-2', 'user-3'],
+        declinedAt: { 'user-2': '2026-01-10T00:00:00.000Z', 'user-3': '2026-01-12T00:00:00.000Z' },
+        declineReasons: { 'user-3': stored.declineReasons['user-3'] }
+      });
+      expect(pruneExpiredDeclines(stored, { ttlDays: null }, now).declinedAccountIds).toEqual(['user-1', 'user-2', 'user-3']);
+    });
+
+    test('dates older declines by the last update and keeps undated ones', () => {
+      const legacy = { declinedAccountIds: ['user-1'], lastUpdated: '2025-12-01T00:00:00.000Z' };
+
+      expect(pruneExpiredDeclines(legacy, { ttlDays: 14 }, now).declinedAccountIds).toEqual([]);
+      expect(pruneExpiredDeclines({ declinedAccountIds: ['user-1'] }, { ttlDays: 14 }, now).declinedAccountIds)
+        .toEqual(['user-1']);
+    });
+  });
+});
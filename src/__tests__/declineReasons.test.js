@@ -0,0 +1,85 @@
+jest.mock('../cache.js', () => ({
+  getAvailability: jest.fn(),
+  cacheAvailability: jest.fn(),
+  uncacheAvailability: jest.fn()
+}));
+
+import {
+  MAX_LEAVE_DAYS,
+  validateDeclineReason,
+  describeDeclineReason,
+  applyDeclineReason
+} from '../assignment/declineReasons.js';
+import * as cache from '../cache.js';
+
+const now = new Date('2026-03-02T09:00:00Z');
+
+describe('declineReasons', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateDeclineReason()', () => {
+    test('normalises a structured reason and allows none at all', () => {
+      expect(validateDeclineReason({ code: 'no-capacity', note: '  sprint is full ' }, now)).toEqual({
+        valid: true,
+        errors: [],
+        reason: { code: 'no-capacity', note: 'sprint is full', until: null }
+      });
+      expect(validateDeclineReason({ code: 'on-leave', until: '2026-03-09' }, now).reason)
+        .toEqual({ code: 'on-leave', note: null, until: '2026-03-09' });
+      expect(validateDeclineReason(undefined, now)).toEqual({ valid: true, errors: [], reason: null });
+    });
+
+    test('rejects unknown codes, missing free text and bad return dates', () => {
+      expect(validateDeclineReason({ code: 'bored' }, now).errors[0]).toMatch(/^code must be one of/);
+      expect(validateDeclineReason({ code: 'other', note: ' ' }, now).errors)
+        .toEqual(['a note is required when the reason is other']);
+      expect(validateDeclineReason({ code: 'wrong-skill', until: '2026-03-09' }, now).errors)
+        .toEqual(['a return date only applies when on leave']);
+      expect(validateDeclineReason({ code: 'on-leave', until: 'next week' }, now).errors)
+        .toEqual(['until must be a date in YYYY-MM-DD format']);
+      expect(validateDeclineReason({ code: 'on-leave', until: '2026-03-01' }, now).errors)
+        .toEqual(['until must not be in the past']);
+      expect(validateDeclineReason({ code: 'on-leave', until: '2028-01-01' }, now).errors)
+        .toEqual([`until must be within ${MAX_LEAVE_DAYS} days`]);
+      expect(validateDeclineReason('busy', now).valid).toBe(false);
+    });
+  });
+
+  test('describeDeclineReason words reasons for comments', () => {
+    expect(describeDeclineReason({ code: 'conflict-of-interest', note: null, until: null })).toBe('conflict of interest');
+    expect(describeDeclineReason({ code: 'on-leave', note: 'conference', until: '2026-03-09' }))
+      .toBe('on leave until 2026-03-09 (conference)');
+    expect(describeDeclineReason({ code: 'other', note: 'reviewing this one', until: null })).toBe('reviewing this one');
+    expect(describeDeclineReason(null)).toBeNull();
+  });
+
+  describe('applyDeclineReason()', () => {
+    test('records leave as time away until the return date', async () => {
+      cache.getAvailability.mockResolvedValue(undefined);
+
+      const range = await applyDeclineReason('user-1', { code: 'on-leave', note: null, until: '2026-03-09' }, 'PROJ-1', now);
+
+      expect(range).toEqual({ start: '2026-03-02', end: '2026-03-09', percent: 0, note: 'on leave, declined PROJ-1' });
+      expect(cache.cacheAvailability).toHaveBeenCalledWith('user-1', [range]);
+    });
+
+    test('leaves availability alone for other reasons', async () => {
+      expect(await applyDeclineReason('user-1', { code: 'no-capacity', note: null, until: null }, 'PROJ-1', now)).toBeNull();
+      expect(await applyDeclineReason('user-1', { code: 'on-leave', note: null, until: null }, 'PROJ-1', now)).toBeNull();
+      expect(cache.cacheAvailability).not.toHaveBeenCalled();
+    });
+
+    test('logs storage errors instead of throwing', async () => {
+      cache.getAvailability.mockRejectedValue(new Error('storage unavailable'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(applyDeclineReason('user-1', { code: 'on-leave', note: null, until: '2026-03-09' }, 'PROJ-1', now))
+        .resolves.toBeNull();
+      expect(consoleSpy).toHaveBeenCalledWith('error applying decline reason:', expect.any(Error));
+
+      consoleSpy.mockRestore();
+    });
+  });
+});
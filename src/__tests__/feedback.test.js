@@ -0,0 +1,184 @@
+jest.mock('../cache.js', () => ({
+  getFeedback: jest.fn(),
+  cacheFeedback: jest.fn(),
+  allFeedback: jest.fn(),
+  getIssue: jest.fn(),
+  getIssueAssignmentState: jest.fn(),
+  cacheIssueAssignmentState: jest.fn()
+}));
+
+import {
+  MAX_FEEDBACK_EVENTS,
+  describeWork,
+  recordFeedback,
+  forgetFeedback,
+  recordManualOverride,
+  assessFeedback,
+  calculateFeedbackPenalty
+} from '../assignment/feedback.js';
+import * as cache from '../cache.js';
+
+const now = new Date('2026-01-01T00:00:00Z');
+
+const issue = {
+  key: 'PROJ-10',
+  issueType: { name: 'Bug' },
+  labels: ['frontend'],
+  components: [{ name: 'web' }]
+};
+
+const event = (issueKey, overrides = {}) => ({
+  type: 'decline',
+  issueKey,
+  issueType: 'Bug',
+  labels: ['frontend'],
+  components: [],
+  occurredAt: '2025-12-31T00:00:00.000Z',
+  ...overrides
+});
+
+describe('feedback', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('describeWork keeps the type, labels and component names', () => {
+    expect(describeWork(issue)).toEqual({ issueType: 'Bug', labels: ['frontend'], components: ['web'] });
+    expect(describeWork(null)).toEqual({ issueType: null, labels: [], components: [] });
+  });
+
+  describe('recordFeedback()', () => {
+    test('stores the newest event first, once per issue', async () => {
+      cache.getFeedback.mockResolvedValue([event('PROJ-1')]);
+
+      const stored = await recordFeedback({ type: 'decline', accountId: 'user-1', issue, occurredAt: now.toISOString() });
+
+      expect(stored).toEqual({
+        type: 'decline',
+        issueKey: 'PROJ-10',
+        issueType: 'Bug',
+        labels: ['frontend'],
+        components: ['web'],
+        reason: null,
+        occurredAt: now.toISOString()
+      });
+      expect(cache.cacheFeedback).toHaveBeenCalledWith('user-1', [stored, event('PROJ-1')]);
+
+      cache.getFeedback.mockResolvedValue([stored]);
+      cache.cacheFeedback.mockClear();
+      expect(await recordFeedback({ type: 'override', accountId: 'user-1', issue })).toBeNull();
+      expect(cache.cacheFeedback).not.toHaveBeenCalled();
+    });
+
+    test('keeps only the most recent events', async () => {
+      cache.getFeedback.mockResolvedValue(Array.from({ length: MAX_FEEDBACK_EVENTS }, (_, i) => event(`OLD-${i}`)));
+
+      await recordFeedback({ type: 'decline', accountId: 'user-1', issue });
+
+      const [, events] = cache.cacheFeedback.mock.calls[0];
+      expect(events).toHaveLength(MAX_FEEDBACK_EVENTS);
+      expect(events[0].issueKey).toBe('PROJ-10');
+    });
+
+    test('logs storage errors instead of throwing', async () => {
+      cache.getFeedback.mockRejectedValue(new Error('storage unavailable'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(recordFeedback({ type: 'decline', accountId: 'user-1', issue })).resolves.toBeNull();
+      expect(consoleSpy).toHaveBeenCalledWith('error recording feedback:', expect.any(Error));
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  test('forgetFeedback removes only the decline of that issue', async () => {
+    cache.getFeedback.mockResolvedValue([event('PROJ-1'), event('PROJ-2'), event('PROJ-1', { type: 'override' })]);
+
+    expect(await forgetFeedback('user-1', 'PROJ-1')).toBe(true);
+    expect(cache.cacheFeedback).toHaveBeenCalledWith('user-1', [event('PROJ-2'), event('PROJ-1', { type: 'override' })]);
+
+    cache.getFeedback.mockResolvedValue([event('PROJ-2')]);
+    cache.cacheFeedback.mockClear();
+    expect(await forgetFeedback('user-1', 'PROJ-1')).toBe(false);
+    expect(cache.cacheFeedback).not.toHaveBeenCalled();
+  });
+
+  describe('recordManualOverride()', () => {
+    test('counts a reassignment against the app\'s pick once', async () => {
+      cache.getIssueAssignmentState.mockResolvedValue({ currentAccountId: 'user-1', pickedAccountId: 'user-1', declinedAccountIds: [] });
+      cache.getIssue.mockResolvedValue(issue);
+      cache.getFeedback.mockResolvedValue([]);
+
+      const stored = await recordManualOverride('PROJ-10', 'user-2');
+
+      expect(stored).toEqual(expect.objectContaining({ type: 'override', issueKey: 'PROJ-10' }));
+      expect(cache.cacheFeedback).toHaveBeenCalledWith('user-1', [stored]);
+      expect(cache.cacheIssueAssignmentState).toHaveBeenCalledWith('PROJ-10', { currentAccountId: 'user-1', pickedAccountId: null, declinedAccountIds: [] });
+    });
+
+    test('ignores the app\'s own assignment and issues it only previewed or never picked for', async () => {
+      cache.getIssueAssignmentState.mockResolvedValue({ currentAccountId: 'user-1', pickedAccountId: 'user-1' });
+      expect(await recordManualOverride('PROJ-10', 'user-1')).toBeNull();
+
+      // a preview recommended user-1 but nobody was assigned or offered the issue
+      cache.getIssueAssignmentState.mockResolvedValue({ currentAccountId: 'user-1', pickedAccountId: null });
+      expect(await recordManualOverride('PROJ-10', 'user-2')).toBeNull();
+
+      cache.getIssueAssignmentState.mockResolvedValue(undefined);
+      expect(await recordManualOverride('PROJ-10', 'user-2')).toBeNull();
+
+      expect(cache.cacheFeedback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assessFeedback()', () => {
+    test('counts declines of the same type sharing a label or component', () => {
+      const events = [
+        event('PROJ-1'),
+        event('PROJ-2', { type: 'override', labels: [], components: ['web'] }),
+        event('PROJ-3', { issueType: 'Story' }),
+        event('PROJ-4', { labels: ['backend'] }),
+        event('PROJ-10')
+      ];
+
+      const assessment = assessFeedback(events, issue, null, now);
+
+      expect(assessment).toEqual({
+        count: 2,
+        decayedCount: 2,
+        declines: 1,
+        overrides: 1,
+        issueKeys: ['PROJ-1', 'PROJ-2']
+      });
+    });
+
+    test('leaves out declines for reasons that say nothing about skills', () => {
+      const events = [
+        event('PROJ-1', { reason: 'wrong-skill' }),
+        event('PROJ-2', { reason: 'on-leave' }),
+        event('PROJ-3', { reason: 'no-capacity' }),
+        event('PROJ-4', { reason: 'conflict-of-interest' })
+      ];
+
+      expect(assessFeedback(events, issue, null, now).issueKeys).toEqual(['PROJ-1']);
+    });
+
+    test('matches untagged work on type alone and decays old declines', () => {
+      const untagged = { key: 'PROJ-11', issueType: 'Task', labels: [], components: [] };
+      const events = [
+        event('PROJ-1', { issueType: 'Task', labels: [], occurredAt: '2025-01-01T00:00:00.000Z' }),
+        event('PROJ-2', { issueType: 'Bug', labels: [] })
+      ];
+
+      const assessment = assessFeedback(events, untagged, { halfLifeDays: 365 }, now);
+
+      expect(assessment.count).toBe(1);
+      expect(assessment.decayedCount).toBeCloseTo(0.5);
+    });
+  });
+
+  test('calculateFeedbackPenalty only penalises repeated declines', () => {
+    expect(calculateFeedbackPenalty({ count: 1, decayedCount: 1 }, 2)).toBe(0);
+    expect(calculateFeedbackPenalty({ count: 3, decayedCount: 3 }, 2)).toBeCloseTo(2 * Math.log(4));
+  });
+});
@@ -14,7 +14,13 @@ jest.mock('@forge/api', () => {
 
 jest.mock('../cache.js', () => ({
   cacheIssueSummary: jest.fn(),
-  getIssueSummary: jest.fn()
+  getIssueSummary: jest.fn(),
+  getProjectRules: jest.fn()
+}));
+
+jest.mock('../assignment/autoAssign.js', () => ({
+  recommendAssignee: jest.fn(),
+  generateAssignmentSummary: jest.fn(() => 'Expert in bugs')
 }));
 
 import {
@@ -24,6 +30,7 @@ import {
 } from '../index.js';
 import { __mockRequestJira } from '@forge/api';
 import * as cache from '../cache.js';
+import { recommendAssignee } from '../assignment/autoAssign.js';
 
 const buildResponse = ({ ok = true, status = 200, jsonData = null, textData = '' } = {}) => ({
   ok,
@@ -144,6 +151,115 @@ describe('index integration', () => {
       await setAutoAssignOnCreate({});
       expect(cache.cacheIssueSummary).not.toHaveBeenCalled();
     });
+
+    describe('assignment rules', () => {
+      const fieldsResponse = () => buildResponse({ jsonData: [] });
+      const event = {
+        issue: {
+          id: '1001',
+          key: 'PROJ-1',
+          fields: {
+            project: { key: 'PROJ' },
+            issuetype: { name: 'Bug' },
+            labels: ['frontend'],
+            components: [],
+            priority: { name: 'High' }
+          }
+        }
+      };
+
+      test('does nothing when the project has no rules', async () => {
+        __mockRequestJira.mockResolvedValueOnce(fieldsResponse());
+        cache.getProjectRules.mockResolvedValue(undefined);
+
+        const outcome = await setAutoAssignOnCreate(event);
+
+        expect(outcome).toEqual({ status: 'no-rule-matched' });
+        expect(recommendAssignee).not.toHaveBeenCalled();
+      });
+
+      test('assigns as the app when an assign rule matches', async () => {
+        __mockRequestJira
+          .mockResolvedValueOnce(fieldsResponse())
+          .mockResolvedValue(buildResponse({ jsonData: [] }));
+        cache.getProjectRules.mockResolvedValue({
+          enabled: true,
+          rules: [{ name: 'Frontend bugs', issueTypes: ['Bug'], labels: ['frontend'], action: 'assign' }]
+        });
+        recommendAssignee.mockResolvedValue({
+          success: true,
+          status: 'assigned',
+          assignee: { accountId: 'user-1', displayName: 'Alice' }
+        });
+
+        const outcome = await setAutoAssignOnCreate(event);
+
+        expect(recommendAssignee).toHaveBeenCalledWith('PROJ-1', {
+          skipAssignment: false,
+          commentOnAssignment: true,
+          assignAsApp: true
+        });
+        expect(outcome).toMatchObject({ status: 'assigned', rule: 'Frontend bugs' });
+        expect(cache.cacheIssueSummary).toHaveBeenLastCalledWith('PROJ-1', 'Expert in bugs');
+      });
+
+      test('says the issue was offered when the project uses offers', async () => {
+        __mockRequestJira
+          .mockResolvedValueOnce(fieldsResponse())
+          .mockResolvedValue(buildResponse({ jsonData: [] }));
+        cache.getProjectRules.mockResolvedValue({
+          enabled: true,
+          rules: [{ name: 'Frontend bugs', issueTypes: ['Bug'], labels: ['frontend'], action: 'assign' }]
+        });
+        recommendAssignee.mockResolvedValue({
+          success: true,
+          status: 'offered',
+          assignee: { accountId: 'user-1', displayName: 'Alice' },
+          offer: { accountId: 'user-1', displayName: 'Alice' }
+        });
+
+        const outcome = await setAutoAssignOnCreate(event);
+
+        expect(outcome.status).toBe('offered');
+        expect(cache.cacheIssueSummary).toHaveBeenLastCalledWith('PROJ-1', 'Offered to Alice: Expert in bugs');
+      });
+
+      test('only recommends when a recommend rule matches', async () => {
+        __mockRequestJira
+          .mockResolvedValueOnce(fieldsResponse())
+          .mockResolvedValue(buildResponse({ jsonData: [] }));
+        cache.getProjectRules.mockResolvedValue({
+          enabled: true,
+          rules: [{ name: 'High priority', priorities: ['high'], action: 'recommend' }]
+        });
+        recommendAssignee.mockResolvedValue({
+          success: true,
+          status: 'recommendation-only',
+          assignee: { accountId: 'user-1', displayName: 'Alice' }
+        });
+
+        const outcome = await setAutoAssignOnCreate(event);
+
+        expect(recommendAssignee).toHaveBeenCalledWith('PROJ-1', expect.objectContaining({
+          skipAssignment: true,
+          commentOnAssignment: false
+        }));
+        expect(outcome.status).toBe('recommendation-only');
+        expect(cache.cacheIssueSummary).toHaveBeenLastCalledWith('PROJ-1', 'Recommended Alice: Expert in bugs');
+      });
+
+      test('skips issues created with an assignee', async () => {
+        __mockRequestJira.mockResolvedValueOnce(fieldsResponse());
+        cache.getProjectRules.mockResolvedValue({ enabled: true, rules: [{ name: 'All' }] });
+
+        const outcome = await setAutoAssignOnCreate({
+          issue: { ...event.issue, fields: { ...event.issue.fields, assignee: { accountId: 'user-2' } } }
+        });
+
+        expect(outcome).toEqual({ status: 'already-assigned' });
+        expect(recommendAssignee).not.toHaveBeenCalled();
+      });
+    });
   });
 });
 
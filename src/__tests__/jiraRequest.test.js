@@ -0,0 +1,176 @@
+jest.mock('@forge/api', () => {
+  const mockRequestJira = jest.fn();
+  const asApp = jest.fn(() => ({ requestJira: mockRequestJira }));
+  const asUser = jest.fn(() => ({ requestJira: mockRequestJira }));
+  const route = (strings, ...values) =>
+    strings.reduce((acc, str, idx) => acc + str + (values[idx] ?? ''), '');
+  return {
+    __esModule: true,
+    default: { asApp, asUser },
+    asApp,
+    asUser,
+    route,
+    __mockRequestJira: mockRequestJira
+  };
+});
+
+import {
+  MAX_RETRIES,
+  MAX_RETRY_DELAY_MS,
+  MAX_CONCURRENT_REQUESTS,
+  requestJira,
+  getRequestMetrics,
+  resetRequestMetrics
+} from '../scrapers/jiraRequest.js';
+import { asApp, asUser, __mockRequestJira } from '@forge/api';
+
+const mockResponse = ({ ok = true, status = 200, headers = {} } = {}) => ({
+  ok,
+  status,
+  headers: { get: jest.fn(name => headers[name] ?? null) },
+  json: jest.fn().mockResolvedValue({}),
+  text: jest.fn().mockResolvedValue('')
+});
+
+describe('jiraRequest', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    __mockRequestJira.mockReset();
+    resetRequestMetrics();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('returns the response and counts the request under its endpoint', async () => {
+    const response = mockResponse();
+    __mockRequestJira.mockResolvedValueOnce(response);
+
+    await expect(requestJira('/rest/api/3/issue/PROJ-12/worklog?startAt=0')).resolves.toBe(response);
+
+    expect(asApp).toHaveBeenCalled();
+    expect(getRequestMetrics()).toEqual({
+      'GET /rest/api/3/issue/{id}/worklog': {
+        requests: 1,
+        retries: 0,
+        throttled: 0,
+        serverErrors: 0,
+        failures: 0,
+        totalWaitMs: 0,
+        averageDurationMs: 0
+      }
+    });
+  });
+
+  test('waits for as long as retry-after asks when throttled', async () => {
+    const response = mockResponse();
+    __mockRequestJira
+      .mockResolvedValueOnce(mockResponse({ ok: false, status: 429, headers: { 'Retry-After': '2' } }))
+      .mockResolvedValueOnce(response);
+
+    const pending = requestJira('/rest/api/3/search/jql', { method: 'POST' });
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(__mockRequestJira).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(pending).resolves.toBe(response);
+    expect(getRequestMetrics()['POST /rest/api/3/search/jql']).toMatchObject({
+      requests: 2,
+      retries: 1,
+      throttled: 1,
+      failures: 0,
+      totalWaitMs: 2000
+    });
+  });
+
+  test('caps long retry-after waits', async () => {
+    __mockRequestJira
+      .mockResolvedValueOnce(mockResponse({ ok: false, status: 429, headers: { 'Retry-After': '3600' } }))
+      .mockResolvedValueOnce(mockResponse());
+
+    const pending = requestJira('/rest/api/3/issue/PROJ-1');
+    await jest.advanceTimersByTimeAsync(MAX_RETRY_DELAY_MS);
+
+    await expect(pending).resolves.toMatchObject({ ok: true });
+    expect(getRequestMetrics()['GET /rest/api/3/issue/{id}'].totalWaitMs).toBe(MAX_RETRY_DELAY_MS);
+  });
+
+  test('retries server errors with growing jittered backoff and gives up after the last retry', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const failure = mockResponse({ ok: false, status: 503 });
+    __mockRequestJira.mockResolvedValue(failure);
+
+    const pending = requestJira('/rest/api/3/issue/PROJ-1/comment');
+    await jest.runAllTimersAsync();
+
+    await expect(pending).resolves.toBe(failure);
+    expect(__mockRequestJira).toHaveBeenCalledTimes(MAX_RETRIES + 1);
+    expect(getRequestMetrics()['GET /rest/api/3/issue/{id}/comment']).toMatchObject({
+      requests: MAX_RETRIES + 1,
+      retries: MAX_RETRIES,
+      serverErrors: MAX_RETRIES + 1,
+      failures: 1,
+      // half of 500, 1000 and 2000ms with no random share
+      totalWaitMs: 250 + 500 + 1000
+    });
+  });
+
+  test('retries network failures and rethrows the last one', async () => {
+    __mockRequestJira
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce(mockResponse());
+
+    const recovered = requestJira('/rest/api/3/issue/PROJ-1');
+    await jest.runAllTimersAsync();
+    await expect(recovered).resolves.toMatchObject({ ok: true });
+
+    __mockRequestJira.mockReset();
+    __mockRequestJira.mockRejectedValue(new Error('socket hang up'));
+    const failed = requestJira('/rest/api/3/issue/PROJ-2');
+    const assertion = expect(failed).rejects.toThrow('socket hang up');
+    await jest.runAllTimersAsync();
+    await assertion;
+  });
+
+  test('does not retry client errors', async () => {
+    const failure = mockResponse({ ok: false, status: 404 });
+    __mockRequestJira.mockResolvedValueOnce(failure);
+
+    await expect(requestJira('/rest/api/3/issue/PROJ-1')).resolves.toBe(failure);
+    expect(__mockRequestJira).toHaveBeenCalledTimes(1);
+    expect(getRequestMetrics()['GET /rest/api/3/issue/{id}'].failures).toBe(1);
+  });
+
+  test('queues requests beyond the concurrency cap', async () => {
+    const resolvers = [];
+    __mockRequestJira.mockImplementation(() => new Promise(resolve => resolvers.push(resolve)));
+
+    const pending = Array.from({ length: MAX_CONCURRENT_REQUESTS + 2 }, (_, idx) => requestJira(`/rest/api/3/issue/PROJ-${idx}`));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(__mockRequestJira).toHaveBeenCalledTimes(MAX_CONCURRENT_REQUESTS);
+
+    resolvers[0](mockResponse());
+    await jest.advanceTimersByTimeAsync(0);
+    expect(__mockRequestJira).toHaveBeenCalledTimes(MAX_CONCURRENT_REQUESTS + 1);
+
+    while (resolvers.length < pending.length) {
+      resolvers.forEach(resolve => resolve(mockResponse()));
+      await jest.advanceTimersByTimeAsync(0);
+    }
+    resolvers.forEach(resolve => resolve(mockResponse()));
+    await expect(Promise.all(pending)).resolves.toHaveLength(pending.length);
+  });
+
+  test('sends as the current user when asked to', async () => {
+    __mockRequestJira.mockResolvedValueOnce(mockResponse());
+
+    await requestJira('/rest/api/3/search/jql', { method: 'POST' }, { asUser: true });
+
+    expect(asUser).toHaveBeenCalled();
+    expect(asApp).not.toHaveBeenCalled();
+  });
+});
@@ -18,7 +18,10 @@ import {
 	scrapeAssignableUsers,
 	scrapeIssueDetails,
 	scrapeIssueWorklogs,
+	scrapeIssueComments,
+	scrapeIssuesBulk,
 	scrapeProjectIssues,
+	scrapeProjectEpics,
 	scrapeUserWorkload
 } from '../scrapers/jiraScraper.js';
 import { asApp, __mockRequestJira } from '@forge/api';
@@ -97,6 +100,8 @@ describe('jiraScraper', () => {
 		expect(result.issueType).toBe('Bug');
 		expect(result.assignee).toEqual({ accountId: 'u1', displayName: 'Assignee' });
 		expect(result.parent).toEqual({ key: 'PROJ-2', summary: 'Parent' });
+		expect(result.changelog).toEqual(issuePayload.changelog.histories);
+		expect(__mockRequestJira.mock.calls[0][0]).toBe('/rest/api/3/issue/PROJ-1?expand=changelog');
 	});
 
 	test('scrapeIssueWorklogs maps response and handles errors', async () => {
@@ -129,6 +134,174 @@ describe('jiraScraper', () => {
 		expect(fallback).toEqual([]);
 	});
 
+	test('scrapeIssueComments follows pages until the total is reached', async () => {
+		const comment = (id) => ({ id, author: { accountId: 'c1', displayName: 'Commenter' }, body: `comment ${id}` });
+		__mockRequestJira
+			.mockResolvedValueOnce(mockResponse({ jsonData: { comments: [comment('1'), comment('2')], total: 3 } }))
+			.mockResolvedValueOnce(mockResponse({ jsonData: { comments: [comment('3')], total: 3 } }));
+
+		const comments = await scrapeIssueComments('PROJ-1');
+
+		expect(comments.map(c => c.body)).toEqual(['comment 1', 'comment 2', 'comment 3']);
+		expect(comments[0]).toEqual({
+			author: { accountId: 'c1', displayName: 'Commenter' },
+			body: 'comment 1',
+			created: null,
+			updated: null
+		});
+		expect(__mockRequestJira.mock.calls.map(([path]) => path)).toEqual([
+			'/rest/api/3/issue/PROJ-1/comment?startAt=0&maxResults=100',
+			'/rest/api/3/issue/PROJ-1/comment?startAt=2&maxResults=100'
+		]);
+	});
+
+	describe('scrapeIssuesBulk', () => {
+		const bulkIssue = (key, id, fields = {}) => ({
+			key,
+			id,
+			fields: {
+				summary: `Summary ${key}`,
+				worklog: { worklogs: [], total: 0 },
+				comment: { comments: [], total: 0 },
+				...fields
+			}
+		});
+
+		test('fetches issues and their full changelogs in bulk, in key order', async () => {
+			const history = (id) => ({ id, created: '2024-01-01', items: [{ field: 'assignee', to: 'u1' }] });
+			__mockRequestJira
+				.mockResolvedValueOnce(mockResponse({
+					jsonData: {
+						issues: [
+							bulkIssue('PROJ-2', '102'),
+							bulkIssue('PROJ-1', '101', {
+								worklog: { worklogs: [{ author: { accountId: 'w1', displayName: 'Worker' }, timeSpentSeconds: 60 }], total: 1 },
+								comment: { comments: [{ author: { accountId: 'c1' }, body: 'hi' }], total: 1 }
+							})
+						]
+					}
+				}))
+				.mockResolvedValueOnce(mockResponse({
+					jsonData: {
+						issueChangeLogs: [{ issueId: '101', changeHistories: [history('1')] }],
+						nextPageToken: 'next'
+					}
+				}))
+				.mockResolvedValueOnce(mockResponse({
+					jsonData: {
+						issueChangeLogs: [
+							{ issueId: '101', changeHistories: [history('2')] },
+							{ issueId: '102', changeHistories: [history('3')] }
+						]
+					}
+				}));
+
+			const results = await scrapeIssuesBulk(['PROJ-1', 'PROJ-2', 'PROJ-1']);
+
+			expect(__mockRequestJira).toHaveBeenCalledTimes(3);
+			const [issuePath, issueInit] = __mockRequestJira.mock.calls[0];
+			expect(issuePath).toBe('/rest/api/3/issue/bulkfetch');
+			expect(JSON.parse(issueInit.body)).toMatchObject({
+				issueIdsOrKeys: ['PROJ-1', 'PROJ-2'],
+				fields: expect.arrayContaining(['summary', 'worklog', 'comment'])
+			});
+			const [changelogPath, changelogInit] = __mockRequestJira.mock.calls[2];
+			expect(changelogPath).toBe('/rest/api/3/changelog/bulkfetch');
+			expect(JSON.parse(changelogInit.body)).toMatchObject({ issueIdsOrKeys: ['102', '101'], nextPageToken: 'next' });
+
+			expect(results.map(r => r.issueData.key)).toEqual(['PROJ-1', 'PROJ-2']);
+			expect(results[0].issueData.changelog.map(h => h.id)).toEqual(['1', '2']);
+			expect(results[1].issueData.changelog.map(h => h.id)).toEqual(['3']);
+			expect(results[0].worklogs).toEqual([
+				{ author: { accountId: 'w1', displayName: 'Worker' }, timeSpentSeconds: 60, created: null, updated: null, comment: '' }
+			]);
+			expect(results[0].comments).toEqual([
+				{ author: { accountId: 'c1', displayName: 'Unknown' }, body: 'hi', created: null, updated: null }
+			]);
+			expect(results[1].worklogs).toEqual([]);
+		});
+
+		test('fetches worklogs and comments separately when the bulk response holds only the first page', async () => {
+			__mockRequestJira
+				.mockResolvedValueOnce(mockResponse({
+					jsonData: {
+						issues: [bulkIssue('PROJ-1', '101', {
+							worklog: { worklogs: [{ timeSpentSeconds: 60 }], total: 2 },
+							comment: { comments: [{ body: 'first' }], total: 2 }
+						})]
+					}
+				}))
+				.mockResolvedValueOnce(mockResponse({ jsonData: { issueChangeLogs: [] } }))
+				.mockResolvedValueOnce(mockResponse({ jsonData: { worklogs: [{ timeSpentSeconds: 60 }, { timeSpentSeconds: 120 }] } }))
+				.mockResolvedValueOnce(mockResponse({ jsonData: { comments: [{ body: 'first' }, { body: 'second' }], total: 2 } }));
+
+			const [result] = await scrapeIssuesBulk(['PROJ-1']);
+
+			expect(__mockRequestJira.mock.calls[2][0]).toBe('/rest/api/3/issue/PROJ-1/worklog');
+			expect(__mockRequestJira.mock.calls[3][0]).toBe('/rest/api/3/issue/PROJ-1/comment?startAt=0&maxResults=100');
+			expect(result.worklogs.map(w => w.timeSpentSeconds)).toEqual([60, 120]);
+			expect(result.comments.map(c => c.body)).toEqual(['first', 'second']);
+			expect(result.issueData.changelog).toEqual([]);
+		});
+
+		test('normalises an issue the same way as scrapeIssueDetails', async () => {
+			const fields = {
+				summary: 'Summary',
+				description: 'Desc',
+				labels: ['frontend'],
+				components: [{ name: 'API' }],
+				priority: { name: 'High' },
+				status: { name: 'To Do' },
+				issuetype: { name: 'Story' },
+				assignee: { accountId: 'u1', displayName: 'Assignee' },
+				reporter: { accountId: 'u2', displayName: 'Reporter' },
+				parent: { key: 'PROJ-2', fields: { summary: 'Parent' } },
+				epic: { key: 'PROJ-3', name: 'Epic' },
+				created: '2024-01-01',
+				updated: '2024-01-02',
+				resolutiondate: '2024-01-03',
+				duedate: '2024-02-01',
+				timeoriginalestimate: 7200,
+				timeestimate: 3600,
+				timespent: 3600,
+				worklog: { worklogs: [], total: 0 },
+				comment: { comments: [], total: 0 }
+			};
+			const histories = [{ id: '1', created: '2024-01-01', items: [{ field: 'assignee', to: 'u1' }] }];
+
+			// like jira, the bulk fetch only returns the fields asked for
+			__mockRequestJira.mockImplementation(async (path, init) => {
+				if (path === '/rest/api/3/issue/bulkfetch') {
+					const requested = JSON.parse(init.body).fields;
+					const picked = Object.fromEntries(Object.entries(fields).filter(([name]) => requested.includes(name)));
+					return mockResponse({ jsonData: { issues: [{ key: 'PROJ-1', id: '101', fields: picked }] } });
+				}
+				if (path === '/rest/api/3/changelog/bulkfetch') {
+					return mockResponse({ jsonData: { issueChangeLogs: [{ issueId: '101', changeHistories: histories }] } });
+				}
+				return mockResponse({ jsonData: { key: 'PROJ-1', id: '101', fields, changelog: { histories } } });
+			});
+
+			const [bulk] = await scrapeIssuesBulk(['PROJ-1']);
+			const single = await scrapeIssueDetails('PROJ-1');
+
+			expect(bulk.issueData).toEqual(single);
+			expect(bulk.issueData.epic).toEqual({ key: 'PROJ-3', name: 'Epic' });
+		});
+
+		test('skips a chunk whose bulk fetch fails', async () => {
+			__mockRequestJira.mockResolvedValueOnce(mockResponse({ ok: false, status: 400, textData: 'bad request' }));
+
+			await expect(scrapeIssuesBulk(['PROJ-1'])).resolves.toEqual([]);
+			expect(__mockRequestJira).toHaveBeenCalledTimes(1);
+		});
+
+		test('makes no requests without valid keys', async () => {
+			await expect(scrapeIssuesBulk([null, ''])).resolves.toEqual([]);
+			expect(__mockRequestJira).not.toHaveBeenCalled();
+		});
+	});
+
 	test('scrapeProjectIssues fetches and limits issue keys', async () => {
 		const issuePayload = {
 			issues: [{ key: 'PROJ-1' }, { key: 'PROJ-2' }]
@@ -140,11 +313,28 @@ describe('jiraScraper', () => {
 		expect(keys).toEqual(['PROJ-1']);
 
 		const requestArgs = __mockRequestJira.mock.calls[0];
+		expect(requestArgs[0]).toBe('/rest/api/3/search/jql');
 		expect(requestArgs[1].method).toBe('POST');
+		expect(JSON.parse(requestArgs[1].body)).toMatchObject({ fields: ['key'], maxResults: 1 });
+	});
+
+	test('scrapeProjectEpics follows every page of results', async () => {
+		__mockRequestJira
+			.mockResolvedValueOnce(mockResponse({
+				jsonData: { issues: [{ key: 'PROJ-1', fields: { summary: 'First' } }], nextPageToken: 'page-2' }
+			}))
+			.mockResolvedValueOnce(mockResponse({
+				jsonData: { issues: [{ key: 'PROJ-2', fields: { summary: 'Second' } }] }
+			}));
+
+		const epics = await scrapeProjectEpics('PROJ');
+
+		expect(epics.map(epic => epic.key)).toEqual(['PROJ-1', 'PROJ-2']);
+		expect(JSON.parse(__mockRequestJira.mock.calls[1][1].body).nextPageToken).toBe('page-2');
 	});
 
 	test('scrapeProjectIssues returns [] on fetch error', async () => {
-		const errorResponse = mockResponse({ ok: false, textData: 'failure', status: 500 });
+		const errorResponse = mockResponse({ ok: false, textData: 'failure', status: 400 });
 		__mockRequestJira.mockResolvedValueOnce(errorResponse);
 
 		const result = await scrapeProjectIssues('PROJ');
@@ -153,7 +343,6 @@ describe('jiraScraper', () => {
 
 	test('scrapeUserWorkload aggregates status and priority', async () => {
 		const data = {
-			total: 2,
 			issues: [
 				{
 					fields: {
@@ -0,0 +1,95 @@
+jest.mock('@forge/api', () => {
+  const mockRequestJira = jest.fn();
+  const asApp = jest.fn(() => ({ requestJira: mockRequestJira }));
+  const asUser = jest.fn(() => ({ requestJira: mockRequestJira }));
+  const route = (strings, ...values) =>
+    strings.reduce((acc, str, idx) => acc + str + (values[idx] ?? ''), '');
+  return {
+    __esModule: true,
+    default: { asApp, asUser },
+    asApp,
+    asUser,
+    route,
+    __mockRequestJira: mockRequestJira
+  };
+});
+
+import { SEARCH_PAGE_SIZE, searchIssues } from '../scrapers/jiraSearch.js';
+import { asApp, asUser, __mockRequestJira } from '@forge/api';
+
+const mockResponse = ({ ok = true, status = 200, jsonData = null, textData = '' } = {}) => ({
+  ok,
+  status,
+  json: jest.fn().mockResolvedValue(jsonData),
+  text: jest.fn().mockResolvedValue(textData)
+});
+
+const requestBody = (call) => JSON.parse(__mockRequestJira.mock.calls[call][1].body);
+
+describe('jiraSearch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    __mockRequestJira.mockReset();
+  });
+
+  test('follows nextPageToken until the last page', async () => {
+    __mockRequestJira
+      .mockResolvedValueOnce(mockResponse({ jsonData: { issues: [{ key: 'PROJ-1' }], nextPageToken: 'page-2' } }))
+      .mockResolvedValueOnce(mockResponse({ jsonData: { issues: [{ key: 'PROJ-2' }], nextPageToken: 'page-3' } }))
+      .mockResolvedValueOnce(mockResponse({ jsonData: { issues: [{ key: 'PROJ-3' }] } }));
+
+    const issues = await searchIssues('project = PROJ', { fields: ['key', 'summary'] });
+
+    expect(issues.map(issue => issue.key)).toEqual(['PROJ-1', 'PROJ-2', 'PROJ-3']);
+    expect(__mockRequestJira).toHaveBeenCalledTimes(3);
+    expect(__mockRequestJira.mock.calls[0][0]).toBe('/rest/api/3/search/jql');
+    expect(__mockRequestJira.mock.calls[0][1].method).toBe('POST');
+    expect(requestBody(0)).toEqual({ jql: 'project = PROJ', fields: ['key', 'summary'], maxResults: SEARCH_PAGE_SIZE });
+    expect(requestBody(1).nextPageToken).toBe('page-2');
+    expect(requestBody(2).nextPageToken).toBe('page-3');
+    expect(asApp).toHaveBeenCalled();
+  });
+
+  test('stops at the result cap and asks only for what is left', async () => {
+    const page = (start, count) => Array.from({ length: count }, (_, idx) => ({ key: `PROJ-${start + idx}` }));
+    __mockRequestJira
+      .mockResolvedValueOnce(mockResponse({ jsonData: { issues: page(1, SEARCH_PAGE_SIZE), nextPageToken: 'page-2' } }))
+      .mockResolvedValueOnce(mockResponse({ jsonData: { issues: page(101, 20), nextPageToken: 'page-3' } }));
+
+    const issues = await searchIssues('project = PROJ', { maxResults: SEARCH_PAGE_SIZE + 20 });
+
+    expect(issues).toHaveLength(SEARCH_PAGE_SIZE + 20);
+    expect(__mockRequestJira).toHaveBeenCalledTimes(2);
+    expect(requestBody(0).fields).toEqual(['key']);
+    expect(requestBody(1).maxResults).toBe(20);
+  });
+
+  test('does not loop on an empty page that still carries a token', async () => {
+    __mockRequestJira.mockResolvedValue(mockResponse({ jsonData: { issues: [], nextPageToken: 'stuck' } }));
+
+    await expect(searchIssues('project = PROJ')).resolves.toEqual([]);
+    expect(__mockRequestJira).toHaveBeenCalledTimes(1);
+  });
+
+  test('searches as the current user when asked to', async () => {
+    __mockRequestJira.mockResolvedValueOnce(mockResponse({ jsonData: { issues: [] } }));
+
+    await searchIssues('labels = backend', { asUser: true });
+
+    expect(asUser).toHaveBeenCalled();
+    expect(asApp).not.toHaveBeenCalled();
+  });
+
+  test('throws with the status and response text when a page fails', async () => {
+    __mockRequestJira
+      .mockResolvedValueOnce(mockResponse({ jsonData: { issues: [{ key: 'PROJ-1' }], nextPageToken: 'page-2' } }))
+      .mockResolvedValueOnce(mockResponse({ ok: false, status: 400, textData: 'bad jql' }));
+
+    await expect(searchIssues('project = PROJ')).rejects.toThrow('jira search failed with status 400: bad jql');
+  });
+
+  test('requires a jql query', async () => {
+    await expect(searchIssues('')).rejects.toThrow('jql is required');
+    expect(__mockRequestJira).not.toHaveBeenCalled();
+  });
+});
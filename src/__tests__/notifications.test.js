@@ -0,0 +1,262 @@
+jest.mock('@forge/api', () => {
+  const requestJira = jest.fn();
+  return {
+    __esModule: true,
+    default: { asApp: jest.fn(() => ({ requestJira })) },
+    route: (strings, ...values) => strings.reduce((acc, str, idx) => acc + str + (values[idx] ?? ''), ''),
+    fetch: jest.fn(),
+    __requestJira: requestJira
+  };
+});
+
+jest.mock('@forge/events', () => {
+  const mockPush = jest.fn();
+  class Queue {
+    push(events) {
+      return mockPush(events);
+    }
+  }
+  return {
+    __esModule: true,
+    Queue,
+    __mockPush: mockPush
+  };
+});
+
+jest.mock('../cache.js', () => ({
+  getProjectNotificationSettings: jest.fn(),
+  cacheProjectNotificationSettings: jest.fn(),
+  getUserProfile: jest.fn(),
+  cacheWebhookSecret: jest.fn(),
+  appendWebhookDelivery: jest.fn()
+}));
+
+jest.mock('../decline.js', () => ({
+  postComment: jest.fn()
+}));
+
+import {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  validateNotificationSettings,
+  loadProjectNotificationSettings,
+  saveProjectNotificationSettings,
+  renderTemplate,
+  notificationWebhookId,
+  classifyNotificationEvents,
+  sendNotifications
+} from '../assignment/notifications.js';
+import * as cache from '../cache.js';
+import { postComment } from '../decline.js';
+import { fetch, __requestJira } from '@forge/api';
+import { __mockPush } from '@forge/events';
+
+const assigned = {
+  status: 'assigned',
+  assignee: { accountId: 'user-1', displayName: 'Alice', finalScore: 0.756 }
+};
+
+const allChannels = (events) => ({
+  channels: {
+    comment: { enabled: true, events },
+    email: { enabled: true, events, recipients: 'assignee-and-watchers' },
+    webhook: { enabled: true, events, url: 'https://chat.example.com/hook' }
+  }
+});
+
+describe('notifications', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.getProjectNotificationSettings.mockResolvedValue(undefined);
+    __requestJira.mockResolvedValue({ ok: true, text: jest.fn() });
+    fetch.mockResolvedValue({ ok: true, status: 200 });
+  });
+
+  describe('validateNotificationSettings()', () => {
+    test('merges the given channels and templates into the defaults', () => {
+      const result = validateNotificationSettings({
+        channels: { email: { enabled: true, events: ['declined', 'assigned'], recipients: 'watchers' } },
+        templates: { assigned: 'Assigned to {assignee}', declined: '  ' }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.settings.channels.comment).toEqual(DEFAULT_NOTIFICATION_SETTINGS.channels.comment);
+      expect(result.settings.channels.email).toEqual({ enabled: true, events: ['assigned', 'declined'], recipients: 'watchers' });
+      expect(result.settings.templates.assigned).toBe('Assigned to {assignee}');
+      expect(result.settings.templates.declined).toBe(DEFAULT_NOTIFICATION_SETTINGS.templates.declined);
+    });
+
+    test('rejects unknown events, recipients and webhooks without an https url', () => {
+      expect(validateNotificationSettings({ channels: { comment: { events: ['deleted'] } } }).errors)
+        .toEqual(['comment.events must only contain assigned, declined, exhausted, capacity-exceeded']);
+      expect(validateNotificationSettings({ channels: { email: { recipients: 'everyone' } } }).valid).toBe(false);
+      expect(validateNotificationSettings({ channels: { webhook: { enabled: true } } }).errors)
+        .toEqual(['webhook.url is required when the webhook channel is enabled']);
+      expect(validateNotificationSettings({ channels: { webhook: { url: 'http://chat.example.com' } } }).errors)
+        .toEqual(['webhook.url must be an https url']);
+      expect(validateNotificationSettings(null).valid).toBe(false);
+    });
+  });
+
+  test('loadProjectNotificationSettings falls back to the defaults', async () => {
+    expect(await loadProjectNotificationSettings('PROJ')).toEqual(DEFAULT_NOTIFICATION_SETTINGS);
+  });
+
+  test('saveProjectNotificationSettings stores the parsed settings and rejects bad ones', async () => {
+    const saved = await saveProjectNotificationSettings('PROJ', { channels: { comment: { enabled: false } } });
+
+    expect(saved.channels.comment.enabled).toBe(false);
+    expect(cache.cacheProjectNotificationSettings).toHaveBeenCalledWith('PROJ', saved);
+
+    cache.cacheProjectNotificationSettings.mockClear();
+    await expect(saveProjectNotificationSettings('PROJ', { channels: { comment: { enabled: 'no' } } }))
+      .rejects.toThrow('invalid notification settings');
+    expect(cache.cacheProjectNotificationSettings).not.toHaveBeenCalled();
+  });
+
+  test('saveProjectNotificationSettings keeps the webhook secret in secret storage', async () => {
+    const saved = await saveProjectNotificationSettings('PROJ', {
+      channels: { webhook: { enabled: true, url: 'https://chat.example.com/hook', secret: 'a-very-long-signing-secret' } }
+    });
+
+    expect(cache.cacheWebhookSecret).toHaveBeenCalledWith(notificationWebhookId('PROJ'), 'a-very-long-signing-secret');
+    expect(saved.channels.webhook).toEqual({ enabled: true, events: expect.any(Array), url: 'https://chat.example.com/hook', signed: true });
+    expect(JSON.stringify(cache.cacheProjectNotificationSettings.mock.calls)).not.toContain('a-very-long-signing-secret');
+
+    // a later save without a secret keeps the stored one
+    cache.getProjectNotificationSettings.mockResolvedValue(saved);
+    cache.cacheWebhookSecret.mockClear();
+    const resaved = await saveProjectNotificationSettings('PROJ', { channels: { webhook: { enabled: true, url: 'https://chat.example.com/hook' } } });
+    expect(resaved.channels.webhook.signed).toBe(true);
+    expect(cache.cacheWebhookSecret).not.toHaveBeenCalled();
+
+    // the signed flag is never taken from the admin panel
+    cache.getProjectNotificationSettings.mockResolvedValue(undefined);
+    const unsigned = await saveProjectNotificationSettings('PROJ', { channels: { webhook: { signed: true } } });
+    expect(unsigned.channels.webhook.signed).toBe(false);
+
+    await expect(saveProjectNotificationSettings('PROJ', { channels: { webhook: { secret: 'short' } } }))
+      .rejects.toThrow('webhook.secret must be at least 16 characters');
+  });
+
+  test('renderTemplate fills known placeholders and leaves unknown ones', () => {
+    expect(renderTemplate('{issueKey} to {assignee} {unknown}', { issueKey: 'PROJ-1', assignee: null }))
+      .toBe('PROJ-1 to  {unknown}');
+  });
+
+  test('classifyNotificationEvents maps outcomes to events', () => {
+    expect(classifyNotificationEvents(assigned)).toEqual(['assigned']);
+    expect(classifyNotificationEvents({ status: 'offer-accepted' })).toEqual(['assigned']);
+    expect(classifyNotificationEvents({ status: 'recommendation-only' }, { declinedAccountId: 'user-2' })).toEqual(['declined']);
+    expect(classifyNotificationEvents({ status: 'declined-exhausted' }, { declinedAccountId: 'user-2' }))
+      .toEqual(['declined', 'exhausted']);
+    expect(classifyNotificationEvents({ status: 'all-candidates-excluded', excluded: [{ reason: 'capacity' }] }))
+      .toEqual(['capacity-exceeded']);
+    expect(classifyNotificationEvents({ status: 'all-candidates-excluded', excluded: [{ reason: 'availability' }] }))
+      .toEqual([]);
+    expect(classifyNotificationEvents({ status: 'offered' })).toEqual([]);
+    expect(classifyNotificationEvents({ status: 'declined-exhausted' }, { skipAssignment: true })).toEqual([]);
+    expect(classifyNotificationEvents({ status: 'declined-exhausted' }, { skipAssignment: true, declinedAccountId: 'user-2' }))
+      .toEqual(['declined', 'exhausted']);
+  });
+
+  describe('sendNotifications()', () => {
+    test('sends nothing for assignments with the default settings', async () => {
+      expect(await sendNotifications('PROJ-1', assigned)).toEqual([]);
+      expect(postComment).not.toHaveBeenCalled();
+      expect(__requestJira).not.toHaveBeenCalled();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('sends the rendered template on every enabled channel', async () => {
+      cache.getProjectNotificationSettings.mockResolvedValue(allChannels(['assigned']));
+
+      const deliveries = await sendNotifications('PROJ-1', assigned, { actorDisplayName: 'Dana' });
+
+      const message = 'PROJ-1 has been assigned to Alice (score 0.76).';
+      expect(deliveries).toEqual([
+        { event: 'assigned', channel: 'comment', success: true },
+        { event: 'assigned', channel: 'email', success: true },
+        { event: 'assigned', channel: 'webhook', success: true }
+      ]);
+      expect(postComment).toHaveBeenCalledWith('PROJ-1', message);
+
+      const [path, request] = __requestJira.mock.calls[0];
+      expect(path).toBe('/rest/api/3/issue/PROJ-1/notify');
+      expect(JSON.parse(request.body)).toEqual({
+        subject: '[PROJ-1] Issue assigned',
+        textBody: message,
+        to: { assignee: true, watchers: true, reporter: false, voters: false }
+      });
+
+      // the webhook is queued rather than sent while the assignment waits
+      expect(fetch).not.toHaveBeenCalled();
+      const [[[{ body }]]] = __mockPush.mock.calls;
+      // no secret was set, so the delivery goes out unsigned
+      expect(body.endpoint).toEqual({ id: null, url: 'https://chat.example.com/hook' });
+      expect(body.projectKey).toBe('PROJ');
+      expect(body.payload).toEqual(expect.objectContaining({
+        event: 'assigned',
+        issueKey: 'PROJ-1',
+        message,
+        assignee: { accountId: 'user-1', displayName: 'Alice', finalScore: 0.756 }
+      }));
+    });
+
+    test('has the webhook delivery signed with the secret of a signed webhook', async () => {
+      const settings = allChannels(['assigned']);
+      settings.channels.webhook.signed = true;
+      cache.getProjectNotificationSettings.mockResolvedValue(settings);
+
+      await sendNotifications('PROJ-1', assigned);
+
+      const [[[{ body }]]] = __mockPush.mock.calls;
+      expect(body.endpoint).toEqual({ id: notificationWebhookId('PROJ'), url: 'https://chat.example.com/hook' });
+    });
+
+    test('names the person who declined and their reason', async () => {
+      cache.getProjectNotificationSettings.mockResolvedValue({ channels: { comment: { enabled: true, events: ['declined'] } } });
+      cache.getUserProfile.mockResolvedValue({ displayName: 'Bob' });
+
+      await sendNotifications('PROJ-1', { status: 'recommendation-only' }, {
+        declinedAccountId: 'user-2',
+        declineReason: { code: 'on-leave', note: null, until: '2026-02-01' }
+      });
+
+      expect(postComment).toHaveBeenCalledWith('PROJ-1', 'Bob declined PROJ-1: on leave until 2026-02-01.');
+    });
+
+    test('sends nothing for a preview, even when nobody is left to assign', async () => {
+      cache.getProjectNotificationSettings.mockResolvedValue(allChannels(['exhausted', 'capacity-exceeded']));
+
+      const exhausted = await sendNotifications('PROJ-1', { status: 'declined-exhausted' }, { skipAssignment: true });
+      const capacity = await sendNotifications('PROJ-1', {
+        status: 'all-candidates-excluded',
+        excluded: [{ reason: 'capacity' }]
+      }, { skipAssignment: true });
+
+      expect(exhausted).toEqual([]);
+      expect(capacity).toEqual([]);
+      expect(postComment).not.toHaveBeenCalled();
+      expect(__mockPush).not.toHaveBeenCalled();
+    });
+
+    test('keeps going when a channel fails', async () => {
+      cache.getProjectNotificationSettings.mockResolvedValue(allChannels(['assigned']));
+      __requestJira.mockResolvedValue({ ok: false, status: 403, text: jest.fn().mockResolvedValue('forbidden') });
+
+      const deliveries = await sendNotifications('PROJ-1', assigned);
+
+      expect(deliveries).toEqual([
+        { event: 'assigned', channel: 'comment', success: true },
+        { event: 'assigned', channel: 'email', success: false, error: 'jira rejected the notification for PROJ-1: 403 forbidden' },
+        { event: 'assigned', channel: 'webhook', success: true }
+      ]);
+    });
+
+    test('never throws when the settings cannot be loaded', async () => {
+      cache.getProjectNotificationSettings.mockRejectedValue(new Error('KVS Error'));
+
+      await expect(sendNotifications('PROJ-1', assigned)).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../cache.js', () => ({
+  allAssignmentStates: jest.fn()
+}));
+
+jest.mock('../assignment/autoAssign.js', () => ({
+  recommendAssignee: jest.fn()
+}));
+
+jest.mock('../decline.js', () => ({
+  postComment: jest.fn()
+}));
+
+import { runOfferEscalation } from '../offerEscalation.js';
+import * as cache from '../cache.js';
+import { recommendAssignee } from '../assignment/autoAssign.js';
+import { postComment } from '../decline.js';
+
+const expiredOffer = { accountId: 'user-1', displayName: 'Alice', expiresAt: '2000-01-01T00:00:00.000Z' };
+const openOffer = { accountId: 'user-2', displayName: 'Bob', expiresAt: '2999-01-01T00:00:00.000Z' };
+
+describe('offerEscalation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('moves expired offers on to the next candidate as a no-response decline', async () => {
+    cache.allAssignmentStates.mockResolvedValue({
+      'PROJ-1': { offer: expiredOffer },
+      'PROJ-2': { offer: openOffer },
+      'PROJ-3': { offer: null }
+    });
+    recommendAssignee.mockResolvedValue({ status: 'offered', offer: { accountId: 'user-3' } });
+
+    const result = await runOfferEscalation();
+
+    expect(result).toEqual({
+      success: true,
+      issues: [{ issueKey: 'PROJ-1', success: true, status: 'offered', offeredTo: 'user-3' }]
+    });
+    expect(postComment).toHaveBeenCalledWith('PROJ-1', expect.stringContaining('Alice expired without a response'));
+    expect(recommendAssignee).toHaveBeenCalledWith('PROJ-1', expect.objectContaining({
+      declinedAccountId: 'user-1',
+      declineReason: { code: 'no-response', note: null, until: null },
+      offer: true,
+      assignAsApp: true
+    }));
+  });
+
+  test('keeps escalating the other issues when one fails', async () => {
+    cache.allAssignmentStates.mockResolvedValue({
+      'PROJ-1': { offer: expiredOffer },
+      'PROJ-2': { offer: { ...expiredOffer, accountId: 'user-2' } }
+    });
+    recommendAssignee
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce({ status: 'no-candidates' });
+
+    const result = await runOfferEscalation();
+
+    expect(result.success).toBe(false);
+    expect(result.issues).toEqual([
+      { issueKey: 'PROJ-1', success: false, error: 'boom' },
+      { issueKey: 'PROJ-2', success: true, status: 'no-candidates', offeredTo: null }
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../cache.js', () => ({
+  getProjectOfferSettings: jest.fn(),
+  cacheProjectOfferSettings: jest.fn()
+}));
+
+import {
+  DEFAULT_OFFER_SETTINGS,
+  validateOfferSettings,
+  loadProjectOfferSettings,
+  saveProjectOfferSettings,
+  buildOffer,
+  isOfferExpired
+} from '../assignment/offers.js';
+import * as cache from '../cache.js';
+
+const now = new Date('2026-01-15T00:00:00Z');
+
+describe('offers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateOfferSettings()', () => {
+    test('parses the timeout and defaults to disabled', () => {
+      expect(validateOfferSettings({ enabled: true, timeoutHours: '8' }).settings).toEqual({ enabled: true, timeoutHours: 8 });
+      expect(validateOfferSettings({}).settings).toEqual(DEFAULT_OFFER_SETTINGS);
+    });
+
+    test('rejects bad values', () => {
+      expect(validateOfferSettings({ enabled: 'yes' }).errors).toEqual(['enabled must be true or false']);
+      expect(validateOfferSettings({ timeoutHours: 200 }).errors).toEqual(['timeoutHours must be a number between 0 and 168']);
+      expect(validateOfferSettings({ timeoutHours: 0 }).valid).toBe(false);
+      expect(validateOfferSettings(null).valid).toBe(false);
+    });
+  });
+
+  test('loadProjectOfferSettings falls back to the defaults', async () => {
+    cache.getProjectOfferSettings.mockResolvedValue(undefined);
+    expect(await loadProjectOfferSettings('PROJ')).toEqual(DEFAULT_OFFER_SETTINGS);
+
+    cache.getProjectOfferSettings.mockResolvedValue({ enabled: true, timeoutHours: 4 });
+    expect(await loadProjectOfferSettings('PROJ')).toEqual({ enabled: true, timeoutHours: 4 });
+  });
+
+  test('saveProjectOfferSettings stores the parsed settings and rejects bad ones', async () => {
+    const saved = await saveProjectOfferSettings('PROJ', { enabled: true, timeoutHours: '12' });
+
+    expect(saved).toEqual({ enabled: true, timeoutHours: 12 });
+    expect(cache.cacheProjectOfferSettings).toHaveBeenCalledWith('PROJ', saved);
+
+    cache.cacheProjectOfferSettings.mockClear();
+    await expect(saveProjectOfferSettings('PROJ', { timeoutHours: -1 })).rejects.toThrow('invalid offer settings');
+    expect(cache.cacheProjectOfferSettings).not.toHaveBeenCalled();
+  });
+
+  test('buildOffer expires the offer after the timeout', () => {
+    const candidate = { accountId: 'user-1', displayName: 'Alice', finalScore: 0.8 };
+
+    expect(buildOffer(candidate, { timeoutHours: 24 }, now)).toEqual({
+      accountId: 'user-1',
+      displayName: 'Alice',
+      finalScore: 0.8,
+      offeredAt: '2026-01-15T00:00:00.000Z',
+      expiresAt: '2026-01-16T00:00:00.000Z'
+    });
+  });
+
+  test('isOfferExpired compares the expiry with now', () => {
+    expect(isOfferExpired({ expiresAt: '2026-01-14T23:00:00.000Z' }, now)).toBe(true);
+    expect(isOfferExpired({ expiresAt: '2026-01-15T01:00:00.000Z' }, now)).toBe(false);
+    expect(isOfferExpired(null, now)).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../cache.js', () => ({
+  getProjectRecency: jest.fn(),
+  cacheProjectRecency: jest.fn()
+}));
+
+import {
+  DEFAULT_HALF_LIFE_DAYS,
+  validateRecency,
+  loadProjectRecency,
+  saveProjectRecency,
+  decayedCount
+} from '../assignment/recency.js';
+import * as cache from '../cache.js';
+
+const now = new Date('2026-01-01T00:00:00Z');
+
+describe('recency', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateRecency()', () => {
+    test('parses the half-life and treats blank as no decay', () => {
+      expect(validateRecency({ halfLifeDays: '90' }).recency).toEqual({ halfLifeDays: 90 });
+      expect(validateRecency({ halfLifeDays: '' }).recency).toEqual({ halfLifeDays: null });
+      expect(validateRecency({}).recency).toEqual({ halfLifeDays: DEFAULT_HALF_LIFE_DAYS });
+    });
+
+    test('rejects half-lives out of range', () => {
+      expect(validateRecency({ halfLifeDays: 0 }).valid).toBe(false);
+      expect(validateRecency({ halfLifeDays: 5000 }).valid).toBe(false);
+      expect(validateRecency({ halfLifeDays: 'soon' }).errors).toEqual(['halfLifeDays must be a number between 0 and 3650']);
+      expect(validateRecency(null).valid).toBe(false);
+    });
+  });
+
+  describe('loadProjectRecency()', () => {
+    test('uses the default half-life when nothing is stored', async () => {
+      cache.getProjectRecency.mockResolvedValue(undefined);
+
+      expect(await loadProjectRecency('PROJ')).toEqual({ halfLifeDays: DEFAULT_HALF_LIFE_DAYS });
+      expect(cache.getProjectRecency).toHaveBeenCalledWith('PROJ');
+    });
+
+    test('returns the stored settings', async () => {
+      cache.getProjectRecency.mockResolvedValue({ halfLifeDays: null });
+
+      expect(await loadProjectRecency('PROJ')).toEqual({ halfLifeDays: null });
+    });
+  });
+
+  describe('saveProjectRecency()', () => {
+    test('stores the parsed settings', async () => {
+      const saved = await saveProjectRecency('PROJ', { halfLifeDays: '180' });
+
+      expect(saved).toEqual({ halfLifeDays: 180 });
+      expect(cache.cacheProjectRecency).toHaveBeenCalledWith('PROJ', saved);
+    });
+
+    test('throws and stores nothing when validation fails', async () => {
+      await expect(saveProjectRecency('PROJ', { halfLifeDays: -1 })).rejects.toThrow('invalid recency settings');
+      await expect(saveProjectRecency('', {})).rejects.toThrow('projectKey is required');
+      expect(cache.cacheProjectRecency).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('decayedCount()', () => {
+    test('halves an interaction for every half-life of age', () => {
+      const dates = ['2025-12-02T00:00:00Z', '2025-11-02T00:00:00Z'];
+
+      expect(decayedCount(2, dates, 30, now)).toBeCloseTo(0.5 + 0.25, 5);
+    });
+
+    test('treats undated interactions as old as the oldest date kept', () => {
+      expect(decayedCount(3, ['2025-12-02T00:00:00Z'], 30, now)).toBeCloseTo(1.5, 5);
+    });
+
+    test('leaves counts without dates or without a half-life undecayed', () => {
+      expect(decayedCount(4, [], 30, now)).toBe(4);
+      expect(decayedCount(4, undefined, 30, now)).toBe(4);
+      expect(decayedCount(2, ['2020-01-01T00:00:00Z'], null, now)).toBe(2);
+    });
+
+    test('never counts future dates above one', () => {
+      expect(decayedCount(1, ['2026-06-01T00:00:00Z'], 30, now)).toBe(1);
+    });
+  });
+});
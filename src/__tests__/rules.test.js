@@ -0,0 +1,147 @@
+jest.mock('../cache.js', () => ({
+  getProjectRules: jest.fn(),
+  cacheProjectRules: jest.fn()
+}));
+
+import {
+  validateRuleSet,
+  loadProjectRules,
+  saveProjectRules,
+  describeIssue,
+  ruleMatches,
+  findMatchingRule
+} from '../assignment/rules.js';
+import * as cache from '../cache.js';
+
+const issueFields = {
+  issuetype: { name: 'Bug' },
+  labels: ['frontend', 'urgent'],
+  components: [{ name: 'Checkout' }],
+  priority: { name: 'High' }
+};
+
+describe('rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateRuleSet()', () => {
+    test('normalises rules and fills in defaults', () => {
+      const result = validateRuleSet({
+        enabled: true,
+        rules: [{ labels: [' frontend ', 'frontend', ''], action: 'assign' }]
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.ruleSet).toEqual({
+        enabled: true,
+        rules: [{
+          name: 'rule 1',
+          enabled: true,
+          action: 'assign',
+          issueTypes: [],
+          labels: ['frontend'],
+          components: [],
+          priorities: []
+        }]
+      });
+    });
+
+    test('rejects unknown actions and malformed filters', () => {
+      const result = validateRuleSet({
+        enabled: true,
+        rules: [{ action: 'delete' }, { labels: 'frontend' }, null]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'rule 1 has unknown action: delete',
+        'rule 2 labels must be a list of names',
+        'rule 3 must be an object'
+      ]);
+    });
+
+    test('rejects input that is not a rule set', () => {
+      expect(validateRuleSet(null).valid).toBe(false);
+      expect(validateRuleSet({ enabled: true }).errors).toEqual(['rules must be an array']);
+    });
+  });
+
+  describe('loadProjectRules()', () => {
+    test('is switched off when nothing is stored', async () => {
+      cache.getProjectRules.mockResolvedValue(undefined);
+
+      expect(await loadProjectRules('PROJ')).toEqual({ enabled: false, rules: [] });
+      expect(cache.getProjectRules).toHaveBeenCalledWith('PROJ');
+    });
+
+    test('returns the stored rules', async () => {
+      cache.getProjectRules.mockResolvedValue({ enabled: true, rules: [{ name: 'Bugs', issueTypes: ['Bug'] }] });
+
+      const ruleSet = await loadProjectRules('PROJ');
+
+      expect(ruleSet.enabled).toBe(true);
+      expect(ruleSet.rules[0]).toMatchObject({ name: 'Bugs', issueTypes: ['Bug'], action: 'recommend' });
+    });
+  });
+
+  describe('saveProjectRules()', () => {
+    test('stores the normalised rule set', async () => {
+      const saved = await saveProjectRules('PROJ', { enabled: true, rules: [{ priorities: ['High'] }] });
+
+      expect(cache.cacheProjectRules).toHaveBeenCalledWith('PROJ', saved);
+      expect(saved.rules[0].priorities).toEqual(['High']);
+    });
+
+    test('throws and stores nothing when validation fails', async () => {
+      await expect(saveProjectRules('PROJ', { rules: [{ action: 'x' }] })).rejects.toThrow('invalid rules');
+      expect(cache.cacheProjectRules).not.toHaveBeenCalled();
+    });
+
+    test('requires a project key', async () => {
+      await expect(saveProjectRules('', { rules: [] })).rejects.toThrow('projectKey is required');
+    });
+  });
+
+  test('describeIssue extracts the filtered fields', () => {
+    expect(describeIssue(issueFields)).toEqual({
+      issueType: 'Bug',
+      labels: ['frontend', 'urgent'],
+      components: ['Checkout'],
+      priority: 'High'
+    });
+    expect(describeIssue(undefined)).toEqual({ issueType: null, labels: [], components: [], priority: null });
+  });
+
+  describe('ruleMatches()', () => {
+    const issue = describeIssue(issueFields);
+    const baseRule = { enabled: true, issueTypes: [], labels: [], components: [], priorities: [] };
+
+    test('empty filters match any issue', () => {
+      expect(ruleMatches(baseRule, issue)).toBe(true);
+    });
+
+    test('every set filter must match, ignoring case', () => {
+      expect(ruleMatches({ ...baseRule, issueTypes: ['bug'], labels: ['URGENT', 'other'] }, issue)).toBe(true);
+      expect(ruleMatches({ ...baseRule, issueTypes: ['Bug'], priorities: ['Low'] }, issue)).toBe(false);
+      expect(ruleMatches({ ...baseRule, components: ['Search'] }, issue)).toBe(false);
+    });
+
+    test('disabled rules never match', () => {
+      expect(ruleMatches({ ...baseRule, enabled: false }, issue)).toBe(false);
+    });
+  });
+
+  test('findMatchingRule returns the first matching rule of an enabled rule set', () => {
+    const issue = describeIssue(issueFields);
+    const rules = [
+      { name: 'Stories', enabled: true, issueTypes: ['Story'], labels: [], components: [], priorities: [] },
+      { name: 'Urgent', enabled: true, issueTypes: [], labels: ['urgent'], components: [], priorities: [] },
+      { name: 'Anything', enabled: true, issueTypes: [], labels: [], components: [], priorities: [] }
+    ];
+
+    expect(findMatchingRule({ enabled: true, rules }, issue).name).toBe('Urgent');
+    expect(findMatchingRule({ enabled: false, rules }, issue)).toBeNull();
+    expect(findMatchingRule({ enabled: true, rules: [rules[0]] }, issue)).toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../cache.js', () => ({
+  allProjects: jest.fn(),
+  getRefreshWatermark: jest.fn(),
+  cacheRefreshWatermark: jest.fn()
+}));
+
+jest.mock('../scrapers/scrapeOrchestrator.js', () => ({
+  incrementalScrape: jest.fn(),
+  updateUserWorkloads: jest.fn()
+}));
+
+import { refreshProject, runScheduledRefresh, FALLBACK_WINDOW_MS } from '../scheduledRefresh.js';
+import * as cache from '../cache.js';
+import * as scrapeOrchestrator from '../scrapers/scrapeOrchestrator.js';
+
+const NOW = Date.parse('2024-03-10T12:00:00.000Z');
+
+describe('scheduledRefresh', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    scrapeOrchestrator.incrementalScrape.mockResolvedValue({ success: true, issuesFound: 2 });
+    scrapeOrchestrator.updateUserWorkloads.mockResolvedValue({ success: true, updated: 3 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refreshProject()', () => {
+    test('scrapes from the stored watermark and advances it', async () => {
+      cache.getRefreshWatermark.mockResolvedValue('2024-03-10T11:00:00.000Z');
+
+      const result = await refreshProject('PROJ');
+
+      expect(scrapeOrchestrator.incrementalScrape).toHaveBeenCalledWith(
+        'PROJ',
+        '2024-03-10T11:00:00.000Z',
+        { refreshWorkloads: false }
+      );
+      expect(scrapeOrchestrator.updateUserWorkloads).toHaveBeenCalledWith('PROJ');
+      expect(cache.cacheRefreshWatermark).toHaveBeenCalledWith('PROJ', new Date(NOW).toISOString());
+      expect(result.success).toBe(true);
+    });
+
+    test('falls back to a fixed window without a watermark', async () => {
+      cache.getRefreshWatermark.mockResolvedValue(undefined);
+
+      const result = await refreshProject('PROJ');
+
+      const expectedSince = new Date(NOW - FALLBACK_WINDOW_MS).toISOString();
+      expect(scrapeOrchestrator.incrementalScrape).toHaveBeenCalledWith(
+        'PROJ',
+        expectedSince,
+        { refreshWorkloads: false }
+      );
+      expect(result.since).toBe(expectedSince);
+    });
+
+    test('keeps the watermark when the scrape fails', async () => {
+      cache.getRefreshWatermark.mockResolvedValue('2024-03-10T11:00:00.000Z');
+      scrapeOrchestrator.incrementalScrape.mockResolvedValue({ success: false, error: 'boom' });
+
+      const result = await refreshProject('PROJ');
+
+      expect(cache.cacheRefreshWatermark).not.toHaveBeenCalled();
+      expect(scrapeOrchestrator.updateUserWorkloads).toHaveBeenCalledWith('PROJ');
+      expect(result.success).toBe(false);
+    });
+
+    test('keeps the watermark when a single issue could not be scraped', async () => {
+      cache.getRefreshWatermark.mockResolvedValue('2024-03-10T11:00:00.000Z');
+      scrapeOrchestrator.incrementalScrape.mockResolvedValue({
+        success: true,
+        issuesFound: 2,
+        issuesProcessed: 1,
+        errors: ['PROJ-2: request failed']
+      });
+
+      await refreshProject('PROJ');
+
+      expect(cache.cacheRefreshWatermark).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runScheduledRefresh()', () => {
+    test('refreshes every registered project', async () => {
+      cache.allProjects.mockResolvedValue(['PROJ', 'OTHER']);
+      cache.getRefreshWatermark.mockResolvedValue('2024-03-10T11:00:00.000Z');
+
+      const result = await runScheduledRefresh();
+
+      expect(scrapeOrchestrator.incrementalScrape).toHaveBeenCalledTimes(2);
+      expect(result.success).toBe(true);
+      expect(result.projects.map(project => project.projectKey)).toEqual(['PROJ', 'OTHER']);
+    });
+
+    test('continues with remaining projects when one throws', async () => {
+      cache.allProjects.mockResolvedValue(['BROKEN', 'PROJ']);
+      cache.getRefreshWatermark
+        .mockRejectedValueOnce(new Error('storage unavailable'))
+        .mockResolvedValueOnce('2024-03-10T11:00:00.000Z');
+
+      const result = await runScheduledRefresh();
+
+      expect(result.success).toBe(false);
+      expect(result.projects[0]).toEqual({ projectKey: 'BROKEN', success: false, error: 'storage unavailable' });
+      expect(result.projects[1].success).toBe(true);
+    });
+
+    test('does nothing when no project has been initialised', async () => {
+      cache.allProjects.mockResolvedValue([]);
+
+      const result = await runScheduledRefresh();
+
+      expect(scrapeOrchestrator.incrementalScrape).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true, projects: [] });
+    });
+  });
+});
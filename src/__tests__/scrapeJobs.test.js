@@ -0,0 +1,322 @@
+jest.mock('@forge/events', () => {
+  const mockPush = jest.fn();
+  class Queue {
+    constructor(params) {
+      this.params = params;
+    }
+
+    push(events) {
+      return mockPush(events);
+    }
+  }
+  class InvocationError {
+    constructor(retryOptions) {
+      this.retryOptions = retryOptions;
+    }
+  }
+  return {
+    __esModule: true,
+    Queue,
+    InvocationError,
+    InvocationErrorCode: { FUNCTION_RETRY_REQUEST: 'FUNCTION_RETRY_REQUEST' },
+    __mockPush: mockPush
+  };
+});
+
+jest.mock('../cache.js', () => ({
+  getScrapeJob: jest.fn(),
+  cacheScrapeJob: jest.fn(),
+  getScrapeJobIssueKeys: jest.fn(),
+  cacheScrapeJobIssueKeys: jest.fn(),
+  cacheUserProfile: jest.fn(),
+  clearEntityData: jest.fn(),
+  getRefreshWatermark: jest.fn(),
+  cacheRefreshWatermark: jest.fn()
+}));
+
+jest.mock('../scrapers/jiraScraper.js', () => ({
+  scrapeAssignableUsers: jest.fn(),
+  scrapeProjectEpics: jest.fn(),
+  scrapeProjectIssues: jest.fn()
+}));
+
+jest.mock('../scrapers/scrapeOrchestrator.js', () => ({
+  scrapeIssueBatch: jest.fn(),
+  updateUserWorkloads: jest.fn(),
+  scrapeProjectConfluence: jest.fn()
+}));
+
+jest.mock('../scrapers/jiraRequest.js', () => ({
+  resetRequestMetrics: jest.fn(),
+  getRequestMetrics: jest.fn(() => ({}))
+}));
+
+import {
+  ISSUE_BATCH_SIZE,
+  CURSOR_SAVE_INTERVAL,
+  MAX_BATCH_RETRIES,
+  STALE_JOB_MS,
+  startScrapeJob,
+  resumeScrapeJob,
+  getScrapeJobProgress,
+  runScrapeBatch
+} from '../scrapeJobs.js';
+import { InvocationError, __mockPush } from '@forge/events';
+import * as cache from '../cache.js';
+import * as jiraScraper from '../scrapers/jiraScraper.js';
+import * as scrapeOrchestrator from '../scrapers/scrapeOrchestrator.js';
+import * as jiraRequest from '../scrapers/jiraRequest.js';
+
+const issueKeys = (count) => Array.from({ length: count }, (_, idx) => `PROJ-${idx + 1}`);
+
+// stands in for scrapeIssueBatch, reporting each issue the way it does
+const batchOf = (resultFor) => async (keys, onIssue) => {
+  for (const issueKey of keys) {
+    await onIssue(resultFor(issueKey));
+  }
+};
+
+describe('scrapeJobs', () => {
+  let jobs;
+  let jobIssueKeys;
+
+  const storedJob = () => jobs.get('PROJ');
+  const eventFor = (job) => ({ body: { projectKey: job.projectKey, jobId: job.id } });
+  // issue keys are stored apart from the job record
+  const runningJob = ({ issueKeys: keys = [], ...changes } = {}) => {
+    jobIssueKeys.set('PROJ', keys);
+    return jobRecord(keys.length, changes);
+  };
+  const jobRecord = (issuesTotal, changes) => ({
+    id: 'job-1',
+    projectKey: 'PROJ',
+    status: 'running',
+    phase: 'issues',
+    options: { maxIssues: 1000, includeConfluence: true, clearExistingData: false },
+    issuesTotal,
+    cursor: 0,
+    counts: { usersScraped: 2, epicsScraped: 1, issuesScraped: 0, confluencePagesScraped: 0 },
+    errors: [],
+    errorCount: 0,
+    failedAttempts: 0,
+    requestMetrics: {},
+    startedAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: new Date().toISOString(),
+    finishedAt: null,
+    ...changes
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobs = new Map();
+    jobIssueKeys = new Map();
+    cache.getScrapeJobIssueKeys.mockImplementation(async projectKey => jobIssueKeys.get(projectKey));
+    cache.cacheScrapeJobIssueKeys.mockImplementation(async (projectKey, keys) => {
+      jobIssueKeys.set(projectKey, keys);
+    });
+    cache.getScrapeJob.mockImplementation(async projectKey => (jobs.has(projectKey) ? structuredClone(jobs.get(projectKey)) : undefined));
+    cache.cacheScrapeJob.mockImplementation(async (projectKey, job) => {
+      jobs.set(projectKey, structuredClone(job));
+    });
+    __mockPush.mockResolvedValue({ jobId: 'queue-job' });
+    scrapeOrchestrator.scrapeIssueBatch.mockImplementation(batchOf(issueKey => ({ issueKey, success: true })));
+  });
+
+  describe('startScrapeJob()', () => {
+    test('saves a running job and queues its first batch', async () => {
+      const progress = await startScrapeJob('PROJ', { maxIssues: 50, includeConfluence: false });
+
+      expect(storedJob()).toMatchObject({
+        status: 'running',
+        phase: 'setup',
+        cursor: 0,
+        options: { maxIssues: 50, includeConfluence: false, clearExistingData: false }
+      });
+      expect(__mockPush).toHaveBeenCalledWith({ body: { projectKey: 'PROJ', jobId: storedJob().id } });
+      expect(progress).toMatchObject({ id: storedJob().id, status: 'running', progress: 0, issuesTotal: 0 });
+      expect(progress.issueKeys).toBeUndefined();
+    });
+
+    test('reports the running job instead of starting a second one', async () => {
+      jobs.set('PROJ', runningJob());
+
+      const progress = await startScrapeJob('PROJ');
+
+      expect(progress.id).toBe('job-1');
+      expect(__mockPush).not.toHaveBeenCalled();
+    });
+
+    test('replaces a job that stopped saving progress', async () => {
+      jobs.set('PROJ', runningJob({ updatedAt: new Date(Date.now() - STALE_JOB_MS - 1000).toISOString() }));
+
+      const progress = await startScrapeJob('PROJ');
+
+      expect(progress.id).not.toBe('job-1');
+      expect(__mockPush).toHaveBeenCalledTimes(1);
+    });
+
+    test('requires a project key', async () => {
+      await expect(startScrapeJob('')).rejects.toThrow('projectKey is required');
+    });
+  });
+
+  describe('runScrapeBatch()', () => {
+    test('finds users, epics and issues in the setup batch', async () => {
+      jobs.set('PROJ', runningJob({ phase: 'setup', options: { maxIssues: 50, includeConfluence: true, clearExistingData: true } }));
+      jiraScraper.scrapeAssignableUsers.mockResolvedValue([{ accountId: 'user-1' }, { accountId: 'user-2' }, { accountId: 'user-3' }]);
+      jiraScraper.scrapeProjectEpics.mockResolvedValue([{ key: 'EPIC-1' }]);
+      jiraScraper.scrapeProjectIssues.mockResolvedValue(issueKeys(3));
+
+      await runScrapeBatch(eventFor(storedJob()));
+
+      expect(cache.clearEntityData).toHaveBeenCalled();
+      expect(cache.cacheUserProfile).toHaveBeenCalledTimes(3);
+      expect(jiraScraper.scrapeProjectIssues).toHaveBeenCalledWith('PROJ', 50);
+      expect(storedJob()).toMatchObject({ phase: 'issues', issuesTotal: 3, counts: { usersScraped: 3, epicsScraped: 1 } });
+      expect(storedJob().issueKeys).toBeUndefined();
+      expect(cache.cacheScrapeJobIssueKeys).toHaveBeenCalledWith('PROJ', issueKeys(3));
+      expect(__mockPush).toHaveBeenCalledWith({ body: { projectKey: 'PROJ', jobId: 'job-1' } });
+    });
+
+    test('scrapes one batch of issues and saves the cursor every few issues', async () => {
+      jobs.set('PROJ', runningJob({ issueKeys: issueKeys(ISSUE_BATCH_SIZE + 5) }));
+      scrapeOrchestrator.scrapeIssueBatch.mockImplementation(batchOf(issueKey => (
+        issueKey === 'PROJ-2' ? { issueKey, success: false, error: 'failed to scrape issue details' } : { issueKey, success: true }
+      )));
+
+      await runScrapeBatch(eventFor(storedJob()));
+
+      expect(scrapeOrchestrator.scrapeIssueBatch).toHaveBeenCalledTimes(1);
+      expect(scrapeOrchestrator.scrapeIssueBatch.mock.calls[0][0]).toEqual(issueKeys(ISSUE_BATCH_SIZE));
+      expect(cache.cacheScrapeJob).toHaveBeenCalledTimes(ISSUE_BATCH_SIZE / CURSOR_SAVE_INTERVAL + 1);
+      expect(cache.cacheScrapeJobIssueKeys).not.toHaveBeenCalled();
+      expect(storedJob()).toMatchObject({
+        phase: 'issues',
+        cursor: ISSUE_BATCH_SIZE,
+        counts: { issuesScraped: ISSUE_BATCH_SIZE - 1 },
+        errors: ['failed to scrape issue PROJ-2: failed to scrape issue details'],
+        errorCount: 1
+      });
+      expect(__mockPush).toHaveBeenCalledTimes(1);
+
+      const progress = await getScrapeJobProgress('PROJ');
+      expect(progress.issuesProcessed).toBe(ISSUE_BATCH_SIZE);
+      expect(progress.progress).toBeCloseTo(0.9 * ISSUE_BATCH_SIZE / (ISSUE_BATCH_SIZE + 5));
+    });
+
+    test('picks up from the saved cursor after an interrupted batch', async () => {
+      jobs.set('PROJ', runningJob({ issueKeys: issueKeys(4), cursor: 2, counts: { usersScraped: 0, epicsScraped: 0, issuesScraped: 2, confluencePagesScraped: 0 } }));
+
+      await runScrapeBatch(eventFor(storedJob()));
+
+      expect(scrapeOrchestrator.scrapeIssueBatch.mock.calls[0][0]).toEqual(['PROJ-3', 'PROJ-4']);
+      expect(storedJob()).toMatchObject({ phase: 'workloads', cursor: 4, counts: { issuesScraped: 4 } });
+    });
+
+    test('finishes with workloads and confluence and moves the refresh watermark', async () => {
+      jobs.set('PROJ', runningJob({ phase: 'workloads', issueKeys: issueKeys(2), cursor: 2 }));
+      scrapeOrchestrator.updateUserWorkloads.mockResolvedValue({ success: true, errors: [{ user: 'Bob', error: 'boom' }] });
+      scrapeOrchestrator.scrapeProjectConfluence.mockResolvedValue({ confluencePagesScraped: 7, errors: [] });
+
+      await runScrapeBatch(eventFor(storedJob()));
+      expect(storedJob().phase).toBe('confluence');
+      expect(storedJob().errors).toEqual(['error scraping workload for Bob: boom']);
+
+      await runScrapeBatch(eventFor(storedJob()));
+
+      expect(storedJob()).toMatchObject({ status: 'completed', phase: 'done', counts: { confluencePagesScraped: 7 } });
+      expect(storedJob().finishedAt).toEqual(expect.any(String));
+      expect(cache.cacheRefreshWatermark).toHaveBeenCalledWith('PROJ', '2024-01-01T00:00:00.000Z');
+      expect(__mockPush).toHaveBeenCalledTimes(1);
+      expect((await getScrapeJobProgress('PROJ')).progress).toBe(1);
+    });
+
+    test('keeps a newer refresh watermark', async () => {
+      jobs.set('PROJ', runningJob({ phase: 'confluence' }));
+      scrapeOrchestrator.scrapeProjectConfluence.mockResolvedValue({ confluencePagesScraped: 0, errors: [] });
+      cache.getRefreshWatermark.mockResolvedValue('2024-02-01T00:00:00.000Z');
+
+      await runScrapeBatch(eventFor(storedJob()));
+
+      expect(cache.cacheRefreshWatermark).not.toHaveBeenCalled();
+    });
+
+    test('adds up request metrics across batches', async () => {
+      jobs.set('PROJ', runningJob({
+        issueKeys: issueKeys(1),
+        requestMetrics: {
+          'GET /rest/api/3/issue/{id}': { requests: 2, retries: 1, throttled: 1, serverErrors: 0, failures: 0, totalWaitMs: 500, averageDurationMs: 100 }
+        }
+      }));
+      jiraRequest.getRequestMetrics.mockReturnValueOnce({
+        'GET /rest/api/3/issue/{id}': { requests: 2, retries: 0, throttled: 0, serverErrors: 0, failures: 0, totalWaitMs: 0, averageDurationMs: 200 },
+        'GET /rest/api/3/issue/{id}/comment': { requests: 1, retries: 0, throttled: 0, serverErrors: 0, failures: 0, totalWaitMs: 0, averageDurationMs: 50 }
+      });
+
+      await runScrapeBatch(eventFor(storedJob()));
+
+      expect(jiraRequest.resetRequestMetrics).toHaveBeenCalled();
+      expect(storedJob().requestMetrics).toEqual({
+        'GET /rest/api/3/issue/{id}': { requests: 4, retries: 1, throttled: 1, serverErrors: 0, failures: 0, totalWaitMs: 500, averageDurationMs: 150 },
+        'GET /rest/api/3/issue/{id}/comment': { requests: 1, retries: 0, throttled: 0, serverErrors: 0, failures: 0, totalWaitMs: 0, averageDurationMs: 50 }
+      });
+    });
+
+    test('asks the queue to retry a failing batch, then gives up on the job', async () => {
+      jobs.set('PROJ', runningJob({ phase: 'setup' }));
+      jiraScraper.scrapeAssignableUsers.mockRejectedValue(new Error('jira is down'));
+
+      const result = await runScrapeBatch(eventFor(storedJob()));
+
+      expect(result).toBeInstanceOf(InvocationError);
+      expect(result.retryOptions.retryAfter).toBeGreaterThan(0);
+      expect(storedJob()).toMatchObject({ status: 'running', failedAttempts: 1, errors: ['setup batch failed: jira is down'] });
+
+      for (let attempt = 1; attempt <= MAX_BATCH_RETRIES; attempt++) {
+        await runScrapeBatch(eventFor(storedJob()));
+      }
+
+      expect(storedJob().status).toBe('failed');
+      expect(storedJob().errorCount).toBe(MAX_BATCH_RETRIES + 1);
+      expect(__mockPush).not.toHaveBeenCalled();
+    });
+
+    test('ignores events of a job that was replaced or has stopped', async () => {
+      jobs.set('PROJ', runningJob({ id: 'job-2', issueKeys: issueKeys(1) }));
+
+      await runScrapeBatch({ body: { projectKey: 'PROJ', jobId: 'job-1' } });
+      jobs.set('PROJ', runningJob({ status: 'failed', issueKeys: issueKeys(1) }));
+      await runScrapeBatch({ body: { projectKey: 'PROJ', jobId: 'job-1' } });
+
+      expect(scrapeOrchestrator.scrapeIssueBatch).not.toHaveBeenCalled();
+      expect(cache.cacheScrapeJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resumeScrapeJob()', () => {
+    test('requeues a failed job from its saved cursor', async () => {
+      jobs.set('PROJ', runningJob({ status: 'failed', failedAttempts: 4, issueKeys: issueKeys(10), cursor: 6, finishedAt: '2024-01-01T01:00:00.000Z' }));
+
+      const progress = await resumeScrapeJob('PROJ');
+
+      expect(storedJob()).toMatchObject({ status: 'running', failedAttempts: 0, cursor: 6, finishedAt: null });
+      expect(__mockPush).toHaveBeenCalledWith({ body: { projectKey: 'PROJ', jobId: 'job-1' } });
+      expect(progress.issuesProcessed).toBe(6);
+    });
+
+    test('leaves a job that is still making progress alone', async () => {
+      jobs.set('PROJ', runningJob());
+
+      await resumeScrapeJob('PROJ');
+
+      expect(__mockPush).not.toHaveBeenCalled();
+    });
+
+    test('refuses when there is nothing to resume', async () => {
+      await expect(resumeScrapeJob('PROJ')).rejects.toThrow('no scrape job found');
+
+      jobs.set('PROJ', runningJob({ status: 'completed' }));
+      await expect(resumeScrapeJob('PROJ')).rejects.toThrow('already completed');
+    });
+  });
+});
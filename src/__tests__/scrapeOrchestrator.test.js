@@ -1,18 +1,15 @@
-jest.mock('@forge/api', () => {
-  const mockRequestJira = jest.fn();
-  const asApp = jest.fn(() => ({ requestJira: mockRequestJira }));
-  const route = (strings, ...values) =>
-    strings.reduce((acc, str, idx) => acc + str + (values[idx] ?? ''), '');
-  return {
-    __esModule: true,
-    default: { asApp },
-    asApp,
-    route,
-    __mockRequestJira: mockRequestJira
-  };
-});
+jest.mock('../scrapers/jiraSearch.js', () => ({
+  searchIssues: jest.fn()
+}));
+
+jest.mock('../scrapers/jiraRequest.js', () => ({
+  resetRequestMetrics: jest.fn(),
+  getRequestMetrics: jest.fn(() => ({ 'GET /rest/api/3/issue/{id}': { requests: 3, retries: 1 } }))
+}));
 
 jest.mock('../scrapers/jiraScraper.js', () => ({
+  BULK_FETCH_SIZE: 2,
+  scrapeIssuesBulk: jest.fn(),
   scrapeAssignableUsers: jest.fn(),
   scrapeProjectEpics: jest.fn(),
   scrapeProjectIssues: jest.fn(),
@@ -37,17 +34,20 @@ jest.mock('../scrapers/dataProcessor.js', () => ({
 }));
 
 jest.mock('../cache.js', () => ({
-  resetCache: jest.fn(),
+  clearEntityData: jest.fn(),
   cacheUserProfile: jest.fn(),
   allUserProfiles: jest.fn(),
-  allIssues: jest.fn()
+  allIssues: jest.fn(),
+  getProjectConfluenceSettings: jest.fn()
 }));
 
 import * as orchestrator from '../scrapers/scrapeOrchestrator.js';
 import * as jiraScraper from '../scrapers/jiraScraper.js';
+import * as confluenceScraper from '../scrapers/confluenceScraper.js';
 import * as dataProcessor from '../scrapers/dataProcessor.js';
 import * as cache from '../cache.js';
-import { __mockRequestJira } from '@forge/api';
+import { searchIssues } from '../scrapers/jiraSearch.js';
+import * as jiraRequest from '../scrapers/jiraRequest.js';
 
 describe('scrapeOrchestrator', () => {
   beforeEach(() => {
@@ -60,6 +60,11 @@ describe('scrapeOrchestrator', () => {
     jiraScraper.scrapeProjectEpics.mockResolvedValue([{ key: 'EPIC-1' }]);
     jiraScraper.scrapeProjectIssues.mockResolvedValue(['PROJ-1']);
     jiraScraper.scrapeIssueDetails.mockResolvedValue({ key: 'PROJ-1', resolutionDate: null });
+    jiraScraper.scrapeIssuesBulk.mockImplementation(async keys => keys.map(key => ({
+      issueData: { key, resolutionDate: null },
+      worklogs: [],
+      comments: []
+    })));
     jiraScraper.scrapeIssueWorklogs.mockResolvedValue([]);
     jiraScraper.scrapeIssueComments.mockResolvedValue([]);
     jiraScraper.scrapeUserWorkload.mockResolvedValue({ totalIssues: 1 });
@@ -81,8 +86,49 @@ describe('scrapeOrchestrator', () => {
 
     expect(stats.usersScraped).toBe(2);
     expect(stats.issuesScraped).toBe(1);
-    expect(jiraScraper.scrapeIssueDetails).toHaveBeenCalledWith('PROJ-1');
+    expect(jiraScraper.scrapeIssuesBulk).toHaveBeenCalledWith(['PROJ-1']);
+    expect(jiraScraper.scrapeIssueDetails).not.toHaveBeenCalled();
     expect(dataProcessor.processUserWorkload).toHaveBeenCalledTimes(2);
+    expect(jiraRequest.resetRequestMetrics).toHaveBeenCalled();
+    expect(stats.requestMetrics).toEqual({ 'GET /rest/api/3/issue/{id}': { requests: 3, retries: 1 } });
+  });
+
+  test('scrapeFullProject scrapes the confluence spaces configured for the project', async () => {
+    cache.getProjectConfluenceSettings.mockResolvedValue({ spaceKeys: ['DOCS', 'ENG'] });
+    confluenceScraper.scrapePagesInSpace.mockImplementation(async spaceKey => (spaceKey === 'DOCS' ? ['p1', 'p2'] : ['p3']));
+    confluenceScraper.scrapePageDetails.mockImplementation(async pageId => (pageId === 'p2' ? null : { id: pageId }));
+    confluenceScraper.scrapePageContributors.mockResolvedValue([{ accountId: 'user-1' }]);
+
+    const stats = await orchestrator.scrapeFullProject('PROJ', { maxIssues: 10 });
+
+    expect(confluenceScraper.scrapePagesInSpace).toHaveBeenCalledWith('DOCS', 100);
+    expect(confluenceScraper.scrapePagesInSpace).toHaveBeenCalledWith('ENG', 100);
+    expect(dataProcessor.processConfluencePage).toHaveBeenCalledWith({ id: 'p1' }, [{ accountId: 'user-1' }]);
+    expect(dataProcessor.processConfluencePage).toHaveBeenCalledTimes(2);
+    expect(stats.confluencePagesScraped).toBe(2);
+  });
+
+  test('scrapeFullProject skips confluence when no spaces are configured', async () => {
+    cache.getProjectConfluenceSettings.mockResolvedValue(undefined);
+
+    const stats = await orchestrator.scrapeFullProject('PROJ', { maxIssues: 10 });
+
+    expect(confluenceScraper.scrapePagesInSpace).not.toHaveBeenCalled();
+    expect(stats.confluencePagesScraped).toBe(0);
+  });
+
+  test('scrapeProjectConfluence records page errors and carries on', async () => {
+    cache.getProjectConfluenceSettings.mockResolvedValue({ spaceKeys: ['DOCS'] });
+    confluenceScraper.scrapePagesInSpace.mockResolvedValue(['p1', 'p2']);
+    confluenceScraper.scrapePageDetails.mockImplementation(async pageId => ({ id: pageId }));
+    confluenceScraper.scrapePageContributors.mockResolvedValue([]);
+    dataProcessor.processConfluencePage.mockRejectedValueOnce(new Error('boom'));
+
+    const stats = await orchestrator.scrapeProjectConfluence('PROJ');
+
+    expect(stats.spaceKeys).toEqual(['DOCS']);
+    expect(stats.confluencePagesScraped).toBe(1);
+    expect(stats.errors).toEqual(['error processing confluence page p1: boom']);
   });
 
   test('scrapeFullProject handles invalid project key', async () => {
@@ -101,6 +147,42 @@ describe('scrapeOrchestrator', () => {
     expect(result.success).toBe(false);
   });
 
+  test('scrapeIssueBatch fetches issues a bulk chunk at a time and reports each in key order', async () => {
+    jiraScraper.scrapeIssuesBulk.mockImplementation(async keys => keys
+      .filter(key => key !== 'PROJ-2')
+      .map(key => ({ issueData: { key }, worklogs: [{ timeSpentSeconds: 60 }], comments: [] })));
+    dataProcessor.processIssue.mockImplementation(async issueData => {
+      if (issueData.key === 'PROJ-3') throw new Error('boom');
+    });
+    const onIssue = jest.fn();
+
+    const results = await orchestrator.scrapeIssueBatch(['PROJ-1', 'PROJ-2', 'PROJ-3'], onIssue);
+
+    expect(jiraScraper.scrapeIssuesBulk.mock.calls).toEqual([[['PROJ-1', 'PROJ-2']], [['PROJ-3']]]);
+    expect(dataProcessor.processIssue).toHaveBeenCalledWith({ key: 'PROJ-1' }, [{ timeSpentSeconds: 60 }], []);
+    expect(results).toEqual([
+      { issueKey: 'PROJ-1', success: true, fetched: true },
+      { issueKey: 'PROJ-2', success: false, fetched: false, error: 'failed to scrape issue details' },
+      { issueKey: 'PROJ-3', success: false, fetched: true, error: 'boom' }
+    ]);
+    expect(onIssue.mock.calls.map(([result]) => result)).toEqual(results);
+  });
+
+  test('scrapeFullProject records issues that could not be fetched or processed', async () => {
+    jiraScraper.scrapeProjectIssues.mockResolvedValueOnce(['PROJ-1', 'PROJ-2', 'PROJ-3']);
+    jiraScraper.scrapeIssuesBulk.mockImplementation(async keys => keys
+      .filter(key => key !== 'PROJ-2')
+      .map(key => ({ issueData: { key }, worklogs: [], comments: [] })));
+    dataProcessor.processIssue.mockImplementation(async issueData => {
+      if (issueData.key === 'PROJ-3') throw new Error('boom');
+    });
+
+    const stats = await orchestrator.scrapeFullProject('PROJ', { includeConfluence: false });
+
+    expect(stats.issuesScraped).toBe(1);
+    expect(stats.errors).toEqual(['failed to scrape issue: PROJ-2', 'error processing issue PROJ-3: boom']);
+  });
+
   test('updateUserWorkloads updates each user', async () => {
     const result = await orchestrator.updateUserWorkloads('PROJ');
     expect(result.success).toBe(true);
@@ -115,16 +197,36 @@ describe('scrapeOrchestrator', () => {
   });
 
   test('incrementalScrape processes updated issues', async () => {
-    __mockRequestJira.mockResolvedValueOnce({
-      ok: true,
-      json: jest.fn().mockResolvedValue({ issues: [{ key: 'PROJ-1' }] })
-    });
+    searchIssues.mockResolvedValueOnce([{ key: 'PROJ-1' }]);
 
     const result = await orchestrator.incrementalScrape('PROJ', '2024-01-01');
 
     expect(result.success).toBe(true);
     expect(result.issuesProcessed).toBe(1);
     expect(result.issuesFound).toBe(1);
+    expect(jiraScraper.scrapeIssuesBulk).toHaveBeenCalledWith(['PROJ-1']);
+    expect(result.requestMetrics['GET /rest/api/3/issue/{id}'].retries).toBe(1);
+  });
+
+  test('incrementalScrape queries relative to now and can skip workloads', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T02:00:30Z'));
+    searchIssues.mockResolvedValueOnce([]);
+
+    const result = await orchestrator.incrementalScrape('PROJ', '2024-01-01T00:00:00Z', {
+      refreshWorkloads: false
+    });
+
+    expect(result.success).toBe(true);
+    expect(searchIssues).toHaveBeenCalledWith(expect.stringContaining('updated >= -121m'), { fields: ['key'] });
+    expect(jiraScraper.scrapeAssignableUsers).not.toHaveBeenCalled();
+    Date.now.mockRestore();
+  });
+
+  test('incrementalScrape rejects an unparseable sinceDate', async () => {
+    const result = await orchestrator.incrementalScrape('PROJ', 'last tuesday');
+
+    expect(result).toEqual({ success: false, error: 'invalid sinceDate' });
+    expect(searchIssues).not.toHaveBeenCalled();
   });
 });
 
@@ -0,0 +1,114 @@
+jest.mock('../cache.js', () => ({
+  getProjectStrategy: jest.fn(),
+  cacheProjectStrategy: jest.fn()
+}));
+
+import {
+  DEFAULT_STRATEGY,
+  validateStrategy,
+  loadProjectStrategy,
+  saveProjectStrategy,
+  resolveStrategy,
+  applyStrategy
+} from '../assignment/strategies.js';
+import * as cache from '../cache.js';
+
+// candidates arrive sorted by score
+const candidates = [
+  { accountId: 'user-b', finalScore: 6, workload: { totalIssues: 5, totalEstimateSeconds: 0 } },
+  { accountId: 'user-c', finalScore: 3, workload: { totalIssues: 1, totalEstimateSeconds: 7200 } },
+  { accountId: 'user-a', finalScore: 1, workload: { totalIssues: 1, totalEstimateSeconds: 3600 } }
+];
+
+const pickedBy = (strategy, options) => applyStrategy(candidates, strategy, options).candidates[0].accountId;
+
+describe('strategies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateStrategy()', () => {
+    test('accepts a name on its own and fills in defaults', () => {
+      expect(validateStrategy('round-robin')).toEqual({
+        valid: true,
+        errors: [],
+        strategy: { name: 'round-robin', topN: DEFAULT_STRATEGY.topN }
+      });
+      expect(validateStrategy({ name: 'least-loaded', topN: '5' }).strategy).toEqual({ name: 'least-loaded', topN: 5 });
+    });
+
+    test('rejects unknown strategies and bad pool sizes', () => {
+      expect(validateStrategy({ name: 'coin-flip', topN: 0 }).errors).toEqual([
+        'unknown strategy: coin-flip',
+        'topN must be a whole number between 1 and 50'
+      ]);
+      expect(validateStrategy(null).valid).toBe(false);
+    });
+  });
+
+  test('loadProjectStrategy falls back to highest score', async () => {
+    cache.getProjectStrategy.mockResolvedValue(undefined);
+
+    expect(await loadProjectStrategy('PROJ')).toEqual(DEFAULT_STRATEGY);
+    expect(cache.getProjectStrategy).toHaveBeenCalledWith('PROJ');
+  });
+
+  describe('saveProjectStrategy()', () => {
+    test('stores the parsed strategy', async () => {
+      const saved = await saveProjectStrategy('PROJ', { name: 'weighted-random' });
+
+      expect(cache.cacheProjectStrategy).toHaveBeenCalledWith('PROJ', saved);
+      expect(saved.name).toBe('weighted-random');
+    });
+
+    test('throws and stores nothing when validation fails', async () => {
+      await expect(saveProjectStrategy('PROJ', { name: 'x' })).rejects.toThrow('invalid strategy');
+      await expect(saveProjectStrategy('', {})).rejects.toThrow('projectKey is required');
+      expect(cache.cacheProjectStrategy).not.toHaveBeenCalled();
+    });
+  });
+
+  test('resolveStrategy prefers the override to the stored strategy', async () => {
+    cache.getProjectStrategy.mockResolvedValue({ name: 'round-robin' });
+
+    expect((await resolveStrategy('PROJ', 'least-loaded')).name).toBe('least-loaded');
+    expect((await resolveStrategy('PROJ', null)).name).toBe('round-robin');
+    await expect(resolveStrategy('PROJ', 'x')).rejects.toThrow('invalid strategy');
+  });
+
+  describe('applyStrategy()', () => {
+    test('highest-score keeps the score order', () => {
+      const result = applyStrategy(candidates, { name: 'highest-score' });
+
+      expect(result.candidates.map(c => c.accountId)).toEqual(['user-b', 'user-c', 'user-a']);
+      expect(result.selection).toEqual({ strategy: 'highest-score', reason: 'highest score' });
+    });
+
+    test('round-robin follows account ids after the last pick and wraps around', () => {
+      expect(pickedBy({ name: 'round-robin' }, { lastAccountId: null })).toBe('user-a');
+      expect(pickedBy({ name: 'round-robin' }, { lastAccountId: 'user-a' })).toBe('user-b');
+      expect(pickedBy({ name: 'round-robin' }, { lastAccountId: 'user-bb' })).toBe('user-c');
+      expect(pickedBy({ name: 'round-robin' }, { lastAccountId: 'user-c' })).toBe('user-a');
+    });
+
+    test('weighted-random picks in proportion to the score', () => {
+      // total score is 10: [0, 0.6) user-b, [0.6, 0.9) user-c, [0.9, 1) user-a
+      expect(pickedBy({ name: 'weighted-random' }, { random: () => 0.5 })).toBe('user-b');
+      expect(pickedBy({ name: 'weighted-random' }, { random: () => 0.7 })).toBe('user-c');
+      expect(pickedBy({ name: 'weighted-random' }, { random: () => 0.95 })).toBe('user-a');
+    });
+
+    test('least-loaded picks the lightest workload among the top N', () => {
+      expect(pickedBy({ name: 'least-loaded', topN: 3 })).toBe('user-a');
+      expect(pickedBy({ name: 'least-loaded', topN: 2 })).toBe('user-c');
+
+      const result = applyStrategy(candidates, { name: 'least-loaded', topN: 2 });
+      expect(result.candidates.map(c => c.accountId)).toEqual(['user-c', 'user-b', 'user-a']);
+      expect(result.selection.reason).toBe('least loaded of the top 2');
+    });
+
+    test('returns no selection when there are no candidates', () => {
+      expect(applyStrategy([], { name: 'round-robin' })).toEqual({ candidates: [], selection: null });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import {
+  getIssueTokens,
+  buildCorpusStats,
+  buildTfIdfVector,
+  compareVectors,
+  findSimilarIssues,
+  TEXT_MATCH_LIMIT
+} from '../assignment/textSimilarity.js';
+
+const processedIssues = {
+  'PROJ-1': {
+    key: 'PROJ-1',
+    summaryTokens: ['login', 'page', 'crashes'],
+    descriptionTokens: ['oauth', 'token', 'expired', 'login']
+  },
+  'PROJ-2': {
+    key: 'PROJ-2',
+    summaryTokens: ['update', 'billing', 'page'],
+    descriptionTokens: ['invoice', 'totals', 'wrong']
+  },
+  'PROJ-3': {
+    key: 'PROJ-3',
+    summaryTokens: ['dashboard', 'page', 'slow'],
+    descriptionTokens: ['charts', 'render', 'slowly']
+  },
+  'PROJ-4': {
+    key: 'PROJ-4',
+    summaryTokens: ['oauth', 'login', 'fails'],
+    descriptionTokens: ['token', 'refresh', 'page']
+  }
+};
+
+describe('textSimilarity', () => {
+  test('getIssueTokens combines summary and description tokens', () => {
+    expect(getIssueTokens(processedIssues['PROJ-2'])).toEqual(
+      ['update', 'billing', 'page', 'invoice', 'totals', 'wrong']
+    );
+    expect(getIssueTokens(null)).toEqual([]);
+    expect(getIssueTokens({ summaryTokens: 'bad' })).toEqual([]);
+  });
+
+  test('buildCorpusStats counts documents per term', () => {
+    const stats = buildCorpusStats(processedIssues);
+
+    expect(stats.documentCount).toBe(4);
+    expect(stats.documentFrequency.get('page')).toBe(4);
+    expect(stats.documentFrequency.get('oauth')).toBe(2);
+    expect(stats.documentFrequency.get('invoice')).toBe(1);
+  });
+
+  test('common terms receive a lower tf-idf weight than rare terms', () => {
+    const stats = buildCorpusStats(processedIssues);
+    const vector = buildTfIdfVector(['page', 'invoice'], stats);
+
+    expect(vector.get('invoice')).toBeGreaterThan(vector.get('page'));
+  });
+
+  test('compareVectors returns cosine similarity and shared terms', () => {
+    const stats = buildCorpusStats(processedIssues);
+    const a = buildTfIdfVector(['oauth', 'login', 'page'], stats);
+    const b = buildTfIdfVector(['oauth', 'login', 'page'], stats);
+    const c = buildTfIdfVector(['charts', 'render'], stats);
+
+    expect(compareVectors(a, b).similarity).toBeCloseTo(1, 5);
+    expect(compareVectors(a, b).terms).toEqual(expect.arrayContaining(['oauth', 'login', 'page']));
+    expect(compareVectors(a, c)).toEqual({ similarity: 0, terms: [] });
+    expect(compareVectors(new Map(), a)).toEqual({ similarity: 0, terms: [] });
+  });
+
+  test('findSimilarIssues ranks past issues by similarity', () => {
+    const newIssue = {
+      key: 'PROJ-9',
+      summaryTokens: ['login', 'broken'],
+      descriptionTokens: ['oauth', 'token', 'invalid']
+    };
+
+    const matches = findSimilarIssues(newIssue, ['PROJ-1', 'PROJ-2', 'PROJ-3', 'PROJ-4'], processedIssues);
+
+    expect(matches.map(match => match.issueKey)).toEqual(['PROJ-1', 'PROJ-4']);
+    expect(matches[0].similarity).toBeGreaterThan(matches[1].similarity);
+    expect(matches[0].terms).toEqual(expect.arrayContaining(['login', 'oauth', 'token']));
+  });
+
+  test('findSimilarIssues skips the issue itself, unknown keys and weak matches', () => {
+    const matches = findSimilarIssues(
+      processedIssues['PROJ-1'],
+      ['PROJ-1', 'PROJ-404', 'PROJ-3'],
+      processedIssues
+    );
+
+    expect(matches).toEqual([]);
+  });
+
+  test('findSimilarIssues respects the match limit', () => {
+    const manyIssues = {};
+    const keys = [];
+    for (let i = 0; i < TEXT_MATCH_LIMIT + 2; i += 1) {
+      const key = `PROJ-${i + 10}`;
+      keys.push(key);
+      manyIssues[key] = { key, summaryTokens: ['export', 'csv', `variant${i}`], descriptionTokens: [] };
+    }
+    manyIssues['PROJ-99'] = { key: 'PROJ-99', summaryTokens: ['unrelated'], descriptionTokens: [] };
+
+    const matches = findSimilarIssues(
+      { key: 'PROJ-100', summaryTokens: ['export', 'csv'], descriptionTokens: [] },
+      keys,
+      manyIssues
+    );
+
+    expect(matches).toHaveLength(TEXT_MATCH_LIMIT);
+  });
+
+  test('findSimilarIssues handles missing data', () => {
+    expect(findSimilarIssues({ key: 'X-1' }, ['PROJ-1'], processedIssues)).toEqual([]);
+    expect(findSimilarIssues(processedIssues['PROJ-1'], null, processedIssues)).toEqual([]);
+    expect(findSimilarIssues(processedIssues['PROJ-1'], ['PROJ-4'], null)).toEqual([]);
+  });
+});
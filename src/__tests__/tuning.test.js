@@ -0,0 +1,181 @@
+jest.mock('../cache.js', () => ({
+  allIssues: jest.fn(),
+  getProjectWeights: jest.fn(),
+  getProjectRecency: jest.fn(),
+  cacheProjectWeights: jest.fn(),
+  cacheWeightProposal: jest.fn(),
+  getWeightProposal: jest.fn(),
+  uncacheWeightProposal: jest.fn()
+}));
+
+import {
+  MIN_TUNING_ISSUES,
+  UNIT_WEIGHTS,
+  extractFeatures,
+  tuneWeights,
+  proposeProjectWeights,
+  approveWeightProposal,
+  rejectWeightProposal
+} from '../assignment/tuning.js';
+import { replayIssues } from '../assignment/backtest.js';
+import { DEFAULT_WEIGHTS } from '../assignment/weights.js';
+import * as cache from '../cache.js';
+import resolvedIssues from './fixtures/resolvedIssues.json';
+
+const zeroWeights = Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(key => [key, 0]));
+
+/**
+ * alternating frontend and backend issues, each created and resolved on its
+ * own day, so there is plenty of history to tune on.
+ */
+const buildHistory = (count) => {
+  const template = resolvedIssues['PROJ-1'];
+  const people = [
+    { who: resolvedIssues['PROJ-1'].assignee, label: 'frontend' },
+    { who: resolvedIssues['PROJ-2'].assignee, label: 'backend' }
+  ];
+  const issues = {};
+  for (let n = 1; n <= count; n++) {
+    const { who, label } = people[n % 2];
+    const day = String(n).padStart(2, '0');
+    issues[`PROJ-${n}`] = {
+      ...template,
+      key: `PROJ-${n}`,
+      summary: '',
+      summaryTokens: [],
+      labels: [label],
+      components: [],
+      assignee: who,
+      worklogContributors: [],
+      historicalAssignees: [],
+      created: `2024-03-${day}T09:00:00.000Z`,
+      resolutionDate: `2024-03-${day}T17:00:00.000Z`
+    };
+  }
+  return issues;
+};
+
+describe('tuning', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('extractFeatures reads one value per signal from the evidence', () => {
+    const features = extractFeatures({
+      evidence: {
+        labels: [{ contribution: 1.5 }, { contribution: 0.5 }],
+        textMatches: [{ contribution: 0.3 }],
+        interactions: [{ type: 'assigned-issue-count', contribution: 2 }, { type: 'comment', contribution: 1 }]
+      }
+    });
+
+    expect(features).toEqual(expect.objectContaining({
+      LABEL: 2,
+      COMPONENT: 0,
+      TEXT_SIMILARITY: 0.3,
+      GENERAL_ASSIGNMENTS: 2,
+      DIRECT_COMMENT: 1
+    }));
+    expect(features).not.toHaveProperty('WORKLOAD_OPEN_ISSUES');
+  });
+
+  describe('tuneWeights()', () => {
+    test('finds weights that rank the real assignee first more often', () => {
+      const { replays } = replayIssues(resolvedIssues, { projectKey: 'PROJ', weights: UNIT_WEIGHTS });
+
+      const result = tuneWeights(replays, zeroWeights);
+
+      expect(result.baseline.top1).toBe(0.5);
+      expect(result.proposed.top1).toBe(1);
+      expect(result.changes.length).toBeGreaterThan(0);
+      expect(result.changes.every(change => change.from === 0 && change.to === result.weights[change.key])).toBe(true);
+      // workload cannot be replayed, so its weights are left alone
+      expect(result.weights.WORKLOAD_OPEN_ISSUES).toBe(0);
+    });
+
+    test('proposes no change when nothing beats the current weights', () => {
+      const { replays } = replayIssues(resolvedIssues, { projectKey: 'PROJ', weights: UNIT_WEIGHTS });
+
+      const result = tuneWeights(replays, DEFAULT_WEIGHTS);
+
+      expect(result.changes).toEqual([]);
+      expect(result.weights).toEqual(DEFAULT_WEIGHTS);
+      expect(result.proposed).toEqual(result.baseline);
+    });
+  });
+
+  describe('proposeProjectWeights()', () => {
+    test('stores a proposal without changing the project weights', async () => {
+      cache.allIssues.mockResolvedValue(buildHistory(MIN_TUNING_ISSUES + 2));
+      cache.getProjectWeights.mockResolvedValue(zeroWeights);
+
+      const proposal = await proposeProjectWeights('PROJ');
+
+      expect(proposal.evaluated).toBe(MIN_TUNING_ISSUES + 1);
+      expect(proposal.current).toEqual(zeroWeights);
+      expect(proposal.proposed.top1).toBeGreaterThan(proposal.baseline.top1);
+      expect(cache.cacheWeightProposal).toHaveBeenCalledWith('PROJ', proposal);
+      expect(cache.cacheProjectWeights).not.toHaveBeenCalled();
+    });
+
+    test('refuses to tune on too little history', async () => {
+      cache.allIssues.mockResolvedValue(resolvedIssues);
+
+      await expect(proposeProjectWeights('PROJ')).rejects.toThrow(
+        `not enough history to tune weights: 4 resolved issues could be replayed, at least ${MIN_TUNING_ISSUES} are needed`
+      );
+      expect(cache.cacheWeightProposal).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('review', () => {
+    const proposal = {
+      weights: { ...DEFAULT_WEIGHTS, LABEL: 10 },
+      current: DEFAULT_WEIGHTS,
+      changes: [{ key: 'LABEL', from: DEFAULT_WEIGHTS.LABEL, to: 10 }]
+    };
+
+    test('approving saves the proposed weights and clears the proposal', async () => {
+      cache.getWeightProposal.mockResolvedValue(proposal);
+      cache.getProjectWeights.mockResolvedValue(DEFAULT_WEIGHTS);
+
+      const weights = await approveWeightProposal('PROJ');
+
+      expect(weights).toEqual({ ...DEFAULT_WEIGHTS, LABEL: 10 });
+      expect(cache.cacheProjectWeights).toHaveBeenCalledWith('PROJ', weights);
+      expect(cache.uncacheWeightProposal).toHaveBeenCalledWith('PROJ');
+    });
+
+    test('approving keeps weights an admin changed after the proposal was made', async () => {
+      cache.getWeightProposal.mockResolvedValue(proposal);
+      cache.getProjectWeights.mockResolvedValue({ ...DEFAULT_WEIGHTS, COMPONENT: 0.5 });
+
+      const weights = await approveWeightProposal('PROJ');
+
+      expect(weights).toEqual({ ...DEFAULT_WEIGHTS, COMPONENT: 0.5, LABEL: 10 });
+    });
+
+    test('approving fails when a proposed weight was changed since', async () => {
+      cache.getWeightProposal.mockResolvedValue(proposal);
+      cache.getProjectWeights.mockResolvedValue({ ...DEFAULT_WEIGHTS, LABEL: 2 });
+
+      await expect(approveWeightProposal('PROJ')).rejects.toThrow('weights changed since the proposal was made (LABEL)');
+      expect(cache.cacheProjectWeights).not.toHaveBeenCalled();
+      expect(cache.uncacheWeightProposal).not.toHaveBeenCalled();
+    });
+
+    test('approving without a proposal fails', async () => {
+      cache.getWeightProposal.mockResolvedValue(undefined);
+
+      await expect(approveWeightProposal('PROJ')).rejects.toThrow('there is no weight proposal to approve');
+      expect(cache.cacheProjectWeights).not.toHaveBeenCalled();
+    });
+
+    test('rejecting only clears the proposal', async () => {
+      await rejectWeightProposal('PROJ');
+
+      expect(cache.uncacheWeightProposal).toHaveBeenCalledWith('PROJ');
+      expect(cache.cacheProjectWeights).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,341 @@
+jest.mock('@forge/api', () => {
+  const requestJira = jest.fn();
+  return {
+    __esModule: true,
+    default: { asApp: jest.fn(() => ({ requestJira })) },
+    route: (strings, ...values) => strings.reduce((acc, str, idx) => acc + str + (values[idx] ?? ''), ''),
+    fetch: jest.fn(),
+    __requestJira: requestJira
+  };
+});
+
+jest.mock('@forge/events', () => {
+  const mockPush = jest.fn();
+  class Queue {
+    constructor(params) {
+      this.params = params;
+    }
+
+    push(events) {
+      return mockPush(events);
+    }
+  }
+  return {
+    __esModule: true,
+    Queue,
+    __mockPush: mockPush
+  };
+});
+
+jest.mock('../cache.js', () => ({
+  getProjectWebhooks: jest.fn(),
+  cacheProjectWebhooks: jest.fn(),
+  getWebhookSecret: jest.fn(),
+  cacheWebhookSecret: jest.fn(),
+  uncacheWebhookSecret: jest.fn(),
+  appendWebhookDelivery: jest.fn(),
+  queryWebhookDeliveries: jest.fn()
+}));
+
+import { createHmac } from 'crypto';
+import {
+  MAX_WEBHOOK_ENDPOINTS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_HEADER,
+  validateWebhookEndpoint,
+  saveWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries,
+  signPayload,
+  deliverWebhook,
+  dispatchWebhookEvent,
+  runWebhookDelivery,
+  sendAssignmentWebhooks,
+  sendBulkRunWebhooks
+} from '../assignment/webhooks.js';
+import * as cache from '../cache.js';
+import { fetch, __requestJira } from '@forge/api';
+import { __mockPush } from '@forge/events';
+
+const SECRET = 'a-very-long-signing-secret';
+
+const endpoint = (overrides = {}) => ({
+  id: 'hook-1',
+  url: 'https://chat.example.com/hook',
+  events: ['assignment', 'decline', 'bulk-run'],
+  enabled: true,
+  ...overrides
+});
+
+const respond = (status) => ({ ok: status >= 200 && status < 300, status });
+
+// bodies of every event pushed to the delivery queue
+const queued = () => __mockPush.mock.calls.flatMap(([events]) => events.map(event => event.body));
+
+describe('webhooks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    cache.getProjectWebhooks.mockResolvedValue([]);
+    cache.getWebhookSecret.mockResolvedValue(SECRET);
+    __requestJira.mockResolvedValue({
+      ok: true,
+      json: async () => ({ baseUrl: 'https://example.atlassian.net' })
+    });
+    fetch.mockResolvedValue(respond(200));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('validateWebhookEndpoint', () => {
+    test('accepts an https endpoint and keeps events in their usual order', () => {
+      const result = validateWebhookEndpoint({
+        url: ' https://chat.example.com/hook ',
+        events: ['decline', 'assignment'],
+        secret: SECRET
+      });
+
+      expect(result).toEqual({
+        valid: true,
+        errors: [],
+        endpoint: { url: 'https://chat.example.com/hook', events: ['assignment', 'decline'], enabled: true },
+        secret: SECRET
+      });
+    });
+
+    test('rejects plain http, unknown events and short secrets', () => {
+      const result = validateWebhookEndpoint({ url: 'http://chat.example.com', events: ['everything'], secret: 'short' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(3);
+    });
+
+    test('only asks for a secret when one is required', () => {
+      expect(validateWebhookEndpoint({ url: 'https://chat.example.com' }).valid).toBe(false);
+      expect(validateWebhookEndpoint({ url: 'https://chat.example.com' }, { requireSecret: false }).valid).toBe(true);
+    });
+  });
+
+  describe('saveWebhookEndpoint and deleteWebhookEndpoint', () => {
+    test('stores the secret apart from the endpoint', async () => {
+      const saved = await saveWebhookEndpoint('PROJ', { url: 'https://chat.example.com/hook', secret: SECRET });
+
+      expect(saved).not.toHaveProperty('secret');
+      expect(cache.cacheWebhookSecret).toHaveBeenCalledWith(saved.id, SECRET);
+      expect(cache.cacheProjectWebhooks).toHaveBeenCalledWith('PROJ', [saved]);
+    });
+
+    test('keeps the stored secret when an update leaves it blank', async () => {
+      cache.getProjectWebhooks.mockResolvedValue([endpoint()]);
+
+      const saved = await saveWebhookEndpoint('PROJ', { id: 'hook-1', url: 'https://chat.example.com/new', secret: '' });
+
+      expect(saved).toEqual(endpoint({ url: 'https://chat.example.com/new' }));
+      expect(cache.cacheWebhookSecret).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown ids and too many endpoints', async () => {
+      await expect(saveWebhookEndpoint('PROJ', { id: 'missing', url: 'https://chat.example.com' }))
+        .rejects.toThrow('webhook missing does not exist');
+
+      cache.getProjectWebhooks.mockResolvedValue(
+        Array.from({ length: MAX_WEBHOOK_ENDPOINTS }, (_, idx) => endpoint({ id: `hook-${idx}` }))
+      );
+      await expect(saveWebhookEndpoint('PROJ', { url: 'https://chat.example.com', secret: SECRET }))
+        .rejects.toThrow(`at most ${MAX_WEBHOOK_ENDPOINTS} webhooks`);
+    });
+
+    test('deleting an endpoint removes its secret', async () => {
+      cache.getProjectWebhooks.mockResolvedValue([endpoint(), endpoint({ id: 'hook-2' })]);
+
+      const remaining = await deleteWebhookEndpoint('PROJ', 'hook-1');
+
+      expect(remaining).toEqual([endpoint({ id: 'hook-2' })]);
+      expect(cache.uncacheWebhookSecret).toHaveBeenCalledWith('hook-1');
+    });
+  });
+
+  describe('deliverWebhook', () => {
+    test('signs the timestamp and body with the endpoint secret', async () => {
+      await deliverWebhook({ ...endpoint(), secret: SECRET }, 'assignment', { issueKey: 'PROJ-1' });
+
+      const [url, init] = fetch.mock.calls[0];
+      const timestamp = init.headers[TIMESTAMP_HEADER];
+      const expected = createHmac('sha256', SECRET).update(`${timestamp}.${init.body}`).digest('hex');
+
+      expect(url).toBe('https://chat.example.com/hook');
+      expect(init.headers[EVENT_HEADER]).toBe('assignment');
+      expect(init.headers[SIGNATURE_HEADER]).toBe(`sha256=${expected}`);
+      expect(signPayload(SECRET, timestamp, init.body)).toBe(`sha256=${expected}`);
+    });
+
+    test('leaves unsigned deliveries without a signature header', async () => {
+      await deliverWebhook({ id: null, url: 'https://chat.example.com/hook', secret: null }, 'assigned', {});
+
+      expect(fetch.mock.calls[0][1].headers).not.toHaveProperty(SIGNATURE_HEADER);
+    });
+
+    test('retries server errors and network failures, then logs the delivery', async () => {
+      fetch
+        .mockResolvedValueOnce(respond(503))
+        .mockRejectedValueOnce(new Error('socket hang up'))
+        .mockResolvedValueOnce(respond(200));
+
+      const record = await deliverWebhook({ ...endpoint(), secret: SECRET }, 'assignment', { issueKey: 'PROJ-1' }, {
+        projectKey: 'PROJ',
+        retryDelaysMs: [0, 0]
+      });
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(record).toEqual(expect.objectContaining({
+        projectKey: 'PROJ',
+        endpointId: 'hook-1',
+        issueKey: 'PROJ-1',
+        success: true
+      }));
+      expect(record.attempts.map(attempt => attempt.error)).toEqual(['responded with 503', 'socket hang up', null]);
+      expect(cache.appendWebhookDelivery).toHaveBeenCalledWith(record);
+    });
+
+    test('does not retry client errors', async () => {
+      fetch.mockResolvedValue(respond(400));
+
+      const record = await deliverWebhook({ ...endpoint(), secret: SECRET }, 'assignment', {}, { retryDelaysMs: [0, 0] });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(record.success).toBe(false);
+    });
+
+    test('gives up after the last retry', async () => {
+      fetch.mockResolvedValue(respond(429));
+
+      const record = await deliverWebhook({ ...endpoint(), secret: SECRET }, 'assignment', {}, { retryDelaysMs: [0, 0] });
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(record.success).toBe(false);
+    });
+  });
+
+  describe('dispatchWebhookEvent', () => {
+    test('queues the event for enabled endpoints subscribed to it, without sending anything', async () => {
+      cache.getProjectWebhooks.mockResolvedValue([
+        endpoint(),
+        endpoint({ id: 'hook-2', url: 'https://off.example.com', enabled: false }),
+        endpoint({ id: 'hook-3', url: 'https://bulk.example.com', events: ['bulk-run'] })
+      ]);
+
+      const deliveries = await dispatchWebhookEvent('PROJ', 'assignment', { issueKey: 'PROJ-1' });
+
+      expect(deliveries).toEqual([{ endpointId: 'hook-1', url: 'https://chat.example.com/hook', event: 'assignment' }]);
+      expect(queued()).toEqual([{
+        endpoint: { id: 'hook-1', url: 'https://chat.example.com/hook' },
+        event: 'assignment',
+        payload: { issueKey: 'PROJ-1' },
+        projectKey: 'PROJ'
+      }]);
+      expect(fetch).not.toHaveBeenCalled();
+      expect(cache.getWebhookSecret).not.toHaveBeenCalled();
+    });
+
+    test('never throws', async () => {
+      cache.getProjectWebhooks.mockRejectedValue(new Error('kvs down'));
+
+      await expect(dispatchWebhookEvent('PROJ', 'assignment', {})).resolves.toEqual([]);
+    });
+  });
+
+  describe('runWebhookDelivery', () => {
+    test('signs the queued payload with the endpoint secret and logs the delivery', async () => {
+      await runWebhookDelivery({
+        body: { endpoint: { id: 'hook-1', url: 'https://chat.example.com/hook' }, event: 'assignment', payload: { issueKey: 'PROJ-1' }, projectKey: 'PROJ' }
+      });
+
+      const [url, init] = fetch.mock.calls[0];
+      expect(cache.getWebhookSecret).toHaveBeenCalledWith('hook-1');
+      expect(url).toBe('https://chat.example.com/hook');
+      expect(init.headers[SIGNATURE_HEADER]).toBe(signPayload(SECRET, init.headers[TIMESTAMP_HEADER], init.body));
+      expect(cache.appendWebhookDelivery).toHaveBeenCalledWith(expect.objectContaining({ projectKey: 'PROJ', endpointId: 'hook-1', success: true }));
+    });
+
+    test('ignores events without an endpoint', async () => {
+      await expect(runWebhookDelivery({ body: { event: 'assignment' } })).resolves.toBeUndefined();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendAssignmentWebhooks', () => {
+    const result = {
+      status: 'assigned',
+      assignee: { accountId: 'user-1', displayName: 'Alice', finalScore: 0.8, rawScore: 0.9, workloadPenalty: 0.1 },
+      alternatives: [{ accountId: 'user-2', displayName: 'Bob', finalScore: 0.5, rawScore: 0.6, workloadPenalty: 0.1, feedbackPenalty: 0.2 }]
+    };
+
+    test('sends the assignee, alternatives with scores and links', async () => {
+      cache.getProjectWebhooks.mockResolvedValue([endpoint()]);
+
+      await sendAssignmentWebhooks('PROJ-1', result);
+
+      const [{ payload }] = queued();
+      expect(payload).toEqual(expect.objectContaining({
+        event: 'assignment',
+        issueKey: 'PROJ-1',
+        links: { issue: 'https://example.atlassian.net/browse/PROJ-1' }
+      }));
+      expect(payload.assignee.links.profile).toBe('https://example.atlassian.net/jira/people/user-1');
+      expect(payload.alternatives[0].scores).toEqual({ expertise: 0.6, workloadPenalty: 0.1, declinedSimilarWorkPenalty: 0.2 });
+    });
+
+    test('sends a decline before the reassignment it led to', async () => {
+      cache.getProjectWebhooks.mockResolvedValue([endpoint()]);
+
+      await sendAssignmentWebhooks('PROJ-1', result, { declinedAccountId: 'user-3', declineReason: 'no-capacity' });
+
+      const events = queued().map(({ payload }) => payload);
+      expect(events.map(payload => payload.event)).toEqual(['decline', 'assignment']);
+      expect(events[0].decline).toEqual({ accountId: 'user-3', reason: 'no-capacity' });
+    });
+
+    test('skips the site lookup when nobody is subscribed', async () => {
+      cache.getProjectWebhooks.mockResolvedValue([endpoint({ events: ['bulk-run'] })]);
+
+      await expect(sendAssignmentWebhooks('PROJ-1', result)).resolves.toEqual([]);
+      expect(__requestJira).not.toHaveBeenCalled();
+    });
+  });
+
+  test('sendBulkRunWebhooks summarises the run', async () => {
+    cache.getProjectWebhooks.mockResolvedValue([endpoint()]);
+
+    await sendBulkRunWebhooks('PROJ', {
+      mode: 'epic',
+      keys: ['PROJ-10'],
+      totalProcessed: 3,
+      totalAssigned: 1,
+      totalOffered: 1,
+      totalSkipped: 1,
+      assignedIssues: [{ key: 'PROJ-11', assignee: 'Alice' }],
+      offeredIssues: [{ key: 'PROJ-13', assignee: 'Bob' }],
+      skippedIssues: [{ key: 'PROJ-12', reason: 'Already assigned' }],
+      failedIssues: []
+    }, { accountId: 'admin-1', displayName: 'Admin' });
+
+    const [{ payload }] = queued();
+    expect(payload.totals).toEqual({ processed: 3, assigned: 1, offered: 1, skipped: 1 });
+    expect(payload.assigned).toEqual([
+      { issueKey: 'PROJ-11', assignee: 'Alice', link: 'https://example.atlassian.net/browse/PROJ-11' }
+    ]);
+    expect(payload.offered).toEqual([
+      { issueKey: 'PROJ-13', offeredTo: 'Bob', link: 'https://example.atlassian.net/browse/PROJ-13' }
+    ]);
+  });
+
+  test('listWebhookDeliveries pages through the log', async () => {
+    cache.queryWebhookDeliveries.mockResolvedValue({ deliveries: [{ id: 'd-1' }], nextCursor: undefined });
+
+    await expect(listWebhookDeliveries('PROJ')).resolves.toEqual({ deliveries: [{ id: 'd-1' }], nextCursor: null });
+    expect(cache.queryWebhookDeliveries).toHaveBeenCalledWith('PROJ', { cursor: undefined, limit: 20 });
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../cache.js', () => ({
+  getProjectWeights: jest.fn(),
+  cacheProjectWeights: jest.fn(),
+  uncacheProjectWeights: jest.fn()
+}));
+
+import {
+  DEFAULT_WEIGHTS,
+  WEIGHT_DEFINITIONS,
+  MAX_WEIGHT,
+  validateWeights,
+  loadProjectWeights,
+  saveProjectWeights,
+  resetProjectWeights
+} from '../assignment/weights.js';
+import * as cache from '../cache.js';
+
+describe('weights', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('every default weight has an admin panel definition', () => {
+    const definedKeys = WEIGHT_DEFINITIONS.map(definition => definition.key).sort();
+    expect(definedKeys).toEqual(Object.keys(DEFAULT_WEIGHTS).sort());
+  });
+
+  describe('validateWeights()', () => {
+    test('merges valid partial weights over the defaults', () => {
+      const result = validateWeights({ LABEL: 1, COMPONENT: '4.5' });
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.weights).toEqual({ ...DEFAULT_WEIGHTS, LABEL: 1, COMPONENT: 4.5 });
+    });
+
+    test('rejects unknown keys, non-numbers and out of range values', () => {
+      const result = validateWeights({
+        UNKNOWN: 1,
+        LABEL: 'abc',
+        COMPONENT: -1,
+        EPIC: MAX_WEIGHT + 1,
+        PARENT: ''
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'unknown weight: UNKNOWN',
+        'LABEL must be a number',
+        `COMPONENT must be between 0 and ${MAX_WEIGHT}`,
+        `EPIC must be between 0 and ${MAX_WEIGHT}`,
+        'PARENT must be a number'
+      ]);
+    });
+
+    test('rejects non-object input', () => {
+      expect(validateWeights(null).valid).toBe(false);
+      expect(validateWeights([1, 2]).valid).toBe(false);
+      expect(validateWeights('weights').valid).toBe(false);
+    });
+  });
+
+  describe('loadProjectWeights()', () => {
+    test('returns defaults when nothing is stored', async () => {
+      cache.getProjectWeights.mockResolvedValue(undefined);
+
+      const weights = await loadProjectWeights('PROJ');
+
+      expect(cache.getProjectWeights).toHaveBeenCalledWith('PROJ');
+      expect(weights).toEqual(DEFAULT_WEIGHTS);
+    });
+
+    test('merges stored weights and ignores stale or invalid entries', async () => {
+      cache.getProjectWeights.mockResolvedValue({ COMPONENT: 6, REMOVED_WEIGHT: 3, LABEL: 'bad' });
+
+      const weights = await loadProjectWeights('PROJ');
+
+      expect(weights).toEqual({ ...DEFAULT_WEIGHTS, COMPONENT: 6 });
+    });
+
+    test('returns defaults without a project key', async () => {
+      const weights = await loadProjectWeights(null);
+
+      expect(weights).toEqual(DEFAULT_WEIGHTS);
+      expect(cache.getProjectWeights).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveProjectWeights()', () => {
+    test('stores the complete validated weights', async () => {
+      const saved = await saveProjectWeights('PROJ', { HISTORICAL_EXACT: 8 });
+
+      expect(saved).toEqual({ ...DEFAULT_WEIGHTS, HISTORICAL_EXACT: 8 });
+      expect(cache.cacheProjectWeights).toHaveBeenCalledWith('PROJ', saved);
+    });
+
+    test('throws and stores nothing when validation fails', async () => {
+      await expect(saveProjectWeights('PROJ', { LABEL: -3 })).rejects.toThrow('invalid weights');
+      expect(cache.cacheProjectWeights).not.toHaveBeenCalled();
+    });
+
+    test('requires a project key', async () => {
+      await expect(saveProjectWeights('', { LABEL: 1 })).rejects.toThrow('projectKey is required');
+    });
+  });
+
+  test('resetProjectWeights removes stored weights', async () => {
+    const weights = await resetProjectWeights('PROJ');
+
+    expect(cache.uncacheProjectWeights).toHaveBeenCalledWith('PROJ');
+    expect(weights).toEqual(DEFAULT_WEIGHTS);
+  });
+});
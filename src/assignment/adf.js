@@ -0,0 +1,102 @@
+/**
+ * adf
+ *
+ * small builders for the atlassian document format used in issue comments.
+ * each helper returns a plain node object, so comments are put together by
+ * nesting calls, e.g. doc(paragraph(mention(id, name), text(' has been assigned.'))).
+ */
+
+/**
+ * wraps block nodes in a version 1 document.
+ *
+ * @param {...Object} blocks - block nodes; falsy entries are skipped
+ * @returns {Object} adf document
+ */
+export function doc(...blocks) {
+  return { type: 'doc', version: 1, content: blocks.filter(Boolean) };
+}
+
+/**
+ * @param {...Object} inlines - inline nodes; falsy entries are skipped
+ * @returns {Object} paragraph node
+ */
+export function paragraph(...inlines) {
+  return { type: 'paragraph', content: inlines.filter(Boolean) };
+}
+
+/**
+ * @param {string} value - plain text
+ * @param {Array<Object>} [marks] - adf marks such as { type: 'strong' }
+ * @returns {Object} text node
+ */
+export function text(value, marks = null) {
+  return marks && marks.length > 0 ? { type: 'text', text: value, marks } : { type: 'text', text: value };
+}
+
+/**
+ * @param {string} value - text shown in bold
+ * @returns {Object} text node
+ */
+export function strong(value) {
+  return text(value, [{ type: 'strong' }]);
+}
+
+/**
+ * @param {string} value - link text
+ * @param {string} href - link target
+ * @returns {Object} text node with a link mark
+ */
+export function link(value, href) {
+  return text(value, [{ type: 'link', attrs: { href } }]);
+}
+
+/**
+ * mentions a user, so jira notifies them. the display name is only a
+ * fallback, jira renders the user's current name.
+ *
+ * @param {string} accountId - atlassian account id
+ * @param {string} [displayName]
+ * @returns {Object} mention node
+ */
+export function mention(accountId, displayName = null) {
+  const attrs = { id: accountId };
+  if (displayName) {
+    attrs.text = `@${displayName}`;
+  }
+  return { type: 'mention', attrs };
+}
+
+/**
+ * builds a table with a header row. cells are strings or arrays of inline
+ * nodes.
+ *
+ * @param {Array<string>} headers - column headings
+ * @param {Array<Array<string|Array<Object>>>} rows - one entry per row
+ * @returns {Object} table node
+ */
+export function table(headers, rows) {
+  const cell = (type, value) => ({
+    type,
+    content: [Array.isArray(value) ? paragraph(...value) : paragraph(text(String(value)))]
+  });
+
+  return {
+    type: 'table',
+    attrs: { isNumberColumnEnabled: false, layout: 'default' },
+    content: [
+      { type: 'tableRow', content: headers.map(header => cell('tableHeader', header)) },
+      ...rows.map(row => ({ type: 'tableRow', content: row.map(value => cell('tableCell', value)) }))
+    ]
+  };
+}
+
+/**
+ * joins inline nodes with a separator, e.g. mentions with ', '.
+ *
+ * @param {Array<Object>} nodes - inline nodes
+ * @param {string} [separator]
+ * @returns {Array<Object>} inline nodes
+ */
+export function joinInline(nodes, separator = ', ') {
+  return nodes.flatMap((node, index) => (index === 0 ? [node] : [text(separator), node]));
+}
@@ -0,0 +1,185 @@
+import * as cache from '../cache.js';
+
+/**
+ * assignment audit log
+ *
+ * an append-only record of every recommendation, offer, assignment, decline
+ * and failure, apart from the issue panel's previews,
+ * kept so admins can see exactly why an issue went to someone:
+ * who asked, which criteria and strategy were used, the full ranked
+ * candidate list with scores, and what happened in the end.
+ */
+
+export const AUDIT_EVENTS = Object.freeze(['recommendation', 'offer', 'assignment', 'decline', 'failure']);
+
+export const DEFAULT_AUDIT_PAGE_SIZE = 25;
+
+/**
+ * largest page the query accepts, matching the KVS query limit.
+ */
+export const MAX_AUDIT_PAGE_SIZE = 100;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * whether a recommendAssignee call goes to the audit log. the issue panel
+ * runs a preview every time it opens, which changes nothing, so those are
+ * left out; recommendations made by creation rules and declines are kept.
+ *
+ * @param {Object} options - the options recommendAssignee was called with
+ * @returns {boolean}
+ */
+export function isAuditedRun(options = {}) {
+  return !options.preview;
+}
+
+/**
+ * picks the audit event describing the outcome of a recommendAssignee call.
+ *
+ * @param {Object|null} result - recommendAssignee result, null when it threw
+ * @param {Object} options - the options recommendAssignee was called with
+ * @returns {string} one of AUDIT_EVENTS
+ */
+export function classifyAuditEvent(result, options = {}) {
+  if (options.declinedAccountId) return 'decline';
+  if (!result || !result.success) return 'failure';
+  if (result.status === 'offered') return 'offer';
+  return options.skipAssignment ? 'recommendation' : 'assignment';
+}
+
+/**
+ * builds an audit record from a recommendAssignee call.
+ *
+ * @param {Object} entry
+ * @param {string} entry.event - one of AUDIT_EVENTS
+ * @param {string} entry.issueKey - jira issue key
+ * @param {Object} [entry.options] - the options recommendAssignee was called with
+ * @param {Object|null} [entry.result] - recommendAssignee result
+ * @param {Error|null} [entry.error] - error thrown by recommendAssignee
+ * @returns {Object} audit record
+ */
+export function buildAuditRecord({ event, issueKey, options = {}, result = null, error = null }) {
+  const ranked = result?.assignee ? [result.assignee, ...(result.alternatives || [])] : [];
+  const actor = options.actorAccountId || options.actorDisplayName
+    ? { accountId: options.actorAccountId || null, displayName: options.actorDisplayName || null }
+    : null;
+
+  const outcome = {
+    success: Boolean(result?.success),
+    status: result?.status || 'error',
+    message: error ? error.message : result?.message || null,
+    assigneeAccountId: result?.assignee?.accountId || null,
+    assigneeDisplayName: result?.assignee?.displayName || null,
+    declinedAccountId: options.declinedAccountId || null,
+    declineReason: options.declineReason || null,
+    attemptErrors: result?.attemptErrors || []
+  };
+
+  const involved = [actor?.accountId, outcome.assigneeAccountId, outcome.declinedAccountId];
+
+  return {
+    event,
+    issueKey,
+    projectKey: issueKey.split('-')[0],
+    timestamp: new Date(Date.now()).toISOString(),
+    // null actor means the app acted on its own, e.g. from a trigger
+    actor,
+    criteria: options.criteria || null,
+    strategy: result?.strategy || null,
+    candidates: ranked.map((candidate, index) => ({
+      rank: index + 1,
+      accountId: candidate.accountId,
+      displayName: candidate.displayName,
+      rawScore: candidate.rawScore,
+      workloadPenalty: candidate.workloadPenalty,
+      finalScore: candidate.finalScore
+    })),
+    excluded: (result?.excluded || []).map(({ accountId, displayName, reason, message }) => ({
+      accountId,
+      displayName,
+      reason,
+      message
+    })),
+    outcome,
+    accountIds: [...new Set(involved.filter(Boolean))]
+  };
+}
+
+/**
+ * appends a record to the audit log. failures are logged rather than
+ * thrown so a storage problem never blocks an assignment.
+ *
+ * @param {Object} entry - see buildAuditRecord
+ * @returns {Promise<Object|null>} the stored record, or null if it could not be stored
+ */
+export async function recordAuditEvent(entry) {
+  try {
+    return await cache.appendAuditRecord(buildAuditRecord(entry));
+  } catch (error) {
+    console.error('error recording audit event:', error);
+    return null;
+  }
+}
+
+/**
+ * reads one page of the audit log, newest first.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.issueKey] - only records for this issue
+ * @param {string} [filters.accountId] - only records involving this user
+ * @param {string} [filters.projectKey] - only records for this project
+ * @param {string} [filters.from] - earliest date (YYYY-MM-DD) or timestamp
+ * @param {string} [filters.to] - latest date (YYYY-MM-DD, inclusive) or timestamp
+ * @param {string} [filters.cursor] - cursor returned by the previous page
+ * @param {number} [filters.limit] - page size
+ * @returns {Promise<{ records: Array<Object>, nextCursor: string|undefined }>}
+ */
+export async function queryAuditLog(filters = {}) {
+  const errors = [];
+
+  const from = parseBoundary(filters.from, false, 'from', errors);
+  const to = parseBoundary(filters.to, true, 'to', errors);
+  if (from && to && from > to) {
+    errors.push('from must not be after to');
+  }
+
+  let limit = DEFAULT_AUDIT_PAGE_SIZE;
+  if (filters.limit !== undefined && filters.limit !== null && filters.limit !== '') {
+    limit = Number(filters.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_PAGE_SIZE) {
+      errors.push(`limit must be a whole number between 1 and ${MAX_AUDIT_PAGE_SIZE}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`invalid audit query: ${errors.join('; ')}`);
+  }
+
+  return cache.queryAuditRecords({
+    issueKey: filters.issueKey || undefined,
+    accountId: filters.accountId || undefined,
+    projectKey: filters.projectKey || undefined,
+    from,
+    to,
+    cursor: filters.cursor || undefined,
+    limit
+  });
+}
+
+/**
+ * turns a date filter into an ISO timestamp. a plain date used as the upper
+ * bound covers that whole day.
+ */
+function parseBoundary(value, endOfDay, label, errors) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const time = Date.parse(value);
+  if (typeof value !== 'string' || Number.isNaN(time)) {
+    errors.push(`${label} must be a date`);
+    return undefined;
+  }
+
+  const dayLength = 24 * 60 * 60 * 1000;
+  const boundary = endOfDay && DATE_ONLY_PATTERN.test(value) ? time + dayLength - 1 : time;
+  return new Date(boundary).toISOString();
+}
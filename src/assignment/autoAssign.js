@@ -3,6 +3,21 @@ import * as scrapeOrchestrator from '../scrapers/scrapeOrchestrator.js';
 import * as jiraScraper from '../scrapers/jiraScraper.js';
 import { postComment } from '../decline.js';
 import * as cache from '../cache.js';
+import { DEFAULT_WEIGHTS, loadProjectWeights } from './weights.js';
+import { findSimilarIssues } from './textSimilarity.js';
+import { findMatchingPages } from './confluence.js';
+import { loadProjectCapacity, resolveUserLimits, checkCapacity } from './capacity.js';
+import { loadAllAvailability, assessAvailability } from './availability.js';
+import { DEFAULT_RECENCY, loadProjectRecency, decayedCount } from './recency.js';
+import { resolveStrategy, applyStrategy } from './strategies.js';
+import { classifyAuditEvent, isAuditedRun, recordAuditEvent } from './audit.js';
+import { loadAllFeedback, recordFeedback, forgetFeedback, assessFeedback, calculateFeedbackPenalty } from './feedback.js';
+import { describeDeclineReason, applyDeclineReason } from './declineReasons.js';
+import { loadProjectDeclineExpiry, pruneExpiredDeclines, declineExpiresAt } from './declineExpiry.js';
+import { loadProjectOfferSettings, buildOffer } from './offers.js';
+import { doc, paragraph, text, strong, link, mention, table, joinInline } from './adf.js';
+import { sendNotifications } from './notifications.js';
+import { sendAssignmentWebhooks, getSiteBaseUrl } from './webhooks.js';
 
 /**
  * auto assignment engine
@@ -14,27 +29,6 @@ import * as cache from '../cache.js';
 
 const STATE_KEY_PREFIX = 'assignment_state:';
 
-/**
- * tuning weights for the scoring function.
- * values were chosen to prioritise domain expertise (labels, issue type)
- * while still rewarding historic interactions and penalising heavy workloads.
- */
-const WEIGHTS = {
-  LABEL: 3.2,
-  COMPONENT: 2.4,
-  ISSUE_TYPE: 2.8,
-  EPIC: 1.4,
-  PARENT: 1.6,
-  HISTORICAL_EXACT: 5,
-  DIRECT_WORKLOG: 2.5,
-  DIRECT_COMMENT: 1.2,
-  GENERAL_ASSIGNMENTS: 0.9,
-  GENERAL_WORKLOGS: 0.7,
-  GENERAL_COMMENTS: 0.5,
-  WORKLOAD_OPEN_ISSUES: 0.85,
-  WORKLOAD_ESTIMATE_HOURS: 0.12
-};
-
 /**
  * helper used when trimming text output for comments.
  */
@@ -46,34 +40,75 @@ const ALTERNATIVE_LIMIT = 3;
  * @param {string} issueKey - jira issue key (e.g. FOO-123)
  * @param {Object} options - control flags for decline handling and side effects
  * @param {string|null} options.declinedAccountId - account id that just declined
+ * @param {Object|null} [options.declineReason=null] - why they declined, as
+ * returned by validateDeclineReason
  * @param {boolean} [options.skipAssignment=false] - when true we do not call jira
+ * @param {boolean} [options.preview=false] - a read-only preview for the issue
+ * panel, left out of the audit log
  * @param {boolean} [options.commentOnAssignment=true] - post summary comment
  * @param {boolean} [options.commentOnDecline=true] - post decline acknowledgement
  * @param {string|null} [options.actorDisplayName=null] - ui actor name for messaging
+ * @param {string|null} [options.actorAccountId=null] - account id of the ui actor, for the audit log
+ * @param {boolean} [options.assignAsApp=false] - assign as the app rather than the
+ * current user, needed when running from a trigger without a user context
+ * @param {Object|string} [options.strategy] - assignment strategy to use instead of
+ * the project's stored one
+ * @param {boolean} [options.offer] - offer the issue to the top candidate instead
+ * of assigning it, defaults to the project's offer settings
  * @returns {Promise<Object>} detailed result including chosen assignee and ranking
  */
 export async function recommendAssignee(issueKey, options = {}) {
+  if (!issueKey || typeof issueKey !== 'string') {
+    throw new Error('issueKey is required for recommendation');
+  }
+
+  // every outcome apart from panel previews, including errors, goes to the
+  // audit log
+  const auditOptions = options || {};
+  const audited = isAuditedRun(auditOptions);
+  let result;
+  try {
+    result = await runRecommendation(issueKey, auditOptions);
+  } catch (error) {
+    if (audited) {
+      await recordAuditEvent({ event: 'failure', issueKey, options: auditOptions, error });
+    }
+    throw error;
+  }
+
+  if (audited) {
+    await recordAuditEvent({ event: classifyAuditEvent(result, auditOptions), issueKey, options: auditOptions, result });
+  }
+  await sendNotifications(issueKey, result, auditOptions);
+  await sendAssignmentWebhooks(issueKey, result, auditOptions);
+  return result;
+}
+
+/**
+ * scores the candidates and applies the outcome; see recommendAssignee.
+ */
+async function runRecommendation(issueKey, options) {
   const {
     declinedAccountId = null,
+    declineReason = null,
     skipAssignment = false,
     commentOnAssignment = true,
     commentOnDecline = true,
     actorDisplayName = null,
-    criteria = null
-  } = options || {};
-
-  if (!issueKey || typeof issueKey !== 'string') {
-    throw new Error('issueKey is required for recommendation');
-  }
+    criteria = null,
+    assignAsApp = false,
+    strategy: strategyOverride = null,
+    offer: offerOverride = null
+  } = options;
 
   const state = await loadAssignmentState(issueKey);
 
   const updatedState = declinedAccountId
-    ? registerDecline(state, declinedAccountId)
+    ? registerDecline(state, declinedAccountId, declineReason)
     : { ...state, declinedAccountIds: new Set(state.declinedAccountIds || []) };
 
   if (declinedAccountId && commentOnDecline) {
-    await postDeclineComment(issueKey, declinedAccountId, actorDisplayName);
+    await postDeclineComment(issueKey, declinedAccountId, actorDisplayName, declineReason);
   }
 
   if (!skipAssignment) {
@@ -84,19 +119,39 @@ export async function recommendAssignee(issueKey, options = {}) {
     throw new Error(`processed data for issue ${issueKey} is not available`);
   }
 
+  if (declinedAccountId) {
+    await recordFeedback({ type: 'decline', accountId: declinedAccountId, issue: processedIssue, reason: declineReason?.code || null });
+    await applyDeclineReason(declinedAccountId, declineReason, issueKey);
+  }
+
   const projectKey = deriveProjectKey(issueKey);
+  const weights = await loadProjectWeights(projectKey);
+  const recency = await loadProjectRecency(projectKey);
+  const strategy = await resolveStrategy(projectKey, strategyOverride);
+  const offerSettings = await loadProjectOfferSettings(projectKey);
+  const makeOffer = !skipAssignment && (offerOverride ?? offerSettings.enabled);
+  const lastAccountId = strategy.name === 'round-robin' ? await cache.getRotationPointer(projectKey) : null;
+  const constraints = {
+    capacity: await loadProjectCapacity(projectKey),
+    availability: await loadAllAvailability(),
+    feedback: await loadAllFeedback()
+  };
   const assignableUsers = await jiraScraper.scrapeAssignableUsers(projectKey);
 
   const assignableSource = Array.isArray(assignableUsers) ? assignableUsers.slice() : [];
 
   const assignableMap = new Map(assignableSource.map(user => [user.accountId, user]));
 
-  const candidateList = await buildCandidateScores(
+  const { candidates: scoredCandidates, excluded } = await buildCandidateScores(
     processedIssue,
     assignableMap,
     updatedState.declinedAccountIds,
-    criteria
+    criteria,
+    weights,
+    constraints,
+    recency
   );
+  const { candidates: candidateList, selection } = applyStrategy(scoredCandidates, strategy, { lastAccountId });
 
   const totalAssignable = assignableSource.length;
   const declinedCount = updatedState.declinedAccountIds
@@ -104,27 +159,57 @@ export async function recommendAssignee(issueKey, options = {}) {
     : 0;
 
   if (candidateList.length === 0) {
+    // keep the decline (and drop any offer to the person who declined) even
+    // though nobody is left to recommend
+    if (declinedAccountId) {
+      await persistAssignmentState(issueKey, updatedState);
+    }
     if (totalAssignable > 0 && declinedCount >= totalAssignable) {
       return {
         success: false,
         status: 'declined-exhausted',
-        message: 'All assignable users have been declined. Reset declines to continue.',
+        message: 'All assignable users have been declined. Undo a decline or wait for declines to expire to continue.',
         declined: Array.from(updatedState.declinedAccountIds || []),
+        excluded,
         meta: {
           totalAssignable,
           declinedCount
         }
       };
     }
+    if (excluded.length > 0) {
+      return {
+        success: false,
+        status: 'all-candidates-excluded',
+        message: 'Every remaining assignable user is at capacity or unavailable.',
+        declined: Array.from(updatedState.declinedAccountIds || []),
+        excluded
+      };
+    }
     await clearAssignmentState(issueKey);
     return {
       success: false,
       status: 'no-candidate-found',
       message: 'No assignable users were suitable for this issue.',
-      declined: Array.from(updatedState.declinedAccountIds || [])
+      declined: Array.from(updatedState.declinedAccountIds || []),
+      excluded
     };
   }
 
+  if (makeOffer) {
+    return await offerToCandidate({
+      issueKey,
+      projectKey,
+      candidates: candidateList,
+      state: updatedState,
+      offerSettings,
+      strategy,
+      selection,
+      excluded,
+      actorDisplayName
+    });
+  }
+
   let bestCandidate = candidateList[0];
   let finalCandidateList = candidateList.slice();
   let attemptErrors = [];
@@ -135,7 +220,15 @@ export async function recommendAssignee(issueKey, options = {}) {
       projectKey,
       processedIssue,
       baselineDeclines: updatedState.declinedAccountIds,
-      initialCandidates: candidateList
+      initialCandidates: candidateList,
+      criteria,
+      weights,
+      constraints,
+      recency,
+      strategy,
+      lastAccountId,
+      assignAsApp,
+      state: updatedState
     });
 
     attemptErrors = assignmentOutcome.errors || [];
@@ -146,6 +239,7 @@ export async function recommendAssignee(issueKey, options = {}) {
         status: 'assignment-failed',
         message: 'Unable to assign the issue. All candidates were rejected by Jira.',
         declined: Array.from(updatedState.declinedAccountIds || []),
+        excluded,
         attemptErrors: attemptErrors
       };
     }
@@ -154,9 +248,20 @@ export async function recommendAssignee(issueKey, options = {}) {
     finalCandidateList = assignmentOutcome.remainingCandidates;
   }
 
+  // previews leave the rotation alone so the same person stays next in line
+  if (!skipAssignment && strategy.name === 'round-robin') {
+    await cache.cacheRotationPointer(projectKey, bestCandidate.accountId);
+  }
+
   await persistAssignmentState(issueKey, {
     currentAccountId: bestCandidate.accountId,
+    // only a real assignment counts as the app's pick, see recordManualOverride
+    pickedAccountId: skipAssignment ? updatedState.pickedAccountId : bestCandidate.accountId,
     declinedAccountIds: Array.from(updatedState.declinedAccountIds || []),
+    declinedAt: updatedState.declinedAt,
+    declineReasons: updatedState.declineReasons,
+    // a preview leaves a pending offer open, an assignment settles it
+    offer: skipAssignment ? updatedState.offer : null,
     lastUpdated: new Date().toISOString()
   });
 
@@ -172,28 +277,76 @@ export async function recommendAssignee(issueKey, options = {}) {
     assignee: bestCandidate,
     alternatives: finalCandidateList.slice(1),
     declined: Array.from(updatedState.declinedAccountIds || []),
+    excluded,
+    strategy: selection,
     attemptErrors: attemptErrors
   };
 }
 
 /**
- * retrieves the stored assignment state for visibility/debugging.
+ * retrieves the stored assignment state for visibility/debugging. expired
+ * declines are left out, and each remaining decline is listed with when it
+ * expires.
  *
  * @param {string} issueKey - jira issue key
  * @returns {Promise<Object|null>} persisted state if available
  */
 export async function getAssignmentState(issueKey) {
   if (!issueKey || typeof issueKey !== 'string') return null;
-  const stored = cache.getIssueAssignmentState(issueKey);
+  const stored = await cache.getIssueAssignmentState(issueKey);
   if (!stored) return null;
-  const declined = new Set(Array.isArray(stored.declinedAccountIds) ? stored.declinedAccountIds : []);
+
+  const expiry = await loadProjectDeclineExpiry(deriveProjectKey(issueKey));
+  const { declinedAccountIds, declinedAt, declineReasons } = pruneExpiredDeclines(stored, expiry);
+  const declines = await Promise.all(declinedAccountIds.map(async accountId => ({
+    accountId,
+    displayName: (await cache.getUserProfile(accountId))?.displayName || null,
+    declinedAt: declinedAt[accountId] || null,
+    expiresAt: declineExpiresAt(declinedAt[accountId], expiry.ttlDays),
+    reason: declineReasons[accountId] || null
+  })));
   return {
     currentAccountId: stored.currentAccountId || null,
-    declinedAccountIds: Array.from(declined),
+    pickedAccountId: stored.pickedAccountId || null,
+    declinedAccountIds,
+    declines,
+    declineReasons,
+    offer: stored.offer || null,
     lastUpdated: stored.lastUpdated || null
   };
 }
 
+/**
+ * takes back a single decline so the person can be recommended for the
+ * issue again. the decline no longer counts as feedback against them
+ * either.
+ *
+ * @param {string} issueKey - jira issue key
+ * @param {string} accountId - account whose decline is undone
+ * @returns {Promise<Object|null>} the updated state, see getAssignmentState
+ */
+export async function undoDecline(issueKey, accountId) {
+  if (!issueKey || typeof issueKey !== 'string') {
+    throw new Error('issueKey is required to undo a decline');
+  }
+  if (!accountId || typeof accountId !== 'string') {
+    throw new Error('accountId is required to undo a decline');
+  }
+
+  const state = await loadAssignmentState(issueKey);
+  if (!state.declinedAccountIds.has(accountId)) {
+    throw new Error(`${accountId} has not declined ${issueKey}`);
+  }
+
+  state.declinedAccountIds.delete(accountId);
+  delete state.declinedAt[accountId];
+  delete state.declineReasons[accountId];
+
+  await persistAssignmentState(issueKey, { ...state, lastUpdated: new Date().toISOString() });
+  await forgetFeedback(accountId, issueKey);
+  return await getAssignmentState(issueKey);
+}
+
 /**
  * resets any stored recommendation state for the supplied issue.
  *
@@ -205,50 +358,138 @@ export async function clearAssignmentState(issueKey) {
 }
 
 /**
- * loads the previous state, defaulting to an empty structure.
+ * accepts a pending offer: the issue is assigned to the person it was
+ * offered to. an offer can still be accepted after its timeout until the
+ * escalation trigger has moved it on.
+ *
+ * @param {string} issueKey - jira issue key
+ * @param {string} accountId - account accepting, must be the one offered the issue
+ * @param {Object} [options]
+ * @param {string|null} [options.actorDisplayName=null] - ui actor name for the audit log
+ * @returns {Promise<Object>} result with status 'offer-accepted' and the assignee
+ */
+export async function acceptOffer(issueKey, accountId, { actorDisplayName = null } = {}) {
+  if (!issueKey || typeof issueKey !== 'string') {
+    throw new Error('issueKey is required to accept an offer');
+  }
+
+  const state = await loadAssignmentState(issueKey);
+  const { offer } = state;
+  if (!offer || !accountId || offer.accountId !== accountId) {
+    throw new Error(`there is no pending offer of ${issueKey} to accept`);
+  }
+
+  const options = { actorAccountId: accountId, actorDisplayName };
+  let result;
+  try {
+    // the candidate may not have permission to assign issues themselves
+    await applyAssignment(issueKey, accountId, true);
+    await scrapeOrchestrator.scrapeSingleIssue(issueKey);
+
+    await persistAssignmentState(issueKey, {
+      ...state,
+      currentAccountId: accountId,
+      pickedAccountId: accountId,
+      offer: null,
+      lastUpdated: new Date().toISOString()
+    });
+    await postComment(issueKey, `${offer.displayName} accepted the offer and has been assigned.`);
+
+    result = {
+      success: true,
+      status: 'offer-accepted',
+      issueKey,
+      assignee: { accountId, displayName: offer.displayName, finalScore: offer.finalScore },
+      alternatives: [],
+      declined: Array.from(state.declinedAccountIds),
+      excluded: [],
+      attemptErrors: []
+    };
+  } catch (error) {
+    await recordAuditEvent({ event: 'failure', issueKey, options, error });
+    throw error;
+  }
+
+  await recordAuditEvent({ event: 'assignment', issueKey, options, result });
+  await sendNotifications(issueKey, result, options);
+  await sendAssignmentWebhooks(issueKey, result, options);
+  return result;
+}
+
+/**
+ * loads the previous state, defaulting to an empty structure. declines
+ * older than the project's time-to-live are dropped.
  */
 async function loadAssignmentState(issueKey) {
   const stored = await cache.getIssueAssignmentState(issueKey);
   if (!stored) {
     return {
       currentAccountId: null,
-      declinedAccountIds: new Set()
+      pickedAccountId: null,
+      declinedAccountIds: new Set(),
+      declinedAt: {},
+      declineReasons: {},
+      offer: null
     };
   }
 
+  const expiry = await loadProjectDeclineExpiry(deriveProjectKey(issueKey));
+  const { declinedAccountIds, declinedAt, declineReasons } = pruneExpiredDeclines(stored, expiry);
   return {
     currentAccountId: stored.currentAccountId || null,
-    declinedAccountIds: new Set(Array.isArray(stored.declinedAccountIds) ? stored.declinedAccountIds : []),
+    pickedAccountId: stored.pickedAccountId || null,
+    declinedAccountIds: new Set(declinedAccountIds),
+    declinedAt,
+    declineReasons,
+    offer: stored.offer || null,
     lastUpdated: stored.lastUpdated || null
   };
 }
 
 /**
- * persists the supplied state object to kvs.
+ * persists the supplied state object to kvs. currentAccountId is the latest
+ * recommendation, previews included; pickedAccountId is only set once the
+ * app has assigned or offered the issue to that person.
  */
 async function persistAssignmentState(issueKey, state) {
   await cache.cacheIssueAssignmentState(issueKey, {
     currentAccountId: state.currentAccountId || null,
+    pickedAccountId: state.pickedAccountId || null,
     declinedAccountIds: Array.isArray(state.declinedAccountIds)
       ? state.declinedAccountIds
       : Array.from(state.declinedAccountIds || []),
+    declinedAt: state.declinedAt || {},
+    declineReasons: state.declineReasons || {},
+    offer: state.offer || null,
     lastUpdated: state.lastUpdated || new Date().toISOString()
   });
 }
 
 /**
- * records a decline in the in-memory copy of the state.
+ * records a decline in the in-memory copy of the state. the reason, if one
+ * was given, is kept per declined account.
  */
-function registerDecline(state, declinedAccountId) {
+function registerDecline(state, declinedAccountId, declineReason = null) {
   const nextDeclined = new Set(state?.declinedAccountIds || []);
+  const declinedAtByAccount = { ...(state?.declinedAt || {}) };
+  const declineReasons = { ...(state?.declineReasons || {}) };
+  const declinedAt = new Date().toISOString();
   if (declinedAccountId) {
     nextDeclined.add(declinedAccountId);
+    declinedAtByAccount[declinedAccountId] = declinedAt;
+    if (declineReason) {
+      declineReasons[declinedAccountId] = { ...declineReason, declinedAt };
+    }
   }
 
   return {
     currentAccountId: null,
+    // someone who declined is no longer the app's pick
+    pickedAccountId: state?.pickedAccountId === declinedAccountId ? null : state?.pickedAccountId || null,
     declinedAccountIds: nextDeclined,
-    lastUpdated: new Date().toISOString()
+    declinedAt: declinedAtByAccount,
+    declineReasons,
+    lastUpdated: declinedAt
   };
 }
 
@@ -269,12 +510,21 @@ async function ensureProcessedIssue(issueKey) {
 
 /**
  * builds and sorts the candidate list using the scoring system.
+ * users at or over their capacity, or away for the whole period the issue is
+ * needed, are left out and reported in `excluded`. partly available users
+ * have their raw score scaled by their availability.
+ *
+ * `constraints` holds the project capacity limits and the availability
+ * ranges and past declines of every user; `recency` holds the project's
+ * half-life.
  */
-async function buildCandidateScores(issue, assignableMap, declinedSet, criteria = null) {
+async function buildCandidateScores(issue, assignableMap, declinedSet, criteria = null, weights = DEFAULT_WEIGHTS, constraints = {}, recency = DEFAULT_RECENCY) {
+  const { capacity = null, availability = {}, feedback = {} } = constraints || {};
   const profiles = await cache.allUserProfiles();
-  const processedIssues = cache.allIssues();
+  const processedIssues = await cache.allIssues();
 
   const candidates = [];
+  const excluded = [];
 
   for (const [accountId, user] of assignableMap.entries()) {
     if (!accountId || (declinedSet && declinedSet.has(accountId))) {
@@ -284,6 +534,28 @@ async function buildCandidateScores(issue, assignableMap, declinedSet, criteria
     const profile = profiles[accountId] || null;
     const workload = await cache.getWorkload(accountId) || null;
 
+    const overCapacity = checkCapacity(workload, resolveUserLimits(capacity, accountId));
+    if (overCapacity) {
+      excluded.push({
+        accountId,
+        displayName: user?.displayName || profile?.displayName || accountId,
+        ...overCapacity
+      });
+      continue;
+    }
+
+    const availabilityCheck = assessAvailability(availability[accountId], issue.dueDate);
+    if (availabilityCheck.percent === 0) {
+      excluded.push({
+        accountId,
+        displayName: user?.displayName || profile?.displayName || accountId,
+        reason: 'availability',
+        message: `unavailable ${describeWindow(availabilityCheck)}`,
+        availability: availabilityCheck
+      });
+      continue;
+    }
+
     const candidateScore = calculateCandidateScore(
       issue,
       accountId,
@@ -291,29 +563,42 @@ async function buildCandidateScores(issue, assignableMap, declinedSet, criteria
       profile,
       workload,
       processedIssues,
-      criteria
+      criteria,
+      weights,
+      recency
     );
 
+    applyAvailability(candidateScore, availabilityCheck);
+    applyFeedback(candidateScore, assessFeedback(feedback[accountId], issue, recency), weights, criteria);
     candidates.push(candidateScore);
   }
 
-  candidates.sort((a, b) => {
-    if (b.finalScore !== a.finalScore) {
-      return b.finalScore - a.finalScore;
-    }
-    if (b.rawScore !== a.rawScore) {
-      return b.rawScore - a.rawScore;
-    }
-    return (a.displayName || '').localeCompare(b.displayName || '');
-  });
+  candidates.sort(compareCandidates);
+
+  return { candidates, excluded };
+}
 
-  return candidates;
+/**
+ * orders scored candidates best first: final score, then raw score, then
+ * name so ties are stable.
+ */
+export function compareCandidates(a, b) {
+  if (b.finalScore !== a.finalScore) {
+    return b.finalScore - a.finalScore;
+  }
+  if (b.rawScore !== a.rawScore) {
+    return b.rawScore - a.rawScore;
+  }
+  return (a.displayName || '').localeCompare(b.displayName || '');
 }
 
 /**
  * calculates feature and workload scores for a single candidate.
+ * `weights` defaults to the built-in tuning when the project has none stored.
+ * profile counters are decayed by `recency.halfLifeDays`; evidence keeps
+ * both the raw and the decayed count.
  */
-export function calculateCandidateScore(issue, accountId, displayName, profile, workload, processedIssues, criteria = null) {
+export function calculateCandidateScore(issue, accountId, displayName, profile, workload, processedIssues, criteria = null, weights = DEFAULT_WEIGHTS, recency = DEFAULT_RECENCY, now = new Date()) {
   let rawScore = 0;
   let evidence = {
     labels: [],
@@ -321,6 +606,8 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
     issueTypes: [],
     epics: [],
     parents: [],
+    textMatches: [],
+    confluence: [],
     interactions: [],
     penalties: {}
   };
@@ -332,6 +619,8 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
     issueType: true,
     epic: true,
     parent: true,
+    textSimilarity: true,
+    confluence: true,
     previousAssignee: true,
     worklogs: true,
     comments: true,
@@ -359,14 +648,20 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
     totalEstimateSeconds: 0
   };
 
+  const activeWeights = { ...DEFAULT_WEIGHTS, ...(weights || {}) };
+  const halfLifeDays = recency ? recency.halfLifeDays : null;
+  const interactionDates = safeProfile.interactionDates || {};
+  const decay = (counter, key, count) => decayedCount(count, interactionDates[counter]?.[key], halfLifeDays, now);
+
   // Labels scoring
   if (enabledCriteria.labels) {
     for (const label of Array.isArray(issue.labels) ? issue.labels : []) {
       const count = Number(safeProfile.labels?.[label]) || 0;
       if (count > 0) {
-        const contribution = WEIGHTS.LABEL * Math.log1p(count);
+        const decayed = decay('labels', label, count);
+        const contribution = activeWeights.LABEL * Math.log1p(decayed);
         rawScore += contribution;
-        evidence.labels.push({ label, count, contribution });
+        evidence.labels.push({ label, count, decayedCount: decayed, contribution });
       }
     }
   }
@@ -377,9 +672,10 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
       const key = typeof component === 'string' ? component : String(component);
       const count = Number(safeProfile.components?.[key]) || 0;
       if (count > 0) {
-        const contribution = WEIGHTS.COMPONENT * Math.log1p(count);
+        const decayed = decay('components', key, count);
+        const contribution = activeWeights.COMPONENT * Math.log1p(decayed);
         rawScore += contribution;
-        evidence.components.push({ component: key, count, contribution });
+        evidence.components.push({ component: key, count, decayedCount: decayed, contribution });
       }
     }
   }
@@ -391,9 +687,10 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
       : issue.issueType.name ? issue.issueType.name : String(issue.issueType);
     const count = Number(safeProfile.issueTypes?.[issueTypeKey]) || 0;
     if (count > 0) {
-      const contribution = WEIGHTS.ISSUE_TYPE * Math.log1p(count);
+      const decayed = decay('issueTypes', issueTypeKey, count);
+      const contribution = activeWeights.ISSUE_TYPE * Math.log1p(decayed);
       rawScore += contribution;
-      evidence.issueTypes.push({ issueType: issueTypeKey, count, contribution });
+      evidence.issueTypes.push({ issueType: issueTypeKey, count, decayedCount: decayed, contribution });
     }
   }
 
@@ -402,9 +699,10 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
     const epicKey = issue.epic.key;
     const count = Number(safeProfile.epics?.[epicKey]) || 0;
     if (count > 0) {
-      const contribution = WEIGHTS.EPIC * Math.log1p(count);
+      const decayed = decay('epics', epicKey, count);
+      const contribution = activeWeights.EPIC * Math.log1p(decayed);
       rawScore += contribution;
-      evidence.epics.push({ epicKey, count, contribution });
+      evidence.epics.push({ epicKey, count, decayedCount: decayed, contribution });
     }
   }
 
@@ -413,9 +711,51 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
     const parentKey = issue.parent.key;
     const count = Number(safeProfile.parents?.[parentKey]) || 0;
     if (count > 0) {
-      const contribution = WEIGHTS.PARENT * Math.log1p(count);
+      const decayed = decay('parents', parentKey, count);
+      const contribution = activeWeights.PARENT * Math.log1p(decayed);
+      rawScore += contribution;
+      evidence.parents.push({ parentKey, count, decayedCount: decayed, contribution });
+    }
+  }
+
+  // Text similarity scoring
+  if (enabledCriteria.textSimilarity) {
+    const workedIssueKeys = [
+      ...(Array.isArray(safeProfile.assignedIssues) ? safeProfile.assignedIssues : []),
+      ...(Array.isArray(safeProfile.worklogIssues) ? safeProfile.worklogIssues : []),
+      ...(Array.isArray(safeProfile.commentedIssues) ? safeProfile.commentedIssues : []),
+      ...(Array.isArray(safeProfile.historicalIssues) ? safeProfile.historicalIssues : [])
+    ];
+    for (const match of findSimilarIssues(issue, workedIssueKeys, processedIssues)) {
+      const contribution = activeWeights.TEXT_SIMILARITY * match.similarity;
+      rawScore += contribution;
+      evidence.textMatches.push({
+        issueKey: match.issueKey,
+        similarity: match.similarity,
+        terms: match.terms,
+        contribution
+      });
+    }
+  }
+
+  // Confluence scoring, on unless switched off explicitly so older criteria
+  // selections pick it up
+  if (enabledCriteria.confluence !== false) {
+    for (const match of findMatchingPages(issue, safeProfile.confluencePages)) {
+      const recencyFactor = decayedCount(1, [match.page.lastUpdated], halfLifeDays, now);
+      const contribution = activeWeights.CONFLUENCE * match.similarity * recencyFactor;
       rawScore += contribution;
-      evidence.parents.push({ parentKey, count, contribution });
+      evidence.confluence.push({
+        pageId: match.page.id,
+        title: match.page.title,
+        spaceKey: match.page.spaceKey,
+        url: match.page.url || null,
+        isCreator: Boolean(match.page.isCreator),
+        lastUpdated: match.page.lastUpdated || null,
+        keywords: match.keywords,
+        similarity: match.similarity,
+        contribution
+      });
     }
   }
 
@@ -423,11 +763,11 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
   if (enabledCriteria.previousAssignee && Array.isArray(issue.historicalAssignees)) {
     const match = issue.historicalAssignees.find(entry => entry?.accountId === accountId);
     if (match) {
-      rawScore += WEIGHTS.HISTORICAL_EXACT;
+      rawScore += activeWeights.HISTORICAL_EXACT;
       evidence.interactions.push({
         type: 'historical-assignee',
         occurredAt: match.changedAt || null,
-        contribution: WEIGHTS.HISTORICAL_EXACT
+        contribution: activeWeights.HISTORICAL_EXACT
       });
     }
   }
@@ -437,7 +777,7 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
     const logEntry = issue.worklogContributors.find(entry => entry?.accountId === accountId);
     if (logEntry) {
       const timeHours = (Number(logEntry.timeSpentSeconds) || 0) / 3600;
-      const contribution = WEIGHTS.DIRECT_WORKLOG * Math.log1p(timeHours + Number(logEntry.logCount || 0));
+      const contribution = activeWeights.DIRECT_WORKLOG * Math.log1p(timeHours + Number(logEntry.logCount || 0));
       rawScore += contribution;
       evidence.interactions.push({
         type: 'worklog',
@@ -452,7 +792,7 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
   if (enabledCriteria.comments && Array.isArray(issue.commentContributors)) {
     const commentEntry = issue.commentContributors.find(entry => entry?.accountId === accountId);
     if (commentEntry) {
-      const contribution = WEIGHTS.DIRECT_COMMENT * Math.log1p(Number(commentEntry.commentCount) || 0);
+      const contribution = activeWeights.DIRECT_COMMENT * Math.log1p(Number(commentEntry.commentCount) || 0);
       rawScore += contribution;
       evidence.interactions.push({
         type: 'comment',
@@ -466,7 +806,7 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
   if (enabledCriteria.overallAssignments) {
     const assignedHistory = Array.isArray(safeProfile.assignedIssues) ? safeProfile.assignedIssues.length : 0;
     if (assignedHistory > 0) {
-      const contribution = WEIGHTS.GENERAL_ASSIGNMENTS * Math.log1p(assignedHistory);
+      const contribution = activeWeights.GENERAL_ASSIGNMENTS * Math.log1p(assignedHistory);
       rawScore += contribution;
       evidence.interactions.push({
         type: 'assigned-issue-count',
@@ -480,7 +820,7 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
   if (enabledCriteria.overallWorklogs) {
     const worklogHistory = Array.isArray(safeProfile.worklogIssues) ? safeProfile.worklogIssues.length : 0;
     if (worklogHistory > 0) {
-      const contribution = WEIGHTS.GENERAL_WORKLOGS * Math.log1p(worklogHistory);
+      const contribution = activeWeights.GENERAL_WORKLOGS * Math.log1p(worklogHistory);
       rawScore += contribution;
       evidence.interactions.push({
         type: 'worklog-issue-count',
@@ -494,7 +834,7 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
   if (enabledCriteria.overallComments) {
     const commentHistory = Array.isArray(safeProfile.commentedIssues) ? safeProfile.commentedIssues.length : 0;
     if (commentHistory > 0) {
-      const contribution = WEIGHTS.GENERAL_COMMENTS * Math.log1p(commentHistory);
+      const contribution = activeWeights.GENERAL_COMMENTS * Math.log1p(commentHistory);
       rawScore += contribution;
       evidence.interactions.push({
         type: 'comment-issue-count',
@@ -504,7 +844,7 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
     }
   }
 
-  const workloadPenalty = calculateWorkloadPenalty(safeWorkload, enabledCriteria);
+  const workloadPenalty = calculateWorkloadPenalty(safeWorkload, enabledCriteria, activeWeights);
   evidence.penalties.workload = workloadPenalty;
 
   return {
@@ -519,10 +859,70 @@ export function calculateCandidateScore(issue, accountId, displayName, profile,
   };
 }
 
+/**
+ * records the availability decision in the evidence and scales the raw
+ * score of partly available candidates. the workload penalty is left as is
+ * so scaling can only lower a candidate's final score.
+ */
+function applyAvailability(candidateScore, availabilityCheck) {
+  const factor = availabilityCheck.percent / 100;
+
+  candidateScore.evidence.availability = {
+    percent: availabilityCheck.percent,
+    from: availabilityCheck.from,
+    to: availabilityCheck.to,
+    ranges: availabilityCheck.ranges,
+    factor
+  };
+
+  if (factor < 1) {
+    candidateScore.rawScore *= factor;
+    candidateScore.finalScore = candidateScore.rawScore - candidateScore.workloadPenalty;
+  }
+}
+
+/**
+ * subtracts the learned penalty for repeatedly declining similar work and
+ * records it in the evidence. the decline criterion is on unless switched
+ * off explicitly, so older criteria selections keep it.
+ */
+function applyFeedback(candidateScore, assessment, weights = DEFAULT_WEIGHTS, criteria = null) {
+  if (criteria && criteria.declineFeedback === false) {
+    return;
+  }
+
+  if (assessment.count === 0) {
+    return;
+  }
+
+  const weight = { ...DEFAULT_WEIGHTS, ...(weights || {}) }.DECLINE_FEEDBACK;
+  const penalty = calculateFeedbackPenalty(assessment, weight);
+
+  candidateScore.evidence.feedback = {
+    count: assessment.count,
+    decayedCount: assessment.decayedCount,
+    declines: assessment.declines,
+    overrides: assessment.overrides,
+    issueKeys: assessment.issueKeys,
+    penalty,
+    message: `declined similar work ${assessment.count} time${assessment.count === 1 ? '' : 's'}`
+  };
+  candidateScore.evidence.penalties.feedback = penalty;
+  candidateScore.feedbackPenalty = penalty;
+  candidateScore.finalScore -= penalty;
+}
+
+/**
+ * readable period used when explaining an availability exclusion.
+ */
+function describeWindow({ from, to }) {
+  return from === to ? `on ${from}` : `from ${from} to ${to}`;
+}
+
 /**
  * workload penalty ensures heavily loaded users are deprioritised.
  */
-function calculateWorkloadPenalty(workload, criteria = null) {
+function calculateWorkloadPenalty(workload, criteria = null, weights = DEFAULT_WEIGHTS) {
   if (!workload || typeof workload !== 'object') {
     return 0;
   }
@@ -535,12 +935,12 @@ function calculateWorkloadPenalty(workload, criteria = null) {
   let penalty = 0;
   if (enabledCriteria.workloadOpenIssues) {
     const totalIssues = Number(workload.totalIssues) || 0;
-    penalty += WEIGHTS.WORKLOAD_OPEN_ISSUES * totalIssues;
+    penalty += weights.WORKLOAD_OPEN_ISSUES * totalIssues;
   }
 
   if (enabledCriteria.workloadEstimateHours) {
     const estimateHours = ((Number(workload.totalEstimateSeconds) || 0) / 3600);
-    penalty += WEIGHTS.WORKLOAD_ESTIMATE_HOURS * estimateHours;
+    penalty += weights.WORKLOAD_ESTIMATE_HOURS * estimateHours;
   }
 
   return penalty;
@@ -602,6 +1002,14 @@ export function generateAssignmentSummary(candidate) {
     reasons.push(`${topType.issueType} experience`);
   }
 
+  if (Array.isArray(evidence.textMatches) && evidence.textMatches.length > 0) {
+    reasons.push(`similar past issues (${evidence.textMatches[0].issueKey})`);
+  }
+
+  if (Array.isArray(evidence.confluence) && evidence.confluence.length > 0) {
+    reasons.push(`wrote about it in confluence (${evidence.confluence[0].title})`);
+  }
+
   const historicalWork = evidence.interactions.find(i => i.type === 'historical-assignee');
   if (historicalWork) {
     reasons.push('previously assigned similar issues');
@@ -631,8 +1039,9 @@ export function generateAssignmentSummary(candidate) {
 /**
  * applies the assignment via the jira rest api.
  */
-async function applyAssignment(issueKey, accountId) {
-  const response = await api.asUser().requestJira(
+async function applyAssignment(issueKey, accountId, assignAsApp = false) {
+  const requester = assignAsApp ? api.asApp() : api.asUser();
+  const response = await requester.requestJira(
     route`/rest/api/3/issue/${issueKey}/assignee`,
     {
       method: 'PUT',
@@ -648,37 +1057,141 @@ async function applyAssignment(issueKey, accountId) {
 }
 
 /**
- * posts a short update when a recommendation is accepted.
+ * posts a short update when a recommendation is accepted. the assignee and
+ * alternatives are mentioned, and their scores are broken down in a table.
  */
 async function postAssignmentComment(issueKey, bestCandidate, alternatives, state, actorDisplayName) {
-  const declined = Array.from(state.declinedAccountIds || []);
+  const declinedNames = await resolveDisplayNames(Array.from(state.declinedAccountIds || []));
 
   const actorText = actorDisplayName ? `${actorDisplayName} triggered auto-assignment.` : 'Auto-assignment completed.';
 
-  const primary = `${bestCandidate.displayName} has been recommended (score ${bestCandidate.finalScore.toFixed(2)}).`;
+  const primary = paragraph(
+    text(`${actorText} `),
+    mention(bestCandidate.accountId, bestCandidate.displayName),
+    text(` has been recommended (score ${bestCandidate.finalScore.toFixed(2)}).`)
+  );
 
   const altText = alternatives.length > 0
-    ? `Alternatives: ${alternatives.map(c => `${c.displayName} (${c.finalScore.toFixed(2)})`).join(', ')}.`
-    : 'No further alternatives are currently available.';
+    ? paragraph(
+      text('Alternatives: '),
+      ...joinInline(alternatives.map(c => mention(c.accountId, c.displayName))),
+      text('.')
+    )
+    : paragraph(text('No further alternatives are currently available.'));
+
+  const declinedText = declinedNames.length > 0
+    ? paragraph(text(`Declined so far: ${declinedNames.join(', ')}.`))
+    : null;
+
+  // link marks need an absolute url; without the site url the name is plain text
+  const baseUrl = await getSiteBaseUrl();
+  const evidenceLink = paragraph(
+    text('The evidence behind each score is in the '),
+    baseUrl
+      ? link('Recommended Assignees panel', `${baseUrl}/browse/${issueKey}`)
+      : text('Recommended Assignees panel'),
+    text(' on the issue.')
+  );
 
-  const declinedText = declined.length > 0
-    ? `Declined so far: ${declined.join(', ')}.`
-    : '';
+  await postComment(issueKey, doc(
+    primary,
+    altText,
+    buildScoreTable([bestCandidate, ...alternatives]),
+    declinedText,
+    evidenceLink
+  ));
+}
 
-  const message = [actorText, primary, altText, declinedText].filter(Boolean).join(' ');
+/**
+ * score breakdown of the candidates for the assignment comment: expertise
+ * (after availability scaling) minus the workload and declined similar work
+ * penalties gives the final score.
+ */
+function buildScoreTable(candidates) {
+  const format = (value) => (Number.isFinite(value) ? value.toFixed(2) : '0.00');
+  return table(
+    ['Candidate', 'Expertise', 'Workload penalty', 'Declined similar work', 'Score'],
+    candidates.map(candidate => [
+      [mention(candidate.accountId, candidate.displayName)],
+      format(candidate.rawScore),
+      format(candidate.workloadPenalty),
+      format(candidate.feedbackPenalty || 0),
+      [strong(format(candidate.finalScore))]
+    ])
+  );
+}
 
-  await postComment(issueKey, message);
+/**
+ * display names for account ids, falling back to the id for people the app
+ * has no profile for.
+ */
+async function resolveDisplayNames(accountIds) {
+  return Promise.all(accountIds.map(async accountId => (await cache.getUserProfile(accountId))?.displayName || accountId));
 }
 
 /**
- * posts acknowledgement when a user declines a recommendation.
+ * posts acknowledgement when a user declines a recommendation, quoting the
+ * reason they gave.
  */
-async function postDeclineComment(issueKey, declinedAccountId, actorDisplayName) {
+async function postDeclineComment(issueKey, declinedAccountId, actorDisplayName, declineReason = null) {
   const actorText = actorDisplayName || 'A user';
-  const message = `${actorText} declined the recommendation for account ${declinedAccountId}. Looking for the next best option...`;
+  const [declinedName] = await resolveDisplayNames([declinedAccountId]);
+  const reasonText = describeDeclineReason(declineReason);
+  const message = [
+    `${actorText} declined the recommendation for ${declinedName}.`,
+    reasonText ? `Reason: ${reasonText.replace(/[.!?]+$/, '')}.` : '',
+    'Looking for the next best option...'
+  ].filter(Boolean).join(' ');
   await postComment(issueKey, message);
 }
 
+/**
+ * offers the issue to the top candidate: stores the pending offer and
+ * mentions them in a comment so jira notifies them.
+ */
+async function offerToCandidate({ issueKey, projectKey, candidates, state, offerSettings, strategy, selection, excluded, actorDisplayName }) {
+  const [candidate, ...alternatives] = candidates;
+  const offer = buildOffer(candidate, offerSettings);
+
+  // the rotation moves on when the offer is made, like an assignment
+  if (strategy.name === 'round-robin') {
+    await cache.cacheRotationPointer(projectKey, candidate.accountId);
+  }
+
+  await persistAssignmentState(issueKey, {
+    ...state,
+    currentAccountId: candidate.accountId,
+    pickedAccountId: candidate.accountId,
+    offer,
+    lastUpdated: offer.offeredAt
+  });
+
+  await postOfferComment(issueKey, offer, actorDisplayName);
+
+  return {
+    success: true,
+    status: 'offered',
+    issueKey,
+    assignee: candidate,
+    alternatives,
+    declined: Array.from(state.declinedAccountIds || []),
+    excluded,
+    strategy: selection,
+    offer,
+    attemptErrors: []
+  };
+}
+
+/**
+ * mentions the candidate with the offer and when it runs out.
+ */
+async function postOfferComment(issueKey, offer, actorDisplayName) {
+  const offeredBy = actorDisplayName ? `${actorDisplayName} offered you this issue` : 'You have been offered this issue';
+  const expiresAt = offer.expiresAt.slice(0, 16).replace('T', ' ');
+  const message = `${offeredBy} (score ${offer.finalScore.toFixed(2)}). Accept or decline it from the Recommended Assignees panel by ${expiresAt} UTC, after that it is offered to the next candidate.`;
+  await postComment(issueKey, message, offer.accountId);
+}
+
 /**
  * helper to derive the jira project key from an issue key.
  */
@@ -691,7 +1204,15 @@ async function attemptAssignmentWithFallback({
   projectKey,
   processedIssue,
   baselineDeclines,
-  initialCandidates
+  initialCandidates,
+  criteria = null,
+  weights = DEFAULT_WEIGHTS,
+  constraints = {},
+  recency = DEFAULT_RECENCY,
+  strategy = null,
+  lastAccountId = null,
+  assignAsApp = false,
+  state = {}
 }) {
   const errors = [];
   const baselineSet = new Set(baselineDeclines || []);
@@ -701,7 +1222,10 @@ async function attemptAssignmentWithFallback({
   while (workingCandidates.length > 0) {
     const candidate = workingCandidates.shift();
     try {
-      await applyAssignment(issueKey, candidate.accountId);
+      // store the pick first, the assignee changed event may arrive before
+      // the assignment call returns
+      await persistAssignmentState(issueKey, { ...state, pickedAccountId: candidate.accountId, lastUpdated: new Date().toISOString() });
+      await applyAssignment(issueKey, candidate.accountId, assignAsApp);
       await scrapeOrchestrator.scrapeSingleIssue(issueKey);
 
       return {
@@ -721,14 +1245,21 @@ async function attemptAssignmentWithFallback({
       const refreshedAssignable = await jiraScraper.scrapeAssignableUsers(projectKey);
       const refreshedMap = new Map(refreshedAssignable.map(user => [user.accountId, user]));
 
-      workingCandidates = await buildCandidateScores(
+      const { candidates: rescored } = await buildCandidateScores(
         processedIssue,
         refreshedMap,
-        new Set([...baselineSet, ...temporaryExclusions])
+        new Set([...baselineSet, ...temporaryExclusions]),
+        criteria,
+        weights,
+        constraints,
+        recency
       );
+      ({ candidates: workingCandidates } = applyStrategy(rescored, strategy, { lastAccountId }));
     }
   }
 
+  // nobody was assigned, so the earlier pick stands
+  await persistAssignmentState(issueKey, state);
   return {
     success: false,
     errors
@@ -0,0 +1,360 @@
+import * as cache from '../cache.js';
+
+/**
+ * availability
+ *
+ * records when people are away (or only partly available) so they are not
+ * handed work they cannot pick up. each user has a list of date ranges with
+ * the percentage of their time they are available during the range. a
+ * candidate's availability for an issue is the average across the days from
+ * today until the issue's due date (or just today when there is no due date):
+ * fully unavailable candidates are excluded and partly available candidates
+ * have their score scaled down.
+ */
+
+/**
+ * longest window considered when an issue is due far in the future.
+ */
+export const MAX_WINDOW_DAYS = 90;
+
+/**
+ * hours of a working day; a timed calendar event takes away its share of
+ * these on each day it covers.
+ */
+export const WORKING_DAY_HOURS = 8;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ICAL_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * checks a list of availability ranges supplied by the admin panel.
+ *
+ * @param {Array<Object>} ranges - [{ start, end, percent, note }]
+ * @returns {{ valid: boolean, errors: Array<string>, ranges: Array<Object> }}
+ * validation result; `ranges` holds the parsed ranges ordered by start date
+ */
+export function validateAvailability(ranges) {
+  if (!Array.isArray(ranges)) {
+    return { valid: false, errors: ['availability must be a list of date ranges'], ranges: [] };
+  }
+
+  const errors = [];
+  const parsed = [];
+
+  ranges.forEach((range, index) => {
+    const label = `range ${index + 1}`;
+    if (!range || typeof range !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!isValidDate(range.start) || !isValidDate(range.end)) {
+      errors.push(`${label} needs start and end dates in YYYY-MM-DD format`);
+      return;
+    }
+    if (range.end < range.start) {
+      errors.push(`${label} ends before it starts`);
+      return;
+    }
+
+    const rawPercent = range.percent ?? 0;
+    const percent = typeof rawPercent === 'string' && rawPercent.trim() !== '' ? Number(rawPercent) : rawPercent;
+    if (typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      errors.push(`${label} percent must be between 0 and 100`);
+      return;
+    }
+
+    parsed.push({
+      start: range.start,
+      end: range.end,
+      percent,
+      note: typeof range.note === 'string' ? range.note.trim() : ''
+    });
+  });
+
+  parsed.sort((a, b) => a.start.localeCompare(b.start));
+
+  return { valid: errors.length === 0, errors, ranges: parsed };
+}
+
+/**
+ * loads the availability ranges of every user that has any.
+ *
+ * @returns {Promise<Object>} map of account id to ranges
+ */
+export async function loadAllAvailability() {
+  const stored = await cache.allAvailability();
+  const availability = {};
+  for (const [accountId, ranges] of Object.entries(stored || {})) {
+    availability[accountId] = validateAvailability(ranges).ranges;
+  }
+  return availability;
+}
+
+/**
+ * validates and persists the availability ranges for a user, replacing any
+ * previous ranges. an empty list removes the user's record.
+ *
+ * @param {string} accountId - user account id
+ * @param {Array<Object>} ranges - availability ranges
+ * @returns {Promise<Array<Object>>} the parsed ranges that were saved
+ */
+export async function saveAvailability(accountId, ranges) {
+  if (!accountId || typeof accountId !== 'string') {
+    throw new Error('accountId is required to save availability');
+  }
+
+  const result = validateAvailability(ranges);
+  if (!result.valid) {
+    throw new Error(`invalid availability: ${result.errors.join('; ')}`);
+  }
+
+  if (result.ranges.length === 0) {
+    await cache.uncacheAvailability(accountId);
+  } else {
+    await cache.cacheAvailability(accountId, result.ranges);
+  }
+  return result.ranges;
+}
+
+/**
+ * adds one range to the ranges already stored for a user.
+ *
+ * @param {string} accountId - user account id
+ * @param {Object} range - { start, end, percent, note }
+ * @returns {Promise<Array<Object>>} the parsed ranges that were saved
+ */
+export async function addAvailabilityRange(accountId, range) {
+  const stored = accountId ? await cache.getAvailability(accountId) : null;
+  return await saveAvailability(accountId, [...(Array.isArray(stored) ? stored : []), range]);
+}
+
+/**
+ * adds the events of an iCal (.ics) calendar to the ranges already stored
+ * for a user. ranges that are already stored, e.g. because the same
+ * calendar was imported before, are not added again.
+ *
+ * @param {string} accountId - user account id
+ * @param {string} calendar - contents of the .ics file
+ * @returns {Promise<{ imported: number, ranges: Array<Object> }>} how many
+ * new ranges were added and every range saved for the user
+ */
+export async function importAvailability(accountId, calendar) {
+  const parsed = parseICal(calendar);
+  if (parsed.length === 0) {
+    throw new Error('no events found in the calendar');
+  }
+
+  const stored = accountId ? await cache.getAvailability(accountId) : null;
+  const existing = validateAvailability(Array.isArray(stored) ? stored : []).ranges;
+  const seen = new Set(existing.map(rangeKey));
+  const imported = parsed.filter(range => {
+    const key = rangeKey(range);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const ranges = await saveAvailability(accountId, [...existing, ...imported]);
+  return { imported: imported.length, ranges };
+}
+
+/**
+ * reads the events of an iCal (.ics) calendar as availability ranges.
+ * events are treated as time away unless they carry an X-AVAILABILITY
+ * percentage, and events marked TRANSP:TRANSPARENT (free time) are skipped.
+ * all-day events end the day before their exclusive DTEND. timed events only
+ * take away the hours they cover on each day, read in their TZID zone, out of
+ * a WORKING_DAY_HOURS day.
+ *
+ * @param {string} text - contents of the .ics file
+ * @returns {Array<Object>} ranges ready for validateAvailability
+ */
+export function parseICal(text) {
+  if (typeof text !== 'string' || !text.trim()) return [];
+
+  // long lines are folded onto continuation lines starting with whitespace
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const ranges = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      ranges.push(...eventToRanges(event));
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const [name, ...params] = line.slice(0, separator).split(';');
+    event[name.toUpperCase()] = { value: line.slice(separator + 1), params };
+  }
+
+  return ranges;
+}
+
+/**
+ * works out how available a user is for an issue.
+ *
+ * @param {Array<Object>} ranges - the user's parsed ranges
+ * @param {string|null} dueDate - issue due date (YYYY-MM-DD) if set
+ * @param {Date} [now=new Date()] - current time
+ * @returns {{ percent: number, from: string, to: string, ranges: Array<Object> }}
+ * average availability across the window and the ranges that overlap it
+ */
+export function assessAvailability(ranges, dueDate, now = new Date()) {
+  const from = toDateString(now);
+  let to = from;
+  if (isValidDate(dueDate) && dueDate > from) {
+    const latest = toDateString(new Date(Date.parse(from) + (MAX_WINDOW_DAYS - 1) * DAY_MS));
+    to = dueDate < latest ? dueDate : latest;
+  }
+
+  const overlapping = (ranges || []).filter(range => range.start <= to && range.end >= from);
+  if (overlapping.length === 0) {
+    return { percent: 100, from, to, ranges: [] };
+  }
+
+  let total = 0;
+  let days = 0;
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+    const day = toDateString(new Date(time));
+    // when ranges overlap the most restrictive one applies
+    const percents = overlapping.filter(range => range.start <= day && range.end >= day).map(range => range.percent);
+    total += percents.length > 0 ? Math.min(...percents) : 100;
+    days += 1;
+  }
+
+  return { percent: total / days, from, to, ranges: overlapping };
+}
+
+function eventToRanges(event) {
+  if (!event || !event.DTSTART) return [];
+  if (event.TRANSP?.value.trim().toUpperCase() === 'TRANSPARENT') return [];
+
+  const rawPercent = event['X-AVAILABILITY'] ? Number(event['X-AVAILABILITY'].value) : 0;
+  const percent = Number.isFinite(rawPercent) ? rawPercent : 0;
+  const note = event.SUMMARY ? unescapeText(event.SUMMARY.value) : '';
+
+  const start = icalTime(event.DTSTART);
+  if (!start) return [];
+
+  if (!start.timed) {
+    const end = event.DTEND ? icalTime(event.DTEND) : null;
+    if (event.DTEND && !end) return [];
+    // DTEND of an all-day event is the day after the event
+    const last = end && end.time > start.time ? toDateString(new Date(end.time - DAY_MS)) : start.date;
+    return [{ start: start.date, end: last, percent, note }];
+  }
+
+  // a timed event without an end takes up no time
+  const end = event.DTEND ? icalTime(event.DTEND) : null;
+  if (!end || end.time <= start.time) return [];
+
+  const ranges = [];
+  const lastDay = toDateString(new Date(toWallClock(end.time - 1, start.timeZone)));
+  for (let day = start.date; day <= lastDay; day = toDateString(new Date(Date.parse(day) + DAY_MS))) {
+    const dayStart = fromWallClock(Date.parse(day), start.timeZone);
+    const dayEnd = fromWallClock(Date.parse(day) + DAY_MS, start.timeZone);
+    const hours = (Math.min(end.time, dayEnd) - Math.max(start.time, dayStart)) / HOUR_MS;
+    const share = Math.min(hours, WORKING_DAY_HOURS) / WORKING_DAY_HOURS;
+    const dayPercent = Math.round(100 - (100 - percent) * share);
+    if (dayPercent >= 100) continue;
+
+    const previous = ranges[ranges.length - 1];
+    if (previous && previous.percent === dayPercent && Date.parse(day) - Date.parse(previous.end) === DAY_MS) {
+      previous.end = day;
+    } else {
+      ranges.push({ start: day, end: day, percent: dayPercent, note });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * reads an ical DATE or DATE-TIME property. `date` is the calendar day in
+ * the value's own zone and `time` the instant it stands for; UTC (Z) and
+ * floating times have no zone.
+ */
+function icalTime(property) {
+  const match = ICAL_TIME_PATTERN.exec(property.value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (Number.isNaN(Date.parse(date))) return null;
+  if (hour === undefined) {
+    return { date, time: Date.parse(date), timed: false, timeZone: null };
+  }
+
+  const tzid = property.params.find(param => /^TZID=/i.test(param));
+  const timeZone = utc || !tzid ? null : tzid.slice(5).replace(/^"|"$/g, '');
+  const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  return { date, time: fromWallClock(wallClock, timeZone), timed: true, timeZone };
+}
+
+/**
+ * turns a wall-clock time in a zone (given as if it were UTC) into an instant.
+ */
+function fromWallClock(wallClock, timeZone) {
+  const guess = wallClock - zoneOffset(wallClock, timeZone);
+  return wallClock - zoneOffset(guess, timeZone);
+}
+
+function toWallClock(time, timeZone) {
+  return time + zoneOffset(time, timeZone);
+}
+
+/**
+ * offset of a zone from UTC at an instant, in milliseconds. zones that are
+ * not known (e.g. Windows zone names) are read as UTC.
+ */
+function zoneOffset(time, timeZone) {
+  if (!timeZone) return 0;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(new Date(time));
+  } catch (error) {
+    return 0;
+  }
+
+  const part = type => Number(parts.find(entry => entry.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+function rangeKey(range) {
+  return [range.start, range.end, range.percent, range.note || ''].join('|');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,229 @@
+import * as cache from '../cache.js';
+import { buildUserProfiles } from '../scrapers/dataProcessor.js';
+import { calculateCandidateScore, compareCandidates } from './autoAssign.js';
+import { validateWeights, loadProjectWeights } from './weights.js';
+import { loadProjectRecency } from './recency.js';
+
+/**
+ * offline evaluation
+ *
+ * replays resolved issues to measure how well the scoring would have picked
+ * their real assignee. for each issue, profiles are rebuilt only from issues
+ * resolved before it was created, and the issue itself is stripped of
+ * anything learnt after creation (assignee, worklogs, comments, assignee
+ * history). candidates are everyone with a profile at that point.
+ *
+ * reports top-1 and top-3 hit rates and the mean reciprocal rank (mrr) of
+ * the real assignee, so a change to the weights can be judged before saving.
+ */
+
+/**
+ * largest number of issues a single run replays.
+ */
+export const MAX_BACKTEST_ISSUES = 500;
+
+/**
+ * scores every resolved issue against the history that existed when it was
+ * created.
+ *
+ * @param {Object} processedIssues - map of issue key to processed issue, as
+ * returned by cache.allIssues()
+ * @param {Object} [options] - see replayIssues
+ * @returns {{ evaluated: number, skipped: number, top1: number, top3: number,
+ * mrr: number, issues: Array<Object> }} metrics as fractions between 0 and 1,
+ * with the rank of the real assignee per issue (null when unranked)
+ */
+export function evaluateAssignments(processedIssues, options = {}) {
+  const { replays, skipped } = replayIssues(processedIssues, options);
+
+  const issues = replays.map(({ issue, candidates }) => {
+    const ranked = [...candidates].sort(compareCandidates);
+    const position = ranked.findIndex(candidate => candidate.accountId === issue.assignee.accountId);
+
+    return {
+      issueKey: issue.key,
+      created: issue.created,
+      actualAccountId: issue.assignee.accountId,
+      actualDisplayName: issue.assignee.displayName || null,
+      predictedAccountId: ranked[0].accountId,
+      predictedDisplayName: ranked[0].displayName,
+      rank: position === -1 ? null : position + 1,
+      candidateCount: ranked.length
+    };
+  });
+
+  return {
+    evaluated: issues.length,
+    skipped,
+    ...summariseRanks(issues.map(issue => issue.rank)),
+    issues
+  };
+}
+
+/**
+ * scores the candidates of every resolved issue as they stood when the issue
+ * was created, without ranking them.
+ *
+ * @param {Object} processedIssues - map of issue key to processed issue
+ * @param {Object} [options]
+ * @param {string} [options.projectKey] - only replay issues of this project;
+ * history from every project is still used, as in live scoring
+ * @param {Object} [options.weights] - weights to score with, defaults to the built-in tuning
+ * @param {Object} [options.criteria] - enabled criteria, all by default
+ * @param {Object} [options.recency] - recency settings, defaults to DEFAULT_RECENCY
+ * @param {number} [options.limit] - only replay the most recently created issues
+ * @returns {{ replays: Array<{ issue: Object, candidates: Array<Object> }>, skipped: number }}
+ * the scored candidates per issue, and how many issues had no earlier history
+ */
+export function replayIssues(processedIssues, options = {}) {
+  const { projectKey = null, weights, criteria = null, recency, limit = null } = options;
+
+  const resolved = Object.values(processedIssues || {}).filter(isResolvedAndAssigned);
+  const history = [...resolved].sort((a, b) => Date.parse(a.resolutionDate) - Date.parse(b.resolutionDate));
+
+  let targets = resolved
+    .filter(issue => !projectKey || issue.key?.startsWith(`${projectKey}-`))
+    .sort((a, b) => Date.parse(a.created) - Date.parse(b.created));
+  if (limit) {
+    targets = targets.slice(-limit);
+  }
+
+  // targets are replayed in creation order, so history only ever grows and
+  // profiles can be extended rather than rebuilt for every issue
+  const profiles = {};
+  const known = {};
+  let nextHistory = 0;
+
+  const replays = [];
+  let skipped = 0;
+
+  for (const target of targets) {
+    const createdAt = Date.parse(target.created);
+    const learnt = [];
+    while (nextHistory < history.length && Date.parse(history[nextHistory].resolutionDate) < createdAt) {
+      learnt.push(history[nextHistory]);
+      nextHistory++;
+    }
+    buildUserProfiles(learnt, profiles);
+    learnt.forEach(issue => {
+      known[issue.key] = issue;
+    });
+
+    if (Object.keys(profiles).length === 0) {
+      skipped++;
+      continue;
+    }
+
+    // a fresh map per issue, the text similarity corpus is cached per object
+    const pastIssues = { ...known };
+    const blindIssue = stripOutcome(target);
+
+    const candidates = Object.values(profiles).map(profile => calculateCandidateScore(
+      blindIssue,
+      profile.accountId,
+      profile.displayName,
+      profile,
+      null,
+      pastIssues,
+      criteria,
+      weights,
+      recency,
+      new Date(createdAt)
+    ));
+
+    replays.push({ issue: target, candidates });
+  }
+
+  return { replays, skipped };
+}
+
+/**
+ * runs the backtest over the cached issues with the project's settings.
+ * `weights` can be supplied to try values out before they are saved.
+ *
+ * @param {Object} options
+ * @param {string} options.projectKey - jira project key
+ * @param {Object} [options.weights] - weights to try instead of the saved ones
+ * @param {Object} [options.criteria] - enabled criteria, all by default
+ * @param {number} [options.limit=MAX_BACKTEST_ISSUES] - most recent issues to replay
+ * @returns {Promise<Object>} see evaluateAssignments, plus the weights used
+ */
+export async function runBacktest({ projectKey, weights = null, criteria = null, limit = MAX_BACKTEST_ISSUES } = {}) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to run a backtest');
+  }
+
+  const issueLimit = Number(limit);
+  if (!Number.isInteger(issueLimit) || issueLimit < 1 || issueLimit > MAX_BACKTEST_ISSUES) {
+    throw new Error(`invalid backtest: limit must be a whole number between 1 and ${MAX_BACKTEST_ISSUES}`);
+  }
+
+  let activeWeights;
+  if (weights) {
+    const result = validateWeights(weights);
+    if (!result.valid) {
+      throw new Error(`invalid weights: ${result.errors.join('; ')}`);
+    }
+    activeWeights = result.weights;
+  } else {
+    activeWeights = await loadProjectWeights(projectKey);
+  }
+
+  const recency = await loadProjectRecency(projectKey);
+  const processedIssues = await cache.allIssues();
+
+  const report = evaluateAssignments(processedIssues, {
+    projectKey,
+    weights: activeWeights,
+    criteria,
+    recency,
+    limit: issueLimit
+  });
+
+  return { ...report, weights: activeWeights };
+}
+
+/**
+ * turns the rank of each real assignee into top-1, top-3 and mrr.
+ *
+ * @param {Array<number|null>} ranks - 1-based rank per issue, null when unranked
+ * @returns {{ top1: number, top3: number, mrr: number }}
+ */
+export function summariseRanks(ranks) {
+  if (ranks.length === 0) {
+    return { top1: 0, top3: 0, mrr: 0 };
+  }
+
+  const hits = (n) => ranks.filter(rank => rank !== null && rank <= n).length / ranks.length;
+  const reciprocal = ranks.reduce((sum, rank) => sum + (rank ? 1 / rank : 0), 0);
+
+  return {
+    top1: hits(1),
+    top3: hits(3),
+    mrr: reciprocal / ranks.length
+  };
+}
+
+function isResolvedAndAssigned(issue) {
+  return Boolean(
+    issue?.key &&
+    issue.assignee?.accountId &&
+    !Number.isNaN(Date.parse(issue.created)) &&
+    !Number.isNaN(Date.parse(issue.resolutionDate))
+  );
+}
+
+/**
+ * the issue as it looked when it was created.
+ */
+function stripOutcome(issue) {
+  return {
+    ...issue,
+    assignee: null,
+    status: null,
+    resolutionDate: null,
+    worklogContributors: [],
+    commentContributors: [],
+    historicalAssignees: []
+  };
+}
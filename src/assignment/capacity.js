@@ -0,0 +1,171 @@
+import * as cache from '../cache.js';
+
+/**
+ * capacity limits
+ *
+ * the workload penalty only lowers a candidate's score, so a heavily loaded
+ * expert can still come out on top. capacity limits are hard caps: anyone at
+ * or above their limit is left out of the ranking entirely. each project has
+ * default limits and can override them per user; a limit of null means
+ * uncapped.
+ */
+
+export const CAPACITY_FIELDS = Object.freeze(['maxOpenIssues', 'maxEstimateHours']);
+
+const UNCAPPED = Object.freeze({ maxOpenIssues: null, maxEstimateHours: null });
+
+/**
+ * checks the capacity settings supplied by the admin panel.
+ *
+ * @param {Object} capacity - { defaults: limits, users: { accountId: limits } }
+ * @returns {{ valid: boolean, errors: Array<string>, capacity: Object }}
+ * validation result; `capacity` holds the parsed limits
+ */
+export function validateCapacity(capacity) {
+  if (!capacity || typeof capacity !== 'object' || Array.isArray(capacity)) {
+    return { valid: false, errors: ['capacity must be an object'], capacity: emptyCapacity() };
+  }
+
+  const errors = [];
+  const defaults = parseLimits(capacity.defaults, 'default', errors);
+
+  const users = {};
+  const userEntries = capacity.users && typeof capacity.users === 'object' ? Object.entries(capacity.users) : [];
+  for (const [accountId, limits] of userEntries) {
+    const parsed = parseLimits(limits, accountId, errors);
+    // users without any limit of their own simply follow the defaults
+    if (CAPACITY_FIELDS.some(field => parsed[field] !== null)) {
+      users[accountId] = parsed;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    capacity: { defaults, users }
+  };
+}
+
+/**
+ * loads the capacity settings for a project. projects without settings are
+ * uncapped.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} capacity settings
+ */
+export async function loadProjectCapacity(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return emptyCapacity();
+  }
+
+  const stored = await cache.getProjectCapacity(projectKey);
+  if (!stored) {
+    return emptyCapacity();
+  }
+
+  return validateCapacity(stored).capacity;
+}
+
+/**
+ * validates and persists the capacity settings for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} capacity - capacity settings
+ * @returns {Promise<Object>} the parsed settings that were saved
+ */
+export async function saveProjectCapacity(projectKey, capacity) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save capacity');
+  }
+
+  const result = validateCapacity(capacity);
+  if (!result.valid) {
+    throw new Error(`invalid capacity: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectCapacity(projectKey, result.capacity);
+  return result.capacity;
+}
+
+/**
+ * limits that apply to one user: their own limit where set, otherwise the
+ * project default.
+ *
+ * @param {Object} capacity - capacity settings
+ * @param {string} accountId - user account id
+ * @returns {{ maxOpenIssues: number|null, maxEstimateHours: number|null }}
+ */
+export function resolveUserLimits(capacity, accountId) {
+  const defaults = capacity?.defaults || UNCAPPED;
+  const own = capacity?.users?.[accountId] || UNCAPPED;
+
+  const limits = {};
+  for (const field of CAPACITY_FIELDS) {
+    limits[field] = own[field] ?? defaults[field] ?? null;
+  }
+  return limits;
+}
+
+/**
+ * compares a workload with the user's limits.
+ *
+ * @param {Object|null} workload - cached workload ({ totalIssues, totalEstimateSeconds })
+ * @param {Object} limits - output of resolveUserLimits
+ * @returns {Object|null} exclusion details when at or over a limit, otherwise null
+ */
+export function checkCapacity(workload, limits) {
+  const openIssues = Number(workload?.totalIssues) || 0;
+  const estimateHours = (Number(workload?.totalEstimateSeconds) || 0) / 3600;
+
+  const reasons = [];
+  if (limits?.maxOpenIssues !== null && limits?.maxOpenIssues !== undefined && openIssues >= limits.maxOpenIssues) {
+    reasons.push(`${openIssues}/${limits.maxOpenIssues} open issues`);
+  }
+  if (limits?.maxEstimateHours !== null && limits?.maxEstimateHours !== undefined && estimateHours >= limits.maxEstimateHours) {
+    reasons.push(`${estimateHours.toFixed(1)}/${limits.maxEstimateHours} estimate hours`);
+  }
+
+  if (reasons.length === 0) return null;
+
+  return {
+    reason: 'capacity',
+    message: `at capacity: ${reasons.join(', ')}`,
+    openIssues,
+    estimateHours,
+    limits
+  };
+}
+
+function emptyCapacity() {
+  return { defaults: { ...UNCAPPED }, users: {} };
+}
+
+/**
+ * parses one set of limits. blank values mean uncapped; anything else must
+ * be a non-negative number.
+ */
+function parseLimits(limits, label, errors) {
+  const parsed = { ...UNCAPPED };
+  if (limits === undefined || limits === null) return parsed;
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    errors.push(`${label} limits must be an object`);
+    return parsed;
+  }
+
+  for (const field of CAPACITY_FIELDS) {
+    const value = limits[field];
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+      continue;
+    }
+
+    const numeric = typeof value === 'string' ? Number(value) : value;
+    if (typeof numeric !== 'number' || !Number.isFinite(numeric) || numeric < 0) {
+      errors.push(`${label} ${field} must be a non-negative number`);
+      continue;
+    }
+
+    parsed[field] = numeric;
+  }
+
+  return parsed;
+}
@@ -0,0 +1,118 @@
+import * as cache from '../cache.js';
+
+/**
+ * comment visibility
+ *
+ * the app's comments quote scores and decline reasons, which customers on
+ * service management projects should not see. a project can keep comments
+ * public, make them internal (service management only), or restrict them to
+ * a project role or a group, the way jira restricts any other comment.
+ */
+
+export const COMMENT_VISIBILITIES = Object.freeze(['public', 'internal', 'role', 'group']);
+
+export const DEFAULT_COMMENT_VISIBILITY = Object.freeze({ visibility: 'public', restrictTo: null });
+
+/**
+ * longest role or group name jira accepts.
+ */
+const MAX_RESTRICT_TO_LENGTH = 255;
+
+/**
+ * checks the comment visibility supplied by the admin panel.
+ *
+ * @param {Object} settings - { visibility, restrictTo }, restrictTo naming
+ * the role or group for restricted comments
+ * @returns {{ valid: boolean, errors: Array<string>, settings: Object }}
+ * validation result; `settings` holds the parsed settings
+ */
+export function validateCommentVisibility(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { valid: false, errors: ['comment visibility must be an object'], settings: { ...DEFAULT_COMMENT_VISIBILITY } };
+  }
+
+  const visibility = settings.visibility ?? DEFAULT_COMMENT_VISIBILITY.visibility;
+  if (!COMMENT_VISIBILITIES.includes(visibility)) {
+    return {
+      valid: false,
+      errors: [`visibility must be one of ${COMMENT_VISIBILITIES.join(', ')}`],
+      settings: { ...DEFAULT_COMMENT_VISIBILITY }
+    };
+  }
+
+  if (visibility !== 'role' && visibility !== 'group') {
+    return { valid: true, errors: [], settings: { visibility, restrictTo: null } };
+  }
+
+  const restrictTo = typeof settings.restrictTo === 'string' ? settings.restrictTo.trim() : '';
+  if (!restrictTo || restrictTo.length > MAX_RESTRICT_TO_LENGTH) {
+    return {
+      valid: false,
+      errors: [`restrictTo must name the ${visibility} in at most ${MAX_RESTRICT_TO_LENGTH} characters`],
+      settings: { ...DEFAULT_COMMENT_VISIBILITY }
+    };
+  }
+
+  return { valid: true, errors: [], settings: { visibility, restrictTo } };
+}
+
+/**
+ * loads the comment visibility for a project; comments are public unless
+ * configured otherwise.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} comment visibility settings
+ */
+export async function loadProjectCommentVisibility(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return { ...DEFAULT_COMMENT_VISIBILITY };
+  }
+
+  const stored = await cache.getProjectCommentVisibility(projectKey);
+  if (!stored) {
+    return { ...DEFAULT_COMMENT_VISIBILITY };
+  }
+
+  return validateCommentVisibility(stored).settings;
+}
+
+/**
+ * validates and persists the comment visibility for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} settings - comment visibility settings
+ * @returns {Promise<Object>} the parsed settings that were saved
+ */
+export async function saveProjectCommentVisibility(projectKey, settings) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save comment visibility');
+  }
+
+  const result = validateCommentVisibility(settings);
+  if (!result.valid) {
+    throw new Error(`invalid comment visibility: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectCommentVisibility(projectKey, result.settings);
+  return result.settings;
+}
+
+/**
+ * the fields added to the comment request body for the given settings.
+ * internal comments use the service management comment property, which
+ * other project types ignore.
+ *
+ * @param {Object} settings - comment visibility settings
+ * @returns {Object} `visibility` and/or `properties` for the request body
+ */
+export function commentVisibilityFields(settings) {
+  switch (settings?.visibility) {
+    case 'internal':
+      return { properties: [{ key: 'sd.public.comment', value: { internal: true } }] };
+    case 'role':
+    case 'group':
+      return { visibility: { type: settings.visibility, value: settings.restrictTo } };
+    default:
+      return {};
+  }
+}
@@ -0,0 +1,148 @@
+import * as cache from '../cache.js';
+import { getIssueTokens } from './textSimilarity.js';
+
+/**
+ * confluence expertise
+ *
+ * people who wrote or edited documentation about a topic are often the
+ * right people to work on it. each project lists the confluence spaces to
+ * scrape; every scraped page keeps the keywords picked out of its content,
+ * and a candidate's pages are matched against the summary and description
+ * tokens of the issue being assigned.
+ */
+
+export const MAX_CONFLUENCE_SPACES = 10;
+
+export const DEFAULT_CONFLUENCE_SETTINGS = Object.freeze({ spaceKeys: [] });
+
+/**
+ * maximum number of pages that can contribute to a candidate's score, so
+ * prolific writers do not win on volume alone.
+ */
+export const CONFLUENCE_MATCH_LIMIT = 3;
+
+/**
+ * fewest keywords a page has to share with the issue; a single shared word
+ * is usually a common one.
+ */
+export const CONFLUENCE_MIN_MATCHES = 2;
+
+// global space keys are alphanumeric, personal ones start with ~
+const SPACE_KEY_PATTERN = /^~?[A-Za-z0-9_-]+$/;
+
+/**
+ * checks the confluence settings supplied by the admin panel. space keys
+ * may be given as a list or as text separated by commas or spaces.
+ *
+ * @param {Object} settings - { spaceKeys }
+ * @returns {{ valid: boolean, errors: Array<string>, settings: Object }}
+ * validation result; `settings` holds the parsed settings
+ */
+export function validateConfluenceSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { valid: false, errors: ['confluence settings must be an object'], settings: cloneDefaults() };
+  }
+
+  const input = settings.spaceKeys ?? [];
+  const values = typeof input === 'string' ? input.split(/[\s,]+/) : input;
+  if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+    return { valid: false, errors: ['spaceKeys must be a list of space keys'], settings: cloneDefaults() };
+  }
+
+  const errors = [];
+  const spaceKeys = [...new Set(values.map(value => value.trim()).filter(Boolean))];
+  for (const spaceKey of spaceKeys) {
+    if (!SPACE_KEY_PATTERN.test(spaceKey)) {
+      errors.push(`${spaceKey} is not a valid space key`);
+    }
+  }
+  if (spaceKeys.length > MAX_CONFLUENCE_SPACES) {
+    errors.push(`at most ${MAX_CONFLUENCE_SPACES} spaces can be scraped`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, settings: cloneDefaults() };
+  }
+  return { valid: true, errors, settings: { spaceKeys } };
+}
+
+/**
+ * loads the confluence settings for a project, falling back to no spaces.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} confluence settings
+ */
+export async function loadProjectConfluenceSettings(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return cloneDefaults();
+  }
+
+  const stored = await cache.getProjectConfluenceSettings(projectKey);
+  if (!stored) {
+    return cloneDefaults();
+  }
+
+  return validateConfluenceSettings(stored).settings;
+}
+
+/**
+ * validates and persists the confluence settings for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} settings - confluence settings
+ * @returns {Promise<Object>} the parsed settings that were saved
+ */
+export async function saveProjectConfluenceSettings(projectKey, settings) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save confluence settings');
+  }
+
+  const result = validateConfluenceSettings(settings);
+  if (!result.valid) {
+    throw new Error(`invalid confluence settings: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectConfluenceSettings(projectKey, result.settings);
+  return result.settings;
+}
+
+/**
+ * finds the pages whose keywords overlap most with the issue's wording.
+ * similarity is the share of the smaller side that is shared: the page's
+ * keywords, or the issue's distinct tokens for short issues.
+ *
+ * @param {Object} issue - processed issue
+ * @param {Array<Object>} pages - confluencePages of a user profile
+ * @param {Object} [options]
+ * @param {number} [options.limit=CONFLUENCE_MATCH_LIMIT] - pages returned
+ * @param {number} [options.minMatches=CONFLUENCE_MIN_MATCHES] - shared keywords required
+ * @returns {Array<{ page: Object, keywords: Array<string>, similarity: number }>}
+ * best matches first
+ */
+export function findMatchingPages(issue, pages, { limit = CONFLUENCE_MATCH_LIMIT, minMatches = CONFLUENCE_MIN_MATCHES } = {}) {
+  const issueTokens = new Set(getIssueTokens(issue));
+  if (issueTokens.size === 0 || !Array.isArray(pages)) {
+    return [];
+  }
+
+  const matches = [];
+  for (const page of pages) {
+    const keywords = Array.isArray(page?.keywords) ? page.keywords : [];
+    const shared = keywords.filter(keyword => issueTokens.has(keyword));
+    if (shared.length < minMatches) continue;
+
+    matches.push({
+      page,
+      keywords: shared,
+      similarity: shared.length / Math.min(keywords.length, issueTokens.size)
+    });
+  }
+
+  return matches
+    .sort((a, b) => b.similarity - a.similarity || b.keywords.length - a.keywords.length)
+    .slice(0, limit);
+}
+
+function cloneDefaults() {
+  return { spaceKeys: [...DEFAULT_CONFLUENCE_SETTINGS.spaceKeys] };
+}
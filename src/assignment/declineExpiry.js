@@ -0,0 +1,145 @@
+import * as cache from '../cache.js';
+
+/**
+ * decline expiry
+ *
+ * a decline keeps someone off an issue, but circumstances change: the sprint
+ * ends, they come back from leave. each decline is timestamped and drops out
+ * of the issue's assignment state once it is older than the project's
+ * time-to-live, so an issue where everyone declined recovers by itself
+ * rather than needing a full reset. a ttl of null keeps declines forever.
+ */
+
+export const DEFAULT_DECLINE_TTL_DAYS = 14;
+
+export const MAX_DECLINE_TTL_DAYS = 365;
+
+export const DEFAULT_DECLINE_EXPIRY = Object.freeze({ ttlDays: DEFAULT_DECLINE_TTL_DAYS });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * checks the decline expiry settings supplied by the admin panel.
+ *
+ * @param {Object} expiry - { ttlDays }, blank or null meaning declines never expire
+ * @returns {{ valid: boolean, errors: Array<string>, expiry: Object }}
+ * validation result; `expiry` holds the parsed settings
+ */
+export function validateDeclineExpiry(expiry) {
+  if (!expiry || typeof expiry !== 'object' || Array.isArray(expiry)) {
+    return { valid: false, errors: ['decline expiry settings must be an object'], expiry: { ...DEFAULT_DECLINE_EXPIRY } };
+  }
+
+  const value = expiry.ttlDays;
+  if (value === null || (typeof value === 'string' && value.trim() === '')) {
+    return { valid: true, errors: [], expiry: { ttlDays: null } };
+  }
+  if (value === undefined) {
+    return { valid: true, errors: [], expiry: { ...DEFAULT_DECLINE_EXPIRY } };
+  }
+
+  const numeric = typeof value === 'string' ? Number(value) : value;
+  if (typeof numeric !== 'number' || !Number.isFinite(numeric) || numeric <= 0 || numeric > MAX_DECLINE_TTL_DAYS) {
+    return {
+      valid: false,
+      errors: [`ttlDays must be a number between 0 and ${MAX_DECLINE_TTL_DAYS}`],
+      expiry: { ...DEFAULT_DECLINE_EXPIRY }
+    };
+  }
+
+  return { valid: true, errors: [], expiry: { ttlDays: numeric } };
+}
+
+/**
+ * loads the decline expiry settings for a project, falling back to the
+ * default time-to-live.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} decline expiry settings
+ */
+export async function loadProjectDeclineExpiry(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return { ...DEFAULT_DECLINE_EXPIRY };
+  }
+
+  const stored = await cache.getProjectDeclineExpiry(projectKey);
+  if (!stored) {
+    return { ...DEFAULT_DECLINE_EXPIRY };
+  }
+
+  return validateDeclineExpiry(stored).expiry;
+}
+
+/**
+ * validates and persists the decline expiry settings for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} expiry - decline expiry settings
+ * @returns {Promise<Object>} the parsed settings that were saved
+ */
+export async function saveProjectDeclineExpiry(projectKey, expiry) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save decline expiry settings');
+  }
+
+  const result = validateDeclineExpiry(expiry);
+  if (!result.valid) {
+    throw new Error(`invalid decline expiry settings: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectDeclineExpiry(projectKey, result.expiry);
+  return result.expiry;
+}
+
+/**
+ * when a decline stops applying.
+ *
+ * @param {string|null} declinedAt - ISO date of the decline
+ * @param {number|null} ttlDays - time-to-live, null for never
+ * @returns {string|null} ISO date, or null if it never expires
+ */
+export function declineExpiresAt(declinedAt, ttlDays) {
+  const time = Date.parse(declinedAt);
+  if (!ttlDays || Number.isNaN(time)) {
+    return null;
+  }
+  return new Date(time + ttlDays * DAY_MS).toISOString();
+}
+
+/**
+ * drops the declines older than the time-to-live from a stored assignment
+ * state. declines stored before they were timestamped are dated by the
+ * state's last update; those with no date at all are kept.
+ *
+ * @param {Object} stored - assignment state as stored in kvs
+ * @param {Object} expiry - { ttlDays }
+ * @param {Date} [now]
+ * @returns {{ declinedAccountIds: Array<string>, declinedAt: Object, declineReasons: Object }}
+ * the declines still in force, with their dates and reasons
+ */
+export function pruneExpiredDeclines(stored, expiry, now = new Date()) {
+  const ids = Array.isArray(stored?.declinedAccountIds) ? stored.declinedAccountIds : [];
+  const dates = stored?.declinedAt || {};
+  const reasons = stored?.declineReasons || {};
+
+  const declinedAccountIds = [];
+  const declinedAt = {};
+  const declineReasons = {};
+  for (const accountId of new Set(ids)) {
+    const date = dates[accountId] || reasons[accountId]?.declinedAt || stored?.lastUpdated || null;
+    const expiresAt = declineExpiresAt(date, expiry?.ttlDays ?? null);
+    if (expiresAt && Date.parse(expiresAt) <= now.getTime()) {
+      continue;
+    }
+
+    declinedAccountIds.push(accountId);
+    if (date) {
+      declinedAt[accountId] = date;
+    }
+    if (reasons[accountId]) {
+      declineReasons[accountId] = reasons[accountId];
+    }
+  }
+
+  return { declinedAccountIds, declinedAt, declineReasons };
+}
@@ -0,0 +1,156 @@
+import { addAvailabilityRange } from './availability.js';
+
+/**
+ * decline reasons
+ *
+ * someone declining a recommendation says why. the reason is kept in the
+ * issue's assignment state and quoted in the decline comment, and the
+ * structured reasons feed back into the data used for scoring:
+ *
+ * - on leave: the time away is recorded as 0% availability up to the return
+ *   date, so nothing else is recommended to them meanwhile
+ * - wrong skill area: counts towards the penalty for declining similar work
+ * - no capacity, on leave and conflict of interest say nothing about the
+ *   person's skills, so those declines are left out of that penalty. a
+ *   conflict of interest only keeps them off the declined issue.
+ * - no response is recorded by the app when an offer times out, and is
+ *   skill neutral too.
+ */
+
+/**
+ * reason codes with the wording used in comments.
+ */
+export const DECLINE_REASONS = Object.freeze({
+  'no-capacity': 'no capacity',
+  'wrong-skill': 'wrong skill area',
+  'on-leave': 'on leave',
+  'conflict-of-interest': 'conflict of interest',
+  'no-response': 'no response to the offer',
+  other: 'other'
+});
+
+/**
+ * reasons whose declines are not held against the person's skills.
+ */
+export const SKILL_NEUTRAL_REASONS = Object.freeze(['no-capacity', 'on-leave', 'conflict-of-interest', 'no-response']);
+
+export const MAX_NOTE_LENGTH = 500;
+
+/**
+ * furthest ahead a return date from leave may be.
+ */
+export const MAX_LEAVE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * checks a decline reason supplied by the issue panel. a missing reason is
+ * allowed so existing callers keep working.
+ *
+ * @param {Object|null} input - { code, note, until }
+ * @param {Date} [now]
+ * @returns {{ valid: boolean, errors: Array<string>, reason: Object|null }}
+ * validation result; `reason` holds the normalised { code, note, until }
+ */
+export function validateDeclineReason(input, now = new Date()) {
+  if (input === undefined || input === null) {
+    return { valid: true, errors: [], reason: null };
+  }
+  if (typeof input !== 'object') {
+    return { valid: false, errors: ['reason must be an object'], reason: null };
+  }
+
+  const errors = [];
+  const { code } = input;
+  if (!Object.prototype.hasOwnProperty.call(DECLINE_REASONS, code)) {
+    errors.push(`code must be one of ${Object.keys(DECLINE_REASONS).join(', ')}`);
+  }
+
+  let note = null;
+  if (input.note !== undefined && input.note !== null) {
+    if (typeof input.note !== 'string') {
+      errors.push('note must be text');
+    } else if (input.note.trim().length > MAX_NOTE_LENGTH) {
+      errors.push(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+    } else {
+      note = input.note.trim() || null;
+    }
+  }
+  if (code === 'other' && !note && !errors.some(error => error.startsWith('note'))) {
+    errors.push('a note is required when the reason is other');
+  }
+
+  let until = null;
+  if (input.until !== undefined && input.until !== null && input.until !== '') {
+    const today = now.toISOString().slice(0, 10);
+    const latest = new Date(now.getTime() + MAX_LEAVE_DAYS * DAY_MS).toISOString().slice(0, 10);
+    if (code !== 'on-leave') {
+      errors.push('a return date only applies when on leave');
+    } else if (typeof input.until !== 'string' || !DATE_PATTERN.test(input.until) || Number.isNaN(Date.parse(input.until))) {
+      errors.push('until must be a date in YYYY-MM-DD format');
+    } else if (input.until < today) {
+      errors.push('until must not be in the past');
+    } else if (input.until > latest) {
+      errors.push(`until must be within ${MAX_LEAVE_DAYS} days`);
+    } else {
+      until = input.until;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, reason: null };
+  }
+  return { valid: true, errors, reason: { code, note, until } };
+}
+
+/**
+ * wording of a reason for comments, e.g. "on leave until 2026-03-02".
+ * free text reasons are quoted as they were given.
+ *
+ * @param {Object|null} reason - normalised reason
+ * @returns {string|null}
+ */
+export function describeDeclineReason(reason) {
+  if (!reason || !Object.prototype.hasOwnProperty.call(DECLINE_REASONS, reason.code)) {
+    return null;
+  }
+  if (reason.code === 'other') {
+    return reason.note;
+  }
+
+  const label = reason.until ? `${DECLINE_REASONS[reason.code]} until ${reason.until}` : DECLINE_REASONS[reason.code];
+  return reason.note ? `${label} (${reason.note})` : label;
+}
+
+/**
+ * updates the scoring data a structured reason says something about. only
+ * leave with a return date changes stored data here; skill feedback is
+ * recorded with the decline itself. failures are logged rather than thrown
+ * so a decline always goes through.
+ *
+ * @param {string} accountId - user who declined
+ * @param {Object|null} reason - normalised reason
+ * @param {string} issueKey - the declined issue
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} the availability range added, if any
+ */
+export async function applyDeclineReason(accountId, reason, issueKey, now = new Date()) {
+  if (!accountId || reason?.code !== 'on-leave' || !reason.until) {
+    return null;
+  }
+
+  try {
+    const range = {
+      start: now.toISOString().slice(0, 10),
+      end: reason.until,
+      percent: 0,
+      note: `on leave, declined ${issueKey}`
+    };
+    await addAvailabilityRange(accountId, range);
+    return range;
+  } catch (error) {
+    console.error('error applying decline reason:', error);
+    return null;
+  }
+}
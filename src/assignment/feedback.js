@@ -0,0 +1,199 @@
+import * as cache from '../cache.js';
+import { decayedCount } from './recency.js';
+import { SKILL_NEUTRAL_REASONS } from './declineReasons.js';
+
+/**
+ * negative feedback
+ *
+ * a decline only keeps someone off the issue they declined. to let it shape
+ * future recommendations, every decline, and every manual reassignment away
+ * from the person the app assigned or offered the issue to, is recorded
+ * against that person together with the issue's type, labels and
+ * components. when they are a candidate for similar work again, the number
+ * of similar past declines (decayed like profile counters) turns into a
+ * score penalty once it repeats. declines given for a reason that says
+ * nothing about skills, such as being on leave, are kept but not counted.
+ */
+
+export const FEEDBACK_TYPES = Object.freeze(['decline', 'override']);
+
+/**
+ * most recent events kept per user.
+ */
+export const MAX_FEEDBACK_EVENTS = 100;
+
+/**
+ * similar declines needed before any penalty applies, so a single decline
+ * (e.g. someone was just busy that week) is not held against them.
+ */
+export const MIN_REPEATED_DECLINES = 2;
+
+/**
+ * reduces an issue to the parts used to decide whether work is similar.
+ *
+ * @param {Object} issue - processed issue
+ * @returns {{ issueType: string|null, labels: Array<string>, components: Array<string> }}
+ */
+export function describeWork(issue) {
+  const issueType = issue?.issueType;
+  return {
+    issueType: typeof issueType === 'string' ? issueType : issueType?.name || null,
+    labels: Array.isArray(issue?.labels) ? issue.labels.map(String) : [],
+    components: Array.isArray(issue?.components)
+      ? issue.components.map(component => (typeof component === 'string' ? component : component?.name)).filter(Boolean)
+      : []
+  };
+}
+
+/**
+ * records a decline or manual override against a user. one event is kept
+ * per user and issue. failures are logged rather than thrown so feedback
+ * never blocks an assignment.
+ *
+ * @param {Object} entry
+ * @param {string} entry.type - one of FEEDBACK_TYPES
+ * @param {string} entry.accountId - user the feedback is about
+ * @param {Object} entry.issue - processed issue (key, issueType, labels, components)
+ * @param {string|null} [entry.reason] - decline reason code, see DECLINE_REASONS
+ * @param {string} [entry.occurredAt] - ISO date, defaults to now
+ * @returns {Promise<Object|null>} the stored event, or null if nothing was stored
+ */
+export async function recordFeedback({ type, accountId, issue, reason = null, occurredAt = new Date().toISOString() }) {
+  try {
+    if (!FEEDBACK_TYPES.includes(type) || !accountId || !issue?.key) {
+      return null;
+    }
+
+    const events = (await cache.getFeedback(accountId)) || [];
+    if (events.some(event => event.issueKey === issue.key)) {
+      return null;
+    }
+
+    const event = { type, issueKey: issue.key, ...describeWork(issue), reason, occurredAt };
+    await cache.cacheFeedback(accountId, [event, ...events].slice(0, MAX_FEEDBACK_EVENTS));
+    return event;
+  } catch (error) {
+    console.error('error recording feedback:', error);
+    return null;
+  }
+}
+
+/**
+ * removes a user's decline of an issue, used when the decline is undone.
+ * failures are logged rather than thrown.
+ *
+ * @param {string} accountId - user the feedback is about
+ * @param {string} issueKey - jira issue key
+ * @returns {Promise<boolean>} whether a decline was removed
+ */
+export async function forgetFeedback(accountId, issueKey) {
+  try {
+    const events = (await cache.getFeedback(accountId)) || [];
+    const remaining = events.filter(event => !(event.type === 'decline' && event.issueKey === issueKey));
+    if (remaining.length === events.length) {
+      return false;
+    }
+
+    await cache.cacheFeedback(accountId, remaining);
+    return true;
+  } catch (error) {
+    console.error('error forgetting feedback:', error);
+    return false;
+  }
+}
+
+/**
+ * records a manual override when an issue the app assigned or offered is
+ * assigned to someone else (or unassigned), counting it against the person
+ * the app picked. previews never set a pick, so issues someone only looked
+ * at in the panel are left alone. the pick is then forgotten so it is only
+ * counted once.
+ *
+ * @param {string} issueKey - jira issue key
+ * @param {string|null} newAccountId - the new assignee
+ * @returns {Promise<Object|null>} the stored event, or null if it was not an override
+ */
+export async function recordManualOverride(issueKey, newAccountId) {
+  try {
+    const state = await cache.getIssueAssignmentState(issueKey);
+    const pickedAccountId = state?.pickedAccountId;
+    if (!pickedAccountId || pickedAccountId === newAccountId) {
+      return null;
+    }
+
+    await cache.cacheIssueAssignmentState(issueKey, { ...state, pickedAccountId: null });
+
+    const issue = await cache.getIssue(issueKey);
+    return await recordFeedback({ type: 'override', accountId: pickedAccountId, issue: issue || { key: issueKey } });
+  } catch (error) {
+    console.error('error recording manual override:', error);
+    return null;
+  }
+}
+
+/**
+ * loads the feedback events of every user that has any.
+ *
+ * @returns {Promise<Object>} map of account id to events
+ */
+export async function loadAllFeedback() {
+  return (await cache.allFeedback()) || {};
+}
+
+/**
+ * counts a user's past declines and overrides of work similar to the issue.
+ * work is similar when it is of the same type and shares a label or
+ * component; issues with neither only need the same type. declines of the
+ * issue itself are left out, that person is already excluded from it, as
+ * are declines for a skill neutral reason.
+ *
+ * @param {Array<Object>} events - the user's feedback events
+ * @param {Object} issue - processed issue being assigned
+ * @param {Object} [recency] - { halfLifeDays } used to decay old events
+ * @param {Date} [now]
+ * @returns {{ count: number, decayedCount: number, declines: number, overrides: number, issueKeys: Array<string> }}
+ */
+export function assessFeedback(events, issue, recency = null, now = new Date()) {
+  const work = describeWork(issue);
+  const similar = (Array.isArray(events) ? events : [])
+    .filter(event => event.issueKey !== issue?.key && !SKILL_NEUTRAL_REASONS.includes(event.reason) && isSimilarWork(event, work));
+
+  const count = similar.length;
+  return {
+    count,
+    decayedCount: decayedCount(count, similar.map(event => event.occurredAt), recency?.halfLifeDays ?? null, now),
+    declines: similar.filter(event => event.type === 'decline').length,
+    overrides: similar.filter(event => event.type === 'override').length,
+    issueKeys: similar.map(event => event.issueKey)
+  };
+}
+
+/**
+ * turns an assessment into a score penalty. nothing applies until the user
+ * has declined similar work at least MIN_REPEATED_DECLINES times.
+ *
+ * @param {Object} assessment - result of assessFeedback
+ * @param {number} weight - the DECLINE_FEEDBACK weight
+ * @returns {number} penalty to subtract from the final score
+ */
+export function calculateFeedbackPenalty(assessment, weight) {
+  if (!assessment || assessment.count < MIN_REPEATED_DECLINES) {
+    return 0;
+  }
+  return weight * Math.log1p(assessment.decayedCount);
+}
+
+function isSimilarWork(event, work) {
+  if (event.issueType && work.issueType && event.issueType !== work.issueType) {
+    return false;
+  }
+
+  const eventLabels = event.labels || [];
+  const eventComponents = event.components || [];
+  if (eventLabels.length + eventComponents.length === 0 && work.labels.length + work.components.length === 0) {
+    return Boolean(event.issueType && work.issueType);
+  }
+
+  return eventLabels.some(label => work.labels.includes(label)) ||
+    eventComponents.some(component => work.components.includes(component));
+}
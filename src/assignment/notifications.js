@@ -0,0 +1,370 @@
+import api, { route } from '@forge/api';
+import * as cache from '../cache.js';
+import { postComment } from '../decline.js';
+import { describeDeclineReason } from './declineReasons.js';
+import { MIN_SECRET_LENGTH, isHttpsUrl, queueWebhookDeliveries } from './webhooks.js';
+
+/**
+ * notifications
+ *
+ * tells people about assignment outcomes through the channels a project has
+ * switched on: a jira comment, jira's notify api (email to the assignee
+ * and/or watchers) or a generic outgoing webhook (queued, retried and logged
+ * like the endpoints in webhooks.js, and signed the same way once the admin
+ * gives it a secret). each event has a text
+ * template with {placeholders}, and each channel picks the events it sends.
+ * a channel that fails is logged and skipped, it never fails the assignment.
+ */
+
+export const NOTIFICATION_EVENTS = Object.freeze(['assigned', 'declined', 'exhausted', 'capacity-exceeded']);
+
+export const NOTIFICATION_CHANNELS = Object.freeze(['comment', 'email', 'webhook']);
+
+export const EMAIL_RECIPIENTS = Object.freeze(['assignee', 'watchers', 'assignee-and-watchers']);
+
+export const DEFAULT_TEMPLATES = Object.freeze({
+  assigned: '{issueKey} has been assigned to {assignee} (score {score}).',
+  declined: '{declined} declined {issueKey}: {reason}.',
+  exhausted: 'Every assignable user has declined {issueKey}. Undo a decline or assign it by hand.',
+  'capacity-exceeded': 'Nobody could be assigned {issueKey} because every remaining candidate is at capacity.'
+});
+
+/**
+ * the placeholders templates may use.
+ */
+export const TEMPLATE_PLACEHOLDERS = Object.freeze(['issueKey', 'assignee', 'score', 'actor', 'declined', 'reason', 'message']);
+
+/**
+ * comments only cover the outcomes the assignment comments do not, so
+ * nothing is said twice out of the box.
+ */
+export const DEFAULT_NOTIFICATION_SETTINGS = Object.freeze({
+  channels: {
+    comment: { enabled: true, events: ['exhausted', 'capacity-exceeded'] },
+    email: { enabled: false, events: [...NOTIFICATION_EVENTS], recipients: 'assignee' },
+    webhook: { enabled: false, events: [...NOTIFICATION_EVENTS], url: null, signed: false }
+  },
+  templates: { ...DEFAULT_TEMPLATES }
+});
+
+const MAX_TEMPLATE_LENGTH = 1000;
+
+const EMAIL_SUBJECTS = {
+  assigned: 'Issue assigned',
+  declined: 'Recommendation declined',
+  exhausted: 'Every candidate has declined',
+  'capacity-exceeded': 'Every candidate is at capacity'
+};
+
+/**
+ * id the signing secret of a project's notification webhook is stored
+ * under, next to the secrets of the endpoints in webhooks.js.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {string}
+ */
+export function notificationWebhookId(projectKey) {
+  return `notifications-${projectKey}`;
+}
+
+/**
+ * checks the notification settings supplied by the admin panel. channels or
+ * templates left out keep their defaults, blank templates fall back to the
+ * default text. a webhook secret is returned apart from the settings and
+ * never stored with them.
+ *
+ * @param {Object} settings - { channels, templates }
+ * @returns {{ valid: boolean, errors: Array<string>, settings: Object, secret: string|null }}
+ * validation result; `settings` holds the parsed settings
+ */
+export function validateNotificationSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { valid: false, errors: ['notification settings must be an object'], settings: cloneDefaults(), secret: null };
+  }
+
+  const errors = [];
+  const parsed = cloneDefaults();
+
+  for (const channel of NOTIFICATION_CHANNELS) {
+    const input = settings.channels?.[channel];
+    if (input === undefined || input === null) {
+      continue;
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      errors.push(`${channel} must be an object`);
+      continue;
+    }
+
+    const target = parsed.channels[channel];
+    if (input.enabled !== undefined) {
+      if (typeof input.enabled !== 'boolean') {
+        errors.push(`${channel}.enabled must be true or false`);
+      } else {
+        target.enabled = input.enabled;
+      }
+    }
+    if (input.events !== undefined) {
+      if (!Array.isArray(input.events) || input.events.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+        errors.push(`${channel}.events must only contain ${NOTIFICATION_EVENTS.join(', ')}`);
+      } else {
+        target.events = NOTIFICATION_EVENTS.filter(event => input.events.includes(event));
+      }
+    }
+  }
+
+  const recipients = settings.channels?.email?.recipients;
+  if (recipients !== undefined) {
+    if (!EMAIL_RECIPIENTS.includes(recipients)) {
+      errors.push(`email.recipients must be one of ${EMAIL_RECIPIENTS.join(', ')}`);
+    } else {
+      parsed.channels.email.recipients = recipients;
+    }
+  }
+
+  const url = settings.channels?.webhook?.url;
+  if (typeof url === 'string' && url.trim() !== '') {
+    if (!isHttpsUrl(url.trim())) {
+      errors.push('webhook.url must be an https url');
+    } else {
+      parsed.channels.webhook.url = url.trim();
+    }
+  }
+  if (parsed.channels.webhook.enabled && !parsed.channels.webhook.url) {
+    errors.push('webhook.url is required when the webhook channel is enabled');
+  }
+  parsed.channels.webhook.signed = settings.channels?.webhook?.signed === true;
+
+  const rawSecret = settings.channels?.webhook?.secret;
+  const secret = typeof rawSecret === 'string' && rawSecret.trim() !== '' ? rawSecret.trim() : null;
+  if (secret && secret.length < MIN_SECRET_LENGTH) {
+    errors.push(`webhook.secret must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  for (const event of NOTIFICATION_EVENTS) {
+    const template = settings.templates?.[event];
+    if (template === undefined || template === null || (typeof template === 'string' && template.trim() === '')) {
+      continue;
+    }
+    if (typeof template !== 'string' || template.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`templates.${event} must be text of at most ${MAX_TEMPLATE_LENGTH} characters`);
+    } else {
+      parsed.templates[event] = template;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, settings: cloneDefaults(), secret: null };
+  }
+  return { valid: true, errors, settings: parsed, secret };
+}
+
+/**
+ * loads the notification settings for a project, falling back to the
+ * defaults.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} notification settings
+ */
+export async function loadProjectNotificationSettings(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return cloneDefaults();
+  }
+
+  const stored = await cache.getProjectNotificationSettings(projectKey);
+  if (!stored) {
+    return cloneDefaults();
+  }
+
+  return validateNotificationSettings(stored).settings;
+}
+
+/**
+ * validates and persists the notification settings for a project. a webhook
+ * secret goes to secret storage; without one the stored secret, if any, is
+ * kept.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} settings - notification settings, optionally with
+ * channels.webhook.secret
+ * @returns {Promise<Object>} the parsed settings that were saved
+ */
+export async function saveProjectNotificationSettings(projectKey, settings) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save notification settings');
+  }
+
+  const result = validateNotificationSettings(settings);
+  if (!result.valid) {
+    throw new Error(`invalid notification settings: ${result.errors.join('; ')}`);
+  }
+
+  // whether a secret is stored is only known here, never taken from the input
+  const previous = await cache.getProjectNotificationSettings(projectKey);
+  if (result.secret) {
+    await cache.cacheWebhookSecret(notificationWebhookId(projectKey), result.secret);
+  }
+  result.settings.channels.webhook.signed = Boolean(result.secret) || previous?.channels?.webhook?.signed === true;
+
+  await cache.cacheProjectNotificationSettings(projectKey, result.settings);
+  return result.settings;
+}
+
+/**
+ * fills the {placeholders} of a template; unknown ones are left as they are.
+ *
+ * @param {string} template - template text
+ * @param {Object} values - placeholder values
+ * @returns {string} the rendered text
+ */
+export function renderTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? '') : match
+  ));
+}
+
+/**
+ * the notification events an outcome of recommendAssignee or acceptOffer
+ * raises, e.g. a decline that leads straight to an assignment raises both.
+ * previews raise none: the issue panel runs one every time it opens, and
+ * nothing about the issue has changed.
+ *
+ * @param {Object} result - recommendation outcome
+ * @param {Object} [options] - the options the recommendation ran with
+ * @returns {Array<string>} notification events
+ */
+export function classifyNotificationEvents(result, options = {}) {
+  if (options.skipAssignment && !options.declinedAccountId) {
+    return [];
+  }
+
+  const events = [];
+  if (options.declinedAccountId) {
+    events.push('declined');
+  }
+  if (result?.status === 'assigned' || result?.status === 'offer-accepted') {
+    events.push('assigned');
+  }
+  if (result?.status === 'declined-exhausted') {
+    events.push('exhausted');
+  }
+  if (result?.status === 'all-candidates-excluded' && (result.excluded || []).some(user => user.reason === 'capacity')) {
+    events.push('capacity-exceeded');
+  }
+  return events;
+}
+
+/**
+ * sends the notifications an outcome raises on every enabled channel.
+ *
+ * @param {string} issueKey - jira issue key
+ * @param {Object} result - recommendation outcome
+ * @param {Object} [options] - the options the recommendation ran with
+ * @returns {Promise<Array<Object>>} one { event, channel, success, error }
+ * entry per attempted delivery
+ */
+export async function sendNotifications(issueKey, result, options = {}) {
+  const events = classifyNotificationEvents(result, options);
+  if (events.length === 0) {
+    return [];
+  }
+
+  const deliveries = [];
+  try {
+    const settings = await loadProjectNotificationSettings(issueKey.split('-')[0]);
+    const values = await buildTemplateValues(issueKey, result, options);
+
+    for (const event of events) {
+      const message = renderTemplate(settings.templates[event], values);
+      for (const channel of NOTIFICATION_CHANNELS) {
+        const channelSettings = settings.channels[channel];
+        if (!channelSettings.enabled || !channelSettings.events.includes(event)) {
+          continue;
+        }
+
+        try {
+          await CHANNEL_SENDERS[channel]({ issueKey, event, message, result, settings: channelSettings });
+          deliveries.push({ event, channel, success: true });
+        } catch (error) {
+          console.error(`error sending ${event} notification by ${channel}:`, error);
+          deliveries.push({ event, channel, success: false, error: error.message });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('error sending notifications:', error);
+  }
+
+  return deliveries;
+}
+
+const CHANNEL_SENDERS = {
+  comment: async ({ issueKey, message }) => {
+    await postComment(issueKey, message);
+  },
+
+  email: async ({ issueKey, event, message, settings }) => {
+    const response = await api.asApp().requestJira(route`/rest/api/3/issue/${issueKey}/notify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        subject: `[${issueKey}] ${EMAIL_SUBJECTS[event]}`,
+        textBody: message,
+        to: {
+          assignee: settings.recipients !== 'watchers',
+          watchers: settings.recipients !== 'assignee',
+          reporter: false,
+          voters: false
+        }
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`jira rejected the notification for ${issueKey}: ${response.status} ${body}`);
+    }
+  },
+
+  webhook: async ({ issueKey, event, message, result, settings }) => {
+    const projectKey = issueKey.split('-')[0];
+    const id = settings.signed ? notificationWebhookId(projectKey) : null;
+    await queueWebhookDeliveries([{ id, url: settings.url }], event, {
+      event,
+      issueKey,
+      message,
+      status: result?.status || null,
+      assignee: result?.assignee
+        ? { accountId: result.assignee.accountId, displayName: result.assignee.displayName, finalScore: result.assignee.finalScore }
+        : null,
+      sentAt: new Date().toISOString()
+    }, projectKey);
+  }
+};
+
+/**
+ * placeholder values for an outcome; see TEMPLATE_PLACEHOLDERS.
+ */
+async function buildTemplateValues(issueKey, result, options) {
+  const declinedAccountId = options.declinedAccountId || null;
+  const declinedProfile = declinedAccountId ? await cache.getUserProfile(declinedAccountId) : null;
+
+  return {
+    issueKey,
+    assignee: result?.assignee?.displayName || '',
+    score: Number.isFinite(result?.assignee?.finalScore) ? result.assignee.finalScore.toFixed(2) : '',
+    actor: options.actorDisplayName || 'the app',
+    declined: declinedProfile?.displayName || declinedAccountId || '',
+    reason: describeDeclineReason(options.declineReason)?.replace(/[.!?]+$/, '') || 'no reason given',
+    message: result?.message || ''
+  };
+}
+
+function cloneDefaults() {
+  return {
+    channels: {
+      comment: { ...DEFAULT_NOTIFICATION_SETTINGS.channels.comment, events: [...DEFAULT_NOTIFICATION_SETTINGS.channels.comment.events] },
+      email: { ...DEFAULT_NOTIFICATION_SETTINGS.channels.email, events: [...DEFAULT_NOTIFICATION_SETTINGS.channels.email.events] },
+      webhook: { ...DEFAULT_NOTIFICATION_SETTINGS.channels.webhook, events: [...DEFAULT_NOTIFICATION_SETTINGS.channels.webhook.events] }
+    },
+    templates: { ...DEFAULT_TEMPLATES }
+  };
+}
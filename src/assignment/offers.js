@@ -0,0 +1,126 @@
+import * as cache from '../cache.js';
+
+/**
+ * offers
+ *
+ * instead of assigning straight away, a project can have the top candidate
+ * offered the issue first. the offer is kept in the issue's assignment state
+ * and announced with a comment mentioning the candidate, who accepts or
+ * declines it from the issue panel. offers nobody answers within the
+ * project's timeout are escalated to the next candidate by a scheduled
+ * trigger (see offerEscalation.js).
+ */
+
+export const DEFAULT_OFFER_TIMEOUT_HOURS = 24;
+
+/**
+ * longest an offer may stay open, one week.
+ */
+export const MAX_OFFER_TIMEOUT_HOURS = 168;
+
+export const DEFAULT_OFFER_SETTINGS = Object.freeze({ enabled: false, timeoutHours: DEFAULT_OFFER_TIMEOUT_HOURS });
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * checks the offer settings supplied by the admin panel.
+ *
+ * @param {Object} settings - { enabled, timeoutHours }
+ * @returns {{ valid: boolean, errors: Array<string>, settings: Object }}
+ * validation result; `settings` holds the parsed settings
+ */
+export function validateOfferSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { valid: false, errors: ['offer settings must be an object'], settings: { ...DEFAULT_OFFER_SETTINGS } };
+  }
+
+  const errors = [];
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  let timeoutHours = DEFAULT_OFFER_TIMEOUT_HOURS;
+  const value = settings.timeoutHours;
+  if (value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === '')) {
+    timeoutHours = typeof value === 'string' ? Number(value) : value;
+    if (typeof timeoutHours !== 'number' || !Number.isFinite(timeoutHours) || timeoutHours <= 0 || timeoutHours > MAX_OFFER_TIMEOUT_HOURS) {
+      errors.push(`timeoutHours must be a number between 0 and ${MAX_OFFER_TIMEOUT_HOURS}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, settings: { ...DEFAULT_OFFER_SETTINGS } };
+  }
+  return { valid: true, errors, settings: { enabled: settings.enabled === true, timeoutHours } };
+}
+
+/**
+ * loads the offer settings for a project; offers are off unless enabled.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} offer settings
+ */
+export async function loadProjectOfferSettings(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return { ...DEFAULT_OFFER_SETTINGS };
+  }
+
+  const stored = await cache.getProjectOfferSettings(projectKey);
+  if (!stored) {
+    return { ...DEFAULT_OFFER_SETTINGS };
+  }
+
+  return validateOfferSettings(stored).settings;
+}
+
+/**
+ * validates and persists the offer settings for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} settings - offer settings
+ * @returns {Promise<Object>} the parsed settings that were saved
+ */
+export async function saveProjectOfferSettings(projectKey, settings) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save offer settings');
+  }
+
+  const result = validateOfferSettings(settings);
+  if (!result.valid) {
+    throw new Error(`invalid offer settings: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectOfferSettings(projectKey, result.settings);
+  return result.settings;
+}
+
+/**
+ * the pending offer stored in the assignment state for a candidate.
+ *
+ * @param {Object} candidate - scored candidate
+ * @param {Object} settings - { timeoutHours }
+ * @param {Date} [now]
+ * @returns {{ accountId: string, displayName: string, finalScore: number, offeredAt: string, expiresAt: string }}
+ */
+export function buildOffer(candidate, settings, now = new Date()) {
+  const timeoutHours = settings?.timeoutHours || DEFAULT_OFFER_TIMEOUT_HOURS;
+  return {
+    accountId: candidate.accountId,
+    displayName: candidate.displayName,
+    finalScore: candidate.finalScore,
+    offeredAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + timeoutHours * HOUR_MS).toISOString()
+  };
+}
+
+/**
+ * whether an offer has gone unanswered for longer than its timeout.
+ *
+ * @param {Object|null} offer - pending offer
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isOfferExpired(offer, now = new Date()) {
+  const expiresAt = Date.parse(offer?.expiresAt);
+  return !Number.isNaN(expiresAt) && expiresAt <= now.getTime();
+}
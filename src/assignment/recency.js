@@ -0,0 +1,127 @@
+import * as cache from '../cache.js';
+
+/**
+ * recency decay
+ *
+ * profile counters (labels, components, issue types, epics, parents) only
+ * ever grow, so someone who worked on a label years ago would otherwise still
+ * score as a current expert. each counter entry also keeps the dates of its
+ * interactions, and every interaction counts for half as much once it is a
+ * half-life old. the half-life is set per project; null switches decay off.
+ */
+
+export const DEFAULT_HALF_LIFE_DAYS = 365;
+
+/**
+ * upper bound for the half-life, about ten years.
+ */
+export const MAX_HALF_LIFE_DAYS = 3650;
+
+export const DEFAULT_RECENCY = Object.freeze({ halfLifeDays: DEFAULT_HALF_LIFE_DAYS });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * checks the recency settings supplied by the admin panel.
+ *
+ * @param {Object} recency - { halfLifeDays }, blank or null meaning no decay
+ * @returns {{ valid: boolean, errors: Array<string>, recency: Object }}
+ * validation result; `recency` holds the parsed settings
+ */
+export function validateRecency(recency) {
+  if (!recency || typeof recency !== 'object' || Array.isArray(recency)) {
+    return { valid: false, errors: ['recency settings must be an object'], recency: { ...DEFAULT_RECENCY } };
+  }
+
+  const value = recency.halfLifeDays;
+  if (value === null || (typeof value === 'string' && value.trim() === '')) {
+    return { valid: true, errors: [], recency: { halfLifeDays: null } };
+  }
+  if (value === undefined) {
+    return { valid: true, errors: [], recency: { ...DEFAULT_RECENCY } };
+  }
+
+  const numeric = typeof value === 'string' ? Number(value) : value;
+  if (typeof numeric !== 'number' || !Number.isFinite(numeric) || numeric <= 0 || numeric > MAX_HALF_LIFE_DAYS) {
+    return {
+      valid: false,
+      errors: [`halfLifeDays must be a number between 0 and ${MAX_HALF_LIFE_DAYS}`],
+      recency: { ...DEFAULT_RECENCY }
+    };
+  }
+
+  return { valid: true, errors: [], recency: { halfLifeDays: numeric } };
+}
+
+/**
+ * loads the recency settings for a project, falling back to the default
+ * half-life.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} recency settings
+ */
+export async function loadProjectRecency(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return { ...DEFAULT_RECENCY };
+  }
+
+  const stored = await cache.getProjectRecency(projectKey);
+  if (!stored) {
+    return { ...DEFAULT_RECENCY };
+  }
+
+  return validateRecency(stored).recency;
+}
+
+/**
+ * validates and persists the recency settings for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} recency - recency settings
+ * @returns {Promise<Object>} the parsed settings that were saved
+ */
+export async function saveProjectRecency(projectKey, recency) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save recency settings');
+  }
+
+  const result = validateRecency(recency);
+  if (!result.valid) {
+    throw new Error(`invalid recency settings: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectRecency(projectKey, result.recency);
+  return result.recency;
+}
+
+/**
+ * applies the half-life to a profile counter.
+ *
+ * profiles only keep the most recent interaction dates, so any part of the
+ * count without a date is assumed to be as old as the oldest date kept.
+ * counters without any dates (profiles built before dates were recorded)
+ * are left undecayed.
+ *
+ * @param {number} count - raw counter value
+ * @param {Array<string>} dates - ISO dates of the counted interactions
+ * @param {number|null} halfLifeDays - half-life, null for no decay
+ * @param {Date} [now=new Date()] - current time
+ * @returns {number} decayed count, never more than the raw count
+ */
+export function decayedCount(count, dates, halfLifeDays, now = new Date()) {
+  const total = Number(count) || 0;
+  if (total <= 0 || !halfLifeDays) return total;
+
+  const times = (Array.isArray(dates) ? dates : [])
+    .map(date => Date.parse(date))
+    .filter(time => !Number.isNaN(time))
+    .sort((a, b) => b - a)
+    .slice(0, total);
+  if (times.length === 0) return total;
+
+  const weightOf = time => Math.pow(0.5, Math.max(0, now.getTime() - time) / DAY_MS / halfLifeDays);
+
+  let decayed = times.reduce((sum, time) => sum + weightOf(time), 0);
+  decayed += (total - times.length) * weightOf(times[times.length - 1]);
+  return decayed;
+}
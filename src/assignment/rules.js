@@ -0,0 +1,185 @@
+import * as cache from '../cache.js';
+
+/**
+ * assignment rules
+ *
+ * projects opt in to automatic assignment of newly created issues by
+ * enabling a rule set. each rule filters on issue type, label, component
+ * and priority, and decides whether a matching issue is assigned straight
+ * away or only given a recommendation.
+ */
+
+export const RULE_ACTIONS = Object.freeze(['assign', 'recommend']);
+
+/**
+ * filters a rule can narrow on. an empty list matches any value.
+ */
+export const RULE_FILTERS = Object.freeze(['issueTypes', 'labels', 'components', 'priorities']);
+
+const DEFAULT_RULE_SET = Object.freeze({ enabled: false, rules: [] });
+
+/**
+ * checks a rule set supplied by the admin panel.
+ *
+ * @param {Object} ruleSet - { enabled, rules }
+ * @returns {{ valid: boolean, errors: Array<string>, ruleSet: Object }}
+ * validation result; `ruleSet` holds the normalised rules
+ */
+export function validateRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    return { valid: false, errors: ['rule set must be an object'], ruleSet: { ...DEFAULT_RULE_SET } };
+  }
+  if (!Array.isArray(ruleSet.rules)) {
+    return { valid: false, errors: ['rules must be an array'], ruleSet: { ...DEFAULT_RULE_SET } };
+  }
+
+  const errors = [];
+  const rules = ruleSet.rules.map((rule, index) => {
+    const label = `rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+
+    const action = rule.action || 'recommend';
+    if (!RULE_ACTIONS.includes(action)) {
+      errors.push(`${label} has unknown action: ${action}`);
+    }
+
+    const normalised = {
+      name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : label,
+      enabled: rule.enabled !== false,
+      action
+    };
+
+    for (const filter of RULE_FILTERS) {
+      const values = normaliseList(rule[filter]);
+      if (values === null) {
+        errors.push(`${label} ${filter} must be a list of names`);
+      }
+      normalised[filter] = values || [];
+    }
+
+    return normalised;
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    ruleSet: {
+      enabled: Boolean(ruleSet.enabled),
+      rules: rules.filter(Boolean)
+    }
+  };
+}
+
+/**
+ * loads the rule set for a project. projects without one have automatic
+ * assignment switched off.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} rule set
+ */
+export async function loadProjectRules(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return { ...DEFAULT_RULE_SET, rules: [] };
+  }
+
+  const stored = await cache.getProjectRules(projectKey);
+  if (!stored) {
+    return { ...DEFAULT_RULE_SET, rules: [] };
+  }
+
+  return validateRuleSet(stored).ruleSet;
+}
+
+/**
+ * validates and persists the rule set for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} ruleSet - { enabled, rules }
+ * @returns {Promise<Object>} the normalised rule set that was saved
+ */
+export async function saveProjectRules(projectKey, ruleSet) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save rules');
+  }
+
+  const result = validateRuleSet(ruleSet);
+  if (!result.valid) {
+    throw new Error(`invalid rules: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectRules(projectKey, result.ruleSet);
+  return result.ruleSet;
+}
+
+/**
+ * pulls the fields rules filter on out of a jira issue payload.
+ *
+ * @param {Object} fields - `fields` of a jira issue (e.g. from a trigger event)
+ * @returns {{ issueType: string|null, labels: Array<string>, components: Array<string>, priority: string|null }}
+ */
+export function describeIssue(fields) {
+  const source = fields || {};
+  return {
+    issueType: source.issuetype?.name || null,
+    labels: Array.isArray(source.labels) ? source.labels : [],
+    components: Array.isArray(source.components)
+      ? source.components.map(component => component?.name).filter(Boolean)
+      : [],
+    priority: source.priority?.name || null
+  };
+}
+
+/**
+ * checks whether a rule matches an issue. every filter the rule sets must
+ * match; within a filter any listed value is enough. names are compared
+ * case-insensitively.
+ *
+ * @param {Object} rule - normalised rule
+ * @param {Object} issue - output of describeIssue
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, issue) {
+  if (!rule || !rule.enabled || !issue) return false;
+
+  return (
+    matchesAny(rule.issueTypes, issue.issueType ? [issue.issueType] : []) &&
+    matchesAny(rule.labels, issue.labels) &&
+    matchesAny(rule.components, issue.components) &&
+    matchesAny(rule.priorities, issue.priority ? [issue.priority] : [])
+  );
+}
+
+/**
+ * returns the first enabled rule matching the issue, if the rule set is
+ * switched on.
+ *
+ * @param {Object} ruleSet - { enabled, rules }
+ * @param {Object} issue - output of describeIssue
+ * @returns {Object|null} matching rule
+ */
+export function findMatchingRule(ruleSet, issue) {
+  if (!ruleSet || !ruleSet.enabled || !Array.isArray(ruleSet.rules)) return null;
+  return ruleSet.rules.find(rule => ruleMatches(rule, issue)) || null;
+}
+
+/**
+ * an empty filter matches anything, otherwise at least one value must overlap.
+ */
+function matchesAny(filterValues, issueValues) {
+  if (!filterValues || filterValues.length === 0) return true;
+  const wanted = new Set(filterValues.map(value => value.toLowerCase()));
+  return issueValues.some(value => typeof value === 'string' && wanted.has(value.toLowerCase()));
+}
+
+/**
+ * trims and de-duplicates a list of names. returns null when the input is
+ * not a list of strings.
+ */
+function normaliseList(values) {
+  if (values === undefined || values === null) return [];
+  if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) return null;
+  return [...new Set(values.map(value => value.trim()).filter(Boolean))];
+}
@@ -0,0 +1,190 @@
+import * as cache from '../cache.js';
+
+/**
+ * assignment strategies
+ *
+ * decide who gets an issue once the eligible candidates have been scored.
+ * "highest score wins" suits expertise matching, but triage rotations want
+ * the work spread out:
+ * - highest-score: the best scoring candidate
+ * - round-robin: the next candidate in a fixed rotation, ignoring scores
+ * - weighted-random: a random candidate, more likely the higher they score
+ * - least-loaded: the candidate with the fewest open issues among the top N
+ *
+ * each project stores its strategy; a bulk run can override it.
+ */
+
+export const STRATEGY_NAMES = Object.freeze(['highest-score', 'round-robin', 'weighted-random', 'least-loaded']);
+
+export const DEFAULT_STRATEGY = Object.freeze({ name: 'highest-score', topN: 3 });
+
+/**
+ * upper bound for the least-loaded pool size.
+ */
+export const MAX_TOP_N = 50;
+
+/**
+ * checks a strategy supplied by the admin panel or a bulk run.
+ *
+ * @param {Object|string} strategy - { name, topN } or just the name
+ * @returns {{ valid: boolean, errors: Array<string>, strategy: Object }}
+ * validation result; `strategy` holds the parsed settings
+ */
+export function validateStrategy(strategy) {
+  const input = typeof strategy === 'string' ? { name: strategy } : strategy;
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['strategy must be an object'], strategy: { ...DEFAULT_STRATEGY } };
+  }
+
+  const errors = [];
+  const name = input.name ?? DEFAULT_STRATEGY.name;
+  if (!STRATEGY_NAMES.includes(name)) {
+    errors.push(`unknown strategy: ${name}`);
+  }
+
+  let topN = DEFAULT_STRATEGY.topN;
+  if (input.topN !== undefined && input.topN !== null && input.topN !== '') {
+    topN = typeof input.topN === 'string' ? Number(input.topN) : input.topN;
+    if (!Number.isInteger(topN) || topN < 1 || topN > MAX_TOP_N) {
+      errors.push(`topN must be a whole number between 1 and ${MAX_TOP_N}`);
+      topN = DEFAULT_STRATEGY.topN;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    strategy: { name: errors.length === 0 ? name : DEFAULT_STRATEGY.name, topN }
+  };
+}
+
+/**
+ * loads the strategy for a project, falling back to highest score.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} strategy settings
+ */
+export async function loadProjectStrategy(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return { ...DEFAULT_STRATEGY };
+  }
+
+  const stored = await cache.getProjectStrategy(projectKey);
+  if (!stored) {
+    return { ...DEFAULT_STRATEGY };
+  }
+
+  return validateStrategy(stored).strategy;
+}
+
+/**
+ * validates and persists the strategy for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} strategy - strategy settings
+ * @returns {Promise<Object>} the parsed settings that were saved
+ */
+export async function saveProjectStrategy(projectKey, strategy) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save a strategy');
+  }
+
+  const result = validateStrategy(strategy);
+  if (!result.valid) {
+    throw new Error(`invalid strategy: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectStrategy(projectKey, result.strategy);
+  return result.strategy;
+}
+
+/**
+ * picks the strategy for a recommendation: the override when given (e.g.
+ * chosen for a bulk run), otherwise the project's stored strategy.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object|string} [override] - strategy to use instead of the stored one
+ * @returns {Promise<Object>} strategy settings
+ */
+export async function resolveStrategy(projectKey, override) {
+  if (override === undefined || override === null || override === '') {
+    return loadProjectStrategy(projectKey);
+  }
+
+  const result = validateStrategy(override);
+  if (!result.valid) {
+    throw new Error(`invalid strategy: ${result.errors.join('; ')}`);
+  }
+  return result.strategy;
+}
+
+/**
+ * orders scored candidates so the one chosen by the strategy comes first.
+ * the remaining candidates keep their score order.
+ *
+ * @param {Array<Object>} candidates - candidates sorted by score
+ * @param {Object} strategy - strategy settings
+ * @param {Object} [options]
+ * @param {string|null} [options.lastAccountId] - round-robin pointer: who was picked last
+ * @param {Function} [options.random=Math.random] - random source for weighted-random
+ * @returns {{ candidates: Array<Object>, selection: Object|null }} reordered
+ * candidates and a description of the pick, null when there are no candidates
+ */
+export function applyStrategy(candidates, strategy, { lastAccountId = null, random = Math.random } = {}) {
+  const list = Array.isArray(candidates) ? candidates.slice() : [];
+  if (list.length === 0) {
+    return { candidates: list, selection: null };
+  }
+
+  const { name, topN } = { ...DEFAULT_STRATEGY, ...(strategy || {}) };
+  let index = 0;
+  let reason = 'highest score';
+
+  if (name === 'round-robin') {
+    // the rotation follows account ids so it is stable while scores change
+    const rotation = list.map(candidate => candidate.accountId).sort();
+    const next = rotation.find(accountId => lastAccountId && accountId > lastAccountId) || rotation[0];
+    index = list.findIndex(candidate => candidate.accountId === next);
+    reason = 'next in rotation';
+  } else if (name === 'weighted-random') {
+    index = pickWeighted(list.map(candidate => Math.max(0, candidate.finalScore)), random);
+    reason = 'random pick weighted by score';
+  } else if (name === 'least-loaded') {
+    const pool = list.slice(0, topN);
+    index = pool.reduce((best, candidate, i) => (compareLoad(candidate, pool[best]) < 0 ? i : best), 0);
+    reason = `least loaded of the top ${pool.length}`;
+  }
+
+  const [chosen] = list.splice(index, 1);
+  return {
+    candidates: [chosen, ...list],
+    selection: { strategy: name, reason }
+  };
+}
+
+/**
+ * index drawn with probability proportional to its weight; uniform when no
+ * candidate has a positive weight.
+ */
+function pickWeighted(weights, random) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    return Math.min(Math.floor(random() * weights.length), weights.length - 1);
+  }
+
+  let target = random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i];
+    if (target < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+/**
+ * fewer open issues first, then fewer estimate hours. ties keep score order.
+ */
+function compareLoad(a, b) {
+  const issues = (Number(a.workload?.totalIssues) || 0) - (Number(b.workload?.totalIssues) || 0);
+  if (issues !== 0) return issues;
+  return (Number(a.workload?.totalEstimateSeconds) || 0) - (Number(b.workload?.totalEstimateSeconds) || 0);
+}
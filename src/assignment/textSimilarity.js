@@ -0,0 +1,211 @@
+/**
+ * text similarity
+ *
+ * compares the wording of a new issue with issues a candidate has already
+ * worked on. both sides are turned into tf-idf vectors built from the
+ * summaryTokens and descriptionTokens stored by the data processor, so terms
+ * that appear on almost every issue (e.g. the product name) carry little
+ * weight while rarer, more specific terms dominate the match.
+ */
+
+/**
+ * maximum number of past issues that can contribute to a candidate's score.
+ */
+export const TEXT_MATCH_LIMIT = 3;
+
+/**
+ * cosine similarity below this value is treated as noise.
+ */
+export const TEXT_MATCH_THRESHOLD = 0.1;
+
+/**
+ * number of shared terms reported per matching issue.
+ */
+const TEXT_MATCH_TERMS = 5;
+
+// corpus statistics and issue vectors only depend on the processed issue
+// map, so they are computed once per map rather than once per candidate
+const corpusCache = new WeakMap();
+
+/**
+ * collects the tokens used for similarity from a processed issue.
+ *
+ * @param {Object} issue - processed issue
+ * @returns {Array<string>} summary and description tokens
+ */
+export function getIssueTokens(issue) {
+  if (!issue || typeof issue !== 'object') return [];
+  const summaryTokens = Array.isArray(issue.summaryTokens) ? issue.summaryTokens : [];
+  const descriptionTokens = Array.isArray(issue.descriptionTokens) ? issue.descriptionTokens : [];
+  return [...summaryTokens, ...descriptionTokens].filter(token => typeof token === 'string' && token);
+}
+
+/**
+ * counts how many processed issues contain each term.
+ *
+ * @param {Object} processedIssues - map of issue key to processed issue
+ * @returns {{ documentCount: number, documentFrequency: Map<string, number> }}
+ */
+export function buildCorpusStats(processedIssues) {
+  const documentFrequency = new Map();
+  let documentCount = 0;
+
+  for (const issue of Object.values(processedIssues || {})) {
+    const tokens = getIssueTokens(issue);
+    if (tokens.length === 0) continue;
+
+    documentCount += 1;
+    for (const term of new Set(tokens)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return { documentCount, documentFrequency };
+}
+
+/**
+ * builds a tf-idf vector for a list of tokens.
+ * idf is smoothed so terms that are new to the corpus still count.
+ *
+ * @param {Array<string>} tokens - issue tokens
+ * @param {Object} stats - corpus statistics from buildCorpusStats
+ * @returns {Map<string, number>} term to tf-idf weight
+ */
+export function buildTfIdfVector(tokens, stats) {
+  const vector = new Map();
+  if (!Array.isArray(tokens) || tokens.length === 0) return vector;
+
+  const termCounts = new Map();
+  for (const term of tokens) {
+    termCounts.set(term, (termCounts.get(term) || 0) + 1);
+  }
+
+  const documentCount = stats?.documentCount || 0;
+  for (const [term, count] of termCounts.entries()) {
+    const documentFrequency = stats?.documentFrequency?.get(term) || 0;
+    const idf = Math.log((documentCount + 1) / (documentFrequency + 1)) + 1;
+    vector.set(term, (count / tokens.length) * idf);
+  }
+
+  return vector;
+}
+
+/**
+ * cosine similarity between two tf-idf vectors, with the terms that
+ * contributed most to the overlap.
+ *
+ * @param {Map<string, number>} a - first vector
+ * @param {Map<string, number>} b - second vector
+ * @returns {{ similarity: number, terms: Array<string> }}
+ */
+export function compareVectors(a, b) {
+  if (!a || !b || a.size === 0 || b.size === 0) {
+    return { similarity: 0, terms: [] };
+  }
+
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  const shared = [];
+  let dot = 0;
+
+  for (const [term, weight] of smaller.entries()) {
+    const other = larger.get(term);
+    if (other) {
+      const product = weight * other;
+      dot += product;
+      shared.push({ term, product });
+    }
+  }
+
+  if (dot === 0) {
+    return { similarity: 0, terms: [] };
+  }
+
+  const similarity = dot / (vectorNorm(a) * vectorNorm(b));
+  const terms = shared
+    .sort((x, y) => y.product - x.product)
+    .slice(0, TEXT_MATCH_TERMS)
+    .map(entry => entry.term);
+
+  return { similarity, terms };
+}
+
+/**
+ * finds the past issues whose wording is closest to the supplied issue.
+ *
+ * @param {Object} issue - processed issue being assigned
+ * @param {Array<string>} candidateIssueKeys - issues the candidate worked on
+ * @param {Object} processedIssues - map of issue key to processed issue
+ * @param {Object} [options]
+ * @param {number} [options.limit=TEXT_MATCH_LIMIT] - maximum matches returned
+ * @param {number} [options.threshold=TEXT_MATCH_THRESHOLD] - minimum similarity
+ * @returns {Array<{ issueKey: string, similarity: number, terms: Array<string> }>}
+ * matches ordered by similarity
+ */
+export function findSimilarIssues(issue, candidateIssueKeys, processedIssues, options = {}) {
+  const {
+    limit = TEXT_MATCH_LIMIT,
+    threshold = TEXT_MATCH_THRESHOLD
+  } = options;
+
+  if (!processedIssues || typeof processedIssues !== 'object' || !Array.isArray(candidateIssueKeys)) {
+    return [];
+  }
+
+  const corpus = getCorpus(processedIssues);
+  const issueVector = buildTfIdfVector(getIssueTokens(issue), corpus.stats);
+  if (issueVector.size === 0) return [];
+
+  const matches = [];
+  for (const issueKey of new Set(candidateIssueKeys)) {
+    if (!issueKey || issueKey === issue.key) continue;
+
+    const pastVector = getIssueVector(corpus, issueKey, processedIssues[issueKey]);
+    if (!pastVector) continue;
+
+    const { similarity, terms } = compareVectors(issueVector, pastVector);
+    if (similarity >= threshold) {
+      matches.push({ issueKey, similarity, terms });
+    }
+  }
+
+  return matches
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * returns the memoised corpus statistics for a processed issue map.
+ */
+function getCorpus(processedIssues) {
+  let corpus = corpusCache.get(processedIssues);
+  if (!corpus) {
+    corpus = {
+      stats: buildCorpusStats(processedIssues),
+      vectors: new Map()
+    };
+    corpusCache.set(processedIssues, corpus);
+  }
+  return corpus;
+}
+
+/**
+ * returns the memoised tf-idf vector for a past issue.
+ */
+function getIssueVector(corpus, issueKey, issue) {
+  if (!issue) return null;
+  if (!corpus.vectors.has(issueKey)) {
+    corpus.vectors.set(issueKey, buildTfIdfVector(getIssueTokens(issue), corpus.stats));
+  }
+  return corpus.vectors.get(issueKey);
+}
+
+/**
+ * euclidean length of a tf-idf vector.
+ */
+function vectorNorm(vector) {
+  let sum = 0;
+  for (const weight of vector.values()) {
+    sum += weight * weight;
+  }
+  return Math.sqrt(sum);
+}
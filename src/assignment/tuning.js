@@ -0,0 +1,283 @@
+import * as cache from '../cache.js';
+import { DEFAULT_WEIGHTS, loadProjectWeights, saveProjectWeights } from './weights.js';
+import { loadProjectRecency } from './recency.js';
+import { MAX_BACKTEST_ISSUES, replayIssues, summariseRanks } from './backtest.js';
+
+/**
+ * weight tuning
+ *
+ * searches for weights that would have ranked the real assignee of past
+ * issues first more often. the replay scores every candidate once with all
+ * weights at 1, so each evidence contribution is the raw feature value and a
+ * candidate's score under any weights is just the weighted sum of them.
+ * coordinate ascent then tries each weight over a grid of values, keeping a
+ * change only when it improves historical top-1 accuracy (mrr breaks ties).
+ *
+ * the result is only a proposal: it is stored for an admin to review, and
+ * the project's weights change only once they approve it.
+ */
+
+/**
+ * fewest replayed issues worth tuning on; below this the search mostly
+ * fits noise.
+ */
+export const MIN_TUNING_ISSUES = 20;
+
+/**
+ * values coordinate ascent tries for each weight.
+ */
+export const WEIGHT_GRID = Object.freeze([0, 0.25, 0.5, 1, 1.5, 2, 3, 4, 5, 7.5, 10, 15, 20]);
+
+const MAX_PASSES = 5;
+
+// scores closer than this are treated as tied, the weighted sums are added
+// up in a different order from calculateCandidateScore
+const SCORE_EPSILON = 1e-9;
+
+/**
+ * how to read each weight's feature out of a candidate's evidence. workload,
+ * decline feedback and confluence weights are missing because none of them
+ * is known for past issues, so the tuner leaves them as they are.
+ */
+const FEATURE_READERS = Object.freeze({
+  LABEL: evidence => sumContributions(evidence.labels),
+  COMPONENT: evidence => sumContributions(evidence.components),
+  ISSUE_TYPE: evidence => sumContributions(evidence.issueTypes),
+  EPIC: evidence => sumContributions(evidence.epics),
+  PARENT: evidence => sumContributions(evidence.parents),
+  TEXT_SIMILARITY: evidence => sumContributions(evidence.textMatches),
+  HISTORICAL_EXACT: evidence => sumInteractions(evidence, 'historical-assignee'),
+  DIRECT_WORKLOG: evidence => sumInteractions(evidence, 'worklog'),
+  DIRECT_COMMENT: evidence => sumInteractions(evidence, 'comment'),
+  GENERAL_ASSIGNMENTS: evidence => sumInteractions(evidence, 'assigned-issue-count'),
+  GENERAL_WORKLOGS: evidence => sumInteractions(evidence, 'worklog-issue-count'),
+  GENERAL_COMMENTS: evidence => sumInteractions(evidence, 'comment-issue-count')
+});
+
+/**
+ * weights of 1 for every signal, used to replay issues so the evidence
+ * holds the raw feature values.
+ */
+export const UNIT_WEIGHTS = Object.freeze(
+  Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(key => [key, 1]))
+);
+
+/**
+ * reads the feature vector of a candidate scored with UNIT_WEIGHTS.
+ *
+ * @param {Object} candidate - result of calculateCandidateScore
+ * @returns {Object} map of weight key to feature value
+ */
+export function extractFeatures(candidate) {
+  const evidence = candidate?.evidence || {};
+  const features = {};
+  for (const [key, read] of Object.entries(FEATURE_READERS)) {
+    features[key] = read(evidence);
+  }
+  return features;
+}
+
+/**
+ * runs coordinate ascent over the weights to maximise top-1 accuracy on the
+ * replayed issues.
+ *
+ * @param {Array<{ issue: Object, candidates: Array<Object> }>} replays - from
+ * replayIssues, scored with UNIT_WEIGHTS
+ * @param {Object} startWeights - complete weights to start from, usually the
+ * project's current weights
+ * @param {Object} [options]
+ * @param {Array<number>} [options.grid=WEIGHT_GRID] - values tried per weight
+ * @param {number} [options.maxPasses] - passes over every weight before giving up
+ * @returns {{ weights: Object, baseline: Object, proposed: Object, changes: Array<Object> }}
+ * proposed weights, top-1/top-3/mrr before and after, and each changed weight
+ */
+export function tuneWeights(replays, startWeights, { grid = WEIGHT_GRID, maxPasses = MAX_PASSES } = {}) {
+  const weights = { ...DEFAULT_WEIGHTS, ...startWeights };
+  const issues = replays.map(({ issue, candidates }) => buildIssueMatrix(issue, candidates));
+
+  // only weights whose feature shows up somewhere can change the ranking
+  const tunable = Object.keys(FEATURE_READERS).filter(key =>
+    issues.some(entry => entry.features.some(features => features[key] !== 0))
+  );
+
+  const scores = issues.map(entry => entry.features.map(features => weightedSum(features, weights)));
+  let best = measure(issues, scores);
+  const baseline = best;
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+
+    for (const key of tunable) {
+      for (const value of grid) {
+        const delta = value - weights[key];
+        if (delta === 0) continue;
+
+        const trialScores = issues.map((entry, i) =>
+          scores[i].map((score, c) => score + delta * entry.features[c][key])
+        );
+        const trial = measure(issues, trialScores);
+        if (isBetter(trial, best)) {
+          weights[key] = value;
+          trialScores.forEach((row, i) => {
+            scores[i] = row;
+          });
+          best = trial;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  const changes = Object.keys(weights)
+    .filter(key => weights[key] !== startWeights[key])
+    .map(key => ({ key, from: startWeights[key], to: weights[key] }));
+
+  return { weights, baseline, proposed: best, changes };
+}
+
+/**
+ * replays the project's resolved issues, tunes the weights and stores the
+ * result as a proposal awaiting review. the project's weights are not
+ * touched.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} the stored proposal
+ */
+export async function proposeProjectWeights(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to tune weights');
+  }
+
+  const current = await loadProjectWeights(projectKey);
+  const recency = await loadProjectRecency(projectKey);
+  const processedIssues = await cache.allIssues();
+
+  const { replays } = replayIssues(processedIssues, {
+    projectKey,
+    weights: UNIT_WEIGHTS,
+    recency,
+    limit: MAX_BACKTEST_ISSUES
+  });
+  if (replays.length < MIN_TUNING_ISSUES) {
+    throw new Error(`not enough history to tune weights: ${replays.length} resolved issues could be replayed, at least ${MIN_TUNING_ISSUES} are needed`);
+  }
+
+  const proposal = {
+    ...tuneWeights(replays, current),
+    current,
+    evaluated: replays.length,
+    createdAt: new Date().toISOString()
+  };
+
+  await cache.cacheWeightProposal(projectKey, proposal);
+  return proposal;
+}
+
+/**
+ * returns the proposal awaiting review for a project, if any.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object|null>}
+ */
+export async function loadWeightProposal(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return null;
+  }
+  return await cache.getWeightProposal(projectKey) || null;
+}
+
+/**
+ * applies the proposal's changes to the project's weights and clears the
+ * proposal. weights the proposal leaves alone keep their current values,
+ * including any an admin edited after it was made; if an admin edited one of
+ * the weights it changes, nothing is saved and the tuning has to be run again.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} the complete weights that were saved
+ */
+export async function approveWeightProposal(projectKey) {
+  const proposal = await loadWeightProposal(projectKey);
+  if (!proposal) {
+    throw new Error('there is no weight proposal to approve');
+  }
+
+  const current = await loadProjectWeights(projectKey);
+  const changes = Array.isArray(proposal.changes) ? proposal.changes : [];
+  const edited = changes.filter(change => current[change.key] !== change.from).map(change => change.key);
+  if (edited.length > 0) {
+    throw new Error(`weights changed since the proposal was made (${edited.join(', ')}), tune the weights again`);
+  }
+
+  const proposed = Object.fromEntries(changes.map(change => [change.key, change.to]));
+  const weights = await saveProjectWeights(projectKey, { ...current, ...proposed });
+  await cache.uncacheWeightProposal(projectKey);
+  return weights;
+}
+
+/**
+ * discards the proposal, leaving the project's weights as they are.
+ *
+ * @param {string} projectKey - jira project key
+ */
+export async function rejectWeightProposal(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to reject a weight proposal');
+  }
+  await cache.uncacheWeightProposal(projectKey);
+}
+
+/**
+ * feature vectors of an issue's candidates, with the real assignee's index.
+ */
+function buildIssueMatrix(issue, candidates) {
+  return {
+    actual: candidates.findIndex(candidate => candidate.accountId === issue.assignee?.accountId),
+    names: candidates.map(candidate => candidate.displayName || ''),
+    features: candidates.map(extractFeatures)
+  };
+}
+
+/**
+ * top-1/top-3/mrr for the given candidate scores, ranking ties by name as
+ * compareCandidates does.
+ */
+function measure(issues, scores) {
+  const ranks = issues.map((entry, i) => {
+    if (entry.actual === -1) return null;
+
+    const row = scores[i];
+    const target = row[entry.actual];
+    let ahead = 0;
+    row.forEach((score, c) => {
+      if (c === entry.actual) return;
+      const tied = Math.abs(score - target) <= SCORE_EPSILON;
+      if ((!tied && score > target) || (tied && entry.names[c].localeCompare(entry.names[entry.actual]) < 0)) {
+        ahead++;
+      }
+    });
+    return ahead + 1;
+  });
+
+  return summariseRanks(ranks);
+}
+
+function isBetter(candidate, incumbent) {
+  if (candidate.top1 !== incumbent.top1) {
+    return candidate.top1 > incumbent.top1;
+  }
+  return candidate.mrr > incumbent.mrr;
+}
+
+function weightedSum(features, weights) {
+  return Object.keys(features).reduce((sum, key) => sum + weights[key] * features[key], 0);
+}
+
+function sumContributions(entries) {
+  return (Array.isArray(entries) ? entries : []).reduce((sum, entry) => sum + (Number(entry.contribution) || 0), 0);
+}
+
+function sumInteractions(evidence, type) {
+  return sumContributions((evidence.interactions || []).filter(entry => entry.type === type));
+}
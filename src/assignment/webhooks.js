@@ -0,0 +1,483 @@
+import api, { route, fetch } from '@forge/api';
+import { Queue } from '@forge/events';
+import { createHmac, randomUUID } from 'crypto';
+import * as cache from '../cache.js';
+
+/**
+ * webhooks
+ *
+ * posts json payloads about assignments, declines and finished bulk runs to
+ * the endpoints a project has registered, e.g. a chat tool. each endpoint
+ * has its own signing secret, kept in kvs secret storage and never sent back
+ * to the admin panel; receivers check the X-Auto-Assign-Signature header,
+ * which is `sha256=` and the hex hmac-sha256 of `${timestamp}.${body}` with
+ * the timestamp taken from X-Auto-Assign-Timestamp.
+ *
+ * deliveries are pushed to an async event queue, one event per endpoint,
+ * so a slow or failing receiver never holds up the assignment that raised
+ * them. the consumer retries failures that may be temporary (network errors,
+ * 429 and 5xx responses) with growing delays, and writes every delivery,
+ * successful or not, to the delivery log.
+ */
+
+export const WEBHOOK_EVENTS = Object.freeze(['assignment', 'decline', 'bulk-run']);
+
+export const WEBHOOK_QUEUE_KEY = 'webhook-delivery';
+
+export const MAX_WEBHOOK_ENDPOINTS = 10;
+
+/**
+ * shortest signing secret accepted, so secrets cannot be guessed.
+ */
+export const MIN_SECRET_LENGTH = 16;
+
+/**
+ * waits before the second and third attempt; the consumer has to finish
+ * inside its invocation time limit, so there are no further attempts.
+ */
+export const RETRY_DELAYS_MS = Object.freeze([1000, 4000]);
+
+const DELIVERY_PAGE_SIZE = 20;
+
+export const SIGNATURE_HEADER = 'X-Auto-Assign-Signature';
+export const TIMESTAMP_HEADER = 'X-Auto-Assign-Timestamp';
+export const EVENT_HEADER = 'X-Auto-Assign-Event';
+export const DELIVERY_HEADER = 'X-Auto-Assign-Delivery';
+
+const deliveryQueue = new Queue({ key: WEBHOOK_QUEUE_KEY });
+
+/**
+ * checks an endpoint supplied by the admin panel. a secret is required for
+ * new endpoints; for existing ones a blank secret keeps the stored one.
+ *
+ * @param {Object} input - { url, events, enabled, secret }
+ * @param {Object} [options]
+ * @param {boolean} [options.requireSecret=true] - whether a secret must be given
+ * @returns {{ valid: boolean, errors: Array<string>, endpoint: Object|null, secret: string|null }}
+ * validation result; `endpoint` holds the parsed endpoint without its secret
+ */
+export function validateWebhookEndpoint(input, { requireSecret = true } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['webhook endpoint must be an object'], endpoint: null, secret: null };
+  }
+
+  const errors = [];
+  const url = typeof input.url === 'string' ? input.url.trim() : '';
+  if (!isHttpsUrl(url)) {
+    errors.push('url must be an https url');
+  }
+
+  const events = input.events === undefined ? [...WEBHOOK_EVENTS] : input.events;
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    errors.push(`events must be one or more of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  const secret = typeof input.secret === 'string' && input.secret.trim() !== '' ? input.secret.trim() : null;
+  if (secret ? secret.length < MIN_SECRET_LENGTH : requireSecret) {
+    errors.push(`secret must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, endpoint: null, secret: null };
+  }
+  return {
+    valid: true,
+    errors,
+    endpoint: {
+      url,
+      events: WEBHOOK_EVENTS.filter(event => events.includes(event)),
+      enabled: input.enabled !== false
+    },
+    secret
+  };
+}
+
+/**
+ * the endpoints registered for a project, without their secrets.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Array<Object>>} { id, url, events, enabled } per endpoint
+ */
+export async function listWebhookEndpoints(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return [];
+  }
+  return (await cache.getProjectWebhooks(projectKey)) || [];
+}
+
+/**
+ * adds an endpoint, or updates the one with the given id.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} input - { id, url, events, enabled, secret }
+ * @returns {Promise<Object>} the saved endpoint, without its secret
+ */
+export async function saveWebhookEndpoint(projectKey, input) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save a webhook');
+  }
+
+  const endpoints = await listWebhookEndpoints(projectKey);
+  const existing = input?.id ? endpoints.find(endpoint => endpoint.id === input.id) : null;
+  if (input?.id && !existing) {
+    throw new Error(`webhook ${input.id} does not exist`);
+  }
+  if (!existing && endpoints.length >= MAX_WEBHOOK_ENDPOINTS) {
+    throw new Error(`a project can have at most ${MAX_WEBHOOK_ENDPOINTS} webhooks`);
+  }
+
+  const result = validateWebhookEndpoint(input, { requireSecret: !existing });
+  if (!result.valid) {
+    throw new Error(`invalid webhook: ${result.errors.join('; ')}`);
+  }
+
+  const endpoint = { id: existing?.id || randomUUID(), ...result.endpoint };
+  if (result.secret) {
+    await cache.cacheWebhookSecret(endpoint.id, result.secret);
+  }
+
+  await cache.cacheProjectWebhooks(projectKey, existing
+    ? endpoints.map(item => (item.id === endpoint.id ? endpoint : item))
+    : [...endpoints, endpoint]);
+  return endpoint;
+}
+
+/**
+ * removes an endpoint and its secret.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {string} endpointId - id of the endpoint to remove
+ * @returns {Promise<Array<Object>>} the remaining endpoints
+ */
+export async function deleteWebhookEndpoint(projectKey, endpointId) {
+  const endpoints = await listWebhookEndpoints(projectKey);
+  if (!endpoints.some(endpoint => endpoint.id === endpointId)) {
+    throw new Error(`webhook ${endpointId} does not exist`);
+  }
+
+  const remaining = endpoints.filter(endpoint => endpoint.id !== endpointId);
+  await cache.cacheProjectWebhooks(projectKey, remaining);
+  await cache.uncacheWebhookSecret(endpointId);
+  return remaining;
+}
+
+/**
+ * one page of the project's delivery log, newest first.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {string|null} [cursor] - cursor of the page to read
+ * @returns {Promise<{ deliveries: Array<Object>, nextCursor: string|null }>}
+ */
+export async function listWebhookDeliveries(projectKey, cursor = null) {
+  const { deliveries, nextCursor } = await cache.queryWebhookDeliveries(projectKey, {
+    cursor: cursor || undefined,
+    limit: DELIVERY_PAGE_SIZE
+  });
+  return { deliveries, nextCursor: nextCursor || null };
+}
+
+/**
+ * the signature header value for a payload.
+ *
+ * @param {string} secret - endpoint signing secret
+ * @param {string} timestamp - unix seconds, as sent in the timestamp header
+ * @param {string} body - the exact request body
+ * @returns {string} `sha256=<hex digest>`
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * posts one payload to one endpoint, retrying temporary failures, and logs
+ * the delivery.
+ *
+ * @param {Object} endpoint - { id, url, secret }, unsigned without a secret
+ * @param {string} event - event name sent in the event header
+ * @param {Object} payload - json payload
+ * @param {Object} [options]
+ * @param {string|null} [options.projectKey] - project the delivery is logged under
+ * @param {Array<number>} [options.retryDelaysMs] - waits between attempts
+ * @returns {Promise<Object>} the delivery log record
+ */
+export async function deliverWebhook(endpoint, event, payload, { projectKey = null, retryDelaysMs = RETRY_DELAYS_MS } = {}) {
+  const deliveryId = randomUUID();
+  const body = JSON.stringify(payload);
+  const attempts = [];
+
+  for (let attempt = 0; attempt <= retryDelaysMs.length; attempt++) {
+    if (attempt > 0) {
+      await sleep(retryDelaysMs[attempt - 1]);
+    }
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      [EVENT_HEADER]: event,
+      [DELIVERY_HEADER]: deliveryId,
+      [TIMESTAMP_HEADER]: timestamp
+    };
+    if (endpoint.secret) {
+      headers[SIGNATURE_HEADER] = signPayload(endpoint.secret, timestamp, body);
+    }
+
+    const attemptedAt = new Date().toISOString();
+    let retry;
+    try {
+      const response = await fetch(endpoint.url, { method: 'POST', headers, body });
+      attempts.push({ attemptedAt, status: response.status, error: response.ok ? null : `responded with ${response.status}` });
+      if (response.ok) {
+        break;
+      }
+      retry = response.status === 429 || response.status >= 500;
+    } catch (error) {
+      attempts.push({ attemptedAt, status: null, error: error.message });
+      retry = true;
+    }
+
+    if (!retry) {
+      break;
+    }
+  }
+
+  const last = attempts[attempts.length - 1];
+  const record = {
+    id: deliveryId,
+    projectKey,
+    endpointId: endpoint.id || null,
+    url: endpoint.url,
+    event,
+    issueKey: payload?.issueKey || null,
+    success: last.error === null,
+    attempts,
+    deliveredAt: last.attemptedAt
+  };
+
+  try {
+    await cache.appendWebhookDelivery(record);
+  } catch (error) {
+    console.error('error logging webhook delivery:', error);
+  }
+  return record;
+}
+
+/**
+ * queues payloads for delivery by runWebhookDelivery. secrets stay in
+ * secret storage; the consumer looks them up by endpoint id.
+ *
+ * @param {Array<Object>} endpoints - [{ id, url }], unsigned without an id
+ * @param {string} event - event name sent in the event header
+ * @param {Object} payload - json payload
+ * @param {string|null} projectKey - project the deliveries are logged under
+ * @returns {Promise<Array<Object>>} one { endpointId, url, event } per queued delivery
+ */
+export async function queueWebhookDeliveries(endpoints, event, payload, projectKey) {
+  if (endpoints.length === 0) {
+    return [];
+  }
+
+  await deliveryQueue.push(endpoints.map(endpoint => ({
+    body: { endpoint: { id: endpoint.id || null, url: endpoint.url }, event, payload, projectKey }
+  })));
+  return endpoints.map(endpoint => ({ endpointId: endpoint.id || null, url: endpoint.url, event }));
+}
+
+/**
+ * async event consumer; delivers one queued payload to one endpoint.
+ *
+ * @param {Object} event - async event with body { endpoint, event, payload, projectKey }
+ * @returns {Promise<undefined>} failed deliveries are logged, not retried by the queue
+ */
+export async function runWebhookDelivery(event) {
+  const { endpoint, event: name, payload, projectKey } = event?.body || {};
+  if (!endpoint?.url || !name) {
+    console.log('ignoring a webhook event without an endpoint or event name');
+    return undefined;
+  }
+
+  const secret = endpoint.id ? await cache.getWebhookSecret(endpoint.id) : null;
+  const delivery = await deliverWebhook({ ...endpoint, secret: secret || null }, name, payload, { projectKey });
+  console.log(`webhook delivery ${delivery.id} of ${name} to ${endpoint.url}: ${delivery.success ? 'delivered' : 'failed'}`);
+  return undefined;
+}
+
+/**
+ * queues an event for every enabled endpoint of the project subscribed to
+ * it. never throws; failed deliveries end up in the delivery log.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {Object} payload - json payload
+ * @returns {Promise<Array<Object>>} the queued deliveries
+ */
+export async function dispatchWebhookEvent(projectKey, event, payload) {
+  try {
+    const endpoints = (await listWebhookEndpoints(projectKey))
+      .filter(endpoint => endpoint.enabled && endpoint.events.includes(event));
+    return await queueWebhookDeliveries(endpoints, event, payload, projectKey);
+  } catch (error) {
+    console.error(`error dispatching ${event} webhooks:`, error);
+    return [];
+  }
+}
+
+/**
+ * sends the assignment and decline webhooks for an outcome of
+ * recommendAssignee or acceptOffer.
+ *
+ * @param {string} issueKey - jira issue key
+ * @param {Object} result - recommendation outcome
+ * @param {Object} [options] - the options the recommendation ran with
+ * @returns {Promise<Array<Object>>} the queued deliveries
+ */
+export async function sendAssignmentWebhooks(issueKey, result, options = {}) {
+  const events = [];
+  if (options.declinedAccountId) {
+    events.push('decline');
+  }
+  if (result?.status === 'assigned' || result?.status === 'offer-accepted') {
+    events.push('assignment');
+  }
+  if (events.length === 0) {
+    return [];
+  }
+
+  const projectKey = issueKey.split('-')[0];
+  const deliveries = [];
+  try {
+    const subscribed = (await listWebhookEndpoints(projectKey)).filter(endpoint => endpoint.enabled);
+    if (!events.some(event => subscribed.some(endpoint => endpoint.events.includes(event)))) {
+      return [];
+    }
+
+    const baseUrl = await getSiteBaseUrl();
+    for (const event of events) {
+      const payload = buildAssignmentPayload(event, issueKey, result, options, baseUrl);
+      deliveries.push(...await dispatchWebhookEvent(projectKey, event, payload));
+    }
+  } catch (error) {
+    console.error('error sending assignment webhooks:', error);
+  }
+  return deliveries;
+}
+
+/**
+ * sends the bulk-run webhook once a bulk auto-assignment has finished.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} summary - { mode, keys, totalProcessed, totalAssigned,
+ * totalOffered, totalSkipped, assignedIssues, offeredIssues, skippedIssues,
+ * failedIssues }; offered issues are still unassigned
+ * @param {Object} [actor] - { accountId, displayName } of who started the run
+ * @returns {Promise<Array<Object>>} the queued deliveries
+ */
+export async function sendBulkRunWebhooks(projectKey, summary, actor = null) {
+  try {
+    const subscribed = (await listWebhookEndpoints(projectKey))
+      .filter(endpoint => endpoint.enabled && endpoint.events.includes('bulk-run'));
+    if (subscribed.length === 0) {
+      return [];
+    }
+  } catch (error) {
+    console.error('error sending bulk-run webhooks:', error);
+    return [];
+  }
+
+  const baseUrl = await getSiteBaseUrl();
+  const issueLink = (key) => (baseUrl ? `${baseUrl}/browse/${key}` : null);
+  return await dispatchWebhookEvent(projectKey, 'bulk-run', {
+    event: 'bulk-run',
+    projectKey,
+    mode: summary.mode,
+    keys: summary.keys,
+    actor,
+    totals: {
+      processed: summary.totalProcessed,
+      assigned: summary.totalAssigned,
+      offered: summary.totalOffered || 0,
+      skipped: summary.totalSkipped
+    },
+    assigned: summary.assignedIssues.map(issue => ({ issueKey: issue.key, assignee: issue.assignee, link: issueLink(issue.key) })),
+    offered: (summary.offeredIssues || []).map(issue => ({ issueKey: issue.key, offeredTo: issue.assignee, link: issueLink(issue.key) })),
+    skipped: summary.skippedIssues.map(issue => ({ issueKey: issue.key, reason: issue.reason, link: issueLink(issue.key) })),
+    failed: summary.failedIssues.map(issue => ({ issueKey: issue.key, error: issue.error, link: issueLink(issue.key) })),
+    sentAt: new Date().toISOString()
+  });
+}
+
+/**
+ * payload for the assignment and decline events. links point at the issue,
+ * where the recommendation can be accepted, declined or overridden, and at
+ * each candidate's profile.
+ */
+function buildAssignmentPayload(event, issueKey, result, options, baseUrl) {
+  const candidate = (item) => item && {
+    accountId: item.accountId,
+    displayName: item.displayName,
+    finalScore: item.finalScore ?? null,
+    scores: {
+      expertise: item.rawScore ?? null,
+      workloadPenalty: item.workloadPenalty ?? null,
+      declinedSimilarWorkPenalty: item.feedbackPenalty ?? 0
+    },
+    links: { profile: baseUrl ? `${baseUrl}/jira/people/${item.accountId}` : null }
+  };
+
+  return {
+    event,
+    issueKey,
+    status: result?.status || null,
+    actor: options.actorAccountId || options.actorDisplayName
+      ? { accountId: options.actorAccountId || null, displayName: options.actorDisplayName || null }
+      : null,
+    assignee: candidate(result?.assignee) || null,
+    alternatives: (result?.alternatives || []).map(candidate),
+    decline: event === 'decline'
+      ? { accountId: options.declinedAccountId, reason: options.declineReason || null }
+      : null,
+    links: { issue: baseUrl ? `${baseUrl}/browse/${issueKey}` : null },
+    sentAt: new Date().toISOString()
+  };
+}
+
+/**
+ * the site url for links in payloads and comments, or null when jira does
+ * not say.
+ *
+ * @returns {Promise<string|null>} e.g. https://example.atlassian.net
+ */
+export async function getSiteBaseUrl() {
+  try {
+    const response = await api.asApp().requestJira(route`/rest/api/3/serverInfo`);
+    if (!response.ok) {
+      return null;
+    }
+    const data = await response.json();
+    return data?.baseUrl || null;
+  } catch (error) {
+    console.error('error fetching the site url:', error);
+    return null;
+  }
+}
+
+/**
+ * whether a value is an absolute https url.
+ *
+ * @param {string} value - url to check
+ * @returns {boolean}
+ */
+export function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
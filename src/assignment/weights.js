@@ -0,0 +1,175 @@
+import * as cache from '../cache.js';
+
+/**
+ * scoring weights
+ *
+ * each project can tune how strongly each signal influences the ranking.
+ * weights are stored per project key and merged over the defaults below, so
+ * a project only needs to persist the values it actually changed.
+ */
+
+/**
+ * default tuning weights for the scoring function.
+ * values were chosen to prioritise domain expertise (labels, issue type)
+ * while still rewarding historic interactions and penalising heavy workloads.
+ */
+export const DEFAULT_WEIGHTS = Object.freeze({
+  LABEL: 3.2,
+  COMPONENT: 2.4,
+  ISSUE_TYPE: 2.8,
+  EPIC: 1.4,
+  PARENT: 1.6,
+  TEXT_SIMILARITY: 4,
+  CONFLUENCE: 2,
+  HISTORICAL_EXACT: 5,
+  DIRECT_WORKLOG: 2.5,
+  DIRECT_COMMENT: 1.2,
+  GENERAL_ASSIGNMENTS: 0.9,
+  GENERAL_WORKLOGS: 0.7,
+  GENERAL_COMMENTS: 0.5,
+  WORKLOAD_OPEN_ISSUES: 0.85,
+  WORKLOAD_ESTIMATE_HOURS: 0.12,
+  DECLINE_FEEDBACK: 1.5
+});
+
+/**
+ * describes each weight for the admin panel, grouped the same way as the
+ * assignment criteria toggles.
+ */
+export const WEIGHT_DEFINITIONS = Object.freeze([
+  { key: 'LABEL', criteria: 'labels', label: 'Labels', group: 'Metadata Matches' },
+  { key: 'COMPONENT', criteria: 'components', label: 'Components', group: 'Metadata Matches' },
+  { key: 'ISSUE_TYPE', criteria: 'issueType', label: 'Issue Type', group: 'Metadata Matches' },
+  { key: 'EPIC', criteria: 'epic', label: 'Epic', group: 'Metadata Matches' },
+  { key: 'PARENT', criteria: 'parent', label: 'Parent Issue', group: 'Metadata Matches' },
+  { key: 'TEXT_SIMILARITY', criteria: 'textSimilarity', label: 'Text Similarity', group: 'Metadata Matches' },
+  { key: 'CONFLUENCE', criteria: 'confluence', label: 'Confluence Pages', group: 'Metadata Matches' },
+  { key: 'HISTORICAL_EXACT', criteria: 'previousAssignee', label: 'Previous Assignee', group: 'Direct Historical Interactions' },
+  { key: 'DIRECT_WORKLOG', criteria: 'worklogs', label: 'Worklogs', group: 'Direct Historical Interactions' },
+  { key: 'DIRECT_COMMENT', criteria: 'comments', label: 'Comments', group: 'Direct Historical Interactions' },
+  { key: 'GENERAL_ASSIGNMENTS', criteria: 'overallAssignments', label: 'Overall Assignments', group: 'General Track Record' },
+  { key: 'GENERAL_WORKLOGS', criteria: 'overallWorklogs', label: 'Overall Worklogs', group: 'General Track Record' },
+  { key: 'GENERAL_COMMENTS', criteria: 'overallComments', label: 'Overall Comments', group: 'General Track Record' },
+  { key: 'WORKLOAD_OPEN_ISSUES', criteria: 'workloadOpenIssues', label: 'Open Issues Count', group: 'Workload Considerations' },
+  { key: 'WORKLOAD_ESTIMATE_HOURS', criteria: 'workloadEstimateHours', label: 'Estimate Hours', group: 'Workload Considerations' },
+  { key: 'DECLINE_FEEDBACK', criteria: 'declineFeedback', label: 'Declined Similar Work', group: 'Workload Considerations' }
+]);
+
+/**
+ * upper bound for a single weight. keeps a typo (e.g. 320 instead of 3.2)
+ * from drowning out every other signal.
+ */
+export const MAX_WEIGHT = 100;
+
+/**
+ * checks a (partial) weights object supplied by the admin panel.
+ *
+ * @param {Object} weights - map of weight key to numeric value
+ * @returns {{ valid: boolean, errors: Array<string>, weights: Object }} validation
+ * result; `weights` holds the parsed values merged over the defaults
+ */
+export function validateWeights(weights) {
+  const errors = [];
+
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return { valid: false, errors: ['weights must be an object'], weights: { ...DEFAULT_WEIGHTS } };
+  }
+
+  const parsed = {};
+  for (const [key, value] of Object.entries(weights)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_WEIGHTS, key)) {
+      errors.push(`unknown weight: ${key}`);
+      continue;
+    }
+
+    const numeric = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof numeric !== 'number' || !Number.isFinite(numeric)) {
+      errors.push(`${key} must be a number`);
+      continue;
+    }
+    if (numeric < 0 || numeric > MAX_WEIGHT) {
+      errors.push(`${key} must be between 0 and ${MAX_WEIGHT}`);
+      continue;
+    }
+
+    parsed[key] = numeric;
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    weights: { ...DEFAULT_WEIGHTS, ...parsed }
+  };
+}
+
+/**
+ * loads the weights for a project, falling back to the defaults for any
+ * value that has not been customised.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} complete weights object
+ */
+export async function loadProjectWeights(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    return { ...DEFAULT_WEIGHTS };
+  }
+
+  const stored = await cache.getProjectWeights(projectKey);
+  if (!stored) {
+    return { ...DEFAULT_WEIGHTS };
+  }
+
+  // stored values were validated on save, but ignore anything that no longer
+  // matches a known weight rather than failing the recommendation
+  const { weights } = validateWeights(pickKnownWeights(stored));
+  return weights;
+}
+
+/**
+ * validates and persists the weights for a project.
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} weights - weight values to store
+ * @returns {Promise<Object>} the complete weights that were saved
+ */
+export async function saveProjectWeights(projectKey, weights) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to save weights');
+  }
+
+  const result = validateWeights(weights);
+  if (!result.valid) {
+    throw new Error(`invalid weights: ${result.errors.join('; ')}`);
+  }
+
+  await cache.cacheProjectWeights(projectKey, result.weights);
+  return result.weights;
+}
+
+/**
+ * removes any customised weights so the project uses the defaults again.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} the default weights
+ */
+export async function resetProjectWeights(projectKey) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to reset weights');
+  }
+
+  await cache.uncacheProjectWeights(projectKey);
+  return { ...DEFAULT_WEIGHTS };
+}
+
+/**
+ * drops stored keys that are not (or no longer) valid weight names.
+ */
+function pickKnownWeights(stored) {
+  const known = {};
+  for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+    if (Number.isFinite(stored[key]) && stored[key] >= 0 && stored[key] <= MAX_WEIGHT) {
+      known[key] = stored[key];
+    }
+  }
+  return known;
+}
@@ -1,5 +1,35 @@
-import { kvs } from '@forge/kvs';
+import { kvs, WhereConditions } from '@forge/kvs';
 import * as scrapeOrchestrator from './scrapers/scrapeOrchestrator.js';
+import * as scrapeJobs from './scrapeJobs.js';
+
+/**
+ * Each cached entity is stored under its own KVS key, made up of the prefix
+ * for its kind and its identifier (e.g. `issue:FOO-123`), so writing one entity
+ * never rewrites (or overwrites) the others. Collections are listed with a
+ * prefix query.
+ */
+const ENTITY_PREFIXES = {
+    issues: 'issue:',
+    users: 'user:',
+    summaries: 'summary:',
+    assignmentStates: 'assignmentState:',
+    workloads: 'workload:'
+};
+
+// Marks that the cache has been initialised (or migrated) for this site.
+const CACHE_INITIALISED_KEY = 'cacheInitialised';
+
+// Largest page size a KVS query accepts.
+const QUERY_PAGE_SIZE = 100;
+
+// Audit keys hold the time left until this ceiling so the newest records sort first.
+const AUDIT_TIME_CEILING = 9999999999999;
+
+// Sorts after any random suffix of an audit record ID.
+const AUDIT_ID_UPPER_SUFFIX = ':zzzzzzzz';
+
+// Deliveries kept in each project's webhook delivery log; older ones are deleted.
+export const MAX_WEBHOOK_DELIVERIES = 200;
 
 // ===============
 // CACHING FUNCTIONS
@@ -11,9 +41,7 @@ import * as scrapeOrchestrator from './scrapers/scrapeOrchestrator.js';
  * @param {Object} issueData - issue data to cache
  */
 export const cacheIssue = async (issueData) => {
-    const issueCache = await kvs.get('issues');
-    issueCache[issueData.key] = issueData;
-    await kvs.set('issues', issueCache);
+    await kvs.set(`${ENTITY_PREFIXES.issues}${issueData.key}`, issueData);
 
     console.log(`cache.js - issue ${issueData.key} cached`)
 }
@@ -24,20 +52,30 @@ export const cacheIssue = async (issueData) => {
  * @param {Object} userProfile - user data to cache
  */
 export const cacheUserProfile = async (userProfile) => {
-    const userCache = await kvs.get('users');
-    userCache[userProfile.accountId] = userProfile;
-    await kvs.set('users', userCache);
+    await kvs.set(`${ENTITY_PREFIXES.users}${userProfile.accountId}`, userProfile);
 
     console.log(`cache.js - user ${userProfile.displayName} cached`)
 }
 
 /**
  * Updates user cache with a replacement set of user data.
+ * Profiles missing from the replacement set are removed.
  * 
  * @param {Object} userProfiles - replacement set of user data
  */
 export const updateAllUserProfiles = async (userProfiles) => {
-    await kvs.set('users', userProfiles);
+    const existingKeys = await queryKeys(ENTITY_PREFIXES.users);
+
+    for (const [accountId, profile] of Object.entries(userProfiles)) {
+        await kvs.set(`${ENTITY_PREFIXES.users}${accountId}`, profile);
+    }
+
+    for (const key of existingKeys) {
+        const accountId = key.slice(ENTITY_PREFIXES.users.length);
+        if (!Object.prototype.hasOwnProperty.call(userProfiles, accountId)) {
+            await kvs.delete(key);
+        }
+    }
 }
 
 /**
@@ -48,9 +86,7 @@ export const updateAllUserProfiles = async (userProfiles) => {
  * @param {String} summary - summary of the assignment reason
  */
 export const cacheIssueSummary = async (issueKey, summary) => {
-    const summaryCache = await kvs.get('summaries');
-    summaryCache[issueKey] = summary;
-    await kvs.set('summaries', summaryCache);
+    await kvs.set(`${ENTITY_PREFIXES.summaries}${issueKey}`, summary);
 
     console.log(`cache.js - summary for issue ${issueKey} cached`);
 }
@@ -62,9 +98,7 @@ export const cacheIssueSummary = async (issueKey, summary) => {
  * @param {Object} stateObject - an object representing the assignment state
  */
 export const cacheIssueAssignmentState = async (issueKey, stateObject) => {
-    const assginmentStateCache = await kvs.get('assignmentStates');
-    assginmentStateCache[issueKey] = stateObject;
-    await kvs.set('assignmentStates', assginmentStateCache);
+    await kvs.set(`${ENTITY_PREFIXES.assignmentStates}${issueKey}`, stateObject);
 
     console.log(`cache.js - assignment state for issue ${issueKey} cached`);
 }
@@ -76,13 +110,320 @@ export const cacheIssueAssignmentState = async (issueKey, stateObject) => {
  * @param {Object} workload - an object representing their workload
  */
 export const cacheWorkload = async (accountId, workload) => {
-    const workloadCache = await kvs.get('workloads');
-    workloadCache[accountId] = workload;
-    await kvs.set('workloads', workloadCache);
+    await kvs.set(`${ENTITY_PREFIXES.workloads}${accountId}`, workload);
 
     console.log(`cache.js - workload for user ${accountId} cached`)
 }
 
+/**
+ * Caches the scoring weights configured for the project corresponding to the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} weights - map of weight key to numeric value
+ */
+export const cacheProjectWeights = async (projectKey, weights) => {
+    await kvs.set(`weights:${projectKey}`, weights);
+
+    console.log(`cache.js - weights for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the tuned weights proposed for the project corresponding to the
+ * provided key, until an admin approves or rejects them.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} proposal - proposed weights and their historical accuracy
+ */
+export const cacheWeightProposal = async (projectKey, proposal) => {
+    await kvs.set(`weightProposal:${projectKey}`, proposal);
+
+    console.log(`cache.js - weight proposal for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the automatic assignment rules configured for the project
+ * corresponding to the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} ruleSet - enabled flag and list of rules
+ */
+export const cacheProjectRules = async (projectKey, ruleSet) => {
+    await kvs.set(`rules:${projectKey}`, ruleSet);
+
+    console.log(`cache.js - rules for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the capacity limits configured for the project corresponding to the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} capacity - default and per-user capacity limits
+ */
+export const cacheProjectCapacity = async (projectKey, capacity) => {
+    await kvs.set(`capacity:${projectKey}`, capacity);
+
+    console.log(`cache.js - capacity for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the recency decay settings configured for the project corresponding
+ * to the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} recency - recency settings, e.g. { halfLifeDays: 365 }
+ */
+export const cacheProjectRecency = async (projectKey, recency) => {
+    await kvs.set(`recency:${projectKey}`, recency);
+
+    console.log(`cache.js - recency settings for project ${projectKey} cached`);
+}
+
+/**
+ * Caches how long declines last for the project corresponding to the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} expiry - decline expiry settings, e.g. { ttlDays: 14 }
+ */
+export const cacheProjectDeclineExpiry = async (projectKey, expiry) => {
+    await kvs.set(`declineExpiry:${projectKey}`, expiry);
+
+    console.log(`cache.js - decline expiry for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the offer settings configured for the project corresponding to the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} settings - offer settings, e.g. { enabled: true, timeoutHours: 24 }
+ */
+export const cacheProjectOfferSettings = async (projectKey, settings) => {
+    await kvs.set(`offerSettings:${projectKey}`, settings);
+
+    console.log(`cache.js - offer settings for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the comment visibility configured for the project corresponding to
+ * the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} settings - comment visibility, e.g. { visibility: 'role', restrictTo: 'Developers' }
+ */
+export const cacheProjectCommentVisibility = async (projectKey, settings) => {
+    await kvs.set(`commentVisibility:${projectKey}`, settings);
+
+    console.log(`cache.js - comment visibility for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the notification channels and templates configured for the project
+ * corresponding to the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} settings - notification settings, e.g. { channels: { comment: { enabled: true, events: ['exhausted'] } }, templates: {...} }
+ */
+export const cacheProjectNotificationSettings = async (projectKey, settings) => {
+    await kvs.set(`notificationSettings:${projectKey}`, settings);
+
+    console.log(`cache.js - notification settings for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the Confluence spaces scraped for the project corresponding to the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} settings - Confluence settings, e.g. { spaceKeys: ['DOCS'] }
+ */
+export const cacheProjectConfluenceSettings = async (projectKey, settings) => {
+    await kvs.set(`confluenceSettings:${projectKey}`, settings);
+
+    console.log(`cache.js - confluence settings for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the assignment strategy configured for the project corresponding to
+ * the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} strategy - strategy settings, e.g. { name: 'round-robin', topN: 3 }
+ */
+export const cacheProjectStrategy = async (projectKey, strategy) => {
+    await kvs.set(`strategy:${projectKey}`, strategy);
+
+    console.log(`cache.js - strategy for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the account last picked by the round-robin rotation of the project
+ * corresponding to the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {String} accountId - the ID of the account picked last
+ */
+export const cacheRotationPointer = async (projectKey, accountId) => {
+    await kvs.set(`rotation:${projectKey}`, accountId);
+
+    console.log(`cache.js - rotation pointer for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the availability ranges of the account corresponding to the
+ * provided ID.
+ * 
+ * @param {String} accountId - the ID of the account
+ * @param {Array<Object>} ranges - date ranges with availability percentages
+ */
+export const cacheAvailability = async (accountId, ranges) => {
+    await kvs.set(`availability:${accountId}`, ranges);
+
+    console.log(`cache.js - availability for user ${accountId} cached`);
+}
+
+/**
+ * Caches the declines and manual overrides recorded against the account
+ * corresponding to the provided ID.
+ * 
+ * @param {String} accountId - the ID of the account
+ * @param {Array<Object>} events - feedback events, newest first
+ */
+export const cacheFeedback = async (accountId, events) => {
+    await kvs.set(`feedback:${accountId}`, events);
+
+    console.log(`cache.js - feedback for user ${accountId} cached`);
+}
+
+/**
+ * Records that the project with the provided key has an initialised cache,
+ * so scheduled jobs know which projects to refresh.
+ * 
+ * @param {String} projectKey - Jira project key
+ */
+export const registerProject = async (projectKey) => {
+    const projects = await kvs.get('projects') || [];
+    if (projects.includes(projectKey)) return;
+
+    projects.push(projectKey);
+    await kvs.set('projects', projects);
+
+    console.log(`cache.js - project ${projectKey} registered`);
+}
+
+/**
+ * Caches the time the project with the provided key was last refreshed.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {String} timestamp - ISO timestamp of the refresh
+ */
+export const cacheRefreshWatermark = async (projectKey, timestamp) => {
+    await kvs.set(`refreshWatermark:${projectKey}`, timestamp);
+
+    console.log(`cache.js - refresh watermark for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the record of the latest full scrape job for the project with the
+ * provided key, replacing the previous one.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} job - scrape job record with its cursor, counts and errors
+ */
+export const cacheScrapeJob = async (projectKey, job) => {
+    await kvs.set(`scrapeJob:${projectKey}`, job);
+
+    console.log(`cache.js - scrape job for project ${projectKey} cached`);
+}
+
+/**
+ * Caches the issue keys a full scrape job works through for the project
+ * with the provided key. They are written once, when the job starts, and
+ * kept apart from the job record so saving its cursor stays small.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Array<String>} issueKeys - issue keys in scrape order
+ */
+export const cacheScrapeJobIssueKeys = async (projectKey, issueKeys) => {
+    await kvs.set(`scrapeJobIssues:${projectKey}`, issueKeys);
+
+    console.log(`cache.js - ${issueKeys.length} scrape job issue keys for project ${projectKey} cached`);
+}
+
+/**
+ * Appends a record to the assignment audit log. Records are never updated;
+ * index entries by issue, project and involved account point back to them.
+ * 
+ * @param {Object} record - audit record with `timestamp`, `issueKey`,
+ * `projectKey` and `accountIds`
+ * @returns {Promise<Object>} - the stored record including its generated `id`
+ */
+export const appendAuditRecord = async (record) => {
+    const id = `${auditTimeKey(record.timestamp)}:${Math.random().toString(36).slice(2, 8)}`;
+    const stored = { ...record, id };
+
+    await kvs.set(`audit:${id}`, stored);
+    if (record.issueKey) {
+        await kvs.set(`auditIssue:${record.issueKey}:${id}`, id);
+    }
+    if (record.projectKey) {
+        await kvs.set(`auditProject:${record.projectKey}:${id}`, id);
+    }
+    for (const accountId of record.accountIds || []) {
+        await kvs.set(`auditUser:${accountId}:${id}`, id);
+    }
+
+    console.log(`cache.js - audit record ${id} for issue ${record.issueKey} cached`);
+    return stored;
+}
+
+/**
+ * Caches the webhook endpoints registered for the project corresponding to
+ * the provided key. Signing secrets are stored separately, see
+ * cacheWebhookSecret.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Array<Object>} endpoints - endpoints, e.g. [{ id, url, events: ['assignment'], enabled: true }]
+ */
+export const cacheProjectWebhooks = async (projectKey, endpoints) => {
+    await kvs.set(`webhooks:${projectKey}`, endpoints);
+
+    console.log(`cache.js - webhooks for project ${projectKey} cached`);
+}
+
+/**
+ * Stores the signing secret of a webhook endpoint in KVS secret storage.
+ * 
+ * @param {String} endpointId - webhook endpoint ID
+ * @param {String} secret - signing secret
+ */
+export const cacheWebhookSecret = async (endpointId, secret) => {
+    await kvs.setSecret(`webhookSecret:${endpointId}`, secret);
+
+    console.log(`cache.js - secret for webhook ${endpointId} cached`);
+}
+
+/**
+ * Appends a delivery to the webhook delivery log of its project, keyed so
+ * the newest deliveries sort first. Only the newest MAX_WEBHOOK_DELIVERIES
+ * are kept.
+ * 
+ * @param {Object} record - delivery record with `projectKey` and `deliveredAt`
+ */
+export const appendWebhookDelivery = async (record) => {
+    const prefix = `webhookDelivery:${record.projectKey}:`;
+    const id = `${auditTimeKey(record.deliveredAt)}:${Math.random().toString(36).slice(2, 8)}`;
+    await kvs.set(`${prefix}${id}`, record);
+
+    for (const key of (await queryKeys(prefix)).slice(MAX_WEBHOOK_DELIVERIES)) {
+        await kvs.delete(key);
+    }
+
+    console.log(`cache.js - webhook delivery ${record.id} cached`);
+}
+
 // ===================
 // RETRIEVAL FUNCTIONS
 // ===================
@@ -94,7 +435,7 @@ export const cacheWorkload = async (accountId, workload) => {
  */
 export const allIssues = async () => {
     console.log('cache.js - retrieving all issues');
-    return await kvs.get('issues');
+    return await queryEntities(ENTITY_PREFIXES.issues);
 }
 
 /**
@@ -104,7 +445,7 @@ export const allIssues = async () => {
  */
 export const allUserProfiles = async () => {
     console.log('cache.js - retrieving all users');
-    return await kvs.get('users');
+    return await queryEntities(ENTITY_PREFIXES.users);
 }
 
 /**
@@ -115,10 +456,7 @@ export const allUserProfiles = async () => {
  */
 export const getIssue = async (issueKey) => {
     console.log(`cache.js - retrieving issue ${issueKey}`);
-
-    const issueCache = await kvs.get('issues');
-    if (!issueCache) return null;
-    return issueCache[issueKey];
+    return await kvs.get(`${ENTITY_PREFIXES.issues}${issueKey}`);
 }
 
 /**
@@ -128,9 +466,7 @@ export const getIssue = async (issueKey) => {
  * @returns {Promise<Object>} - associated user profile
  */
 export const getUserProfile = async (accountId) => {
-    const userCache = await kvs.get('users');
-    if (!userCache) return null;
-    return userCache[accountId];
+    return await kvs.get(`${ENTITY_PREFIXES.users}${accountId}`);
 }
 
 /**
@@ -142,10 +478,7 @@ export const getUserProfile = async (accountId) => {
  */
 export const getIssueSummary = async (issueKey) => {
     console.log(`cache.js - retrieving summary for issue ${issueKey}`);
-
-    const summaryCache = await kvs.get('summaries');
-    if (!summaryCache) return null;
-    return summaryCache[issueKey];
+    return await kvs.get(`${ENTITY_PREFIXES.summaries}${issueKey}`);
 }
 
 /**
@@ -157,10 +490,17 @@ export const getIssueSummary = async (issueKey) => {
  */
 export const getIssueAssignmentState = async (issueKey) => {
     console.log(`cache.js - retrieving assignment state for issue ${issueKey}`);
+    return await kvs.get(`${ENTITY_PREFIXES.assignmentStates}${issueKey}`);
+}
 
-    const assginmentStateCache = await kvs.get('assignmentStates');
-    if (!assginmentStateCache) return null;
-    return assginmentStateCache[issueKey];
+/**
+ * Returns the assignment state of every issue that has one.
+ * 
+ * @returns {Promise<Object>} - map of issue key to assignment state
+ */
+export const allAssignmentStates = async () => {
+    console.log('cache.js - retrieving all assignment states');
+    return await queryEntities(ENTITY_PREFIXES.assignmentStates);
 }
 
 /**
@@ -171,13 +511,321 @@ export const getIssueAssignmentState = async (issueKey) => {
  */
 export const getWorkload = async (accountId) => {
     console.log(`cache.js - retrieving workload for user ${accountId}`);
+    return await kvs.get(`${ENTITY_PREFIXES.workloads}${accountId}`);
+}
+
+/**
+ * Returns the scoring weights configured for the project with the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored weights, or undefined if never customised
+ */
+export const getProjectWeights = async (projectKey) => {
+    console.log(`cache.js - retrieving weights for project ${projectKey}`);
+    return await kvs.get(`weights:${projectKey}`);
+}
+
+/**
+ * Returns the tuned weights awaiting review for the project with the provided
+ * key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored proposal, or undefined if there is none
+ */
+export const getWeightProposal = async (projectKey) => {
+    console.log(`cache.js - retrieving weight proposal for project ${projectKey}`);
+    return await kvs.get(`weightProposal:${projectKey}`);
+}
+
+/**
+ * Returns the automatic assignment rules configured for the project with the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored rule set, or undefined if never configured
+ */
+export const getProjectRules = async (projectKey) => {
+    console.log(`cache.js - retrieving rules for project ${projectKey}`);
+    return await kvs.get(`rules:${projectKey}`);
+}
+
+/**
+ * Returns the capacity limits configured for the project with the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored capacity limits, or undefined if never configured
+ */
+export const getProjectCapacity = async (projectKey) => {
+    console.log(`cache.js - retrieving capacity for project ${projectKey}`);
+    return await kvs.get(`capacity:${projectKey}`);
+}
 
-    const workloadCache = await kvs.get('workloads');
-    if (!workloadCache) {
-        console.warn(`cache.js - workloads cache not initialized`);
-        return null;
+/**
+ * Returns the recency decay settings configured for the project with the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored recency settings, or undefined if never configured
+ */
+export const getProjectRecency = async (projectKey) => {
+    console.log(`cache.js - retrieving recency settings for project ${projectKey}`);
+    return await kvs.get(`recency:${projectKey}`);
+}
+
+/**
+ * Returns how long declines last for the project with the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored decline expiry settings, or undefined if never configured
+ */
+export const getProjectDeclineExpiry = async (projectKey) => {
+    console.log(`cache.js - retrieving decline expiry for project ${projectKey}`);
+    return await kvs.get(`declineExpiry:${projectKey}`);
+}
+
+/**
+ * Returns the offer settings configured for the project with the provided
+ * key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored offer settings, or undefined if never configured
+ */
+export const getProjectOfferSettings = async (projectKey) => {
+    console.log(`cache.js - retrieving offer settings for project ${projectKey}`);
+    return await kvs.get(`offerSettings:${projectKey}`);
+}
+
+/**
+ * Returns the comment visibility configured for the project with the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored comment visibility, or undefined if never configured
+ */
+export const getProjectCommentVisibility = async (projectKey) => {
+    console.log(`cache.js - retrieving comment visibility for project ${projectKey}`);
+    return await kvs.get(`commentVisibility:${projectKey}`);
+}
+
+/**
+ * Returns the notification channels and templates configured for the project
+ * with the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored notification settings, or undefined if never configured
+ */
+export const getProjectNotificationSettings = async (projectKey) => {
+    console.log(`cache.js - retrieving notification settings for project ${projectKey}`);
+    return await kvs.get(`notificationSettings:${projectKey}`);
+}
+
+/**
+ * Returns the Confluence spaces scraped for the project with the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored Confluence settings, or undefined if never configured
+ */
+export const getProjectConfluenceSettings = async (projectKey) => {
+    console.log(`cache.js - retrieving confluence settings for project ${projectKey}`);
+    return await kvs.get(`confluenceSettings:${projectKey}`);
+}
+
+/**
+ * Returns the assignment strategy configured for the project with the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - stored strategy, or undefined if never configured
+ */
+export const getProjectStrategy = async (projectKey) => {
+    console.log(`cache.js - retrieving strategy for project ${projectKey}`);
+    return await kvs.get(`strategy:${projectKey}`);
+}
+
+/**
+ * Returns the account last picked by the round-robin rotation of the project
+ * with the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<String>} - account ID, or undefined if nobody was picked yet
+ */
+export const getRotationPointer = async (projectKey) => {
+    console.log(`cache.js - retrieving rotation pointer for project ${projectKey}`);
+    return await kvs.get(`rotation:${projectKey}`);
+}
+
+/**
+ * Returns the availability ranges of the account with the provided ID.
+ * 
+ * @param {String} accountId - the ID of the account
+ * @returns {Promise<Array<Object>>} - stored ranges, or undefined if none recorded
+ */
+export const getAvailability = async (accountId) => {
+    console.log(`cache.js - retrieving availability for user ${accountId}`);
+    return await kvs.get(`availability:${accountId}`);
+}
+
+/**
+ * Returns the availability ranges of every account that has any recorded.
+ * 
+ * @returns {Promise<Object>} - map of account ID to ranges
+ */
+export const allAvailability = async () => {
+    console.log('cache.js - retrieving all availability');
+    return await queryEntities('availability:');
+}
+
+/**
+ * Returns the feedback events recorded against the account with the provided
+ * ID.
+ * 
+ * @param {String} accountId - the ID of the account
+ * @returns {Promise<Array<Object>>} - feedback events, or undefined if there are none
+ */
+export const getFeedback = async (accountId) => {
+    console.log(`cache.js - retrieving feedback for user ${accountId}`);
+    return await kvs.get(`feedback:${accountId}`);
+}
+
+/**
+ * Returns the feedback events of every account that has any recorded.
+ * 
+ * @returns {Promise<Object>} - map of account ID to feedback events
+ */
+export const allFeedback = async () => {
+    console.log('cache.js - retrieving all feedback');
+    return await queryEntities('feedback:');
+}
+
+/**
+ * Returns the keys of all projects with an initialised cache.
+ * 
+ * @returns {Promise<Array<String>>} - registered project keys
+ */
+export const allProjects = async () => {
+    console.log('cache.js - retrieving all projects');
+    return await kvs.get('projects') || [];
+}
+
+/**
+ * Returns the time the project with the provided key was last refreshed.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<String>} - ISO timestamp, or undefined if never refreshed
+ */
+export const getRefreshWatermark = async (projectKey) => {
+    console.log(`cache.js - retrieving refresh watermark for project ${projectKey}`);
+    return await kvs.get(`refreshWatermark:${projectKey}`);
+}
+
+/**
+ * Returns the record of the latest full scrape job for the project with the
+ * provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Object>} - scrape job record, or undefined if the project was never scraped
+ */
+export const getScrapeJob = async (projectKey) => {
+    console.log(`cache.js - retrieving scrape job for project ${projectKey}`);
+    return await kvs.get(`scrapeJob:${projectKey}`);
+}
+
+/**
+ * Returns the issue keys of the latest full scrape job for the project with
+ * the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Array<String>>} - issue keys, or undefined if none were cached
+ */
+export const getScrapeJobIssueKeys = async (projectKey) => {
+    console.log(`cache.js - retrieving scrape job issue keys for project ${projectKey}`);
+    return await kvs.get(`scrapeJobIssues:${projectKey}`);
+}
+
+/**
+ * Returns the webhook endpoints registered for the project with the
+ * provided key, without their secrets.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @returns {Promise<Array<Object>>} - stored endpoints, or undefined if none were ever registered
+ */
+export const getProjectWebhooks = async (projectKey) => {
+    console.log(`cache.js - retrieving webhooks for project ${projectKey}`);
+    return await kvs.get(`webhooks:${projectKey}`);
+}
+
+/**
+ * Returns the signing secret of a webhook endpoint.
+ * 
+ * @param {String} endpointId - webhook endpoint ID
+ * @returns {Promise<String>} - signing secret, or undefined if none is stored
+ */
+export const getWebhookSecret = async (endpointId) => {
+    console.log(`cache.js - retrieving secret for webhook ${endpointId}`);
+    return await kvs.getSecret(`webhookSecret:${endpointId}`);
+}
+
+/**
+ * Returns one page of the webhook delivery log of a project, newest first.
+ * 
+ * @param {String} projectKey - Jira project key
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<Object>} - `{ deliveries, nextCursor }`
+ */
+export const queryWebhookDeliveries = async (projectKey, { cursor, limit = QUERY_PAGE_SIZE } = {}) => {
+    console.log(`cache.js - retrieving webhook deliveries for project ${projectKey}`);
+
+    let query = kvs.query()
+        .where('key', WhereConditions.beginsWith(`webhookDelivery:${projectKey}:`))
+        .limit(Math.min(limit, QUERY_PAGE_SIZE));
+    if (cursor) query = query.cursor(cursor);
+
+    const { results, nextCursor } = await query.getMany();
+    return { deliveries: (results || []).map(({ value }) => value), nextCursor };
+}
+
+/**
+ * Returns one page of audit records, newest first. The most selective of
+ * the issue, account and project filters picks the index to read; the other
+ * filters are applied to that page, so a page can hold fewer records than
+ * the limit while more remain.
+ * 
+ * @param {Object} filters - { issueKey, accountId, projectKey, from, to, cursor, limit }
+ * with `from` and `to` as ISO timestamps
+ * @returns {Promise<Object>} - `{ records, nextCursor }`
+ */
+export const queryAuditRecords = async ({ issueKey, accountId, projectKey, from, to, cursor, limit = QUERY_PAGE_SIZE } = {}) => {
+    console.log('cache.js - retrieving audit records');
+
+    const prefix = issueKey ? `auditIssue:${issueKey}:`
+        : accountId ? `auditUser:${accountId}:`
+        : projectKey ? `auditProject:${projectKey}:`
+        : 'audit:';
+
+    const condition = from || to
+        ? WhereConditions.between(
+            prefix + (to ? auditTimeKey(to) : ''),
+            prefix + (from ? auditTimeKey(from) : AUDIT_TIME_CEILING) + AUDIT_ID_UPPER_SUFFIX
+        )
+        : WhereConditions.beginsWith(prefix);
+
+    let query = kvs.query()
+        .where('key', condition)
+        .limit(Math.min(limit, QUERY_PAGE_SIZE));
+    if (cursor) query = query.cursor(cursor);
+
+    const { results, nextCursor } = await query.getMany();
+
+    const records = [];
+    for (const { value } of results || []) {
+        const record = prefix === 'audit:' ? value : await kvs.get(`audit:${value}`);
+        if (!record) continue;
+        if (projectKey && record.projectKey !== projectKey) continue;
+        if (accountId && !(record.accountIds || []).includes(accountId)) continue;
+        records.push(record);
     }
-    return workloadCache[accountId];
+
+    return { records, nextCursor };
 }
 
 // ===================
@@ -186,26 +834,26 @@ export const getWorkload = async (accountId) => {
 
 /**
  * Checks if a cache already exists.
- * If not, creates the cache and generates data from a full project scrape.
+ * If not, migrates a cache stored in the old single-key layout, or creates
+ * the cache and starts a full project scrape in the background. The scrape
+ * moves the refresh watermark once it completes. Starting a scrape while
+ * one is running is a no-op, so a failed initialisation can run again.
  * 
  * @param {String} projectKey - Jira project key the app is running on
  */
 export const initialiseCache = async (projectKey) => {
-    const issueCache = await kvs.get('issues');
-    const usersCache = await kvs.get('users');
-    const summariesCache = await kvs.get('summaries');
-    const assignmentStatesCache = await kvs.get('assignmentStates');
-    const workloadsCache = await kvs.get('workloads');
-
-    if ([issueCache, usersCache, summariesCache, assignmentStatesCache, workloadsCache].some(
-            (cache) => cache === undefined)) {
-        await kvs.set('users', {});
-        await kvs.set('issues', {});
-        await kvs.set('summaries', {});
-        await kvs.set('assignmentStates', {});
-        await kvs.set('workloads', {});
-
-        await scrapeOrchestrator.scrapeFullProject(projectKey, {});
+    const initialised = await kvs.get(CACHE_INITIALISED_KEY);
+
+    if (!initialised) {
+        const migrated = await migrateLegacyCache();
+
+        if (!migrated) {
+            await scrapeJobs.startScrapeJob(projectKey, {});
+        }
+
+        // Only marked once the migration or scrape start has gone through,
+        // so a failed attempt is retried on the next call
+        await kvs.set(CACHE_INITIALISED_KEY, true);
 
         console.log('cache.js - cache initialised.')
     }
@@ -213,6 +861,36 @@ export const initialiseCache = async (projectKey) => {
     else {
         console.log('cache.js - cache already initialised.')
     }
+
+    await registerProject(projectKey);
+}
+
+/**
+ * Moves data stored in the old layout, where each kind of entity was kept
+ * in a single map under one key (e.g. `issues`), to one key per entity.
+ * 
+ * @returns {Promise<Boolean>} - whether any old data was found
+ */
+export const migrateLegacyCache = async () => {
+    let migrated = false;
+
+    for (const [legacyKey, prefix] of Object.entries(ENTITY_PREFIXES)) {
+        const legacyCache = await kvs.get(legacyKey);
+        if (legacyCache === undefined) continue;
+
+        for (const [id, value] of Object.entries(legacyCache || {})) {
+            await kvs.set(`${prefix}${id}`, value);
+        }
+
+        // only drop the old map once every entry has been copied, so an
+        // interrupted migration can simply be run again
+        await kvs.delete(legacyKey);
+        migrated = true;
+
+        console.log(`cache.js - migrated ${legacyKey} to per-entity keys`);
+    }
+
+    return migrated;
 }
 
 // =================
@@ -225,13 +903,9 @@ export const initialiseCache = async (projectKey) => {
  * @param {String} issueKey - issue key
  */
 export const uncacheIssue = async (issueKey) => {
-    const issueCache = await kvs.get('issues');
-    const summaryCache = await kvs.get('summaries');
-    const assignmentStateCache = await kvs.get('assignmentStates');
-
-    delete issueCache[issueKey];
-    delete summaryCache[issueKey];
-    delete assignmentStateCache[issueKey];
+    await kvs.delete(`${ENTITY_PREFIXES.issues}${issueKey}`);
+    await kvs.delete(`${ENTITY_PREFIXES.summaries}${issueKey}`);
+    await kvs.delete(`${ENTITY_PREFIXES.assignmentStates}${issueKey}`);
 
     console.log(`cache.js - issue ${issueKey} deleted from cache.`);
 }
@@ -240,15 +914,35 @@ export const uncacheIssue = async (issueKey) => {
  * Removes all stored data from the cache.
  */
 export const resetCache = async () => {
-    await kvs.delete('issues');
-    await kvs.delete('users');
-    await kvs.delete('summaries');
-    await kvs.delete('assignmentStates');
-    await kvs.delete('workloads');
+    await clearEntityData();
+
+    for (const key of await queryKeys('refreshWatermark:')) {
+        await kvs.delete(key);
+    }
+
+    await kvs.delete('projects');
+    await kvs.delete(CACHE_INITIALISED_KEY);
 
     console.log('cache.js - cache reset.');
 }
 
+/**
+ * Removes the cached issues, users, summaries, assignment states and
+ * workloads, e.g. before a scrape that starts from scratch. The project
+ * registry, refresh watermarks and initialisation flag are kept, so the
+ * project stays in the scheduled refresh and is not initialised again.
+ */
+export const clearEntityData = async () => {
+    for (const [legacyKey, prefix] of Object.entries(ENTITY_PREFIXES)) {
+        for (const key of await queryKeys(prefix)) {
+            await kvs.delete(key);
+        }
+        await kvs.delete(legacyKey);
+    }
+
+    console.log('cache.js - cached entities cleared.');
+}
+
 /**
  * Removes the assignment state of the issue associated with the provided
  * issue key from the cache.
@@ -256,12 +950,120 @@ export const resetCache = async () => {
  * @param {String} issueKey - the issue key
  */
 export const uncacheIssueAssignmentState = async (issueKey) => {
-    const assignmentStateCache = await kvs.get('assignmentStates');
-    delete assignmentStateCache[issueKey];
+    await kvs.delete(`${ENTITY_PREFIXES.assignmentStates}${issueKey}`);
 
     console.log(`cache.js - assignment state for ${issueKey} deleted from cache.`);
 }
 
+/**
+ * Removes the availability ranges of the account with the provided ID.
+ * 
+ * @param {String} accountId - the ID of the account
+ */
+export const uncacheAvailability = async (accountId) => {
+    await kvs.delete(`availability:${accountId}`);
+
+    console.log(`cache.js - availability for user ${accountId} deleted from cache.`);
+}
+
+/**
+ * Removes the customised scoring weights of the project with the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ */
+export const uncacheProjectWeights = async (projectKey) => {
+    await kvs.delete(`weights:${projectKey}`);
+
+    console.log(`cache.js - weights for project ${projectKey} deleted from cache.`);
+}
+
+/**
+ * Removes the weight proposal of the project with the provided key.
+ * 
+ * @param {String} projectKey - Jira project key
+ */
+export const uncacheWeightProposal = async (projectKey) => {
+    await kvs.delete(`weightProposal:${projectKey}`);
+
+    console.log(`cache.js - weight proposal for project ${projectKey} deleted from cache.`);
+}
+
+/**
+ * Removes the signing secret of a webhook endpoint.
+ * 
+ * @param {String} endpointId - webhook endpoint ID
+ */
+export const uncacheWebhookSecret = async (endpointId) => {
+    await kvs.deleteSecret(`webhookSecret:${endpointId}`);
+
+    console.log(`cache.js - secret for webhook ${endpointId} deleted from cache.`);
+}
+
+// ================
+// HELPER FUNCTIONS
+// ================
+
+/**
+ * Lists every KVS entry whose key starts with the provided prefix,
+ * following the query cursor until all pages have been read.
+ * 
+ * @param {String} prefix - key prefix to match
+ * @returns {Promise<Array<Object>>} - matching `{ key, value }` entries
+ */
+const queryAll = async (prefix) => {
+    const entries = [];
+    let cursor;
+
+    do {
+        let query = kvs.query()
+            .where('key', WhereConditions.beginsWith(prefix))
+            .limit(QUERY_PAGE_SIZE);
+        if (cursor) query = query.cursor(cursor);
+
+        const { results, nextCursor } = await query.getMany();
+        entries.push(...(results || []));
+        cursor = nextCursor;
+    } while (cursor);
+
+    return entries;
+}
+
+/**
+ * Returns the entities stored under the provided prefix as a map keyed by
+ * their identifier, matching the shape of the old single-key layout.
+ * 
+ * @param {String} prefix - key prefix to match
+ * @returns {Promise<Object>} - map of identifier to stored value
+ */
+const queryEntities = async (prefix) => {
+    const entities = {};
+    for (const { key, value } of await queryAll(prefix)) {
+        entities[key.slice(prefix.length)] = value;
+    }
+    return entities;
+}
+
+/**
+ * Returns the KVS keys stored under the provided prefix.
+ * 
+ * @param {String} prefix - key prefix to match
+ * @returns {Promise<Array<String>>} - matching keys
+ */
+const queryKeys = async (prefix) => {
+    return (await queryAll(prefix)).map(({ key }) => key);
+}
+
+/**
+ * Converts a timestamp into the fixed-width key fragment used by audit
+ * records, which decreases as time goes on.
+ * 
+ * @param {String} timestamp - ISO timestamp
+ * @returns {String} - zero-padded time until the audit ceiling
+ */
+const auditTimeKey = (timestamp) => {
+    return String(AUDIT_TIME_CEILING - Date.parse(timestamp)).padStart(String(AUDIT_TIME_CEILING).length, '0');
+}
+
 // ======================
 // EVENT DRIVEN FUNCTIONS
 // ======================
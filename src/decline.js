@@ -1,4 +1,7 @@
 import api, { route } from '@forge/api';
+import { recordManualOverride } from './assignment/feedback.js';
+import { doc, paragraph, text, mention } from './assignment/adf.js';
+import { loadProjectCommentVisibility, commentVisibilityFields } from './assignment/commentVisibility.js';
 
 // Check if issue is assigned
 export async function checkIssueAssignee (key) {
@@ -12,40 +15,32 @@ export async function checkIssueAssignee (key) {
   }
 }
 
-// Posts comment and creates notification
-export async function postComment (issueKey, message) {
+// Posts comment and creates notification. The message is plain text, mentioning the given user first so Jira
+// notifies them, or an ADF document built with assignment/adf.js. The comment is only visible to whoever the
+// project's comment visibility allows
+export async function postComment (issueKey, message, mentionAccountId = null) {
+  const body = message?.type === 'doc'
+    ? message
+    : doc(paragraph(...(mentionAccountId ? [mention(mentionAccountId), text(` ${message}`)] : [text(message)])));
+  const visibility = await loadProjectCommentVisibility(String(issueKey).split('-')[0]);
+
   const res = await api.asApp().requestJira(route`/rest/api/3/issue/${issueKey}/comment`, {
     method: 'POST',
     headers: {'Content-Type': 'application/json'},
-    body: JSON.stringify({
-      body: {
-        type: "doc",
-        version: 1,
-        content: [
-          {
-            type: "paragraph",
-            content: [
-              {
-                text: message,
-                type: "text"
-              }
-            ]
-          }
-        ]
-      }
-    }),
+    body: JSON.stringify({ body, ...commentVisibilityFields(visibility) }),
   });
 
   return res.json();
 }
 
-// Notify users once issue is assigned
+// Learn from reassignments away from the app's pick. Notifications about the app's own assignments are sent
+// through the project's notification channels (see assignment/notifications.js), so manual changes and
+// unassignments no longer post a comment
 export async function notifyOnAssignment (event) {
-  const { changelog, issue } = event;
-  const changedFields = changelog?.items || [];
+  const changedFields = event?.changelog?.items || [];
 
-  if (changedFields[0].to !== null) {
-    await postComment(issue.key, "This issue has been assigned.");
+  const assigneeChange = changedFields.find(item => item?.field === 'assignee');
+  if (assigneeChange) {
+    await recordManualOverride(event.issue.key, assigneeChange.to || null);
   }
 }
-
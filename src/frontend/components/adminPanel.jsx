@@ -20,8 +20,30 @@ import {
   Tag,
   Link,
   useProductContext,
-  SectionMessageAction
+  SectionMessageAction,
+  Label,
+  Select
 } from '@forge/react';
+import WeightsPanel from './weightsPanel';
+import RulesPanel from './rulesPanel';
+import CapacityPanel from './capacityPanel';
+import RecencyPanel from './recencyPanel';
+import ConfluencePanel from './confluencePanel';
+import ScrapePanel from './scrapePanel';
+import AvailabilityPanel from './availabilityPanel';
+import StrategyPanel, { STRATEGY_OPTIONS } from './strategyPanel';
+import DeclineExpiryPanel from './declineExpiryPanel';
+import OfferPanel from './offerPanel';
+import CommentVisibilityPanel from './commentVisibilityPanel';
+import NotificationsPanel from './notificationsPanel';
+import WebhooksPanel from './webhooksPanel';
+import AuditLogPanel from './auditLogPanel';
+
+// tabs before this index select issues for bulk assignment, the rest are settings
+const MODE_TAB_COUNT = 3;
+
+// bulk runs use the project strategy unless another one is picked for the run
+const RUN_STRATEGY_OPTIONS = [{ label: 'Project default', value: '' }, ...STRATEGY_OPTIONS];
 
 const AdminPanel = () => {
   const [activeTab, setActiveTab] = useState(0);
@@ -36,6 +58,8 @@ const AdminPanel = () => {
   const [message, setMessage] = useState(null);
   const [assignmentDetails, setAssignmentDetails] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
+  const [weights, setWeights] = useState({});
+  const [runStrategy, setRunStrategy] = useState('');
   const context = useProductContext();
 
   // Criteria toggles
@@ -46,6 +70,8 @@ const AdminPanel = () => {
     issueType: true,
     epic: true,
     parent: true,
+    textSimilarity: true,
+    confluence: true,
     // Direct Historical Interactions
     previousAssignee: true,
     worklogs: true,
@@ -56,7 +82,8 @@ const AdminPanel = () => {
     overallComments: true,
     // Workload
     workloadOpenIssues: true,
-    workloadEstimateHours: true
+    workloadEstimateHours: true,
+    declineFeedback: true
   });
 
   useEffect(() => {
@@ -92,6 +119,12 @@ const AdminPanel = () => {
         setMessage({ type: 'error', text: `Error loading labels: ${labelsResponse.error}` });
       }
 
+      // Fetch scoring weights for the criteria labels
+      const weightsResponse = await invoke('getScoringWeights');
+      if (weightsResponse.success) {
+        setWeights(weightsResponse.weights);
+      }
+
       // Fetch unassigned tasks
       const tasksResponse = await invoke('getUnassignedTasks');
       if (tasksResponse.success) {
@@ -158,19 +191,26 @@ const AdminPanel = () => {
     setAssignmentDetails(null);
     setShowDetails(false);
     try {
-      const response = await invoke('autoAssignByMode', { mode: mode, keys: selectedKeys, criteria: criteria });
+      const response = await invoke('autoAssignByMode', {
+        mode: mode,
+        keys: selectedKeys,
+        criteria: criteria,
+        strategy: runStrategy || null
+      });
 
       if (response.success) {
         setMessage({
           type: 'success',
           text: `Successfully processed ${response.totalProcessed} issue(s) across ${selectedKeys.length} ${mode}(s).
-           Assigned: ${response.totalAssigned}, Skipped: ${response.totalSkipped}.`
+           Assigned: ${response.totalAssigned}, Offered: ${response.totalOffered || 0}, Skipped: ${response.totalSkipped}.`
         });
 
         setAssignmentDetails({
           assigned: response.assignedIssues || [],
+          offered: response.offeredIssues || [],
           skipped: response.skippedIssues || [],
-          failed: response.failedIssues || []
+          failed: response.failedIssues || [],
+          skippedCandidates: response.skippedCandidates || []
         });
         setShowDetails(false);
 
@@ -248,6 +288,11 @@ const AdminPanel = () => {
     setSelectedTasks(allSelected);
   };
 
+  const weightLabel = (name, key) => {
+    const value = weights[key];
+    return value === undefined ? name : `${name} (weight: ${value})`;
+  };
+
   const handleResetCriteria = () => {
     const allEnabled = {};
     Object.keys(criteria).forEach(key => {
@@ -316,6 +361,31 @@ const AdminPanel = () => {
                           </Box>
                         )}
 
+                        {/* Offered, Still Unassigned */}
+                        {assignmentDetails.offered.length > 0 && (
+                          <Box>
+                            <Inline space="space.100">
+                              <Heading size="xsmall">Offered ({assignmentDetails.offered.length})</Heading>
+                            </Inline>
+                            <Box xcss={{ paddingLeft: 'space.100' }}>
+                              <Stack space="space.100">
+                                {assignmentDetails.offered.map((issue, idx) => (
+                                  <Inline key={idx} space="space.100">
+                                    <Text>•</Text>
+                                    <Link
+                                      href={`${context.siteUrl}/browse/${issue.key}`}
+                                      openNewTab={true}
+                                    >
+                                      {issue.key} - {issue.summary}
+                                    </Link>
+                                    <Box> → offered to {issue.assignee}</Box>
+                                  </Inline>
+                                ))}
+                              </Stack>
+                            </Box>
+                          </Box>
+                        )}
+
                         {/* Skipped Issues */}
                         {assignmentDetails.skipped.length > 0 && (
                           <Box>
@@ -339,6 +409,23 @@ const AdminPanel = () => {
                           </Box>
                         )}
 
+                        {/* Candidates Skipped For Capacity Or Availability */}
+                        {assignmentDetails.skippedCandidates.length > 0 && (
+                          <Box>
+                            <Inline space="space.100">
+                              <Heading size="xsmall">Skipped Candidates ({assignmentDetails.skippedCandidates.length})</Heading>
+                            </Inline>
+                            <Stack space="space.100">
+                              {assignmentDetails.skippedCandidates.map((user, idx) => (
+                                <Inline key={idx} space="space.100">
+                                  <Text>•</Text>
+                                  <Text>{user.displayName} - ({user.message})</Text>
+                                </Inline>
+                              ))}
+                            </Stack>
+                          </Box>
+                        )}
+
                         {/* Failed Issues */}
                         {assignmentDetails.failed.length > 0 && (
                           <Box>
@@ -375,6 +462,13 @@ const AdminPanel = () => {
           <Tab>Epics</Tab>
           <Tab>Labels</Tab>
           <Tab>All Tasks</Tab>
+          <Tab>Scoring Weights</Tab>
+          <Tab>Assignment Rules</Tab>
+          <Tab>Capacity</Tab>
+          <Tab>Availability</Tab>
+          <Tab>Strategy</Tab>
+          <Tab>Notifications</Tab>
+          <Tab>Audit Log</Tab>
         </TabList>
 
         {/* Epic Tab */}
@@ -463,163 +557,262 @@ const AdminPanel = () => {
             )}
           </Box>
         </TabPanel>
-      </Tabs>
 
-      {/* Action Buttons */}
-      <ButtonGroup label="Actions">
-        <Button
-          appearance="primary"
-          onClick={handleSubmit}
-          isDisabled={processing || (activeTab === 0 && epics.length === 0)}
-        >
-          {processing ? 'Processing...' : 'Auto-Assign Selected'}
-        </Button>
-        <Button
-          onClick={handleReset}
-          isDisabled={processing}
-        >
-          Reset Selection
-        </Button>
-      </ButtonGroup>
-
-      {/* Criteria Selection */}
-      <Box>
-        <Inline space="space.200" alignBlock="center">
-          <Heading size="small">Assignment Criteria</Heading>
-          <Button appearance="subtle" onClick={handleResetCriteria} isDisabled={processing}>
-            Enable All
-          </Button>
-        </Inline>
+        {/* Scoring Weights Tab */}
+        <TabPanel>
+          <Box padding='space.200' xcss={{ width: '100%' }}>
+            <Stack space="space.400">
+              <WeightsPanel onWeightsChange={setWeights} />
+              <RecencyPanel />
+              <ConfluencePanel />
+              <ScrapePanel />
+            </Stack>
+          </Box>
+        </TabPanel>
 
-        <Stack space="space.300">
-          <Box xcss={{ width: '59%' }}>
-            <Inline spread='space-between'>
-              {/* Metadata Matches */}
-              <Box>
-                <Text weight="bold">Metadata Matches</Text>
-                <Stack space="space.100">
-                  <Checkbox
-                    name="criteria-labels"
-                    label="Labels (weight: 3.2)"
-                    isChecked={criteria.labels}
-                    onChange={(e) => handleCriteriaToggle('labels', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-components"
-                    label="Components (weight: 2.4)"
-                    isChecked={criteria.components}
-                    onChange={(e) => handleCriteriaToggle('components', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-issueType"
-                    label="Issue Type (weight: 2.8)"
-                    isChecked={criteria.issueType}
-                    onChange={(e) => handleCriteriaToggle('issueType', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-epic"
-                    label="Epic (weight: 1.4)"
-                    isChecked={criteria.epic}
-                    onChange={(e) => handleCriteriaToggle('epic', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-parent"
-                    label="Parent Issue (weight: 1.6)"
-                    isChecked={criteria.parent}
-                    onChange={(e) => handleCriteriaToggle('parent', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                </Stack>
-              </Box>
+        {/* Assignment Rules Tab */}
+        <TabPanel>
+          <Box padding='space.200' xcss={{ width: '100%' }}>
+            <RulesPanel />
+          </Box>
+        </TabPanel>
 
-              {/* Direct Historical Interactions */}
-              <Box>
-                <Text weight="bold">Direct Historical Interactions</Text>
-                <Stack space="space.100">
-                  <Checkbox
-                    name="criteria-previousAssignee"
-                    label="Previous Assignee (weight: 5.0)"
-                    isChecked={criteria.previousAssignee}
-                    onChange={(e) => handleCriteriaToggle('previousAssignee', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-worklogs"
-                    label="Worklogs (weight: 2.5)"
-                    isChecked={criteria.worklogs}
-                    onChange={(e) => handleCriteriaToggle('worklogs', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-comments"
-                    label="Comments (weight: 1.2)"
-                    isChecked={criteria.comments}
-                    onChange={(e) => handleCriteriaToggle('comments', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                </Stack>
-              </Box>
-            </Inline>
+        {/* Capacity Tab */}
+        <TabPanel>
+          <Box padding='space.200' xcss={{ width: '100%' }}>
+            <CapacityPanel />
           </Box>
+        </TabPanel>
 
-          <Box xcss={{ width: '61%' }}>
-            <Inline spread='space-between'>
-              {/* General Track Record */}
-              <Box>
-                <Text weight="bold">General Track Record</Text>
-                <Stack space="space.100">
-                  <Checkbox
-                    name="criteria-overallAssignments"
-                    label="Overall Assignments (weight: 0.9)"
-                    isChecked={criteria.overallAssignments}
-                    onChange={(e) => handleCriteriaToggle('overallAssignments', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-overallWorklogs"
-                    label="Overall Worklogs (weight: 0.7)"
-                    isChecked={criteria.overallWorklogs}
-                    onChange={(e) => handleCriteriaToggle('overallWorklogs', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-overallComments"
-                    label="Overall Comments (weight: 0.5)"
-                    isChecked={criteria.overallComments}
-                    onChange={(e) => handleCriteriaToggle('overallComments', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                </Stack>
+        {/* Availability Tab */}
+        <TabPanel>
+          <Box padding='space.200' xcss={{ width: '100%' }}>
+            <AvailabilityPanel />
+          </Box>
+        </TabPanel>
+
+        {/* Strategy Tab */}
+        <TabPanel>
+          <Box padding='space.200' xcss={{ width: '100%' }}>
+            <Stack space="space.400">
+              <StrategyPanel />
+              <OfferPanel />
+              <DeclineExpiryPanel />
+            </Stack>
+          </Box>
+        </TabPanel>
+
+        {/* Notifications Tab */}
+        <TabPanel>
+          <Box padding='space.200' xcss={{ width: '100%' }}>
+            <Stack space="space.400">
+              <NotificationsPanel />
+              <WebhooksPanel />
+              <CommentVisibilityPanel />
+            </Stack>
+          </Box>
+        </TabPanel>
+
+        {/* Audit Log Tab */}
+        <TabPanel>
+          <Box padding='space.200' xcss={{ width: '100%' }}>
+            <AuditLogPanel />
+          </Box>
+        </TabPanel>
+      </Tabs>
+
+      {activeTab < MODE_TAB_COUNT && (
+        <>
+          {/* Action Buttons */}
+          <ButtonGroup label="Actions">
+            <Button
+              appearance="primary"
+              onClick={handleSubmit}
+              isDisabled={processing || (activeTab === 0 && epics.length === 0)}
+            >
+              {processing ? 'Processing...' : 'Auto-Assign Selected'}
+            </Button>
+            <Button
+              onClick={handleReset}
+              isDisabled={processing}
+            >
+              Reset Selection
+            </Button>
+          </ButtonGroup>
+
+          {/* Strategy For This Run */}
+          <Box xcss={{ width: '30%' }}>
+            <Label labelFor="run-strategy">Strategy for this run</Label>
+            <Select
+              inputId="run-strategy"
+              options={RUN_STRATEGY_OPTIONS}
+              value={RUN_STRATEGY_OPTIONS.find(option => option.value === runStrategy)}
+              onChange={(option) => setRunStrategy(option.value)}
+              isDisabled={processing}
+            />
+          </Box>
+
+          {/* Criteria Selection */}
+          <Box>
+            <Inline space="space.200" alignBlock="center">
+              <Heading size="small">Assignment Criteria</Heading>
+              <Button appearance="subtle" onClick={handleResetCriteria} isDisabled={processing}>
+                Enable All
+              </Button>
+            </Inline>
+
+            <Stack space="space.300">
+              <Box xcss={{ width: '59%' }}>
+                <Inline spread='space-between'>
+                  {/* Metadata Matches */}
+                  <Box>
+                    <Text weight="bold">Metadata Matches</Text>
+                    <Stack space="space.100">
+                      <Checkbox
+                        name="criteria-labels"
+                        label={weightLabel('Labels', 'LABEL')}
+                        isChecked={criteria.labels}
+                        onChange={(e) => handleCriteriaToggle('labels', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-components"
+                        label={weightLabel('Components', 'COMPONENT')}
+                        isChecked={criteria.components}
+                        onChange={(e) => handleCriteriaToggle('components', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-issueType"
+                        label={weightLabel('Issue Type', 'ISSUE_TYPE')}
+                        isChecked={criteria.issueType}
+                        onChange={(e) => handleCriteriaToggle('issueType', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-epic"
+                        label={weightLabel('Epic', 'EPIC')}
+                        isChecked={criteria.epic}
+                        onChange={(e) => handleCriteriaToggle('epic', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-parent"
+                        label={weightLabel('Parent Issue', 'PARENT')}
+                        isChecked={criteria.parent}
+                        onChange={(e) => handleCriteriaToggle('parent', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-textSimilarity"
+                        label={weightLabel('Text Similarity', 'TEXT_SIMILARITY')}
+                        isChecked={criteria.textSimilarity}
+                        onChange={(e) => handleCriteriaToggle('textSimilarity', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-confluence"
+                        label={weightLabel('Confluence Pages', 'CONFLUENCE')}
+                        isChecked={criteria.confluence}
+                        onChange={(e) => handleCriteriaToggle('confluence', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                    </Stack>
+                  </Box>
+
+                  {/* Direct Historical Interactions */}
+                  <Box>
+                    <Text weight="bold">Direct Historical Interactions</Text>
+                    <Stack space="space.100">
+                      <Checkbox
+                        name="criteria-previousAssignee"
+                        label={weightLabel('Previous Assignee', 'HISTORICAL_EXACT')}
+                        isChecked={criteria.previousAssignee}
+                        onChange={(e) => handleCriteriaToggle('previousAssignee', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-worklogs"
+                        label={weightLabel('Worklogs', 'DIRECT_WORKLOG')}
+                        isChecked={criteria.worklogs}
+                        onChange={(e) => handleCriteriaToggle('worklogs', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-comments"
+                        label={weightLabel('Comments', 'DIRECT_COMMENT')}
+                        isChecked={criteria.comments}
+                        onChange={(e) => handleCriteriaToggle('comments', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                    </Stack>
+                  </Box>
+                </Inline>
               </Box>
 
-              {/* Workload Considerations */}
-              <Box>
-                <Text weight="bold">Workload Considerations</Text>
-                <Stack space="space.100">
-                  <Checkbox
-                    name="criteria-workloadOpenIssues"
-                    label="Open Issues Count (weight: 0.85)"
-                    isChecked={criteria.workloadOpenIssues}
-                    onChange={(e) => handleCriteriaToggle('workloadOpenIssues', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                  <Checkbox
-                    name="criteria-workloadEstimateHours"
-                    label="Estimate Hours (weight: 0.12)"
-                    isChecked={criteria.workloadEstimateHours}
-                    onChange={(e) => handleCriteriaToggle('workloadEstimateHours', e.target.checked)}
-                    isDisabled={processing}
-                  />
-                </Stack>
+              <Box xcss={{ width: '61%' }}>
+                <Inline spread='space-between'>
+                  {/* General Track Record */}
+                  <Box>
+                    <Text weight="bold">General Track Record</Text>
+                    <Stack space="space.100">
+                      <Checkbox
+                        name="criteria-overallAssignments"
+                        label={weightLabel('Overall Assignments', 'GENERAL_ASSIGNMENTS')}
+                        isChecked={criteria.overallAssignments}
+                        onChange={(e) => handleCriteriaToggle('overallAssignments', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-overallWorklogs"
+                        label={weightLabel('Overall Worklogs', 'GENERAL_WORKLOGS')}
+                        isChecked={criteria.overallWorklogs}
+                        onChange={(e) => handleCriteriaToggle('overallWorklogs', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-overallComments"
+                        label={weightLabel('Overall Comments', 'GENERAL_COMMENTS')}
+                        isChecked={criteria.overallComments}
+                        onChange={(e) => handleCriteriaToggle('overallComments', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                    </Stack>
+                  </Box>
+
+                  {/* Workload Considerations */}
+                  <Box>
+                    <Text weight="bold">Workload Considerations</Text>
+                    <Stack space="space.100">
+                      <Checkbox
+                        name="criteria-workloadOpenIssues"
+                        label={weightLabel('Open Issues Count', 'WORKLOAD_OPEN_ISSUES')}
+                        isChecked={criteria.workloadOpenIssues}
+                        onChange={(e) => handleCriteriaToggle('workloadOpenIssues', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-workloadEstimateHours"
+                        label={weightLabel('Estimate Hours', 'WORKLOAD_ESTIMATE_HOURS')}
+                        isChecked={criteria.workloadEstimateHours}
+                        onChange={(e) => handleCriteriaToggle('workloadEstimateHours', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                      <Checkbox
+                        name="criteria-declineFeedback"
+                        label={weightLabel('Declined Similar Work', 'DECLINE_FEEDBACK')}
+                        isChecked={criteria.declineFeedback}
+                        onChange={(e) => handleCriteriaToggle('declineFeedback', e.target.checked)}
+                        isDisabled={processing}
+                      />
+                    </Stack>
+                  </Box>
+                </Inline>
               </Box>
-            </Inline>
+            </Stack>
           </Box>
-        </Stack>
-      </Box>
+        </>
+      )}
     </Stack>
   );
 };
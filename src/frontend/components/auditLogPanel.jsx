@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Label,
+  Textfield,
+  DatePicker,
+  Select,
+  Lozenge
+} from '@forge/react';
+
+const EVENT_APPEARANCES = {
+  recommendation: 'default',
+  assignment: 'success',
+  offer: 'inprogress',
+  decline: 'moved',
+  failure: 'removed'
+};
+
+const EMPTY_FILTERS = { issueKey: '', accountId: '', from: '', to: '' };
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+const describeActor = (actor) => (actor ? actor.displayName || actor.accountId : 'the app');
+
+const AuditLogPanel = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // the filters of the last search, used when loading further pages
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [users, setUsers] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchPage(EMPTY_FILTERS, null);
+  }, []);
+
+  const fetchPage = async (activeFilters, cursor) => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const response = await invoke('getAuditLog', { ...activeFilters, cursor });
+      if (response.success) {
+        setAppliedFilters(activeFilters);
+        setUsers(response.users);
+        setRecords(prev => (cursor ? [...prev, ...response.records] : response.records));
+        setNextCursor(response.nextCursor);
+      } else {
+        setMessage({ type: 'error', text: `Error loading audit log: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load audit log: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    fetchPage(EMPTY_FILTERS, null);
+  };
+
+  const userOptions = [
+    { label: 'Anyone', value: '' },
+    ...users.map(user => ({ label: user.displayName, value: user.accountId }))
+  ];
+
+  return (
+    <Stack space="space.300">
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Every recommendation, offer, assignment, decline and failure is recorded here, newest first.
+        Previews in the issue panel are not recorded.
+      </Text>
+
+      <Inline space="space.200" alignBlock="end">
+        <Box>
+          <Label labelFor="audit-issue">Issue</Label>
+          <Textfield
+            id="audit-issue"
+            value={filters.issueKey}
+            placeholder="e.g. PROJ-123"
+            onChange={(e) => updateFilter('issueKey', e.target.value.trim().toUpperCase())}
+          />
+        </Box>
+        <Box xcss={{ width: '200px' }}>
+          <Label labelFor="audit-user">User</Label>
+          <Select
+            inputId="audit-user"
+            options={userOptions}
+            value={userOptions.find(option => option.value === filters.accountId)}
+            onChange={(option) => updateFilter('accountId', option.value)}
+          />
+        </Box>
+        <Box>
+          <Label labelFor="audit-from">From</Label>
+          <DatePicker id="audit-from" value={filters.from} onChange={(value) => updateFilter('from', value)} />
+        </Box>
+        <Box>
+          <Label labelFor="audit-to">To</Label>
+          <DatePicker id="audit-to" value={filters.to} onChange={(value) => updateFilter('to', value)} />
+        </Box>
+        <Button appearance="primary" onClick={() => fetchPage(filters, null)} isDisabled={loading}>
+          Search
+        </Button>
+        <Button onClick={handleClear} isDisabled={loading}>
+          Clear
+        </Button>
+      </Inline>
+
+      {!loading && records.length === 0 && (
+        <Text>No audit records match these filters.</Text>
+      )}
+
+      <Stack space="space.200">
+        {records.map(record => (
+          <Box key={record.id} padding="space.150" backgroundColor="color.background.neutral">
+            <Stack space="space.050">
+              <Inline space="space.100" alignBlock="center">
+                <Lozenge appearance={EVENT_APPEARANCES[record.event] || 'default'}>{record.event}</Lozenge>
+                <Text weight="bold">{record.issueKey}</Text>
+                <Text>{formatTimestamp(record.timestamp)} by {describeActor(record.actor)}</Text>
+              </Inline>
+              <Text>
+                Outcome: {record.outcome.status}
+                {record.outcome.assigneeDisplayName ? `, ${record.outcome.assigneeDisplayName}` : ''}
+                {record.outcome.message ? ` (${record.outcome.message})` : ''}
+              </Text>
+              {record.outcome.declineReason && (
+                <Text>
+                  Decline reason: {record.outcome.declineReason.code}
+                  {record.outcome.declineReason.until ? ` until ${record.outcome.declineReason.until}` : ''}
+                  {record.outcome.declineReason.note ? ` (${record.outcome.declineReason.note})` : ''}
+                </Text>
+              )}
+              {record.strategy && (
+                <Text>Strategy: {record.strategy.strategy} ({record.strategy.reason})</Text>
+              )}
+              {record.criteria && (
+                <Text>
+                  Criteria: {Object.keys(record.criteria).filter(key => record.criteria[key]).join(', ') || 'none'}
+                </Text>
+              )}
+              {record.candidates.length > 0 && (
+                <Text>
+                  Candidates: {record.candidates
+                    .map(candidate => `${candidate.rank}. ${candidate.displayName} (${candidate.finalScore?.toFixed(2)})`)
+                    .join(', ')}
+                </Text>
+              )}
+              {record.excluded.length > 0 && (
+                <Text>
+                  Skipped: {record.excluded.map(user => `${user.displayName} (${user.message})`).join(', ')}
+                </Text>
+              )}
+            </Stack>
+          </Box>
+        ))}
+      </Stack>
+
+      {loading && (
+        <Inline alignInline="center">
+          <Spinner size="medium" label="Loading..." />
+        </Inline>
+      )}
+
+      {!loading && nextCursor && (
+        <Inline>
+          <Button onClick={() => fetchPage(appliedFilters, nextCursor)}>
+            Load More
+          </Button>
+        </Inline>
+      )}
+    </Stack>
+  );
+};
+
+export default AuditLogPanel;
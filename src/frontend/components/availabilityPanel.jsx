@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield,
+  TextArea,
+  DatePicker,
+  Select
+} from '@forge/react';
+
+const emptyRange = () => ({ start: '', end: '', percent: '0', note: '' });
+
+// percentages are edited as text so the field can be cleared while typing
+const rangesToText = (ranges) => (ranges || []).map(range => ({
+  start: range.start,
+  end: range.end,
+  percent: String(range.percent),
+  note: range.note || ''
+}));
+
+const AvailabilityPanel = () => {
+  const [users, setUsers] = useState([]);
+  const [availability, setAvailability] = useState({});
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [ranges, setRanges] = useState([]);
+  const [calendar, setCalendar] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchAvailability();
+  }, []);
+
+  const fetchAvailability = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getAvailabilitySettings');
+      if (response.success) {
+        setUsers(response.users);
+        setAvailability(response.availability);
+      } else {
+        setMessage({ type: 'error', text: `Error loading availability: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load availability: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const userOptions = users.map(user => ({ label: user.displayName, value: user.accountId }));
+
+  const handleUserChange = (option) => {
+    setSelectedUser(option.value);
+    setRanges(rangesToText(availability[option.value]));
+    setCalendar('');
+    setMessage(null);
+  };
+
+  const applySaved = (accountId, saved) => {
+    setAvailability(prev => ({ ...prev, [accountId]: saved }));
+    setRanges(rangesToText(saved));
+  };
+
+  const updateRange = (index, changes) => {
+    setRanges(prev => prev.map((range, i) => (i === index ? { ...range, ...changes } : range)));
+  };
+
+  const addRange = () => {
+    setRanges(prev => [...prev, emptyRange()]);
+  };
+
+  const removeRange = (index) => {
+    setRanges(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveAvailability', { accountId: selectedUser, ranges });
+      if (response.success) {
+        applySaved(selectedUser, response.ranges);
+        setMessage({ type: 'success', text: 'Availability saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save availability: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('importAvailability', { accountId: selectedUser, calendar });
+      if (response.success) {
+        applySaved(selectedUser, response.ranges);
+        setCalendar('');
+        setMessage({ type: 'success', text: `Added ${response.imported} new range(s) from the calendar; ranges already saved were skipped.` });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to import calendar: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.300">
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Users who are fully unavailable until an issue is due are skipped; partly available
+        users have their score scaled by their availability.
+      </Text>
+
+      <Box>
+        <Label labelFor="availability-user">User</Label>
+        <Select
+          inputId="availability-user"
+          options={userOptions}
+          value={userOptions.find(option => option.value === selectedUser)}
+          onChange={handleUserChange}
+          isDisabled={saving}
+        />
+      </Box>
+
+      {selectedUser && (
+        <>
+          <Box>
+            <Heading size="xsmall">Time Away</Heading>
+            {ranges.length === 0 && <Text>No time away recorded.</Text>}
+            <Stack space="space.150">
+              {ranges.map((range, index) => (
+                <Inline key={index} space="space.200" alignBlock="end">
+                  <Box>
+                    <Label labelFor={`availability-start-${index}`}>From</Label>
+                    <DatePicker
+                      id={`availability-start-${index}`}
+                      value={range.start}
+                      onChange={(value) => updateRange(index, { start: value })}
+                      isDisabled={saving}
+                    />
+                  </Box>
+                  <Box>
+                    <Label labelFor={`availability-end-${index}`}>To</Label>
+                    <DatePicker
+                      id={`availability-end-${index}`}
+                      value={range.end}
+                      onChange={(value) => updateRange(index, { end: value })}
+                      isDisabled={saving}
+                    />
+                  </Box>
+                  <Box xcss={{ width: '120px' }}>
+                    <Label labelFor={`availability-percent-${index}`}>Available %</Label>
+                    <Textfield
+                      id={`availability-percent-${index}`}
+                      type="number"
+                      value={range.percent}
+                      onChange={(e) => updateRange(index, { percent: e.target.value })}
+                      isDisabled={saving}
+                    />
+                  </Box>
+                  <Box>
+                    <Label labelFor={`availability-note-${index}`}>Note</Label>
+                    <Textfield
+                      id={`availability-note-${index}`}
+                      value={range.note}
+                      onChange={(e) => updateRange(index, { note: e.target.value })}
+                      isDisabled={saving}
+                    />
+                  </Box>
+                  <Button appearance="subtle" onClick={() => removeRange(index)} isDisabled={saving}>
+                    Remove
+                  </Button>
+                </Inline>
+              ))}
+            </Stack>
+          </Box>
+
+          <Inline space="space.100">
+            <Button onClick={addRange} isDisabled={saving}>
+              Add Range
+            </Button>
+            <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+              {saving ? 'Saving...' : 'Save Availability'}
+            </Button>
+          </Inline>
+
+          <Box>
+            <Heading size="xsmall">Import Calendar</Heading>
+            <Label labelFor="availability-calendar">Paste the contents of an iCal (.ics) file</Label>
+            <TextArea
+              id="availability-calendar"
+              value={calendar}
+              placeholder="BEGIN:VCALENDAR"
+              onChange={(e) => setCalendar(e.target.value)}
+              isDisabled={saving}
+            />
+          </Box>
+
+          <Inline>
+            <Button onClick={handleImport} isDisabled={saving || !calendar.trim()}>
+              Import Events
+            </Button>
+          </Inline>
+        </>
+      )}
+    </Stack>
+  );
+};
+
+export default AvailabilityPanel;
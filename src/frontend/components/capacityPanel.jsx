@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield
+} from '@forge/react';
+
+const LIMIT_FIELDS = [
+  { key: 'maxOpenIssues', label: 'Max Open Issues' },
+  { key: 'maxEstimateHours', label: 'Max Estimate Hours' }
+];
+
+// limits are edited as text, blank meaning uncapped
+const limitsToText = (limits) => {
+  const asText = {};
+  LIMIT_FIELDS.forEach(({ key }) => {
+    asText[key] = limits && limits[key] !== null && limits[key] !== undefined ? String(limits[key]) : '';
+  });
+  return asText;
+};
+
+const CapacityPanel = () => {
+  const [users, setUsers] = useState([]);
+  const [defaults, setDefaults] = useState(limitsToText(null));
+  const [userLimits, setUserLimits] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchCapacity();
+  }, []);
+
+  const applyCapacity = (capacity) => {
+    setDefaults(limitsToText(capacity.defaults));
+    const asText = {};
+    Object.entries(capacity.users || {}).forEach(([accountId, limits]) => {
+      asText[accountId] = limitsToText(limits);
+    });
+    setUserLimits(asText);
+  };
+
+  const fetchCapacity = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getCapacitySettings');
+      if (response.success) {
+        setUsers(response.users);
+        applyCapacity(response.capacity);
+      } else {
+        setMessage({ type: 'error', text: `Error loading capacity: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load capacity: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDefaultChange = (key, value) => {
+    setDefaults(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleUserChange = (accountId, key, value) => {
+    setUserLimits(prev => ({
+      ...prev,
+      [accountId]: { ...limitsToText(null), ...prev[accountId], [key]: value }
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveCapacitySettings', {
+        capacity: { defaults, users: userLimits }
+      });
+      if (response.success) {
+        applyCapacity(response.capacity);
+        setMessage({ type: 'success', text: 'Capacity limits saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save capacity: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.300">
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Users at or above their capacity are skipped when assigning. Leave a limit blank
+        for no cap; a user's own limits override the project default.
+      </Text>
+
+      <Box>
+        <Heading size="xsmall">Project Default</Heading>
+        <Inline space="space.200">
+          {LIMIT_FIELDS.map(field => (
+            <Box key={field.key}>
+              <Label labelFor={`capacity-default-${field.key}`}>{field.label}</Label>
+              <Textfield
+                id={`capacity-default-${field.key}`}
+                type="number"
+                value={defaults[field.key]}
+                placeholder="No cap"
+                onChange={(e) => handleDefaultChange(field.key, e.target.value)}
+                isDisabled={saving}
+              />
+            </Box>
+          ))}
+        </Inline>
+      </Box>
+
+      <Box>
+        <Heading size="xsmall">Per User</Heading>
+        {users.length === 0 ? (
+          <Text>No assignable users found in this project.</Text>
+        ) : (
+          <Box xcss={{ maxHeight: '400px', overflowY: 'auto' }}>
+            <Stack space="space.150">
+              {users.map(user => (
+                <Inline key={user.accountId} space="space.200" alignBlock="end">
+                  <Box xcss={{ width: '200px' }}>
+                    <Text>{user.displayName}</Text>
+                  </Box>
+                  {LIMIT_FIELDS.map(field => (
+                    <Box key={field.key}>
+                      <Label labelFor={`capacity-${user.accountId}-${field.key}`}>{field.label}</Label>
+                      <Textfield
+                        id={`capacity-${user.accountId}-${field.key}`}
+                        type="number"
+                        value={userLimits[user.accountId]?.[field.key] ?? ''}
+                        placeholder="Default"
+                        onChange={(e) => handleUserChange(user.accountId, field.key, e.target.value)}
+                        isDisabled={saving}
+                      />
+                    </Box>
+                  ))}
+                </Inline>
+              ))}
+            </Stack>
+          </Box>
+        )}
+      </Box>
+
+      <Inline>
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Capacity'}
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
+
+export default CapacityPanel;
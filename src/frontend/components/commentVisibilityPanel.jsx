@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield,
+  Select
+} from '@forge/react';
+
+const VISIBILITY_OPTIONS = [
+  { label: 'Public', value: 'public' },
+  { label: 'Internal (service management projects)', value: 'internal' },
+  { label: 'Restricted to a project role', value: 'role' },
+  { label: 'Restricted to a group', value: 'group' }
+];
+
+const CommentVisibilityPanel = () => {
+  const [visibility, setVisibility] = useState('public');
+  const [restrictTo, setRestrictTo] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const applySettings = (settings) => {
+    setVisibility(settings.visibility);
+    setRestrictTo(settings.restrictTo || '');
+  };
+
+  const fetchSettings = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getCommentVisibility');
+      if (response.success) {
+        applySettings(response.settings);
+      } else {
+        setMessage({ type: 'error', text: `Error loading comment visibility: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load comment visibility: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveCommentVisibility', { settings: { visibility, restrictTo } });
+      if (response.success) {
+        applySettings(response.settings);
+        setMessage({ type: 'success', text: 'Comment visibility saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save comment visibility: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  const restricted = visibility === 'role' || visibility === 'group';
+
+  return (
+    <Stack space="space.200">
+      <Heading size="xsmall">Comment Visibility</Heading>
+
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Who can see the app's assignment, decline and offer comments. On service management
+        projects, keep them internal or restricted so customers do not see scoring details.
+      </Text>
+
+      <Box xcss={{ width: '50%' }}>
+        <Label labelFor="comment-visibility">Visibility</Label>
+        <Select
+          inputId="comment-visibility"
+          options={VISIBILITY_OPTIONS}
+          value={VISIBILITY_OPTIONS.find(option => option.value === visibility)}
+          onChange={(option) => setVisibility(option.value)}
+          isDisabled={saving}
+        />
+      </Box>
+
+      {restricted && (
+        <Box xcss={{ width: '50%' }}>
+          <Label labelFor="comment-restrict-to">
+            {visibility === 'role' ? 'Project role name' : 'Group name'}
+          </Label>
+          <Textfield
+            id="comment-restrict-to"
+            value={restrictTo}
+            onChange={(e) => setRestrictTo(e.target.value)}
+            isDisabled={saving}
+          />
+        </Box>
+      )}
+
+      <Inline>
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Comment Visibility'}
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
+
+export default CommentVisibilityPanel;
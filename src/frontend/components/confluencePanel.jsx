@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield
+} from '@forge/react';
+
+const ConfluencePanel = () => {
+  const [spaceKeys, setSpaceKeys] = useState('');
+  const [maxSpaces, setMaxSpaces] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [scraping, setScraping] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getConfluenceSettings');
+      if (response.success) {
+        setSpaceKeys(response.settings.spaceKeys.join(', '));
+        setMaxSpaces(response.maxSpaces);
+      } else {
+        setMessage({ type: 'error', text: `Error loading Confluence settings: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load Confluence settings: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveConfluenceSettings', { settings: { spaceKeys } });
+      if (response.success) {
+        setSpaceKeys(response.settings.spaceKeys.join(', '));
+        setMessage({ type: 'success', text: 'Confluence spaces saved. Scrape them to update expertise.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save Confluence settings: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleScrape = async () => {
+    setScraping(true);
+    setMessage(null);
+    try {
+      const response = await invoke('scrapeConfluence');
+      if (response.success) {
+        const { confluencePagesScraped, errors } = response.results;
+        setMessage({
+          type: errors.length > 0 ? 'warning' : 'success',
+          text: `Scraped ${confluencePagesScraped} page(s)${errors.length > 0 ? ` with ${errors.length} error(s)` : ''}.`
+        });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to scrape Confluence: ${error.message}` });
+    } finally {
+      setScraping(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.200">
+      <Heading size="xsmall">Confluence</Heading>
+
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Pages in these spaces count towards the expertise of the people who wrote or last edited
+        them when their keywords match an issue's summary and description. Spaces are scraped with
+        every full project scrape.
+      </Text>
+
+      <Box xcss={{ width: '50%' }}>
+        <Label labelFor="confluence-space-keys">
+          Space keys, separated by commas (at most {maxSpaces})
+        </Label>
+        <Textfield
+          id="confluence-space-keys"
+          value={spaceKeys}
+          placeholder="No spaces"
+          onChange={(e) => setSpaceKeys(e.target.value)}
+          isDisabled={saving || scraping}
+        />
+      </Box>
+
+      <Inline space="space.100">
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving || scraping}>
+          {saving ? 'Saving...' : 'Save Confluence'}
+        </Button>
+        <Button onClick={handleScrape} isDisabled={saving || scraping}>
+          {scraping ? 'Scraping...' : 'Scrape Spaces Now'}
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
+
+export default ConfluencePanel;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield
+} from '@forge/react';
+
+// the time-to-live is edited as text, blank meaning declines never expire
+const ttlToText = (expiry) => (
+  expiry && expiry.ttlDays !== null && expiry.ttlDays !== undefined ? String(expiry.ttlDays) : ''
+);
+
+const DeclineExpiryPanel = () => {
+  const [ttlDays, setTtlDays] = useState('');
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchExpiry();
+  }, []);
+
+  const fetchExpiry = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getDeclineExpirySettings');
+      if (response.success) {
+        setTtlDays(ttlToText(response.expiry));
+        setDefaults(response.defaults);
+      } else {
+        setMessage({ type: 'error', text: `Error loading decline expiry settings: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load decline expiry settings: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveDeclineExpirySettings', { expiry: { ttlDays } });
+      if (response.success) {
+        setTtlDays(ttlToText(response.expiry));
+        setMessage({ type: 'success', text: 'Decline expiry settings saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save decline expiry settings: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.200">
+      <Heading size="xsmall">Decline Expiry</Heading>
+
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        A declined user can be recommended for the same issue again once the decline is this
+        old. Leave blank to keep declines until they are undone from the issue panel.
+      </Text>
+
+      <Box xcss={{ width: '50%' }}>
+        <Label labelFor="decline-ttl">
+          Declines expire after days (default: {defaults?.ttlDays})
+        </Label>
+        <Textfield
+          id="decline-ttl"
+          type="number"
+          value={ttlDays}
+          placeholder="Never expire"
+          onChange={(e) => setTtlDays(e.target.value)}
+          isDisabled={saving}
+        />
+      </Box>
+
+      <Inline>
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Decline Expiry'}
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
+
+export default DeclineExpiryPanel;
@@ -6,9 +6,17 @@ import {
   Heading,
   Inline,
   Icon,
-  Tag
+  Tag,
+  Link
 } from '@forge/react';
 
+// counts weighted down for recency are shown next to the raw count
+const formatDecayed = (item) => (
+  item.decayedCount !== undefined && item.decayedCount < item.count
+    ? `, ${item.decayedCount.toFixed(1)} weighted for recency`
+    : ''
+);
+
 const EvidenceDetail = ({ recommendation }) => {
   if (!recommendation?.assignee?.evidence) {
     return <Text>No detailed evidence available</Text>;
@@ -34,7 +42,7 @@ const EvidenceDetail = ({ recommendation }) => {
                   <Inline key={idx} space="space.100" alignBlock="center">
                     <Tag text={item.label || item.labelId} />
                     <Text>
-                      {item.count} previous issue(s)
+                      {item.count} previous issue(s){formatDecayed(item)}
                       (score: +{item.contribution.toFixed(2)})
                     </Text>
                   </Inline>
@@ -49,7 +57,7 @@ const EvidenceDetail = ({ recommendation }) => {
                   <Inline key={idx} space="space.100" alignBlock="center">
                     <Icon glyph="component" />
                     <Text>
-                      {item.component} - {item.count} previous issue(s)
+                      {item.component} - {item.count} previous issue(s){formatDecayed(item)}
                       (score: +{item.contribution.toFixed(2)})
                     </Text>
                   </Inline>
@@ -64,7 +72,7 @@ const EvidenceDetail = ({ recommendation }) => {
                   <Inline key={idx} space="space.100" alignBlock="center">
                     <Icon glyph="tasks" color='color.background.accent.blue.subtle' />
                     <Text>
-                      {item.issueType} - {item.count} previous issue(s)
+                      {item.issueType} - {item.count} previous issue(s){formatDecayed(item)}
                       (score: +{item.contribution.toFixed(2)})
                     </Text>
                   </Inline>
@@ -79,7 +87,7 @@ const EvidenceDetail = ({ recommendation }) => {
                   <Inline key={idx} space="space.100" alignBlock="center">
                     <Icon glyph="epic" color="color.icon.accent.purple" />
                     <Text>
-                      {item.epicKey} - {item.count} previous issue(s)
+                      {item.epicKey} - {item.count} previous issue(s){formatDecayed(item)}
                       (score: +{item.contribution.toFixed(2)})
                     </Text>
                   </Inline>
@@ -94,7 +102,7 @@ const EvidenceDetail = ({ recommendation }) => {
                   <Inline key={idx} space="space.100" alignBlock="center">
                     <Icon glyph="department" />
                     <Text>
-                      {item.parentKey} - {item.count} previous issue(s)
+                      {item.parentKey} - {item.count} previous issue(s){formatDecayed(item)}
                       (score: +{item.contribution.toFixed(2)})
                     </Text>
                   </Inline>
@@ -105,6 +113,66 @@ const EvidenceDetail = ({ recommendation }) => {
         </Box>
       )}
 
+      {/* Text Similarity */}
+      {evidence.textMatches?.length > 0 && (
+        <Box>
+          <Inline space="space.100" alignBlock="center">
+            <Icon glyph="search" />
+            <Heading size="small">Similar Past Issues</Heading>
+          </Inline>
+          <Stack space="space.100">
+            {evidence.textMatches.map((match, idx) => (
+              <Box key={idx}>
+                <Text>
+                  {match.issueKey} - {(match.similarity * 100).toFixed(0)}% similar
+                  (score: +{match.contribution.toFixed(2)})
+                </Text>
+                <Inline space="space.050" alignBlock="center">
+                  <Text>Matching terms:</Text>
+                  {match.terms.map(term => (
+                    <Tag key={term} text={term} />
+                  ))}
+                </Inline>
+              </Box>
+            ))}
+          </Stack>
+        </Box>
+      )}
+
+      {/* Confluence Pages */}
+      {evidence.confluence?.length > 0 && (
+        <Box>
+          <Inline space="space.100" alignBlock="center">
+            <Icon glyph="page" />
+            <Heading size="small">Confluence Pages</Heading>
+          </Inline>
+          <Stack space="space.100">
+            {evidence.confluence.map((page, idx) => (
+              <Box key={idx}>
+                <Inline space="space.100" alignBlock="center">
+                  {page.url ? (
+                    <Link href={page.url} openNewTab={true}>{page.title || page.pageId}</Link>
+                  ) : (
+                    <Text>{page.title || page.pageId}</Text>
+                  )}
+                  <Text>
+                    in {page.spaceKey} - {page.isCreator ? 'created' : 'edited'} by them
+                    {page.lastUpdated ? `, last updated ${new Date(page.lastUpdated).toLocaleDateString()}` : ''}
+                    (score: +{page.contribution.toFixed(2)})
+                  </Text>
+                </Inline>
+                <Inline space="space.050" alignBlock="center">
+                  <Text>Matching keywords:</Text>
+                  {page.keywords.map(keyword => (
+                    <Tag key={keyword} text={keyword} />
+                  ))}
+                </Inline>
+              </Box>
+            ))}
+          </Stack>
+        </Box>
+      )}
+
       {/* Historical Interactions */}
       {evidence.interactions.length > 0 && (
         <Box>
@@ -209,6 +277,56 @@ const EvidenceDetail = ({ recommendation }) => {
         </Box>
       )}
 
+      {/* Availability */}
+      {evidence.availability && evidence.availability.ranges.length > 0 && (
+        <Box>
+          <Inline space="space.100" alignBlock="center">
+            <Heading size="small">Availability</Heading>
+          </Inline>
+          <Stack space="space.100">
+            <Text>
+              Available {Math.round(evidence.availability.percent)}% from {evidence.availability.from} to {evidence.availability.to}
+            </Text>
+            {evidence.availability.ranges.map((range, idx) => (
+              <Inline key={idx} space="space.100" alignBlock="center">
+                <Icon glyph="calendar" />
+                <Text>
+                  {range.start} to {range.end}: {range.percent}% available{range.note ? ` (${range.note})` : ''}
+                </Text>
+              </Inline>
+            ))}
+          </Stack>
+        </Box>
+      )}
+
+      {/* Past Declines */}
+      {evidence.feedback && (
+        <Box>
+          <Inline space="space.100" alignBlock="center">
+            <Heading size="small">Past Declines</Heading>
+          </Inline>
+          <Stack space="space.100">
+            <Inline space="space.100" alignBlock="center">
+              <Icon glyph="cross-circle" />
+              <Text>
+                Declined similar work {evidence.feedback.count} time(s)
+                ({evidence.feedback.declines} declined, {evidence.feedback.overrides} reassigned by someone else)
+              </Text>
+            </Inline>
+            <Inline space="space.050" alignBlock="center">
+              {evidence.feedback.issueKeys.map(issueKey => (
+                <Tag key={issueKey} text={issueKey} />
+              ))}
+            </Inline>
+            <Text>
+              {evidence.feedback.penalty > 0
+                ? `Decline penalty: -${evidence.feedback.penalty.toFixed(2)}`
+                : 'No penalty until similar work has been declined more than once'}
+            </Text>
+          </Stack>
+        </Box>
+      )}
+
       {/* Score Summary */}
       <Box>
         <Inline space="space.100" alignBlock="center">
@@ -221,35 +339,49 @@ const EvidenceDetail = ({ recommendation }) => {
           {/* Labels */}
           {evidence.labels && evidence.labels.length > 0 && evidence.labels.map((item, idx) => (
             <Text key={`label-${idx}`}>
-              + {item.contribution.toFixed(2)} — Label "{item.label || item.labelId}" ({item.count} matches)
+              + {item.contribution.toFixed(2)} — Label "{item.label || item.labelId}" ({item.count} matches{formatDecayed(item)})
             </Text>
           ))}
 
           {/* Components */}
           {evidence.components && evidence.components.length > 0 && evidence.components.map((item, idx) => (
             <Text key={`component-${idx}`}>
-              + {item.contribution.toFixed(2)} — Component "{item.component}" ({item.count} matches)
+              + {item.contribution.toFixed(2)} — Component "{item.component}" ({item.count} matches{formatDecayed(item)})
             </Text>
           ))}
 
           {/* Issue Types */}
           {evidence.issueTypes && evidence.issueTypes.length > 0 && evidence.issueTypes.map((item, idx) => (
             <Text key={`type-${idx}`}>
-              + {item.contribution.toFixed(2)} — Issue Type "{item.issueType}" ({item.count} matches)
+              + {item.contribution.toFixed(2)} — Issue Type "{item.issueType}" ({item.count} matches{formatDecayed(item)})
             </Text>
           ))}
 
           {/* Epics */}
           {evidence.epics && evidence.epics.length > 0 && evidence.epics.map((item, idx) => (
             <Text key={`epic-${idx}`}>
-              + {item.contribution.toFixed(2)} — Epic "{item.epicKey}" ({item.count} matches)
+              + {item.contribution.toFixed(2)} — Epic "{item.epicKey}" ({item.count} matches{formatDecayed(item)})
             </Text>
           ))}
 
           {/* Parents */}
           {evidence.parents && evidence.parents.length > 0 && evidence.parents.map((item, idx) => (
             <Text key={`parent-${idx}`}>
-              + {item.contribution.toFixed(2)} — Parent Issue "{item.parentKey}" ({item.count} matches)
+              + {item.contribution.toFixed(2)} — Parent Issue "{item.parentKey}" ({item.count} matches{formatDecayed(item)})
+            </Text>
+          ))}
+
+          {/* Text Similarity */}
+          {evidence.textMatches && evidence.textMatches.length > 0 && evidence.textMatches.map((match, idx) => (
+            <Text key={`text-${idx}`}>
+              + {match.contribution.toFixed(2)} — Similar wording to {match.issueKey} ({match.terms.join(', ')})
+            </Text>
+          ))}
+
+          {/* Confluence Pages */}
+          {evidence.confluence && evidence.confluence.length > 0 && evidence.confluence.map((page, idx) => (
+            <Text key={`confluence-${idx}`}>
+              + {page.contribution.toFixed(2)} — Confluence page "{page.title || page.pageId}" ({page.keywords.join(', ')})
             </Text>
           ))}
 
@@ -280,6 +412,13 @@ const EvidenceDetail = ({ recommendation }) => {
             );
           })}
 
+          {/* Availability scaling */}
+          {evidence.availability && evidence.availability.factor < 1 && (
+            <Text>
+              × {evidence.availability.factor.toFixed(2)} — Available {Math.round(evidence.availability.percent)}% from {evidence.availability.from} to {evidence.availability.to}
+            </Text>
+          )}
+
           <Text></Text>
           <Text weight="bold">
             = Raw Score: {recommendation.assignee.rawScore?.toFixed(2) || 'N/A'}
@@ -299,12 +438,18 @@ const EvidenceDetail = ({ recommendation }) => {
               return <Text>- 0.00 — No workload penalty</Text>;
             }
           })()}
+          {recommendation.assignee.feedbackPenalty > 0 && (
+            <Text>
+              - {recommendation.assignee.feedbackPenalty.toFixed(2)} — {evidence.feedback.message}
+            </Text>
+          )}
 
           <Text></Text>
           <Text weight="bold">
-            = Final Score: {recommendation.assignee.rawScore?.toFixed(2) || 0} - {recommendation.assignee.workloadPenalty?.toFixed(2) || 0} = {recommendation.assignee.finalScore?.toFixed(2) || 'N/A'}
+            = Final Score: {recommendation.assignee.rawScore?.toFixed(2) || 0} - {recommendation.assignee.workloadPenalty?.toFixed(2) || 0}
+            {recommendation.assignee.feedbackPenalty > 0 ? ` - ${recommendation.assignee.feedbackPenalty.toFixed(2)}` : ''} = {recommendation.assignee.finalScore?.toFixed(2) || 'N/A'}
           </Text>
-          <Text size="small">(Raw Score - Workload Penalty = Final Score)</Text>
+          <Text size="small">(Raw Score - Workload Penalty - Decline Penalty = Final Score)</Text>
         </Stack>
       </Box>
 
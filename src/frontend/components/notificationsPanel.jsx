@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield,
+  TextArea,
+  Select,
+  Toggle,
+  Checkbox
+} from '@forge/react';
+
+const CHANNELS = [
+  { key: 'comment', label: 'Jira comment' },
+  { key: 'email', label: 'Email through Jira' },
+  { key: 'webhook', label: 'Outgoing webhook' }
+];
+
+const EVENT_LABELS = {
+  assigned: 'Assigned',
+  declined: 'Declined',
+  exhausted: 'Everyone declined',
+  'capacity-exceeded': 'Everyone at capacity'
+};
+
+const RECIPIENT_OPTIONS = [
+  { label: 'Assignee', value: 'assignee' },
+  { label: 'Watchers', value: 'watchers' },
+  { label: 'Assignee and watchers', value: 'assignee-and-watchers' }
+];
+
+const NotificationsPanel = () => {
+  const [settings, setSettings] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [minSecretLength, setMinSecretLength] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getNotificationSettings');
+      if (response.success) {
+        setSettings(response.settings);
+        setEvents(response.events);
+        setPlaceholders(response.placeholders);
+        setMinSecretLength(response.minSecretLength);
+      } else {
+        setMessage({ type: 'error', text: `Error loading notification settings: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load notification settings: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateChannel = (channel, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      channels: { ...prev.channels, [channel]: { ...prev.channels[channel], ...changes } }
+    }));
+  };
+
+  const toggleEvent = (channel, event, checked) => {
+    const current = settings.channels[channel].events;
+    updateChannel(channel, {
+      events: checked ? [...current, event] : current.filter(item => item !== event)
+    });
+  };
+
+  const updateTemplate = (event, value) => {
+    setSettings(prev => ({ ...prev, templates: { ...prev.templates, [event]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveNotificationSettings', { settings });
+      if (response.success) {
+        setSettings(response.settings);
+        setMessage({ type: 'success', text: 'Notification settings saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save notification settings: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !settings) {
+    return (
+      <Box padding="space.300">
+        {message ? (
+          <SectionMessage appearance={message.type}>
+            <Text>{message.text}</Text>
+          </SectionMessage>
+        ) : (
+          <Inline alignBlock='center' alignInline='center'>
+            <Spinner size="large" label="Loading..." />
+          </Inline>
+        )}
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.300">
+      <Heading size="xsmall">Notifications</Heading>
+
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Choose which assignment events each channel announces. Assignment and decline comments
+        with the score breakdown are posted regardless; these notifications come on top.
+      </Text>
+
+      {CHANNELS.map(channel => (
+        <Box key={channel.key} padding="space.150" backgroundColor="color.background.neutral">
+          <Stack space="space.100">
+            <Inline space="space.100" alignBlock="center">
+              <Toggle
+                id={`toggle-notify-${channel.key}`}
+                isChecked={settings.channels[channel.key].enabled}
+                onChange={(e) => updateChannel(channel.key, { enabled: e.target.checked })}
+                isDisabled={saving}
+              />
+              <Text weight="bold">{channel.label}</Text>
+            </Inline>
+
+            <Inline space="space.200">
+              {events.map(event => (
+                <Checkbox
+                  key={event}
+                  label={EVENT_LABELS[event] || event}
+                  isChecked={settings.channels[channel.key].events.includes(event)}
+                  onChange={(e) => toggleEvent(channel.key, event, e.target.checked)}
+                  isDisabled={saving}
+                />
+              ))}
+            </Inline>
+
+            {channel.key === 'email' && (
+              <Box xcss={{ width: '50%' }}>
+                <Label labelFor="notify-email-recipients">Send to</Label>
+                <Select
+                  inputId="notify-email-recipients"
+                  options={RECIPIENT_OPTIONS}
+                  value={RECIPIENT_OPTIONS.find(option => option.value === settings.channels.email.recipients)}
+                  onChange={(option) => updateChannel('email', { recipients: option.value })}
+                  isDisabled={saving}
+                />
+              </Box>
+            )}
+
+            {channel.key === 'webhook' && (
+              <Box xcss={{ width: '50%' }}>
+                <Label labelFor="notify-webhook-url">Webhook URL (https)</Label>
+                <Textfield
+                  id="notify-webhook-url"
+                  value={settings.channels.webhook.url || ''}
+                  onChange={(e) => updateChannel('webhook', { url: e.target.value })}
+                  isDisabled={saving}
+                />
+                <Text>Notifications are posted to this URL only; make sure it belongs to a service you trust.</Text>
+                <Label labelFor="notify-webhook-secret">
+                  {settings.channels.webhook.signed
+                    ? 'New signing secret (leave blank to keep the current one)'
+                    : `Signing secret, optional, at least ${minSecretLength} characters`}
+                </Label>
+                <Textfield
+                  id="notify-webhook-secret"
+                  type="password"
+                  value={settings.channels.webhook.secret || ''}
+                  onChange={(e) => updateChannel('webhook', { secret: e.target.value })}
+                  isDisabled={saving}
+                />
+                <Text>
+                  Signed deliveries carry the same X-Auto-Assign-Signature header as the Webhooks tab; unsigned ones
+                  have none.
+                </Text>
+              </Box>
+            )}
+          </Stack>
+        </Box>
+      ))}
+
+      <Heading size="xxsmall">Templates</Heading>
+      <Text>
+        Placeholders: {placeholders.map(name => `{${name}}`).join(', ')}. Leave a template blank to use the default.
+      </Text>
+
+      {events.map(event => (
+        <Box key={event}>
+          <Label labelFor={`notify-template-${event}`}>{EVENT_LABELS[event] || event}</Label>
+          <TextArea
+            id={`notify-template-${event}`}
+            value={settings.templates[event]}
+            onChange={(e) => updateTemplate(event, e.target.value)}
+            isDisabled={saving}
+          />
+        </Box>
+      ))}
+
+      <Inline>
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Notifications'}
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
+
+export default NotificationsPanel;
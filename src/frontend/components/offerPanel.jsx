@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield,
+  Toggle
+} from '@forge/react';
+
+const OfferPanel = () => {
+  const [enabled, setEnabled] = useState(false);
+  const [timeoutHours, setTimeoutHours] = useState('');
+  const [defaults, setDefaults] = useState(null);
+  const [maxTimeoutHours, setMaxTimeoutHours] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const applySettings = (settings) => {
+    setEnabled(settings.enabled);
+    setTimeoutHours(String(settings.timeoutHours));
+  };
+
+  const fetchSettings = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getOfferSettings');
+      if (response.success) {
+        applySettings(response.settings);
+        setDefaults(response.defaults);
+        setMaxTimeoutHours(response.maxTimeoutHours);
+      } else {
+        setMessage({ type: 'error', text: `Error loading offer settings: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load offer settings: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveOfferSettings', { settings: { enabled, timeoutHours } });
+      if (response.success) {
+        applySettings(response.settings);
+        setMessage({ type: 'success', text: 'Offer settings saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save offer settings: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.200">
+      <Heading size="xsmall">Offers</Heading>
+
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        When enabled, auto-assignment offers the issue to the top candidate instead of assigning it.
+        They are mentioned in a comment and accept or decline from the issue panel; offers left
+        unanswered past the timeout move on to the next candidate.
+      </Text>
+
+      <Inline space="space.100" alignBlock="center">
+        <Toggle
+          id="toggle-offers-enabled"
+          isChecked={enabled}
+          onChange={(e) => setEnabled(e.target.checked)}
+          isDisabled={saving}
+        />
+        <Text>Offer issues before assigning them</Text>
+      </Inline>
+
+      <Box xcss={{ width: '50%' }}>
+        <Label labelFor="offer-timeout">
+          Timeout in hours, at most {maxTimeoutHours} (default: {defaults?.timeoutHours})
+        </Label>
+        <Textfield
+          id="offer-timeout"
+          type="number"
+          value={timeoutHours}
+          onChange={(e) => setTimeoutHours(e.target.value)}
+          isDisabled={saving}
+        />
+      </Box>
+
+      <Inline>
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Offers'}
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
+
+export default OfferPanel;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield
+} from '@forge/react';
+
+// the half-life is edited as text, blank meaning no decay
+const halfLifeToText = (recency) => (
+  recency && recency.halfLifeDays !== null && recency.halfLifeDays !== undefined ? String(recency.halfLifeDays) : ''
+);
+
+const RecencyPanel = () => {
+  const [halfLifeDays, setHalfLifeDays] = useState('');
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchRecency();
+  }, []);
+
+  const fetchRecency = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getRecencySettings');
+      if (response.success) {
+        setHalfLifeDays(halfLifeToText(response.recency));
+        setDefaults(response.defaults);
+      } else {
+        setMessage({ type: 'error', text: `Error loading recency settings: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load recency settings: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveRecencySettings', { recency: { halfLifeDays } });
+      if (response.success) {
+        setHalfLifeDays(halfLifeToText(response.recency));
+        setMessage({ type: 'success', text: 'Recency settings saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save recency settings: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.200">
+      <Heading size="xsmall">Recency</Heading>
+
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Past work on a label, component, issue type, epic or parent counts for half as much
+        once it is a half-life old. Leave blank to never decay.
+      </Text>
+
+      <Box xcss={{ width: '50%' }}>
+        <Label labelFor="recency-half-life">
+          Half-life in days (default: {defaults?.halfLifeDays})
+        </Label>
+        <Textfield
+          id="recency-half-life"
+          type="number"
+          value={halfLifeDays}
+          placeholder="No decay"
+          onChange={(e) => setHalfLifeDays(e.target.value)}
+          isDisabled={saving}
+        />
+      </Box>
+
+      <Inline>
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Recency'}
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
+
+export default RecencyPanel;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  ButtonGroup,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield,
+  Toggle,
+  Select
+} from '@forge/react';
+
+const FILTER_FIELDS = [
+  { key: 'issueTypes', label: 'Issue Types' },
+  { key: 'labels', label: 'Labels' },
+  { key: 'components', label: 'Components' },
+  { key: 'priorities', label: 'Priorities' }
+];
+
+const ACTION_OPTIONS = [
+  { label: 'Assign directly', value: 'assign' },
+  { label: 'Recommend only', value: 'recommend' }
+];
+
+// filters are edited as comma separated text and stored as lists
+const toText = (values) => (Array.isArray(values) ? values.join(', ') : '');
+const toList = (text) => text.split(',').map(value => value.trim()).filter(Boolean);
+
+const emptyRule = () => ({
+  name: '',
+  enabled: true,
+  action: 'recommend',
+  issueTypes: '',
+  labels: '',
+  components: '',
+  priorities: ''
+});
+
+const RulesPanel = () => {
+  const [enabled, setEnabled] = useState(false);
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const applyRuleSet = (ruleSet) => {
+    setEnabled(ruleSet.enabled);
+    setRules(ruleSet.rules.map(rule => {
+      const editable = { ...rule };
+      FILTER_FIELDS.forEach(({ key }) => {
+        editable[key] = toText(rule[key]);
+      });
+      return editable;
+    }));
+  };
+
+  const fetchRules = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getAssignmentRules');
+      if (response.success) {
+        applyRuleSet(response.ruleSet);
+      } else {
+        setMessage({ type: 'error', text: `Error loading rules: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load rules: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleAddRule = () => {
+    setRules(prev => [...prev, emptyRule()]);
+  };
+
+  const handleRemoveRule = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const ruleSet = {
+        enabled,
+        rules: rules.map(rule => {
+          const saved = { name: rule.name, enabled: rule.enabled, action: rule.action };
+          FILTER_FIELDS.forEach(({ key }) => {
+            saved[key] = toList(rule[key]);
+          });
+          return saved;
+        })
+      };
+
+      const response = await invoke('saveAssignmentRules', { ruleSet });
+      if (response.success) {
+        applyRuleSet(response.ruleSet);
+        setMessage({ type: 'success', text: 'Assignment rules saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save rules: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.300">
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        When enabled, new issues are checked against these rules in order and the first
+        match decides whether the issue is assigned straight away or only given a recommendation.
+        Leave a filter empty to match any value; separate multiple values with commas.
+      </Text>
+
+      <Inline space="space.100" alignBlock="center">
+        <Toggle
+          id="toggle-rules-enabled"
+          isChecked={enabled}
+          onChange={(e) => setEnabled(e.target.checked)}
+          isDisabled={saving}
+        />
+        <Text>Automatically handle new issues in this project</Text>
+      </Inline>
+
+      {rules.length === 0 && <Text>No rules configured yet.</Text>}
+
+      {rules.map((rule, index) => (
+        <Box key={index} padding="space.200" backgroundColor="color.background.neutral">
+          <Stack space="space.100">
+            <Inline space="space.100" alignBlock="center" spread="space-between">
+              <Heading size="xsmall">Rule {index + 1}</Heading>
+              <Inline space="space.100" alignBlock="center">
+                <Toggle
+                  id={`toggle-rule-${index}`}
+                  isChecked={rule.enabled}
+                  onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                  isDisabled={saving}
+                />
+                <Button appearance="subtle" onClick={() => handleRemoveRule(index)} isDisabled={saving}>
+                  Remove
+                </Button>
+              </Inline>
+            </Inline>
+
+            <Box xcss={{ width: '50%' }}>
+              <Label labelFor={`rule-name-${index}`}>Name</Label>
+              <Textfield
+                id={`rule-name-${index}`}
+                value={rule.name}
+                onChange={(e) => updateRule(index, { name: e.target.value })}
+                isDisabled={saving}
+              />
+            </Box>
+
+            <Box xcss={{ width: '50%' }}>
+              <Label labelFor={`rule-action-${index}`}>Action</Label>
+              <Select
+                inputId={`rule-action-${index}`}
+                options={ACTION_OPTIONS}
+                value={ACTION_OPTIONS.find(option => option.value === rule.action)}
+                onChange={(option) => updateRule(index, { action: option.value })}
+                isDisabled={saving}
+              />
+            </Box>
+
+            {FILTER_FIELDS.map(field => (
+              <Box key={field.key} xcss={{ width: '50%' }}>
+                <Label labelFor={`rule-${field.key}-${index}`}>{field.label}</Label>
+                <Textfield
+                  id={`rule-${field.key}-${index}`}
+                  value={rule[field.key]}
+                  placeholder="Any"
+                  onChange={(e) => updateRule(index, { [field.key]: e.target.value })}
+                  isDisabled={saving}
+                />
+              </Box>
+            ))}
+          </Stack>
+        </Box>
+      ))}
+
+      <ButtonGroup label="Rule actions">
+        <Button onClick={handleAddRule} isDisabled={saving}>
+          Add Rule
+        </Button>
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Rules'}
+        </Button>
+      </ButtonGroup>
+    </Stack>
+  );
+};
+
+export default RulesPanel;
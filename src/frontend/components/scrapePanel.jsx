@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Lozenge,
+  ProgressBar
+} from '@forge/react';
+
+const POLL_INTERVAL_MS = 5000;
+
+const PHASE_LABELS = {
+  setup: 'Finding users, epics and issues',
+  issues: 'Scraping issues',
+  workloads: 'Updating workloads',
+  confluence: 'Scraping Confluence',
+  done: 'Finishing'
+};
+
+const STATUS_APPEARANCES = {
+  running: 'inprogress',
+  completed: 'success',
+  failed: 'removed'
+};
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+const ScrapePanel = () => {
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchProgress();
+  }, []);
+
+  // poll while the scrape runs in the background
+  useEffect(() => {
+    if (job?.status !== 'running') return undefined;
+    const timer = setTimeout(fetchProgress, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  const fetchProgress = async () => {
+    try {
+      const response = await invoke('getScrapeProgress');
+      if (response.success) {
+        setJob(response.job);
+      } else {
+        setMessage({ type: 'error', text: `Error loading scrape progress: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load scrape progress: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStart = async (resolverName) => {
+    setStarting(true);
+    setMessage(null);
+    try {
+      const response = await invoke(resolverName);
+      if (response.success) {
+        setJob(response.job);
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to start the scrape: ${error.message}` });
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  const running = job?.status === 'running' && !job.stalled;
+  const resumable = job && (job.status === 'failed' || job.stalled);
+
+  return (
+    <Stack space="space.200">
+      <Heading size="xsmall">Project Data</Heading>
+
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        A full scrape reads the project's users, epics, most recent issues with their worklogs and
+        comments, workloads and Confluence spaces. It runs in the background in batches, so this
+        panel can be closed while it works.
+      </Text>
+
+      {!job && <Text>This project has not been scraped yet.</Text>}
+
+      {job && (
+        <Stack space="space.100">
+          <Inline space="space.100" alignBlock="center">
+            <Lozenge appearance={job.stalled ? 'moved' : STATUS_APPEARANCES[job.status]}>
+              {job.stalled ? 'stalled' : job.status}
+            </Lozenge>
+            <Text>
+              {job.status === 'running' ? PHASE_LABELS[job.phase] : `Started ${formatTimestamp(job.startedAt)}`}
+              {job.finishedAt ? `, finished ${formatTimestamp(job.finishedAt)}` : ''}
+            </Text>
+          </Inline>
+          <ProgressBar
+            ariaLabel="Scrape progress"
+            value={job.progress}
+            appearance={job.status === 'completed' ? 'success' : 'default'}
+          />
+          <Text>
+            {job.issuesProcessed} of {job.issuesTotal} issues processed, {job.counts.issuesScraped} scraped;{' '}
+            {job.counts.usersScraped} users, {job.counts.epicsScraped} epics,{' '}
+            {job.counts.confluencePagesScraped} Confluence pages
+          </Text>
+          {job.errorCount > 0 && (
+            <SectionMessage appearance="warning">
+              <Stack space="space.050">
+                <Text>{job.errorCount} error(s), most recent last:</Text>
+                {job.errors.slice(-5).map((error, index) => (
+                  <Text key={index}>{error}</Text>
+                ))}
+              </Stack>
+            </SectionMessage>
+          )}
+        </Stack>
+      )}
+
+      <Inline space="space.100">
+        <Button appearance="primary" onClick={() => handleStart('scrapeFullProject')} isDisabled={starting || running}>
+          {running ? 'Scraping...' : 'Scrape Project'}
+        </Button>
+        {resumable && (
+          <Button onClick={() => handleStart('resumeScrape')} isDisabled={starting}>
+            Resume Scrape
+          </Button>
+        )}
+      </Inline>
+    </Stack>
+  );
+};
+
+export default ScrapePanel;
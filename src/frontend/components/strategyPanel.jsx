@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Label,
+  Textfield,
+  Select
+} from '@forge/react';
+
+export const STRATEGY_OPTIONS = [
+  { label: 'Highest score', value: 'highest-score' },
+  { label: 'Round-robin', value: 'round-robin' },
+  { label: 'Weighted random by score', value: 'weighted-random' },
+  { label: 'Least loaded among the top N', value: 'least-loaded' }
+];
+
+const STRATEGY_DESCRIPTIONS = {
+  'highest-score': 'The best scoring candidate gets the issue.',
+  'round-robin': 'Eligible candidates take turns, regardless of score. Previews do not move the rotation on.',
+  'weighted-random': 'A random candidate is picked, with higher scores more likely to win.',
+  'least-loaded': 'Of the top N scoring candidates, the one with the fewest open issues gets the issue.'
+};
+
+const StrategyPanel = () => {
+  const [name, setName] = useState('highest-score');
+  const [topN, setTopN] = useState('3');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchStrategy();
+  }, []);
+
+  const applyStrategy = (strategy) => {
+    setName(strategy.name);
+    setTopN(String(strategy.topN));
+  };
+
+  const fetchStrategy = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getAssignmentStrategy');
+      if (response.success) {
+        applyStrategy(response.strategy);
+      } else {
+        setMessage({ type: 'error', text: `Error loading strategy: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load strategy: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveAssignmentStrategy', { strategy: { name, topN } });
+      if (response.success) {
+        applyStrategy(response.strategy);
+        setMessage({ type: 'success', text: 'Assignment strategy saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save strategy: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.300">
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        The strategy decides who gets an issue once candidates have been scored. Bulk runs
+        can pick a different strategy for that run only.
+      </Text>
+
+      <Box xcss={{ width: '50%' }}>
+        <Label labelFor="strategy-name">Strategy</Label>
+        <Select
+          inputId="strategy-name"
+          options={STRATEGY_OPTIONS}
+          value={STRATEGY_OPTIONS.find(option => option.value === name)}
+          onChange={(option) => setName(option.value)}
+          isDisabled={saving}
+        />
+        <Text>{STRATEGY_DESCRIPTIONS[name]}</Text>
+      </Box>
+
+      {name === 'least-loaded' && (
+        <Box xcss={{ width: '50%' }}>
+          <Label labelFor="strategy-top-n">Top N</Label>
+          <Textfield
+            id="strategy-top-n"
+            type="number"
+            value={topN}
+            onChange={(e) => setTopN(e.target.value)}
+            isDisabled={saving}
+          />
+        </Box>
+      )}
+
+      <Inline>
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Strategy'}
+        </Button>
+      </Inline>
+    </Stack>
+  );
+};
+
+export default StrategyPanel;
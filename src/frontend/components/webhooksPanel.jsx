@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield,
+  Toggle,
+  Checkbox,
+  Lozenge
+} from '@forge/react';
+
+const EVENT_LABELS = {
+  assignment: 'Assignments',
+  decline: 'Declines',
+  'bulk-run': 'Bulk runs'
+};
+
+const emptyForm = (events) => ({ id: null, url: '', secret: '', events, enabled: true });
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+const WebhooksPanel = () => {
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [minSecretLength, setMinSecretLength] = useState(null);
+  const [form, setForm] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchWebhooks();
+    fetchDeliveries(null);
+  }, []);
+
+  const fetchWebhooks = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getWebhooks');
+      if (response.success) {
+        setEndpoints(response.endpoints);
+        setEvents(response.events);
+        setMinSecretLength(response.minSecretLength);
+        setForm(emptyForm(response.events));
+      } else {
+        setMessage({ type: 'error', text: `Error loading webhooks: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load webhooks: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDeliveries = async (cursor) => {
+    try {
+      const response = await invoke('getWebhookDeliveries', { cursor });
+      if (response.success) {
+        setDeliveries(prev => (cursor ? [...prev, ...response.deliveries] : response.deliveries));
+        setNextCursor(response.nextCursor);
+      }
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error);
+    }
+  };
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+  };
+
+  const toggleFormEvent = (event, checked) => {
+    updateForm({ events: checked ? [...form.events, event] : form.events.filter(item => item !== event) });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveWebhook', { endpoint: form });
+      if (response.success) {
+        setEndpoints(prev => (form.id
+          ? prev.map(endpoint => (endpoint.id === form.id ? response.endpoint : endpoint))
+          : [...prev, response.endpoint]));
+        setForm(emptyForm(events));
+        setMessage({ type: 'success', text: 'Webhook saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save webhook: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('deleteWebhook', { id });
+      if (response.success) {
+        setEndpoints(response.endpoints);
+        if (form.id === id) {
+          setForm(emptyForm(events));
+        }
+        setMessage({ type: 'success', text: 'Webhook removed.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to remove webhook: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !form) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack space="space.300">
+      <Heading size="xsmall">Webhooks</Heading>
+
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Signed JSON payloads with the chosen assignee, alternatives, scores and links are posted to
+        these endpoints. Receivers verify the X-Auto-Assign-Signature header, an HMAC-SHA256 of the
+        X-Auto-Assign-Timestamp header, a dot and the request body. Failed deliveries are retried
+        twice.
+      </Text>
+
+      <SectionMessage appearance="information">
+        <Text>
+          Because receivers differ from project to project, the app is allowed to make outgoing
+          requests to any host. It only ever sends to the https URLs entered here and under the
+          Notifications tab, so only add endpoints you trust with issue and assignee details. The
+          delivery log keeps the 200 most recent deliveries.
+        </Text>
+      </SectionMessage>
+
+      {endpoints.length === 0 && <Text>No webhooks registered.</Text>}
+
+      {endpoints.map(endpoint => (
+        <Box key={endpoint.id} padding="space.150" backgroundColor="color.background.neutral">
+          <Inline space="space.100" alignBlock="center" spread="space-between">
+            <Stack space="space.050">
+              <Inline space="space.100" alignBlock="center">
+                <Lozenge appearance={endpoint.enabled ? 'success' : 'default'}>
+                  {endpoint.enabled ? 'enabled' : 'disabled'}
+                </Lozenge>
+                <Text weight="bold">{endpoint.url}</Text>
+              </Inline>
+              <Text>Events: {endpoint.events.map(event => EVENT_LABELS[event] || event).join(', ')}</Text>
+            </Stack>
+            <Inline space="space.100">
+              <Button
+                onClick={() => updateForm({ ...endpoint, secret: '' })}
+                isDisabled={saving}
+              >
+                Edit
+              </Button>
+              <Button appearance="danger" onClick={() => handleDelete(endpoint.id)} isDisabled={saving}>
+                Remove
+              </Button>
+            </Inline>
+          </Inline>
+        </Box>
+      ))}
+
+      <Heading size="xxsmall">{form.id ? 'Edit webhook' : 'Add webhook'}</Heading>
+
+      <Box xcss={{ width: '50%' }}>
+        <Label labelFor="webhook-url">Endpoint URL (https)</Label>
+        <Textfield
+          id="webhook-url"
+          value={form.url}
+          onChange={(e) => updateForm({ url: e.target.value })}
+          isDisabled={saving}
+        />
+      </Box>
+
+      <Box xcss={{ width: '50%' }}>
+        <Label labelFor="webhook-secret">
+          {form.id
+            ? 'New signing secret (leave blank to keep the current one)'
+            : `Signing secret, at least ${minSecretLength} characters`}
+        </Label>
+        <Textfield
+          id="webhook-secret"
+          type="password"
+          value={form.secret}
+          onChange={(e) => updateForm({ secret: e.target.value })}
+          isDisabled={saving}
+        />
+      </Box>
+
+      <Inline space="space.200">
+        {events.map(event => (
+          <Checkbox
+            key={event}
+            label={EVENT_LABELS[event] || event}
+            isChecked={form.events.includes(event)}
+            onChange={(e) => toggleFormEvent(event, e.target.checked)}
+            isDisabled={saving}
+          />
+        ))}
+      </Inline>
+
+      <Inline space="space.100" alignBlock="center">
+        <Toggle
+          id="toggle-webhook-enabled"
+          isChecked={form.enabled}
+          onChange={(e) => updateForm({ enabled: e.target.checked })}
+          isDisabled={saving}
+        />
+        <Text>Enabled</Text>
+      </Inline>
+
+      <Inline space="space.100">
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : form.id ? 'Save Webhook' : 'Add Webhook'}
+        </Button>
+        {form.id && (
+          <Button onClick={() => setForm(emptyForm(events))} isDisabled={saving}>
+            Cancel
+          </Button>
+        )}
+      </Inline>
+
+      <Heading size="xxsmall">Recent deliveries</Heading>
+
+      {deliveries.length === 0 && <Text>Nothing has been delivered yet.</Text>}
+
+      <Stack space="space.100">
+        {deliveries.map(delivery => (
+          <Inline key={delivery.id} space="space.100" alignBlock="center">
+            <Lozenge appearance={delivery.success ? 'success' : 'removed'}>
+              {delivery.success ? 'delivered' : 'failed'}
+            </Lozenge>
+            <Text>
+              {formatTimestamp(delivery.deliveredAt)} {delivery.event}
+              {delivery.issueKey ? ` ${delivery.issueKey}` : ''} to {delivery.url}
+              {` after ${delivery.attempts.length} attempt${delivery.attempts.length === 1 ? '' : 's'}`}
+              {delivery.success ? '' : ` (${delivery.attempts[delivery.attempts.length - 1].error})`}
+            </Text>
+          </Inline>
+        ))}
+      </Stack>
+
+      <Inline space="space.100">
+        <Button onClick={() => fetchDeliveries(null)}>Refresh</Button>
+        {nextCursor && (
+          <Button onClick={() => fetchDeliveries(nextCursor)}>Load More</Button>
+        )}
+      </Inline>
+    </Stack>
+  );
+};
+
+export default WebhooksPanel;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import {
+  Stack,
+  Box,
+  Text,
+  Inline,
+  Button,
+  ButtonGroup,
+  Spinner,
+  SectionMessage,
+  Heading,
+  Label,
+  Textfield
+} from '@forge/react';
+
+const WeightsPanel = ({ onWeightsChange }) => {
+  const [definitions, setDefinitions] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [values, setValues] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [backtest, setBacktest] = useState(null);
+  const [testing, setTesting] = useState(false);
+  const [proposal, setProposal] = useState(null);
+  const [tuning, setTuning] = useState(false);
+
+  useEffect(() => {
+    fetchWeights();
+  }, []);
+
+  const applyWeights = (weights) => {
+    const asText = {};
+    Object.keys(weights).forEach(key => {
+      asText[key] = String(weights[key]);
+    });
+    setValues(asText);
+    if (onWeightsChange) {
+      onWeightsChange(weights);
+    }
+  };
+
+  const fetchWeights = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('getScoringWeights');
+      if (response.success) {
+        setDefinitions(response.definitions);
+        setDefaults(response.defaults);
+        applyWeights(response.weights);
+      } else {
+        setMessage({ type: 'error', text: `Error loading weights: ${response.error}` });
+      }
+
+      const proposalResponse = await invoke('getWeightProposal');
+      if (proposalResponse.success) {
+        setProposal(proposalResponse.proposal);
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load weights: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('saveScoringWeights', { weights: values });
+      if (response.success) {
+        applyWeights(response.weights);
+        setMessage({ type: 'success', text: 'Scoring weights saved.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save weights: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRestoreDefaults = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke('resetScoringWeights');
+      if (response.success) {
+        applyWeights(response.weights);
+        setMessage({ type: 'success', text: 'Default scoring weights restored.' });
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to restore defaults: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBacktest = async () => {
+    setTesting(true);
+    setMessage(null);
+    try {
+      const response = await invoke('runBacktest', { weights: values });
+      if (response.success) {
+        setBacktest(response);
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to run backtest: ${error.message}` });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handlePropose = async () => {
+    setTuning(true);
+    setMessage(null);
+    try {
+      const response = await invoke('proposeScoringWeights');
+      if (response.success) {
+        setProposal(response.proposal);
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to tune weights: ${error.message}` });
+    } finally {
+      setTuning(false);
+    }
+  };
+
+  const handleReviewProposal = async (approve) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await invoke(approve ? 'approveWeightProposal' : 'rejectWeightProposal');
+      if (response.success) {
+        setProposal(null);
+        if (approve) {
+          applyWeights(response.weights);
+          setMessage({ type: 'success', text: 'Proposed weights approved and saved.' });
+        } else {
+          setMessage({ type: 'success', text: 'Proposed weights rejected.' });
+        }
+      } else {
+        setMessage({ type: 'error', text: `Error: ${response.error}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to review proposal: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const labelFor = (key) => definitions.find(definition => definition.key === key)?.label || key;
+
+  const asPercent = (value) => `${Math.round(value * 100)}%`;
+
+  if (loading) {
+    return (
+      <Box padding="space.300">
+        <Inline alignBlock='center' alignInline='center'>
+          <Spinner size="large" label="Loading..." />
+        </Inline>
+      </Box>
+    );
+  }
+
+  const groups = definitions.reduce((acc, definition) => {
+    if (!acc[definition.group]) {
+      acc[definition.group] = [];
+    }
+    acc[definition.group].push(definition);
+    return acc;
+  }, {});
+
+  return (
+    <Stack space="space.300">
+      {message && (
+        <SectionMessage appearance={message.type}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Text>
+        Weights control how strongly each signal affects the ranking for this project.
+        Workload and declined similar work weights are subtracted as penalties.
+      </Text>
+
+      {Object.entries(groups).map(([group, items]) => (
+        <Box key={group}>
+          <Heading size="xsmall">{group}</Heading>
+          <Stack space="space.100">
+            {items.map(item => (
+              <Box key={item.key} xcss={{ width: '50%' }}>
+                <Label labelFor={`weight-${item.key}`}>
+                  {item.label} (default: {defaults[item.key]})
+                </Label>
+                <Textfield
+                  id={`weight-${item.key}`}
+                  name={item.key}
+                  type="number"
+                  value={values[item.key] ?? ''}
+                  onChange={(e) => handleChange(item.key, e.target.value)}
+                  isDisabled={saving}
+                />
+              </Box>
+            ))}
+          </Stack>
+        </Box>
+      ))}
+
+      <ButtonGroup label="Weight actions">
+        <Button appearance="primary" onClick={handleSave} isDisabled={saving}>
+          {saving ? 'Saving...' : 'Save Weights'}
+        </Button>
+        <Button onClick={handleRestoreDefaults} isDisabled={saving}>
+          Restore Defaults
+        </Button>
+        <Button onClick={handleBacktest} isDisabled={saving || testing}>
+          {testing ? 'Testing...' : 'Backtest These Weights'}
+        </Button>
+        <Button onClick={handlePropose} isDisabled={saving || tuning}>
+          {tuning ? 'Tuning...' : 'Suggest Weights'}
+        </Button>
+      </ButtonGroup>
+
+      {backtest && (
+        <SectionMessage appearance="information" title="Backtest">
+          {backtest.evaluated > 0 ? (
+            <Text>
+              Replayed {backtest.evaluated} resolved issues using only the history before each was created:
+              the real assignee was ranked first {asPercent(backtest.top1)} of the time, in the top 3
+              {' '}{asPercent(backtest.top3)} of the time, with a mean reciprocal rank of {backtest.mrr.toFixed(2)}.
+            </Text>
+          ) : (
+            <Text>No resolved issues with enough earlier history to replay yet.</Text>
+          )}
+        </SectionMessage>
+      )}
+
+      {proposal && (
+        <SectionMessage appearance="discovery" title="Suggested weights awaiting review">
+          <Stack space="space.100">
+            <Text>
+              Tuned on {proposal.evaluated} resolved issues ({new Date(proposal.createdAt).toLocaleString()}).
+              Top-1 accuracy would go from {asPercent(proposal.baseline.top1)} to {asPercent(proposal.proposed.top1)},
+              top 3 from {asPercent(proposal.baseline.top3)} to {asPercent(proposal.proposed.top3)}, and the mean
+              reciprocal rank from {proposal.baseline.mrr.toFixed(2)} to {proposal.proposed.mrr.toFixed(2)}.
+            </Text>
+            {proposal.changes.length > 0 ? (
+              proposal.changes.map(change => (
+                <Text key={change.key}>
+                  {labelFor(change.key)}: {change.from} → {change.to}
+                </Text>
+              ))
+            ) : (
+              <Text>No weight change beats the current weights.</Text>
+            )}
+            <ButtonGroup label="Proposal actions">
+              <Button
+                appearance="primary"
+                onClick={() => handleReviewProposal(true)}
+                isDisabled={saving || proposal.changes.length === 0}
+              >
+                Approve
+              </Button>
+              <Button onClick={() => handleReviewProposal(false)} isDisabled={saving}>
+                Reject
+              </Button>
+            </ButtonGroup>
+          </Stack>
+        </SectionMessage>
+      )}
+    </Stack>
+  );
+};
+
+export default WeightsPanel;
@@ -9,14 +9,30 @@ import ForgeReconciler, {
   ModalHeader,
   ModalTitle,
   ModalBody,
+  ModalFooter,
   Stack,
   Heading,
   Box,
+  Label,
+  Select,
+  TextArea,
+  DatePicker,
+  SectionMessage,
 } from '@forge/react';
 import { invoke } from '@forge/bridge';
 import { view } from '@forge/bridge';
 import EvidenceDetail from './components/evidenceDetail';
 
+const DECLINE_REASON_OPTIONS = [
+  { label: 'No capacity', value: 'no-capacity' },
+  { label: 'Wrong skill area', value: 'wrong-skill' },
+  { label: 'On leave', value: 'on-leave' },
+  { label: 'Conflict of interest', value: 'conflict-of-interest' },
+  { label: 'Other', value: 'other' }
+];
+
+const emptyDeclineReason = () => ({ code: null, note: '', until: '' });
+
 const App = () => {
   const [cacheInitialised, setCacheInitialised] = useState(false);
   const [recommendation, setRecommendation] = useState(null);
@@ -25,6 +41,12 @@ const App = () => {
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [currentUser, setCurrentUser] = useState(null);
   const [actualAssignee, setActualAssignee] = useState(null);
+  const [showDeclineModal, setShowDeclineModal] = useState(false);
+  const [declineReason, setDeclineReason] = useState(emptyDeclineReason());
+  const [declineError, setDeclineError] = useState(null);
+  const [declineAccountId, setDeclineAccountId] = useState(null);
+  const [declines, setDeclines] = useState([]);
+  const [offer, setOffer] = useState(null);
   const context = useProductContext();
   const issueKey = context?.extension.issue.key;
 
@@ -59,6 +81,37 @@ const App = () => {
     // Load recommendation after cache ready
     if (cacheInit) {
       loadRecommendation();
+      loadAssignmentState();
+    }
+  };
+
+  const loadAssignmentState = async () => {
+    try {
+      const response = await invoke('getAssignmentState');
+      if (response.success) {
+        setDeclines(response.state?.declines || []);
+        setOffer(response.state?.offer || null);
+      }
+    } catch (err) {
+      console.error('Error loading assignment state:', err);
+    }
+  };
+
+  const handleUndoDecline = async (accountId) => {
+    setLoading(true);
+    try {
+      const response = await invoke('undoDecline', { accountId });
+      if (response.success) {
+        setDeclines(response.state?.declines || []);
+        await loadRecommendation();
+      } else {
+        alert(`Undo failed: ${response.error || 'Unknown error'}`);
+      }
+    } catch (err) {
+      console.error('Error undoing decline:', err);
+      alert('Error undoing decline');
+    } finally {
+      setLoading(false);
     }
   };
 
@@ -105,7 +158,11 @@ const App = () => {
         preview: false
       });
 
-      if (response.success && response.result) {
+      if (response.success && response.result?.status === 'offered') {
+        alert(`Offered to ${response.result.assignee.displayName}`);
+        setRecommendation(response.result);
+        await loadAssignmentState();
+      } else if (response.success && response.result) {
         alert(`Successfully assigned to ${response.result.assignee.displayName}`);
         // render status as assigned, allows the decline button to appear
         setRecommendation({
@@ -129,18 +186,71 @@ const App = () => {
     }
   };
 
+  const handleAcceptOffer = async () => {
+    setLoading(true);
+    try {
+      const response = await invoke('acceptOffer');
+      if (response.success && response.result) {
+        alert('Offer accepted, the issue is assigned to you');
+        setRecommendation({ ...recommendation, status: 'assigned' });
+        setOffer(null);
+
+        const assigneeResponse = await invoke('getIssueAssignee', { issueKey });
+        if (assigneeResponse.success) {
+          setActualAssignee(assigneeResponse.assignee);
+        }
+      } else {
+        alert(`Accepting failed: ${response.error || 'Unknown error'}`);
+      }
+    } catch (err) {
+      console.error('Error accepting offer:', err);
+      alert('Error accepting offer');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openDeclineModal = (accountId) => {
+    setDeclineAccountId(accountId);
+    setDeclineReason(emptyDeclineReason());
+    setDeclineError(null);
+    setShowDeclineModal(true);
+  };
+
+  const updateDeclineReason = (field, value) => {
+    setDeclineReason(prev => ({ ...prev, [field]: value }));
+  };
+
   const handleDecline = async () => {
-    if (!recommendation?.assignee?.accountId) return;
-    
+    if (!declineAccountId) return;
+
+    if (!declineReason.code) {
+      setDeclineError('Choose a reason for declining');
+      return;
+    }
+    if (declineReason.code === 'other' && !declineReason.note.trim()) {
+      setDeclineError('Describe why you are declining');
+      return;
+    }
+
+    setShowDeclineModal(false);
     setLoading(true);
     try {
       const response = await invoke('declineAssignment', {
-        accountId: recommendation.assignee.accountId,
+        accountId: declineAccountId,
+        reason: {
+          code: declineReason.code,
+          note: declineReason.note.trim() || null,
+          until: declineReason.code === 'on-leave' && declineReason.until ? declineReason.until : null
+        },
         preview: false
       });
 
       if (response.success && response.result) {
-        if (response.result.assignee) {
+        if (response.result.status === 'offered') {
+          setRecommendation(response.result);
+          alert(`Declined. The issue has been offered to ${response.result.assignee.displayName}`);
+        } else if (response.result.assignee) {
           // Show the new recommendation (not assigned yet)
           setRecommendation(response.result);
           alert(`Declined. New recommendation: ${response.result.assignee.displayName}`);
@@ -155,6 +265,7 @@ const App = () => {
         if (assigneeResponse.success) {
           setActualAssignee(assigneeResponse.assignee);
         }
+        await loadAssignmentState();
       } else {
         alert(`Decline failed: ${response.error || 'Unknown error'}`);
       }
@@ -194,7 +305,7 @@ const App = () => {
     return <Text>No recommendation available</Text>;
   }
 
-  const { assignee, status, alternatives = [] } = recommendation;
+  const { assignee, status, alternatives = [], excluded = [] } = recommendation;
   const isAssigned = status === 'assigned';
   const canAssign = status === 'recommendation-only' && assignee;
   
@@ -204,6 +315,9 @@ const App = () => {
                      actualAssignee && 
                      currentUser.accountId === actualAssignee.accountId;
 
+  // Only the person the issue was offered to can answer the offer
+  const canAnswerOffer = offer && currentUser && currentUser.accountId === offer.accountId;
+
   return (
     <>
       {cacheInitialised && (
@@ -224,9 +338,30 @@ const App = () => {
 
       <Text weight="bold">Auto-Assignment Recommendation</Text>
 
+      {offer && (
+        <Stack space="space.100">
+          <Text>
+            Offered to {offer.displayName} until {new Date(offer.expiresAt).toLocaleString()}
+          </Text>
+          {canAnswerOffer && (
+            <Inline space="space.200">
+              <Button onClick={handleAcceptOffer} appearance="primary">
+                Accept Offer
+              </Button>
+              <Button onClick={() => openDeclineModal(offer.accountId)} appearance="warning">
+                Decline Offer
+              </Button>
+            </Inline>
+          )}
+        </Stack>
+      )}
+
       {assignee && (
         <Stack space="space.100" >
           <Text>Recommended: {assignee.displayName}</Text>
+          {recommendation.strategy && recommendation.strategy.strategy !== 'highest-score' && (
+            <Text>Picked by {recommendation.strategy.strategy} strategy ({recommendation.strategy.reason})</Text>
+          )}
           <Inline space="space.200">
             {canAssign && (
               <Button onClick={handleAutoAssign} appearance="primary">
@@ -235,7 +370,7 @@ const App = () => {
             )}
 
             {canDecline && (
-              <Button onClick={handleDecline} appearance="warning">
+              <Button onClick={() => openDeclineModal(recommendation.assignee.accountId)} appearance="warning">
                 Decline Assignment
               </Button>
             )}
@@ -247,6 +382,10 @@ const App = () => {
         </Stack>
       )}
 
+      {!assignee && recommendation.message && (
+        <Text>{recommendation.message}</Text>
+      )}
+
       {alternatives.length > 0 && (
         <>
           <Text></Text>
@@ -259,6 +398,95 @@ const App = () => {
         </>
       )}
 
+      {excluded.length > 0 && (
+        <>
+          <Text></Text>
+          <Text weight="bold">Skipped Candidates:</Text>
+          {excluded.map((user, idx) => (
+            <Text key={idx}>
+              {user.displayName} ({user.message})
+            </Text>
+          ))}
+        </>
+      )}
+
+      {declines.length > 0 && (
+        <>
+          <Text></Text>
+          <Text weight="bold">Declined:</Text>
+          {declines.map(decline => (
+            <Inline key={decline.accountId} space="space.100" alignBlock="center">
+              <Text>
+                {decline.displayName || decline.accountId}
+                {decline.reason ? ` (${decline.reason.code})` : ''}
+                {decline.expiresAt ? `, expires ${decline.expiresAt.slice(0, 10)}` : ''}
+              </Text>
+              <Button appearance="subtle" onClick={() => handleUndoDecline(decline.accountId)}>
+                Undo
+              </Button>
+            </Inline>
+          ))}
+        </>
+      )}
+
+      {/* Decline Reason Modal */}
+      <ModalTransition>
+        {showDeclineModal && (
+          <Modal onClose={() => setShowDeclineModal(false)}>
+            <ModalHeader>
+              <ModalTitle>Why are you declining?</ModalTitle>
+            </ModalHeader>
+            <ModalBody>
+              <Stack space="space.150">
+                {declineError && (
+                  <SectionMessage appearance="error">
+                    <Text>{declineError}</Text>
+                  </SectionMessage>
+                )}
+                <Box>
+                  <Label labelFor="decline-reason">Reason</Label>
+                  <Select
+                    inputId="decline-reason"
+                    options={DECLINE_REASON_OPTIONS}
+                    value={DECLINE_REASON_OPTIONS.find(option => option.value === declineReason.code)}
+                    onChange={(option) => updateDeclineReason('code', option.value)}
+                  />
+                </Box>
+                {declineReason.code === 'on-leave' && (
+                  <Box>
+                    <Label labelFor="decline-until">Back on</Label>
+                    <DatePicker
+                      id="decline-until"
+                      value={declineReason.until}
+                      onChange={(value) => updateDeclineReason('until', value)}
+                    />
+                    <Text>You will not be recommended other issues until then.</Text>
+                  </Box>
+                )}
+                <Box>
+                  <Label labelFor="decline-note">
+                    {declineReason.code === 'other' ? 'Details' : 'Details (optional)'}
+                  </Label>
+                  <TextArea
+                    id="decline-note"
+                    value={declineReason.note}
+                    onChange={(e) => updateDeclineReason('note', e.target.value)}
+                  />
+                </Box>
+              </Stack>
+            </ModalBody>
+            <ModalFooter>
+              <Button appearance="subtle" onClick={() => setShowDeclineModal(false)}>
+                Cancel
+              </Button>
+              <Button appearance="warning" onClick={handleDecline}>
+                Decline Assignment
+              </Button>
+            </ModalFooter>
+          </Modal>
+        )}
+      </ModalTransition>
+
       {/* Details Modal */}
       <ModalTransition>
         {showDetailsModal && (
@@ -1,6 +1,9 @@
 export { handler } from './resolvers';
+export { runWebhookDelivery } from './assignment/webhooks.js';
 import api, { route } from '@forge/api';
 import * as cache from './cache.js';
+import { recommendAssignee, generateAssignmentSummary } from './assignment/autoAssign.js';
+import { loadProjectRules, findMatchingRule, describeIssue } from './assignment/rules.js';
 
 /**
  * updates the auto-assign summary custom field with the assignment reason
@@ -163,29 +166,84 @@ export async function setAutoAssignOnCreate(event) {
 
     if (!target) {
       console.log('[setAutoAssignOnCreate] Custom field not found yet');
-      return;
-    }
-
-    const body = {
-      updates: [
+    } else {
+      const body = {
+        updates: [
+          {
+            issueIds: [Number(issueId)],
+            value: initialValue
+          }
+        ]
+      };
+
+      const res = await api.asApp().requestJira(
+        route`/rest/api/2/app/field/${target.id}/value`,
         {
-          issueIds: [Number(issueId)],
-          value: initialValue
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
         }
-      ]
-    };
+      );
 
-    const res = await api.asApp().requestJira(
-      route`/rest/api/2/app/field/${target.id}/value`,
-      {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+      console.log(`[setAutoAssignOnCreate] Field set: ${res.status} ${res.statusText}`);
+    }
+  } catch (error) {
+    console.error('[setAutoAssignOnCreate] Error:', error);
+  }
+
+  return applyCreationRules(event.issue);
+}
+
+/**
+ * runs the project's assignment rules against a newly created issue and,
+ * when one matches, assigns or recommends straight away
+ *
+ * @param {Object} issue - issue from the created event payload
+ * @returns {Promise<Object>} outcome of the rule evaluation
+ */
+async function applyCreationRules(issue) {
+  const issueKey = issue.key;
+  const fields = issue.fields || {};
+
+  try {
+    if (fields.assignee?.accountId) {
+      console.log(`[applyCreationRules] ${issueKey} already has an assignee`);
+      return { status: 'already-assigned' };
+    }
+
+    const projectKey = fields.project?.key || issueKey.split('-')[0];
+    const ruleSet = await loadProjectRules(projectKey);
+    const rule = findMatchingRule(ruleSet, describeIssue(fields));
+
+    if (!rule) {
+      console.log(`[applyCreationRules] No rule matched ${issueKey}`);
+      return { status: 'no-rule-matched' };
+    }
+
+    console.log(`[applyCreationRules] Rule "${rule.name}" matched ${issueKey}, action: ${rule.action}`);
+
+    const assign = rule.action === 'assign';
+    const result = await recommendAssignee(issueKey, {
+      skipAssignment: !assign,
+      commentOnAssignment: assign,
+      assignAsApp: true
+    });
+
+    if (result.success && result.assignee) {
+      const summary = generateAssignmentSummary(result.assignee);
+      let text = summary;
+      if (!assign) {
+        text = `Recommended ${result.assignee.displayName}: ${summary}`;
+      } else if (result.status === 'offered') {
+        // nobody is assigned until the offer is accepted
+        text = `Offered to ${result.assignee.displayName}: ${summary}`;
       }
-    );
+      await updateAutoAssignSummary(issueKey, text);
+    }
 
-    console.log(`[setAutoAssignOnCreate] Field set: ${res.status} ${res.statusText}`);
+    return { status: result.status, rule: rule.name, result };
   } catch (error) {
-    console.error('[setAutoAssignOnCreate] Error:', error);
+    console.error(`[applyCreationRules] Error for ${issueKey}:`, error);
+    return { status: 'error', error: error.message };
   }
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+import * as cache from './cache.js';
+import { recommendAssignee } from './assignment/autoAssign.js';
+import { isOfferExpired } from './assignment/offers.js';
+import { postComment } from './decline.js';
+
+/**
+ * offer escalation
+ *
+ * offers that nobody accepted or declined within the project's timeout are
+ * treated as a decline by the person offered the issue, and the issue is
+ * offered to the next candidate. runs on a schedule, so an offer may stay
+ * open for up to one interval past its timeout.
+ */
+
+/**
+ * moves a single expired offer on to the next candidate.
+ *
+ * @param {string} issueKey - jira issue key
+ * @param {Object} offer - the expired offer
+ * @returns {Promise<Object>} the recommendAssignee result for the next offer
+ */
+export async function escalateOffer(issueKey, offer) {
+  await postComment(
+    issueKey,
+    `The offer to ${offer.displayName} expired without a response, offering the issue to the next candidate.`
+  );
+
+  return await recommendAssignee(issueKey, {
+    declinedAccountId: offer.accountId,
+    declineReason: { code: 'no-response', note: null, until: null },
+    offer: true,
+    commentOnDecline: false,
+    // there is no user context in a scheduled trigger
+    assignAsApp: true
+  });
+}
+
+/**
+ * scheduled trigger handler, escalates every expired offer.
+ *
+ * @returns {Promise<Object>} the outcome per escalated issue
+ */
+export async function runOfferEscalation() {
+  const now = new Date(Date.now());
+  const states = await cache.allAssignmentStates();
+  const expired = Object.entries(states || {}).filter(([, state]) => state?.offer && isOfferExpired(state.offer, now));
+
+  console.log(`offer escalation found ${expired.length} expired offers`);
+
+  const results = [];
+  for (const [issueKey, state] of expired) {
+    try {
+      const result = await escalateOffer(issueKey, state.offer);
+      // running out of candidates is an outcome, not an error
+      results.push({ issueKey, success: true, status: result.status, offeredTo: result.offer?.accountId || null });
+    } catch (error) {
+      // one broken issue should not stop the other offers from moving on
+      console.error(`error escalating offer for ${issueKey}:`, error);
+      results.push({ issueKey, success: false, error: error.message });
+    }
+  }
+
+  return {
+    success: results.every(result => result.success),
+    issues: results
+  };
+}
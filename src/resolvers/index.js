@@ -1,16 +1,62 @@
 import Resolver from '@forge/resolver';
 import api, { route } from '@forge/api';
 import * as scrapeOrchestrator from '../scrapers/scrapeOrchestrator.js';
+import * as scrapeJobs from '../scrapeJobs.js';
 import { checkIssueAssignee } from '../decline.js';
 import {
   recommendAssignee,
   getAssignmentState as fetchAssignmentState,
-  clearAssignmentState as wipeAssignmentState
+  clearAssignmentState as wipeAssignmentState,
+  undoDecline,
+  acceptOffer
 } from '../assignment/autoAssign.js';
-import { scrapeProjectEpics, scrapeProjectLabels } from '../scrapers/jiraScraper.js';
+import { scrapeProjectEpics, scrapeProjectLabels, scrapeAssignableUsers } from '../scrapers/jiraScraper.js';
+import { searchIssues } from '../scrapers/jiraSearch.js';
 import { initialiseCache, resetCache } from '../cache.js';
 import { generateAssignmentSummary } from '../assignment/autoAssign.js';
 import { updateAutoAssignSummary } from '../index.js';
+import {
+  DEFAULT_WEIGHTS,
+  WEIGHT_DEFINITIONS,
+  loadProjectWeights,
+  saveProjectWeights,
+  resetProjectWeights
+} from '../assignment/weights.js';
+import { RULE_ACTIONS, loadProjectRules, saveProjectRules } from '../assignment/rules.js';
+import { loadProjectCapacity, saveProjectCapacity } from '../assignment/capacity.js';
+import { loadAllAvailability, saveAvailability, importAvailability } from '../assignment/availability.js';
+import { DEFAULT_RECENCY, loadProjectRecency, saveProjectRecency } from '../assignment/recency.js';
+import { MAX_CONFLUENCE_SPACES, loadProjectConfluenceSettings, saveProjectConfluenceSettings } from '../assignment/confluence.js';
+import { DEFAULT_DECLINE_EXPIRY, loadProjectDeclineExpiry, saveProjectDeclineExpiry } from '../assignment/declineExpiry.js';
+import { DEFAULT_OFFER_SETTINGS, MAX_OFFER_TIMEOUT_HOURS, loadProjectOfferSettings, saveProjectOfferSettings } from '../assignment/offers.js';
+import { COMMENT_VISIBILITIES, DEFAULT_COMMENT_VISIBILITY, loadProjectCommentVisibility, saveProjectCommentVisibility } from '../assignment/commentVisibility.js';
+import {
+  NOTIFICATION_EVENTS,
+  EMAIL_RECIPIENTS,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_PLACEHOLDERS,
+  loadProjectNotificationSettings,
+  saveProjectNotificationSettings
+} from '../assignment/notifications.js';
+import {
+  WEBHOOK_EVENTS,
+  MIN_SECRET_LENGTH,
+  listWebhookEndpoints,
+  saveWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries,
+  sendBulkRunWebhooks
+} from '../assignment/webhooks.js';
+import { STRATEGY_NAMES, validateStrategy, loadProjectStrategy, saveProjectStrategy } from '../assignment/strategies.js';
+import { queryAuditLog } from '../assignment/audit.js';
+import { runBacktest } from '../assignment/backtest.js';
+import { validateDeclineReason } from '../assignment/declineReasons.js';
+import {
+  proposeProjectWeights,
+  loadWeightProposal,
+  approveWeightProposal,
+  rejectWeightProposal
+} from '../assignment/tuning.js';
 
 /**
  * resolver
@@ -113,15 +159,19 @@ resolver.define('autoAssignIssue', async (req) => {
     const previewOnly = Boolean(payload.preview);
     const result = await recommendAssignee(issueKey, {
       skipAssignment: previewOnly,
+      preview: previewOnly,
       commentOnAssignment: !previewOnly,
       commentOnDecline: Boolean(payload.commentOnDecline ?? true),
-      actorDisplayName: req?.context?.principal?.displayName || null
+      actorDisplayName: req?.context?.principal?.displayName || null,
+      actorAccountId: req?.context?.accountId || null
     });
 
     if (result.success && result.assignee && !previewOnly) {
       const summary = generateAssignmentSummary(result.assignee);
-      await updateAutoAssignSummary(issueKey, summary);
-      console.log(`Updated summary for ${issueKey}: ${summary}`);
+      // an offered issue stays unassigned until the offer is accepted
+      const text = result.status === 'offered' ? `Offered to ${result.assignee.displayName}: ${summary}` : summary;
+      await updateAutoAssignSummary(issueKey, text);
+      console.log(`Updated summary for ${issueKey}: ${text}`);
     }
 
     return {
@@ -141,7 +191,9 @@ resolver.define('autoAssignIssue', async (req) => {
  * declineAssignment
  *
  * registers a decline for the supplied account id and immediately requests
- * the next best candidate
+ * the next best candidate. the payload may carry the reason for declining
+ * as { code, note, until }, see DECLINE_REASONS. declining a pending offer
+ * offers the issue to the next candidate instead
  */
 resolver.define('declineAssignment', async (req) => {
   try {
@@ -153,20 +205,34 @@ resolver.define('declineAssignment', async (req) => {
       throw new Error('accountId is required to decline a recommendation');
     }
 
+    const reasonCheck = validateDeclineReason(payload.reason);
+    if (!reasonCheck.valid) {
+      throw new Error(`invalid decline reason: ${reasonCheck.errors.join('; ')}`);
+    }
+
+    const state = await fetchAssignmentState(issueKey);
+    const declinesOffer = state?.offer?.accountId === declinedAccountId;
+
     // set the current user to unassigned and then look for the next best user, 
-    // in the case that there isnt another user found it'll stay unassigned
-    await api.asApp().requestJira(route`/rest/api/3/issue/${issueKey}/assignee`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ accountId: null }),
-    });
+    // in the case that there isnt another user found it'll stay unassigned.
+    // an offered issue was never assigned
+    if (!declinesOffer) {
+      await api.asApp().requestJira(route`/rest/api/3/issue/${issueKey}/assignee`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ accountId: null }),
+      });
+    }
 
     const result = await recommendAssignee(issueKey, {
       declinedAccountId,
-      skipAssignment: true,  // After decline, only recommend - don't auto-assign
+      declineReason: reasonCheck.reason,
+      skipAssignment: !declinesOffer,  // After decline, only recommend - don't auto-assign
+      offer: declinesOffer,  // A declined offer moves on to the next candidate
       commentOnAssignment: false,  // Don't post assignment comment for recommendations
       commentOnDecline: true,  // Still post the decline acknowledgment
-      actorDisplayName: req?.context?.principal?.displayName || null
+      actorDisplayName: req?.context?.principal?.displayName || null,
+      actorAccountId: req?.context?.accountId || null
     });
 
     return {
@@ -228,6 +294,56 @@ resolver.define('clearAssignmentState', async (req) => {
   }
 });
 
+/**
+ * acceptOffer
+ *
+ * assigns the issue to the current user when it was offered to them
+ */
+resolver.define('acceptOffer', async (req) => {
+  try {
+    const issueKey = getIssueKey(req);
+    const result = await acceptOffer(issueKey, req?.context?.accountId, {
+      actorDisplayName: req?.context?.principal?.displayName || null
+    });
+
+    return {
+      success: true,
+      result
+    };
+  } catch (error) {
+    console.error('error during acceptOffer resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * undoDecline
+ *
+ * takes back one decline so that person can be recommended for the issue
+ * again, leaving the other declines in place
+ */
+resolver.define('undoDecline', async (req) => {
+  try {
+    const issueKey = getIssueKey(req);
+    const payload = (req && typeof req.payload === 'object') ? req.payload : {};
+    const state = await undoDecline(issueKey, payload.accountId);
+
+    return {
+      success: true,
+      state
+    };
+  } catch (error) {
+    console.error('error during undoDecline resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
 // ============================================================================
 // helper functions
 // ============================================================================
@@ -259,22 +375,23 @@ function getProjectKey(req) {
 
 /**
  * scrape full project
- * gets all historical data for a project
+ * queues a background scrape of all historical data for a project; its
+ * progress is read with getScrapeProgress
  */
 resolver.define('scrapeFullProject', async (req) => {
   try {
     console.log('resolver: scrapeFullProject called');
 
-    const projectKey = getProjectKey(req);
+    const projectKey = req.context.extension.project.key;
     const options = (req.payload && typeof req.payload === 'object') ? (req.payload.options || {}) : {};
 
     console.log(`full scrape for project: ${projectKey}`);
 
-    const results = await scrapeOrchestrator.scrapeFullProject(projectKey, options);
+    const job = await scrapeJobs.startScrapeJob(projectKey, options);
 
     return {
       success: true,
-      results: results
+      job: job
     };
   } catch (error) {
     console.error('error in scrapeFullProject resolver:', error);
@@ -285,6 +402,74 @@ resolver.define('scrapeFullProject', async (req) => {
   }
 });
 
+/**
+ * resume scrape
+ * picks a failed or stalled full scrape up from where it stopped
+ */
+resolver.define('resumeScrape', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const job = await scrapeJobs.resumeScrapeJob(projectKey);
+
+    return {
+      success: true,
+      job: job
+    };
+  } catch (error) {
+    console.error('error in resumeScrape resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * get scrape progress
+ * reports the latest full scrape of the project, or null if it was never scraped
+ */
+resolver.define('getScrapeProgress', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const job = await scrapeJobs.getScrapeJobProgress(projectKey);
+
+    return {
+      success: true,
+      job: job
+    };
+  } catch (error) {
+    console.error('error in getScrapeProgress resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * scrape confluence
+ * gets the pages of the confluence spaces configured for the project
+ */
+resolver.define('scrapeConfluence', async (req) => {
+  try {
+    console.log('resolver: scrapeConfluence called');
+
+    const projectKey = req.context.extension.project.key;
+    const results = await scrapeOrchestrator.scrapeProjectConfluence(projectKey);
+
+    return {
+      success: true,
+      results: results
+    };
+  } catch (error) {
+    console.error('error in scrapeConfluence resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
 /**
  * scrape current issue
  * gets data for the current issue being viewed
@@ -427,25 +612,7 @@ resolver.define('getUnassignedTasks', async (req) => {
     const projectKey = req.context.extension.project.key;
 
     const jql = `project = ${projectKey} AND assignee is EMPTY AND type != Epic`;
-    const res = await api.asApp().requestJira(
-      route`/rest/api/3/search/jql?jql=${jql}&maxResults=500&fields=key,summary,issuetype`,
-      {
-        headers: {
-          'Accept': 'application/json'
-        }
-      }
-    );
-
-    if (!res.ok) {
-      console.error('Failed to fetch unassigned tasks:', res);
-      return {
-        success: false,
-        error: 'Failed to fetch unassigned tasks'
-      };
-    }
-
-    const data = await res.json();
-    const issues = Array.isArray(data.issues) ? data.issues : [];
+    const issues = await searchIssues(jql, { fields: ['key', 'summary', 'issuetype'] });
     const tasks = issues.map(issue => ({
       key: issue.key,
       summary: issue.fields?.summary || '',
@@ -472,7 +639,7 @@ resolver.define('getUnassignedTasks', async (req) => {
  */
 resolver.define('autoAssignByMode', async (req) => {
   try {
-    const { mode, keys, criteria } = req.payload;
+    const { mode, keys, criteria, strategy } = req.payload;
     if (!keys || keys.length === 0) {
       return {
         success: false,
@@ -480,13 +647,28 @@ resolver.define('autoAssignByMode', async (req) => {
       };
     }
 
+    // an optional strategy for this run only, the project strategy otherwise
+    if (strategy) {
+      const strategyCheck = validateStrategy(strategy);
+      if (!strategyCheck.valid) {
+        return {
+          success: false,
+          error: `Invalid strategy: ${strategyCheck.errors.join('; ')}`
+        };
+      }
+    }
+
     const actorDisplayName = req?.context?.principal?.displayName || null;
+    const actorAccountId = req?.context?.accountId || null;
     let totalProcessed = 0;
     let totalAssigned = 0;
+    let totalOffered = 0;
     let totalSkipped = 0;
     const assignedIssues = [];
+    const offeredIssues = [];
     const skippedIssues = [];
     const failedIssues = [];
+    const skippedCandidates = new Map();
     for (const key of keys) {
       try {
         let jql;
@@ -503,22 +685,7 @@ resolver.define('autoAssignByMode', async (req) => {
           unassignedIssues = [{ key: key }];
         } else {
           // Fetch unassigned issues for epic or label mode
-          const issuesResponse = await api.asUser().requestJira(
-            route`/rest/api/3/search/jql?jql=${jql}&maxResults=100&fields=key,summary`,
-            {
-              headers: {
-                'Accept': 'application/json'
-              }
-            }
-          );
-
-          if (!issuesResponse.ok) {
-            console.error(`Failed to fetch issues for ${mode} ${key}:`, issuesResponse);
-            continue;
-          }
-
-          const issuesData = await issuesResponse.json();
-          unassignedIssues = Array.isArray(issuesData.issues) ? issuesData.issues : [];
+          unassignedIssues = await searchIssues(jql, { fields: ['key', 'summary'], asUser: true });
           console.log(`Found ${unassignedIssues.length} unassigned issues in ${mode} ${key}`);
         }
 
@@ -532,20 +699,41 @@ resolver.define('autoAssignByMode', async (req) => {
               commentOnAssignment: true,
               commentOnDecline: false,
               actorDisplayName: actorDisplayName,
-              criteria: criteria
+              actorAccountId: actorAccountId,
+              criteria: criteria,
+              strategy: strategy || null
             });
 
+            for (const user of assignmentResult.excluded || []) {
+              skippedCandidates.set(user.accountId, {
+                accountId: user.accountId,
+                displayName: user.displayName,
+                message: user.message
+              });
+            }
+
             if (assignmentResult.success && assignmentResult.assignee) {
-              console.log(`Successfully assigned ${issue.key} to ${assignmentResult.assignee.displayName}`);
-              totalAssigned++;
+              // an offered issue stays unassigned until the offer is accepted
+              const offered = assignmentResult.status === 'offered';
+              console.log(`Successfully ${offered ? 'offered' : 'assigned'} ${issue.key} to ${assignmentResult.assignee.displayName}`);
               // Update the summary
               const summary = generateAssignmentSummary(assignmentResult.assignee);
-              await updateAutoAssignSummary(issue.key, summary);
-              assignedIssues.push({
+              await updateAutoAssignSummary(
+                issue.key,
+                offered ? `Offered to ${assignmentResult.assignee.displayName}: ${summary}` : summary
+              );
+              const outcome = {
                 key: issue.key,
                 summary: issue.fields?.summary || issue.summary || '',
                 assignee: assignmentResult.assignee.displayName
-              });
+              };
+              if (offered) {
+                totalOffered++;
+                offeredIssues.push(outcome);
+              } else {
+                totalAssigned++;
+                assignedIssues.push(outcome);
+              }
             } else {
               console.log(`Skipped ${issue.key}: ${assignmentResult.message || 'No suitable candidate'}`);
               skippedIssues.push({
@@ -571,14 +759,33 @@ resolver.define('autoAssignByMode', async (req) => {
     }
     console.log(`Bulk assignment complete`);
 
+    const projectKey = req?.context?.extension?.project?.key;
+    if (projectKey) {
+      await sendBulkRunWebhooks(projectKey, {
+        mode,
+        keys,
+        totalProcessed,
+        totalAssigned,
+        totalOffered,
+        totalSkipped,
+        assignedIssues,
+        offeredIssues,
+        skippedIssues,
+        failedIssues
+      }, { accountId: actorAccountId, displayName: actorDisplayName });
+    }
+
     return {
       success: true,
       totalProcessed,
       totalAssigned,
+      totalOffered,
       totalSkipped,
       assignedIssues,
+      offeredIssues,
       skippedIssues,
-      failedIssues
+      failedIssues,
+      skippedCandidates: Array.from(skippedCandidates.values())
     };
   } catch (error) {
     console.error('Error in autoAssignByMode:', error);
@@ -589,4 +796,769 @@ resolver.define('autoAssignByMode', async (req) => {
   }
 });
 
+/**
+ * Fetch the scoring weights used for the current project
+ */
+resolver.define('getScoringWeights', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const weights = await loadProjectWeights(projectKey);
+
+    return {
+      success: true,
+      weights,
+      defaults: DEFAULT_WEIGHTS,
+      definitions: WEIGHT_DEFINITIONS
+    };
+  } catch (error) {
+    console.error('error in getScoringWeights resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the scoring weights for the current project
+ */
+resolver.define('saveScoringWeights', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const weights = await saveProjectWeights(projectKey, req.payload?.weights);
+    console.log(`Saved scoring weights for project ${projectKey}`);
+
+    return {
+      success: true,
+      weights
+    };
+  } catch (error) {
+    console.error('error in saveScoringWeights resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Restore the default scoring weights for the current project
+ */
+resolver.define('resetScoringWeights', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const weights = await resetProjectWeights(projectKey);
+
+    return {
+      success: true,
+      weights
+    };
+  } catch (error) {
+    console.error('error in resetScoringWeights resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Replay the project's resolved issues and report how often the scoring would
+ * have ranked the real assignee first, in the top 3, and its mean reciprocal
+ * rank. Unsaved weights can be passed to try them out
+ */
+resolver.define('runBacktest', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const { weights, limit } = req.payload || {};
+
+    const report = await runBacktest({ projectKey, weights, limit });
+    console.log(`Backtest for project ${projectKey}: ${report.evaluated} issues, top-1 ${report.top1.toFixed(2)}`);
+
+    return {
+      success: true,
+      ...report
+    };
+  } catch (error) {
+    console.error('error in runBacktest resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Tune the scoring weights on the project's resolved issues. The result is
+ * stored as a proposal for an admin to review; the weights in use are not
+ * changed
+ */
+resolver.define('proposeScoringWeights', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const proposal = await proposeProjectWeights(projectKey);
+    console.log(`Proposed ${proposal.changes.length} weight changes for project ${projectKey}`);
+
+    return {
+      success: true,
+      proposal
+    };
+  } catch (error) {
+    console.error('error in proposeScoringWeights resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the weight proposal awaiting review for the current project, if any
+ */
+resolver.define('getWeightProposal', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const proposal = await loadWeightProposal(projectKey);
+
+    return {
+      success: true,
+      proposal
+    };
+  } catch (error) {
+    console.error('error in getWeightProposal resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Apply the proposed weights to the current project
+ */
+resolver.define('approveWeightProposal', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const weights = await approveWeightProposal(projectKey);
+    console.log(`Approved weight proposal for project ${projectKey}`);
+
+    return {
+      success: true,
+      weights
+    };
+  } catch (error) {
+    console.error('error in approveWeightProposal resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Discard the proposed weights, keeping the current ones
+ */
+resolver.define('rejectWeightProposal', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    await rejectWeightProposal(projectKey);
+
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error('error in rejectWeightProposal resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the recency decay settings for the current project
+ */
+resolver.define('getRecencySettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const recency = await loadProjectRecency(projectKey);
+
+    return {
+      success: true,
+      recency,
+      defaults: DEFAULT_RECENCY
+    };
+  } catch (error) {
+    console.error('error in getRecencySettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the recency decay settings for the current project
+ */
+resolver.define('saveRecencySettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const recency = await saveProjectRecency(projectKey, req.payload?.recency);
+    console.log(`Saved recency settings for project ${projectKey}`);
+
+    return {
+      success: true,
+      recency
+    };
+  } catch (error) {
+    console.error('error in saveRecencySettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the Confluence spaces scraped for the current project
+ */
+resolver.define('getConfluenceSettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const settings = await loadProjectConfluenceSettings(projectKey);
+
+    return {
+      success: true,
+      settings,
+      maxSpaces: MAX_CONFLUENCE_SPACES
+    };
+  } catch (error) {
+    console.error('error in getConfluenceSettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the Confluence spaces scraped for the current project
+ */
+resolver.define('saveConfluenceSettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const settings = await saveProjectConfluenceSettings(projectKey, req.payload?.settings);
+    console.log(`Saved confluence settings for project ${projectKey}`);
+
+    return {
+      success: true,
+      settings
+    };
+  } catch (error) {
+    console.error('error in saveConfluenceSettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch how long declines last for the current project
+ */
+resolver.define('getDeclineExpirySettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const expiry = await loadProjectDeclineExpiry(projectKey);
+
+    return {
+      success: true,
+      expiry,
+      defaults: DEFAULT_DECLINE_EXPIRY
+    };
+  } catch (error) {
+    console.error('error in getDeclineExpirySettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save how long declines last for the current project
+ */
+resolver.define('saveDeclineExpirySettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const expiry = await saveProjectDeclineExpiry(projectKey, req.payload?.expiry);
+    console.log(`Saved decline expiry settings for project ${projectKey}`);
+
+    return {
+      success: true,
+      expiry
+    };
+  } catch (error) {
+    console.error('error in saveDeclineExpirySettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the offer settings for the current project
+ */
+resolver.define('getOfferSettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const settings = await loadProjectOfferSettings(projectKey);
+
+    return {
+      success: true,
+      settings,
+      defaults: DEFAULT_OFFER_SETTINGS,
+      maxTimeoutHours: MAX_OFFER_TIMEOUT_HOURS
+    };
+  } catch (error) {
+    console.error('error in getOfferSettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the offer settings for the current project
+ */
+resolver.define('saveOfferSettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const settings = await saveProjectOfferSettings(projectKey, req.payload?.settings);
+    console.log(`Saved offer settings for project ${projectKey}`);
+
+    return {
+      success: true,
+      settings
+    };
+  } catch (error) {
+    console.error('error in saveOfferSettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the comment visibility for the current project
+ */
+resolver.define('getCommentVisibility', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const settings = await loadProjectCommentVisibility(projectKey);
+
+    return {
+      success: true,
+      settings,
+      defaults: DEFAULT_COMMENT_VISIBILITY,
+      visibilities: COMMENT_VISIBILITIES
+    };
+  } catch (error) {
+    console.error('error in getCommentVisibility resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the comment visibility for the current project
+ */
+resolver.define('saveCommentVisibility', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const settings = await saveProjectCommentVisibility(projectKey, req.payload?.settings);
+    console.log(`Saved comment visibility for project ${projectKey}`);
+
+    return {
+      success: true,
+      settings
+    };
+  } catch (error) {
+    console.error('error in saveCommentVisibility resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the notification channels and templates for the current project
+ */
+resolver.define('getNotificationSettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const settings = await loadProjectNotificationSettings(projectKey);
+
+    return {
+      success: true,
+      settings,
+      events: NOTIFICATION_EVENTS,
+      recipients: EMAIL_RECIPIENTS,
+      defaultTemplates: DEFAULT_TEMPLATES,
+      placeholders: TEMPLATE_PLACEHOLDERS,
+      minSecretLength: MIN_SECRET_LENGTH
+    };
+  } catch (error) {
+    console.error('error in getNotificationSettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the notification channels and templates for the current project
+ */
+resolver.define('saveNotificationSettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const settings = await saveProjectNotificationSettings(projectKey, req.payload?.settings);
+    console.log(`Saved notification settings for project ${projectKey}`);
+
+    return {
+      success: true,
+      settings
+    };
+  } catch (error) {
+    console.error('error in saveNotificationSettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the webhook endpoints for the current project, without their secrets
+ */
+resolver.define('getWebhooks', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const endpoints = await listWebhookEndpoints(projectKey);
+
+    return {
+      success: true,
+      endpoints,
+      events: WEBHOOK_EVENTS,
+      minSecretLength: MIN_SECRET_LENGTH
+    };
+  } catch (error) {
+    console.error('error in getWebhooks resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Add a webhook endpoint, or update one when an id is given
+ */
+resolver.define('saveWebhook', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const endpoint = await saveWebhookEndpoint(projectKey, req.payload?.endpoint);
+    console.log(`Saved webhook ${endpoint.id} for project ${projectKey}`);
+
+    return {
+      success: true,
+      endpoint
+    };
+  } catch (error) {
+    console.error('error in saveWebhook resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Remove a webhook endpoint and its secret
+ */
+resolver.define('deleteWebhook', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const endpoints = await deleteWebhookEndpoint(projectKey, req.payload?.id);
+    console.log(`Deleted webhook ${req.payload?.id} for project ${projectKey}`);
+
+    return {
+      success: true,
+      endpoints
+    };
+  } catch (error) {
+    console.error('error in deleteWebhook resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch a page of the webhook delivery log for the current project, newest first
+ */
+resolver.define('getWebhookDeliveries', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const { deliveries, nextCursor } = await listWebhookDeliveries(projectKey, req.payload?.cursor || null);
+
+    return {
+      success: true,
+      deliveries,
+      nextCursor: nextCursor || null
+    };
+  } catch (error) {
+    console.error('error in getWebhookDeliveries resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the assignment strategy for the current project
+ */
+resolver.define('getAssignmentStrategy', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const strategy = await loadProjectStrategy(projectKey);
+
+    return {
+      success: true,
+      strategy,
+      strategies: STRATEGY_NAMES
+    };
+  } catch (error) {
+    console.error('error in getAssignmentStrategy resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the assignment strategy for the current project
+ */
+resolver.define('saveAssignmentStrategy', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const strategy = await saveProjectStrategy(projectKey, req.payload?.strategy);
+    console.log(`Saved assignment strategy for project ${projectKey}`);
+
+    return {
+      success: true,
+      strategy
+    };
+  } catch (error) {
+    console.error('error in saveAssignmentStrategy resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the automatic assignment rules for the current project
+ */
+resolver.define('getAssignmentRules', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const ruleSet = await loadProjectRules(projectKey);
+
+    return {
+      success: true,
+      ruleSet,
+      actions: RULE_ACTIONS
+    };
+  } catch (error) {
+    console.error('error in getAssignmentRules resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the automatic assignment rules for the current project
+ */
+resolver.define('saveAssignmentRules', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const ruleSet = await saveProjectRules(projectKey, req.payload?.ruleSet);
+    console.log(`Saved assignment rules for project ${projectKey}`);
+
+    return {
+      success: true,
+      ruleSet
+    };
+  } catch (error) {
+    console.error('error in saveAssignmentRules resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the capacity limits for the current project, along with the
+ * assignable users they can be set for
+ */
+resolver.define('getCapacitySettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const capacity = await loadProjectCapacity(projectKey);
+    const users = await scrapeAssignableUsers(projectKey);
+
+    return {
+      success: true,
+      capacity,
+      users: users.map(user => ({ accountId: user.accountId, displayName: user.displayName }))
+    };
+  } catch (error) {
+    console.error('error in getCapacitySettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the capacity limits for the current project
+ */
+resolver.define('saveCapacitySettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const capacity = await saveProjectCapacity(projectKey, req.payload?.capacity);
+    console.log(`Saved capacity limits for project ${projectKey}`);
+
+    return {
+      success: true,
+      capacity
+    };
+  } catch (error) {
+    console.error('error in saveCapacitySettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Fetch the availability ranges of the project's assignable users
+ */
+resolver.define('getAvailabilitySettings', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const users = await scrapeAssignableUsers(projectKey);
+    const availability = await loadAllAvailability();
+
+    return {
+      success: true,
+      users: users.map(user => ({ accountId: user.accountId, displayName: user.displayName })),
+      availability
+    };
+  } catch (error) {
+    console.error('error in getAvailabilitySettings resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Validate and save the availability ranges of a single user
+ */
+resolver.define('saveAvailability', async (req) => {
+  try {
+    const { accountId, ranges } = req.payload || {};
+    const saved = await saveAvailability(accountId, ranges);
+
+    return {
+      success: true,
+      ranges: saved
+    };
+  } catch (error) {
+    console.error('error in saveAvailability resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Add the events of an iCal (.ics) calendar to a user's availability
+ */
+resolver.define('importAvailability', async (req) => {
+  try {
+    const { accountId, calendar } = req.payload || {};
+    const { imported, ranges } = await importAvailability(accountId, calendar);
+
+    return {
+      success: true,
+      imported,
+      ranges
+    };
+  } catch (error) {
+    console.error('error in importAvailability resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+/**
+ * Page through the assignment audit log of the current project, filtered by
+ * issue, user or date range
+ */
+resolver.define('getAuditLog', async (req) => {
+  try {
+    const projectKey = req.context.extension.project.key;
+    const { issueKey, accountId, from, to, cursor, limit } = req.payload || {};
+
+    const page = await queryAuditLog({ projectKey, issueKey, accountId, from, to, cursor, limit });
+    const users = await scrapeAssignableUsers(projectKey);
+
+    return {
+      success: true,
+      records: page.records,
+      nextCursor: page.nextCursor || null,
+      users: users.map(user => ({ accountId: user.accountId, displayName: user.displayName }))
+    };
+  } catch (error) {
+    console.error('error in getAuditLog resolver:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
 export const handler = resolver.getDefinitions();
\ No newline at end of file
@@ -0,0 +1,81 @@
+import * as cache from './cache.js';
+import * as scrapeOrchestrator from './scrapers/scrapeOrchestrator.js';
+
+/**
+ * scheduled refresh
+ *
+ * keeps cached issues and user workloads current without anyone calling the
+ * incrementalScrape or updateWorkloads resolvers. every project with an
+ * initialised cache is refreshed in turn, fetching only the issues updated
+ * since that project's previous successful run.
+ */
+
+/**
+ * window used when a project has no watermark yet (e.g. its cache was
+ * initialised before watermarks were recorded).
+ */
+export const FALLBACK_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * refreshes a single project and advances its watermark when every updated
+ * issue was scraped.
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} refresh statistics for the project
+ */
+export async function refreshProject(projectKey) {
+  const runStartedAt = new Date(Date.now()).toISOString();
+  const watermark = await cache.getRefreshWatermark(projectKey);
+  const sinceIso = watermark || new Date(Date.now() - FALLBACK_WINDOW_MS).toISOString();
+
+  console.log(`scheduled refresh for ${projectKey} since ${sinceIso}`);
+
+  const scrape = await scrapeOrchestrator.incrementalScrape(projectKey, sinceIso, {
+    refreshWorkloads: false
+  });
+  const workloads = await scrapeOrchestrator.updateUserWorkloads(projectKey);
+
+  // only move the watermark forward when every issue was scraped, so a run
+  // that failed, even for a single issue, is retried from the same point next
+  // time. the start time is stored rather than the end time so issues
+  // updated mid-run are not missed
+  const issueErrors = scrape.errors || [];
+  if (scrape.success && issueErrors.length === 0) {
+    await cache.cacheRefreshWatermark(projectKey, runStartedAt);
+  }
+
+  return {
+    projectKey,
+    since: sinceIso,
+    success: scrape.success && workloads.success,
+    scrape,
+    workloads
+  };
+}
+
+/**
+ * scheduled trigger handler, refreshes every registered project.
+ *
+ * @returns {Promise<Object>} refresh statistics per project
+ */
+export async function runScheduledRefresh() {
+  const projects = await cache.allProjects();
+
+  console.log(`scheduled refresh starting for ${projects.length} projects`);
+
+  const results = [];
+  for (const projectKey of projects) {
+    try {
+      results.push(await refreshProject(projectKey));
+    } catch (error) {
+      // one broken project should not stop the others from refreshing
+      console.error(`error refreshing project ${projectKey}:`, error);
+      results.push({ projectKey, success: false, error: error.message });
+    }
+  }
+
+  return {
+    success: results.every(result => result.success),
+    projects: results
+  };
+}
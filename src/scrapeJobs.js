@@ -0,0 +1,374 @@
+import { Queue, InvocationError, InvocationErrorCode } from '@forge/events';
+import { randomUUID } from 'crypto';
+import * as cache from './cache.js';
+import * as jiraScraper from './scrapers/jiraScraper.js';
+import * as jiraRequest from './scrapers/jiraRequest.js';
+import * as scrapeOrchestrator from './scrapers/scrapeOrchestrator.js';
+
+/**
+ * resumable full project scrape
+ *
+ * a full scrape does not fit in one invocation, so it runs as a chain of
+ * async events: each event does one batch of work, saves the job record
+ * (phase, cursor into the issue keys, counts and errors) and pushes the
+ * event for the next batch. the issue keys are stored once, apart from the
+ * record, and the cursor is saved every few issues, so an invocation that
+ * times out or fails is retried from close to where it stopped, and a job
+ * that stopped altogether can be resumed from the admin panel.
+ */
+
+export const SCRAPE_QUEUE_KEY = 'project-scrape';
+
+/**
+ * issues scraped per event, one bulk fetch's worth; jira requests per issue
+ * are only needed for long worklog or comment threads.
+ */
+export const ISSUE_BATCH_SIZE = 100;
+
+/**
+ * issues processed between saves of the job record within a batch; an
+ * interrupted batch redoes at most this many.
+ */
+export const CURSOR_SAVE_INTERVAL = 10;
+
+/**
+ * most recent errors kept on the job record; older ones are only counted.
+ */
+export const MAX_JOB_ERRORS = 50;
+
+/**
+ * times a failing batch is retried before the job is marked failed.
+ */
+export const MAX_BATCH_RETRIES = 3;
+
+export const BATCH_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * a running job that has not saved progress for this long has lost its
+ * event chain, and can be resumed or replaced.
+ */
+export const STALE_JOB_MS = 15 * 60 * 1000;
+
+export const JOB_PHASES = Object.freeze(['setup', 'issues', 'workloads', 'confluence', 'done']);
+
+// share of the progress bar taken by the issue batches, the bulk of the work
+const ISSUES_PROGRESS_SHARE = 0.9;
+
+const scrapeQueue = new Queue({ key: SCRAPE_QUEUE_KEY });
+
+/**
+ * starts a full scrape of a project unless one is already running
+ *
+ * @param {string} projectKey - jira project key
+ * @param {Object} [options]
+ * @param {number} [options.maxIssues=1000] - most recent issues to scrape
+ * @param {boolean} [options.includeConfluence=true] - scrape the project's confluence spaces
+ * @param {boolean} [options.clearExistingData=false] - reset the cache first
+ * @returns {Promise<Object>} progress of the new job, or of the running one
+ */
+export async function startScrapeJob(projectKey, options = {}) {
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw new Error('projectKey is required to start a scrape');
+  }
+
+  const existing = await cache.getScrapeJob(projectKey);
+  if (existing && existing.status === 'running' && !isStale(existing)) {
+    console.log(`scrape job ${existing.id} already running for ${projectKey}`);
+    return describeScrapeJob(existing);
+  }
+
+  const { maxIssues = 1000, includeConfluence = true, clearExistingData = false } = options;
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    projectKey,
+    status: 'running',
+    phase: 'setup',
+    options: { maxIssues, includeConfluence, clearExistingData },
+    issuesTotal: 0,
+    cursor: 0,
+    counts: { usersScraped: 0, epicsScraped: 0, issuesScraped: 0, confluencePagesScraped: 0 },
+    errors: [],
+    errorCount: 0,
+    failedAttempts: 0,
+    requestMetrics: {},
+    startedAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  await cache.cacheScrapeJob(projectKey, job);
+  await queueBatch(job);
+
+  console.log(`started scrape job ${job.id} for ${projectKey}`);
+  return describeScrapeJob(job);
+}
+
+/**
+ * picks a failed or stalled job up again from its saved phase and cursor
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object>} progress of the resumed job
+ */
+export async function resumeScrapeJob(projectKey) {
+  const job = await cache.getScrapeJob(projectKey);
+  if (!job) {
+    throw new Error(`no scrape job found for ${projectKey}`);
+  }
+  if (job.status === 'completed') {
+    throw new Error('the last scrape job already completed');
+  }
+  if (job.status === 'running' && !isStale(job)) {
+    return describeScrapeJob(job);
+  }
+
+  job.status = 'running';
+  job.failedAttempts = 0;
+  job.finishedAt = null;
+  await saveJob(job);
+  await queueBatch(job);
+
+  console.log(`resumed scrape job ${job.id} for ${projectKey} at ${job.phase} ${job.cursor}/${job.issuesTotal}`);
+  return describeScrapeJob(job);
+}
+
+/**
+ * reports the progress of a project's latest scrape job
+ *
+ * @param {string} projectKey - jira project key
+ * @returns {Promise<Object|null>} job progress, or null if never scraped
+ */
+export async function getScrapeJobProgress(projectKey) {
+  const job = await cache.getScrapeJob(projectKey);
+  return job ? describeScrapeJob(job) : null;
+}
+
+/**
+ * async event consumer; runs one batch of the job named in the event
+ *
+ * @param {Object} event - async event with body { projectKey, jobId }
+ * @returns {Promise<InvocationError|undefined>} an invocation error asks the
+ * queue to retry the event later
+ */
+export async function runScrapeBatch(event) {
+  const { projectKey, jobId } = event?.body || {};
+  const job = projectKey ? await cache.getScrapeJob(projectKey) : null;
+
+  // a restarted scrape replaces the job; events of the old one are dropped
+  if (!job || job.id !== jobId || job.status !== 'running') {
+    console.log(`ignoring scrape event for job ${jobId}, it is no longer running`);
+    return undefined;
+  }
+
+  console.log(`scrape job ${job.id}: running ${job.phase} batch`);
+  jiraRequest.resetRequestMetrics();
+
+  try {
+    await PHASE_RUNNERS[job.phase](job);
+    job.failedAttempts = 0;
+  } catch (error) {
+    console.error(`scrape job ${job.id}: ${job.phase} batch failed:`, error);
+    job.failedAttempts += 1;
+    recordError(job, `${job.phase} batch failed: ${error.message}`);
+    mergeRequestMetrics(job, jiraRequest.getRequestMetrics());
+
+    if (job.failedAttempts > MAX_BATCH_RETRIES) {
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+      await saveJob(job);
+      return undefined;
+    }
+
+    await saveJob(job);
+    return new InvocationError({
+      retryAfter: BATCH_RETRY_AFTER_SECONDS,
+      retryReason: InvocationErrorCode.FUNCTION_RETRY_REQUEST
+    });
+  }
+
+  mergeRequestMetrics(job, jiraRequest.getRequestMetrics());
+
+  if (job.phase === 'done') {
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    await saveJob(job);
+    await advanceRefreshWatermark(job);
+    console.log(`scrape job ${job.id} completed`);
+    return undefined;
+  }
+
+  await saveJob(job);
+  await queueBatch(job);
+  return undefined;
+}
+
+/**
+ * summary of a job for the admin panel
+ *
+ * @param {Object} job - scrape job record
+ * @returns {Object} job progress
+ */
+export function describeScrapeJob(job) {
+  return {
+    id: job.id,
+    projectKey: job.projectKey,
+    status: job.status,
+    phase: job.phase,
+    stalled: job.status === 'running' && isStale(job),
+    issuesProcessed: job.cursor,
+    issuesTotal: job.issuesTotal,
+    progress: jobProgress(job),
+    counts: job.counts,
+    errorCount: job.errorCount,
+    errors: job.errors,
+    requestMetrics: job.requestMetrics,
+    startedAt: job.startedAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+const PHASE_RUNNERS = {
+  setup: runSetup,
+  issues: runIssueBatch,
+  workloads: runWorkloads,
+  confluence: runConfluence
+};
+
+async function runSetup(job) {
+  const { projectKey, options } = job;
+
+  if (options.clearExistingData) {
+    console.log('clearing existing data...');
+    await cache.clearEntityData();
+  }
+
+  const users = await jiraScraper.scrapeAssignableUsers(projectKey);
+  await Promise.all(users.map((userData) => cache.cacheUserProfile(userData)));
+  job.counts.usersScraped = users.length;
+
+  const epics = await jiraScraper.scrapeProjectEpics(projectKey);
+  job.counts.epicsScraped = epics.length;
+
+  const issueKeys = await jiraScraper.scrapeProjectIssues(projectKey, options.maxIssues);
+  await cache.cacheScrapeJobIssueKeys(projectKey, issueKeys);
+  job.issuesTotal = issueKeys.length;
+  job.cursor = 0;
+  job.phase = 'issues';
+  console.log(`scrape job ${job.id}: ${users.length} users, ${epics.length} epics, ${issueKeys.length} issues to process`);
+}
+
+async function runIssueBatch(job) {
+  const issueKeys = (await cache.getScrapeJobIssueKeys(job.projectKey)) || [];
+  const batch = issueKeys.slice(job.cursor, job.cursor + ISSUE_BATCH_SIZE);
+
+  await scrapeOrchestrator.scrapeIssueBatch(batch, async (result) => {
+    if (result.success) {
+      job.counts.issuesScraped += 1;
+    } else {
+      recordError(job, `failed to scrape issue ${result.issueKey}: ${result.error}`);
+    }
+
+    job.cursor += 1;
+    // the record is saved once more when the batch ends
+    if (job.cursor % CURSOR_SAVE_INTERVAL === 0) {
+      await saveJob(job);
+    }
+  });
+
+  console.log(`scrape job ${job.id}: processed ${job.cursor}/${job.issuesTotal} issues`);
+  if (job.cursor >= job.issuesTotal) {
+    job.phase = 'workloads';
+  }
+}
+
+async function runWorkloads(job) {
+  const result = await scrapeOrchestrator.updateUserWorkloads(job.projectKey);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  for (const { user, error } of result.errors) {
+    recordError(job, `error scraping workload for ${user}: ${error}`);
+  }
+  job.phase = job.options.includeConfluence ? 'confluence' : 'done';
+}
+
+async function runConfluence(job) {
+  const stats = await scrapeOrchestrator.scrapeProjectConfluence(job.projectKey);
+  job.counts.confluencePagesScraped = stats.confluencePagesScraped;
+  stats.errors.forEach(error => recordError(job, error));
+  job.phase = 'done';
+}
+
+function recordError(job, message) {
+  job.errorCount += 1;
+  job.errors = [...job.errors, message].slice(-MAX_JOB_ERRORS);
+}
+
+function mergeRequestMetrics(job, batchMetrics) {
+  for (const [endpoint, batch] of Object.entries(batchMetrics)) {
+    const total = job.requestMetrics[endpoint];
+    if (!total) {
+      job.requestMetrics[endpoint] = { ...batch };
+      continue;
+    }
+
+    const requests = total.requests + batch.requests;
+    job.requestMetrics[endpoint] = {
+      requests,
+      retries: total.retries + batch.retries,
+      throttled: total.throttled + batch.throttled,
+      serverErrors: total.serverErrors + batch.serverErrors,
+      failures: total.failures + batch.failures,
+      totalWaitMs: total.totalWaitMs + batch.totalWaitMs,
+      averageDurationMs: requests > 0
+        ? Math.round((total.averageDurationMs * total.requests + batch.averageDurationMs * batch.requests) / requests)
+        : 0
+    };
+  }
+}
+
+function jobProgress(job) {
+  if (job.status === 'completed') {
+    return 1;
+  }
+
+  const phaseIndex = JOB_PHASES.indexOf(job.phase);
+  const issuesIndex = JOB_PHASES.indexOf('issues');
+  if (phaseIndex < issuesIndex) {
+    return 0;
+  }
+  if (phaseIndex === issuesIndex) {
+    const total = job.issuesTotal;
+    return total > 0 ? ISSUES_PROGRESS_SHARE * (job.cursor / total) : ISSUES_PROGRESS_SHARE;
+  }
+
+  // the steps after the issues split what is left evenly
+  const stepsAfterIssues = JOB_PHASES.length - 1 - issuesIndex;
+  return ISSUES_PROGRESS_SHARE + (1 - ISSUES_PROGRESS_SHARE) * ((phaseIndex - issuesIndex - 1) / stepsAfterIssues);
+}
+
+function isStale(job) {
+  return Date.now() - Date.parse(job.updatedAt) > STALE_JOB_MS;
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await cache.cacheScrapeJob(job.projectKey, job);
+}
+
+async function queueBatch(job) {
+  await scrapeQueue.push({ body: { projectKey: job.projectKey, jobId: job.id } });
+}
+
+/**
+ * a completed scrape has seen every change made before it started, so the
+ * scheduled refresh can carry on from there
+ */
+async function advanceRefreshWatermark(job) {
+  const watermark = await cache.getRefreshWatermark(job.projectKey);
+  if (!watermark || Date.parse(watermark) < Date.parse(job.startedAt)) {
+    await cache.cacheRefreshWatermark(job.projectKey, job.startedAt);
+  }
+}
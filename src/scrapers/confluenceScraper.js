@@ -87,7 +87,7 @@ export async function searchConfluencePages(query, spaceKey = null, maxResults =
 
 /**
  * gets detailed information about a specific confluence page
- * full content and metadata
+ * full content and metadata, plus the keywords picked out of the content
  * 
  * @param {string} pageId - confluence page id
  * @returns {Object|null} detailed page information
@@ -110,6 +110,7 @@ export async function scrapePageDetails(pageId) {
     }
 
     const page = await response.json();
+    const content = page.body?.storage?.value || '';
 
     return {
       id: page.id,
@@ -117,7 +118,9 @@ export async function scrapePageDetails(pageId) {
       type: page.type,
       spaceKey: page.space?.key,
       spaceName: page.space?.name,
-      content: page.body?.storage?.value || '',
+      url: page._links?.base && page._links?.webui ? `${page._links.base}${page._links.webui}` : null,
+      content: content,
+      keywords: extractKeywordsFromContent(content),
       labels: (page.metadata?.labels?.results || []).map(label => label.name),
       created: page.history?.createdDate,
       createdBy: page.history?.createdBy ? {
@@ -310,7 +313,8 @@ export async function scrapeUserPages(accountId, maxResults = 100) {
  */
 export function extractKeywordsFromContent(htmlContent) {
   try {
-    const text = (htmlContent || '').replace(/<[^>]*>/g, ' ');
+    // storage format escapes characters as entities, e.g. &nbsp;
+    const text = (htmlContent || '').replace(/<[^>]*>/g, ' ').replace(/&#?\w+;/g, ' ');
     const words = text.toLowerCase()
       .replace(/[^\w\s]/g, ' ')
       .split(/\s+/)
@@ -12,6 +12,16 @@ import * as cache from '../cache.js';
  * - workload patterns
  */
 
+/**
+ * most recent interaction dates kept per profile counter entry
+ */
+const MAX_INTERACTION_DATES = 50;
+
+/**
+ * most recently updated confluence pages kept per profile
+ */
+const MAX_CONFLUENCE_PAGES = 200;
+
 /**
  * processes and stores a single issue's data
  * extracts relevant features and stores them for algorithm use
@@ -59,6 +69,7 @@ export async function processIssue(issueData, worklogs = [], comments = []) {
       created: issueData.created || null,
       updated: issueData.updated || null,
       resolutionDate: issueData.resolutionDate || null,
+      dueDate: issueData.dueDate || null,
       timeTracking: issueData.timeTracking || null,
       worklogContributors: processWorklogs(Array.isArray(worklogs) ? worklogs : []),
       commentContributors: processComments(Array.isArray(comments) ? comments : []),
@@ -237,59 +248,125 @@ function isStopWord(word) {
  */
 async function updateUserProfilesFromIssue(issueData, worklogs, comments) {
   try {
-    const userProfiles = await cache.allUserProfiles();
+    const userProfiles = await loadUserProfiles(collectIssueAccountIds(issueData));
 
-    if (issueData.assignee && issueData.assignee.accountId) {
-      await updateUserProfile(
-        userProfiles,
-        issueData.assignee.accountId,
-        issueData.assignee.displayName || 'Unknown',
-        issueData,
-        'assigned'
-      );
-    }
+    applyIssueToProfiles(userProfiles, issueData);
 
-    for (const contributor of issueData.worklogContributors) {
-      if (!contributor || !contributor.accountId) continue;
-      await updateUserProfile(
-        userProfiles,
-        contributor.accountId,
-        contributor.displayName || 'Unknown',
-        issueData,
-        'worklogs',
-        Number(contributor.timeSpentSeconds) || 0
-      );
+    // only the profiles of people involved in this issue are written back,
+    // so concurrent updates for other issues are not overwritten
+    for (const profile of Object.values(userProfiles)) {
+      await cache.cacheUserProfile(profile);
     }
 
-    for (const commenter of issueData.commentContributors) {
-      if (!commenter || !commenter.accountId) continue;
-      await updateUserProfile(
+  } catch (error) {
+    console.error('error updating user profiles:', error);
+  }
+}
+
+/**
+ * builds user profiles out of processed issues without reading or writing
+ * storage. used to replay history, e.g. by the backtest.
+ * 
+ * @param {Array<Object>} processedIssues - processed issues, oldest first
+ * @param {Object} [userProfiles={}] - profiles to extend, updated in place
+ * @returns {Object} map of account id to profile
+ */
+export function buildUserProfiles(processedIssues, userProfiles = {}) {
+  for (const issueData of processedIssues) {
+    applyIssueToProfiles(userProfiles, issueData);
+  }
+
+  return userProfiles;
+}
+
+/**
+ * adds one issue to the profiles of everyone involved in it
+ * 
+ * @param {Object} userProfiles - map of account id to profile, updated in place
+ * @param {Object} issueData - processed issue data
+ */
+function applyIssueToProfiles(userProfiles, issueData) {
+  if (issueData.assignee && issueData.assignee.accountId) {
+    updateUserProfile(
+      userProfiles,
+      issueData.assignee.accountId,
+      issueData.assignee.displayName || 'Unknown',
+      issueData,
+      'assigned'
+    );
+  }
+
+  for (const contributor of issueData.worklogContributors || []) {
+    if (!contributor || !contributor.accountId) continue;
+    updateUserProfile(
+      userProfiles,
+      contributor.accountId,
+      contributor.displayName || 'Unknown',
+      issueData,
+      'worklogs',
+      Number(contributor.timeSpentSeconds) || 0
+    );
+  }
+
+  for (const commenter of issueData.commentContributors || []) {
+    if (!commenter || !commenter.accountId) continue;
+    updateUserProfile(
+      userProfiles,
+      commenter.accountId,
+      commenter.displayName || 'Unknown',
+      issueData,
+      'comments',
+      Number(commenter.commentCount) || 0
+    );
+  }
+
+  for (const assignee of issueData.historicalAssignees || []) {
+    if (assignee && assignee.accountId) {
+      updateUserProfile(
         userProfiles,
-        commenter.accountId,
-        commenter.displayName || 'Unknown',
+        assignee.accountId,
+        assignee.displayName || 'Unknown',
         issueData,
-        'comments',
-        Number(commenter.commentCount) || 0
+        'historical'
       );
     }
+  }
+}
 
-    for (const assignee of issueData.historicalAssignees) {
-      if (assignee && assignee.accountId) {
-        await updateUserProfile(
-          userProfiles,
-          assignee.accountId,
-          assignee.displayName || 'Unknown',
-          issueData,
-          'historical'
-        );
-      }
-    }
+/**
+ * collects the account ids of everyone involved in an issue
+ * 
+ * @param {Object} issueData - processed issue data
+ * @returns {Array<string>} unique account ids
+ */
+function collectIssueAccountIds(issueData) {
+  const people = [
+    issueData.assignee,
+    ...issueData.worklogContributors,
+    ...issueData.commentContributors,
+    ...issueData.historicalAssignees
+  ];
+
+  return [...new Set(people.filter(person => person && person.accountId).map(person => person.accountId))];
+}
 
-    await cache.updateAllUserProfiles(userProfiles);
+/**
+ * loads the cached profiles for the given accounts
+ * 
+ * @param {Array<string>} accountIds - account ids to load
+ * @returns {Object} map of account id to profile, omitting uncached accounts
+ */
+async function loadUserProfiles(accountIds) {
+  const userProfiles = {};
 
-  } catch (error) {
-    console.error('error updating user profiles:', error);
+  for (const accountId of accountIds) {
+    const profile = await cache.getUserProfile(accountId);
+    if (profile) {
+      userProfiles[accountId] = profile;
+    }
   }
+
+  return userProfiles;
 }
 
 /**
@@ -302,7 +379,7 @@ async function updateUserProfilesFromIssue(issueData, worklogs, comments) {
  * @param {string} interactionType - type of interaction (assigned, worklogs, comments, historical)
  * @param {number} value - additional value (time spent, comment count, etc.)
  */
-async function updateUserProfile(userProfiles, accountId, displayName, issueData, interactionType, value = 1) {
+function updateUserProfile(userProfiles, accountId, displayName, issueData, interactionType, value = 1) {
   if (!accountId) return;
 
   if (!userProfiles[accountId]) {
@@ -318,6 +395,7 @@ async function updateUserProfile(userProfiles, accountId, displayName, issueData
       issueTypes: {},
       epics: {},
       parents: {},
+      interactionDates: {},
       totalTimeSpent: 0,
       totalComments: 0
     };
@@ -333,7 +411,7 @@ async function updateUserProfile(userProfiles, accountId, displayName, issueData
   profile.issueTypes = profile.issueTypes ?? {};
   profile.epics = profile.epics ?? {};
   profile.parents = profile.parents ?? {};
-
+  profile.interactionDates = profile.interactionDates ?? {};
 
   if (interactionType === 'assigned' && !profile.assignedIssues.includes(issueData.key)) {
     profile.assignedIssues.push(issueData.key);
@@ -347,42 +425,78 @@ async function updateUserProfile(userProfiles, accountId, displayName, issueData
     profile.historicalIssues.push(issueData.key);
   }
 
+  const occurredAt = interactionDate(issueData);
+
   const labels = Array.isArray(issueData.labels) ? issueData.labels : [];
   labels.forEach(label => {
     const k = typeof label === 'string' ? label : String(label);
-    profile.labels[k] = (profile.labels[k] || 0) + 1;
+    incrementCounter(profile, 'labels', k, occurredAt);
   });
 
   const components = Array.isArray(issueData.components) ? issueData.components : [];
   components.forEach(component => {
     const k = typeof component === 'string' ? component : (component && component.name) ? component.name : 'Unknown';
-    profile.components[k] = (profile.components[k] || 0) + 1;
+    incrementCounter(profile, 'components', k, occurredAt);
   });
 
   if (issueData.issueType) {
     const t = typeof issueData.issueType === 'string' ? issueData.issueType
       : issueData.issueType.name ? issueData.issueType.name
       : String(issueData.issueType);
-    profile.issueTypes[t] = (profile.issueTypes[t] || 0) + 1;
+    incrementCounter(profile, 'issueTypes', t, occurredAt);
   }
 
   if (issueData.epic) {
     const epicKey = typeof issueData.epic === 'string' ? issueData.epic
       : issueData.epic.key ? issueData.epic.key
       : 'Unknown';
-    profile.epics[epicKey] = (profile.epics[epicKey] || 0) + 1;
+    incrementCounter(profile, 'epics', epicKey, occurredAt);
   }
 
   if (issueData.parent) {
     const parentKey = typeof issueData.parent === 'string' ? issueData.parent
       : issueData.parent.key ? issueData.parent.key
       : 'Unknown';
-    profile.parents[parentKey] = (profile.parents[parentKey] || 0) + 1;
+    incrementCounter(profile, 'parents', parentKey, occurredAt);
   }
 }
 
+/**
+ * increments a profile counter and records when the interaction happened so
+ * the scoring can decay old experience. only the most recent dates are kept
+ * per entry to bound the profile size.
+ * 
+ * @param {Object} profile - user profile
+ * @param {string} counter - counter name (labels, components, issueTypes, epics, parents)
+ * @param {string} key - counter entry
+ * @param {string|null} occurredAt - ISO date of the interaction
+ */
+function incrementCounter(profile, counter, key, occurredAt) {
+  profile[counter][key] = (profile[counter][key] || 0) + 1;
+
+  if (!occurredAt) return;
+
+  const datesByKey = profile.interactionDates[counter] ?? (profile.interactionDates[counter] = {});
+  const dates = Array.isArray(datesByKey[key]) ? datesByKey[key] : [];
+  dates.push(occurredAt);
+  dates.sort((a, b) => Date.parse(b) - Date.parse(a));
+  datesByKey[key] = dates.slice(0, MAX_INTERACTION_DATES);
+}
+
+/**
+ * picks the date that best reflects when someone last worked on an issue
+ * 
+ * @param {Object} issueData - processed issue data
+ * @returns {string|null} ISO date, or null if the issue has none
+ */
+function interactionDate(issueData) {
+  return issueData.resolutionDate || issueData.updated || issueData.created || null;
+}
+
 /**
  * processes and stores confluence page data in user profiles
+ * each contributor's profile keeps the page with its keywords so scoring can
+ * match it against issue text; a page scraped again replaces its old entry
  * 
  * @param {Object} pageData - page data from scrapePageDetails
  * @param {Array} contributors - contributors from scrapePageContributors
@@ -396,7 +510,8 @@ export async function processConfluencePage(pageData, contributors = []) {
 
     console.log(`processing confluence page: ${pageData.title || pageData.id}`);
 
-    const userProfiles = await cache.allUserProfiles();
+    const accountIds = [...new Set(contributors.filter(c => c && c.accountId).map(c => c.accountId))];
+    const userProfiles = await loadUserProfiles(accountIds);
 
     for (const contributor of contributors) {
       const accountId = contributor && contributor.accountId ? contributor.accountId : null;
@@ -415,6 +530,7 @@ export async function processConfluencePage(pageData, contributors = []) {
           issueTypes: {},
           epics: {},
           parents: {},
+          interactionDates: {},
           totalTimeSpent: 0,
           totalComments: 0,
           confluencePages: []
@@ -423,24 +539,31 @@ export async function processConfluencePage(pageData, contributors = []) {
 
       const profile = userProfiles[accountId];
 
-      if (!Array.isArray(profile.confluencePages)) {
-        profile.confluencePages = [];
-      }
-
-      const exists = profile.confluencePages.some(p => p && p.id === pageData.id);
-      if (!exists) {
-        profile.confluencePages.push({
-          id: pageData.id,
-          title: pageData.title || '',
-          spaceKey: pageData.spaceKey || '',
-          labels: Array.isArray(pageData.labels) ? pageData.labels : [],
-          contributionCount: Number(contributor.contributionCount) || 0,
-          isCreator: Boolean(contributor.isCreator)
-        });
-      }
+      const pages = Array.isArray(profile.confluencePages)
+        ? profile.confluencePages.filter(p => p && p.id !== pageData.id)
+        : [];
+
+      pages.push({
+        id: pageData.id,
+        title: pageData.title || '',
+        spaceKey: pageData.spaceKey || '',
+        url: pageData.url || null,
+        labels: Array.isArray(pageData.labels) ? pageData.labels : [],
+        keywords: Array.isArray(pageData.keywords) ? pageData.keywords : [],
+        lastUpdated: pageData.lastUpdated || pageData.created || null,
+        contributionCount: Number(contributor.contributionCount) || 0,
+        isCreator: Boolean(contributor.isCreator)
+      });
+
+      // keep the most recently updated pages to bound the profile size
+      pages.sort((a, b) => (Date.parse(b.lastUpdated) || 0) - (Date.parse(a.lastUpdated) || 0));
+      profile.confluencePages = pages.slice(0, MAX_CONFLUENCE_PAGES);
     }
 
-    await cache.cacheUserProfile(profile);
+    // only the contributors' profiles are written back, as for issues
+    for (const profile of Object.values(userProfiles)) {
+      await cache.cacheUserProfile(profile);
+    }
 
     console.log(`successfully processed confluence page: ${pageData.title || pageData.id}`);
   } catch (error) {
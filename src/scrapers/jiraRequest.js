@@ -0,0 +1,201 @@
+import api from '@forge/api';
+
+/**
+ * jira request layer
+ *
+ * scrapers send their jira requests through here instead of calling
+ * requestJira directly. throttled requests wait for as long as jira's
+ * retry-after header asks, server errors and network failures are retried
+ * with jittered exponential backoff, only a few requests run at once, and
+ * every attempt is counted per endpoint so scrape stats can show where the
+ * time and the failures went.
+ */
+
+/**
+ * retries after the first attempt; a request is tried at most four times.
+ */
+export const MAX_RETRIES = 3;
+
+/**
+ * backoff before the first retry, doubled for each further retry.
+ */
+export const BASE_RETRY_DELAY_MS = 500;
+
+/**
+ * longest single wait, including waits asked for by retry-after, so a
+ * scrape cannot sleep through the function's time limit.
+ */
+export const MAX_RETRY_DELAY_MS = 10000;
+
+/**
+ * jira requests allowed in flight at once; further requests queue.
+ */
+export const MAX_CONCURRENT_REQUESTS = 4;
+
+const metrics = new Map();
+const waiting = [];
+let activeRequests = 0;
+
+/**
+ * sends a jira request, retrying throttled and failed attempts
+ *
+ * @param {Object|string} path - route built with the forge route tag
+ * @param {Object} [init={}] - fetch options passed to requestJira
+ * @param {Object} [options]
+ * @param {boolean} [options.asUser=false] - send with the current user's
+ * permissions instead of the app's
+ * @returns {Promise<Object>} the final response; still not ok when every
+ * attempt failed or the error cannot be retried
+ */
+export async function requestJira(path, init = {}, { asUser = false } = {}) {
+  const endpoint = endpointName(path, init.method);
+  const requester = asUser ? api.asUser() : api.asApp();
+
+  await acquireSlot();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+      let response = null;
+      let error = null;
+      try {
+        response = await requester.requestJira(path, init);
+      } catch (err) {
+        error = err;
+      }
+
+      const status = response ? response.status : null;
+      const retryable = error !== null || status === 429 || status >= 500;
+      recordAttempt(endpoint, status, Date.now() - startedAt);
+
+      if (!retryable || attempt >= MAX_RETRIES) {
+        if (error || !response?.ok) {
+          metricsFor(endpoint).failures += 1;
+        }
+        if (error) {
+          throw error;
+        }
+        return response;
+      }
+
+      const delayMs = status === 429
+        ? retryAfterMs(response) ?? backoffMs(attempt)
+        : backoffMs(attempt);
+      console.log(`jira ${endpoint} ${error ? `failed (${error.message})` : `responded ${status}`}, retrying in ${delayMs}ms`);
+      recordRetry(endpoint, delayMs);
+      await sleep(delayMs);
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * per endpoint counts of the requests sent since the last reset. requests
+ * counts every attempt; failures counts requests that were still failing
+ * once retries ran out or could not help.
+ *
+ * @returns {Object} endpoint -> { requests, retries, throttled, serverErrors,
+ * failures, totalWaitMs, averageDurationMs }
+ */
+export function getRequestMetrics() {
+  const result = {};
+  for (const [endpoint, entry] of metrics) {
+    const { totalDurationMs, ...counts } = entry;
+    result[endpoint] = {
+      ...counts,
+      averageDurationMs: entry.requests > 0 ? Math.round(totalDurationMs / entry.requests) : 0
+    };
+  }
+  return result;
+}
+
+/**
+ * clears the request metrics, e.g. at the start of a scrape
+ */
+export function resetRequestMetrics() {
+  metrics.clear();
+}
+
+/**
+ * groups requests by method and path, with issue keys and numeric ids
+ * replaced so every issue's worklog request lands on the same endpoint.
+ */
+function endpointName(path, method = 'GET') {
+  const url = typeof path === 'string' ? path : path?.value || String(path);
+  const segments = url.split('?')[0].split('/');
+  const pathname = segments
+    .map((segment, idx) => {
+      // the segment after /api/ is the api version, not an id
+      if (segments[idx - 1] === 'api') return segment;
+      return /^\d+$/.test(segment) || /^[A-Z][A-Z0-9_]*-\d+$/.test(segment) ? '{id}' : segment;
+    })
+    .join('/');
+  return `${method.toUpperCase()} ${pathname}`;
+}
+
+/**
+ * retry-after is either a number of seconds or an http date; null when the
+ * header is missing or unreadable.
+ */
+function retryAfterMs(response) {
+  const header = response.headers?.get?.('Retry-After');
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  if (Number.isNaN(delayMs)) {
+    return null;
+  }
+  return Math.min(MAX_RETRY_DELAY_MS, Math.max(0, Math.round(delayMs)));
+}
+
+function backoffMs(attempt) {
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+  // half fixed, half random, so parallel requests do not retry in lockstep
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function metricsFor(endpoint) {
+  if (!metrics.has(endpoint)) {
+    metrics.set(endpoint, { requests: 0, retries: 0, throttled: 0, serverErrors: 0, failures: 0, totalDurationMs: 0, totalWaitMs: 0 });
+  }
+  return metrics.get(endpoint);
+}
+
+function recordAttempt(endpoint, status, durationMs) {
+  const entry = metricsFor(endpoint);
+  entry.requests += 1;
+  entry.totalDurationMs += durationMs;
+  if (status === 429) entry.throttled += 1;
+  if (status >= 500) entry.serverErrors += 1;
+}
+
+function recordRetry(endpoint, delayMs) {
+  const entry = metricsFor(endpoint);
+  entry.retries += 1;
+  entry.totalWaitMs += delayMs;
+}
+
+async function acquireSlot() {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests += 1;
+    return;
+  }
+  // the releasing request hands its slot straight to the next in line
+  await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests -= 1;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
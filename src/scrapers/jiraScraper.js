@@ -1,4 +1,6 @@
-import api, { route } from '@forge/api';
+import { route } from '@forge/api';
+import { requestJira } from './jiraRequest.js';
+import { searchIssues } from './jiraSearch.js';
 
 /**
  * jira data scraper
@@ -11,6 +13,29 @@ import api, { route } from '@forge/api';
  * - worklogs and time tracking
  */
 
+/**
+ * issues fetched per bulk request, the most jira's bulk fetch accepts.
+ */
+export const BULK_FETCH_SIZE = 100;
+
+/**
+ * change histories requested per page of the bulk changelog endpoint.
+ */
+export const CHANGELOG_PAGE_SIZE = 1000;
+
+/**
+ * comments requested per page, the most the comments endpoint returns.
+ */
+export const COMMENT_PAGE_SIZE = 100;
+
+// every field normaliseIssue reads, plus the first page of worklogs and
+// comments, so bulk and single fetches cache the same data
+const BULK_ISSUE_FIELDS = [
+  'summary', 'description', 'labels', 'components', 'priority', 'status', 'issuetype',
+  'assignee', 'reporter', 'parent', 'epic', 'created', 'updated', 'resolutiondate', 'duedate',
+  'timeoriginalestimate', 'timeestimate', 'timespent', 'worklog', 'comment'
+];
+
 /**
  * fetches all users in a project who can be assigned to issues
  * 
@@ -25,7 +50,7 @@ export async function scrapeAssignableUsers(projectKey) {
       return [];
     }
 
-    const res = await api.asApp().requestJira(
+    const res = await requestJira(
       route`/rest/api/3/user/assignable/search?project=${encodeURIComponent(projectKey)}&maxResults=1000`
     );
 
@@ -63,8 +88,8 @@ export async function scrapeIssueDetails(issueKey) {
       return null;
     }
 
-    const res = await api.asApp().requestJira(
-      route`/rest/api/3/issue/${issueKey}`
+    const res = await requestJira(
+      route`/rest/api/3/issue/${issueKey}?expand=changelog`
     );
 
     if (!res.ok) {
@@ -73,45 +98,7 @@ export async function scrapeIssueDetails(issueKey) {
     }
 
     const issue = await res.json();
-    const f = issue.fields || {};
-
-    return {
-      key: issue.key,
-      id: issue.id,
-      summary: f.summary || '',
-      description: f.description || '',
-      labels: Array.isArray(f.labels) ? f.labels : [],
-      components: Array.isArray(f.components) ? f.components.map(c => c && c.name ? c.name : String(c)) : [],
-      priority: f.priority?.name || null,
-      status: f.status?.name || null,
-      issueType: f.issuetype?.name || null,
-      assignee: f.assignee ? {
-        accountId: f.assignee.accountId,
-        displayName: f.assignee.displayName
-      } : null,
-      reporter: f.reporter ? {
-        accountId: f.reporter.accountId,
-        displayName: f.reporter.displayName
-      } : null,
-      parent: f.parent ? {
-        key: f.parent.key,
-        summary: f.parent.fields?.summary || ''
-      } : null,
-      // epic can vary by scheme; keep optional
-      epic: f.epic ? {
-        key: f.epic.key,
-        name: f.epic.name
-      } : null,
-      created: f.created || null,
-      updated: f.updated || null,
-      resolutionDate: f.resolutiondate || null,
-      timeTracking: {
-        originalEstimate: f.timeoriginalestimate || 0,
-        remainingEstimate: f.timeestimate || 0,
-        timeSpent: f.timespent || 0
-      },
-      changelog: Array.isArray(issue.changelog?.histories) ? issue.changelog.histories : []
-    };
+    return normaliseIssue(issue, issue.changelog?.histories);
   } catch (error) {
     console.error(`error scraping issue ${issueKey}:`, error);
     return null;
@@ -132,7 +119,7 @@ export async function scrapeIssueWorklogs(issueKey) {
       return [];
     }
 
-    const res = await api.asApp().requestJira(
+    const res = await requestJira(
       route`/rest/api/3/issue/${issueKey}/worklog`
     );
 
@@ -144,16 +131,7 @@ export async function scrapeIssueWorklogs(issueKey) {
     const data = await res.json();
     const worklogs = Array.isArray(data.worklogs) ? data.worklogs : [];
 
-    return worklogs.map(log => ({
-      author: {
-        accountId: log.author?.accountId || null,
-        displayName: log.author?.displayName || 'Unknown'
-      },
-      timeSpentSeconds: Number(log.timeSpentSeconds) || 0,
-      created: log.created || null,
-      updated: log.updated || null,
-      comment: log.comment || ''
-    }));
+    return worklogs.map(normaliseWorklog);
   } catch (error) {
     console.error(`error scraping worklogs for ${issueKey}:`, error);
     return [];
@@ -174,27 +152,26 @@ export async function scrapeIssueComments(issueKey) {
       return [];
     }
 
-    const res = await api.asApp().requestJira(
-      route`/rest/api/3/issue/${issueKey}/comment`
-    );
+    const comments = [];
+    let total = 0;
+    do {
+      const res = await requestJira(
+        route`/rest/api/3/issue/${issueKey}/comment?startAt=${comments.length}&maxResults=${COMMENT_PAGE_SIZE}`
+      );
 
-    if (!res.ok) {
-      console.error(`failed to fetch comments for ${issueKey}:`, await res.text());
-      return [];
-    }
+      if (!res.ok) {
+        console.error(`failed to fetch comments for ${issueKey}:`, await res.text());
+        return [];
+      }
 
-    const data = await res.json();
-    const comments = Array.isArray(data.comments) ? data.comments : [];
+      const data = await res.json();
+      const page = Array.isArray(data.comments) ? data.comments : [];
+      comments.push(...page);
 
-    return comments.map(c => ({
-      author: {
-        accountId: c.author?.accountId || null,
-        displayName: c.author?.displayName || 'Unknown'
-      },
-      body: c.body || '',
-      created: c.created || null,
-      updated: c.updated || null
-    }));
+      total = page.length > 0 ? Number(data.total) || 0 : 0;
+    } while (comments.length < total);
+
+    return comments.map(normaliseComment);
   } catch (error) {
     console.error(`error scraping comments for ${issueKey}:`, error);
     return [];
@@ -202,53 +179,148 @@ export async function scrapeIssueComments(issueKey) {
 }
 
 /**
- * searches for issues in a project using jql
- * bulk scrapes historical issue keys
- * 
- * @param {string} projectKey - jira project key
- * @param {number} maxResults - maximum number of issues to retrieve
- * @returns {Array} array of issue keys
+ * fetches many issues with their full changelog, worklogs and comments in a
+ * few requests: one bulk fetch per 100 issues, which carries the first page
+ * of worklogs and comments, and the bulk changelog endpoint for the change
+ * histories. only issues with more worklogs or comments than fit on that
+ * first page need requests of their own.
+ *
+ * @param {Array<string>} issueKeys - jira issue keys
+ * @returns {Array<{ issueData: Object, worklogs: Array, comments: Array }>}
+ * entries shaped like scrapeIssueDetails, scrapeIssueWorklogs and
+ * scrapeIssueComments; issues that could not be fetched are left out
  */
-export async function scrapeProjectIssues(projectKey, maxResults = 1000) {
-  try {
-    console.log(`scraping issues for project: ${projectKey}`);
-
-    if (!projectKey || typeof projectKey !== 'string') {
-      return [];
+export async function scrapeIssuesBulk(issueKeys) {
+  const keys = [...new Set((Array.isArray(issueKeys) ? issueKeys : []).filter(key => key && typeof key === 'string'))];
+  console.log(`bulk scraping ${keys.length} issues`);
+
+  const results = [];
+  for (let start = 0; start < keys.length; start += BULK_FETCH_SIZE) {
+    const chunk = keys.slice(start, start + BULK_FETCH_SIZE);
+    try {
+      results.push(...await scrapeIssueChunk(chunk));
+    } catch (error) {
+      console.error(`error bulk scraping issues ${chunk[0]} to ${chunk[chunk.length - 1]}:`, error);
     }
+  }
+
+  return results;
+}
+
+async function scrapeIssueChunk(issueKeys) {
+  const res = await requestJira(route`/rest/api/3/issue/bulkfetch`, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ issueIdsOrKeys: issueKeys, fields: BULK_ISSUE_FIELDS })
+  });
+
+  if (!res.ok) {
+    const txt = await res.text();
+    throw new Error(`bulk issue fetch failed with status ${res.status}: ${txt}`);
+  }
 
-    const all = [];
+  const data = await res.json();
+  const issues = Array.isArray(data.issues) ? data.issues : [];
+  const histories = await scrapeChangelogsBulk(issues.map(issue => issue.id));
 
-    const jql = `project = ${projectKey} ORDER BY created DESC`;
+  const results = [];
+  for (const issue of issues) {
+    const f = issue.fields || {};
+    const worklogs = embeddedEntries(f.worklog, 'worklogs');
+    const comments = embeddedEntries(f.comment, 'comments');
+    results.push({
+      issueData: normaliseIssue(issue, histories.get(String(issue.id))),
+      worklogs: worklogs ? worklogs.map(normaliseWorklog) : await scrapeIssueWorklogs(issue.key),
+      comments: comments ? comments.map(normaliseComment) : await scrapeIssueComments(issue.key)
+    });
+  }
+
+  // keep the order the keys were asked for in
+  const order = new Map(issueKeys.map((key, idx) => [key, idx]));
+  return results.sort((a, b) => (order.get(a.issueData.key) ?? Infinity) - (order.get(b.issueData.key) ?? Infinity));
+}
+
+/**
+ * follows nextPageToken on the bulk changelog endpoint
+ *
+ * @param {Array<string>} issueIds - jira issue ids
+ * @returns {Promise<Map<string, Array>>} issue id -> change histories
+ */
+async function scrapeChangelogsBulk(issueIds) {
+  const histories = new Map();
+  if (issueIds.length === 0) {
+    return histories;
+  }
 
-    const res = await api.asApp().requestJira(route`/rest/api/3/search/jql`, {
+  let nextPageToken;
+  do {
+    const res = await requestJira(route`/rest/api/3/changelog/bulkfetch`, {
       method: 'POST',
       headers: {
         'Accept': 'application/json',
         'Content-Type': 'application/json'
       },
-      body: `{
-        "fields": ["key"],
-        "jql": "${jql}",
-        "maxResults": 5000
-      }`
+      body: JSON.stringify({ issueIdsOrKeys: issueIds, maxResults: CHANGELOG_PAGE_SIZE, nextPageToken })
     });
 
     if (!res.ok) {
-      console.error(res.status);
-      console.error(await res.text());
-      throw new Error (`failed to fetch issues`);
+      const txt = await res.text();
+      throw new Error(`bulk changelog fetch failed with status ${res.status}: ${txt}`);
     }
 
     const data = await res.json();
-    const issues = Array.isArray(data.issues) ? data.issues : [];
+    const changelogs = Array.isArray(data.issueChangeLogs) ? data.issueChangeLogs : [];
+    for (const changelog of changelogs) {
+      const id = String(changelog.issueId);
+      const page = Array.isArray(changelog.changeHistories) ? changelog.changeHistories : [];
+      histories.set(id, [...(histories.get(id) || []), ...page]);
+    }
+
+    nextPageToken = changelogs.length > 0 ? data.nextPageToken : undefined;
+  } while (nextPageToken);
+
+  return histories;
+}
+
+/**
+ * the worklog and comment fields hold only the first page. returns the
+ * embedded entries when that page is all there is, [] when the field is
+ * missing (e.g. time tracking is off), and null when the rest must be fetched.
+ */
+function embeddedEntries(container, listName) {
+  if (!container) return [];
+  const entries = container[listName];
+  if (!Array.isArray(entries) || entries.length < (Number(container.total) || 0)) {
+    return null;
+  }
+  return entries;
+}
 
-    all.push(...issues.map(i => i.key));
+/**
+ * searches for issues in a project using jql
+ * bulk scrapes historical issue keys
+ * 
+ * @param {string} projectKey - jira project key
+ * @param {number} maxResults - maximum number of issues to retrieve
+ * @returns {Array} array of issue keys
+ */
+export async function scrapeProjectIssues(projectKey, maxResults = 1000) {
+  try {
+    console.log(`scraping issues for project: ${projectKey}`);
 
-    console.log(`retrieved ${all.length} issues so far`);
+    if (!projectKey || typeof projectKey !== 'string') {
+      return [];
+    }
+
+    const jql = `project = ${projectKey} ORDER BY created DESC`;
+    const issues = await searchIssues(jql, { fields: ['key'], maxResults });
+    const all = issues.map(i => i.key);
 
     console.log(`total issues scraped: ${all.length}`);
-    return all.slice(0, maxResults);
+    return all;
   } catch (error) {
     console.error('error scraping project issues:', error);
     return [];
@@ -277,20 +349,7 @@ export async function scrapeUserAssignedIssues(accountId, projectKey = null, max
     }
     jql += ' ORDER BY updated DESC';
 
-    const encodedJql = encodeURIComponent(jql);
-    const limit = Math.max(1, Math.min(maxResults || 500, 1000)); // allow bigger page if server supports, api will cap
-
-    const res = await api.asApp().requestJira(
-      route`/rest/api/3/search?jql=${encodedJql}&maxResults=${limit}&fields=key`
-    );
-
-    if (!res.ok) {
-      console.error(`failed to fetch issues for user ${accountId}:`, await res.text());
-      return [];
-    }
-
-    const data = await res.json();
-    const issues = Array.isArray(data.issues) ? data.issues : [];
+    const issues = await searchIssues(jql, { fields: ['key'], maxResults });
 
     console.log(`found ${issues.length} issues assigned to user`);
     return issues.map(i => i.key);
@@ -320,26 +379,7 @@ export async function scrapeUserWorkload(accountId, projectKey = null) {
       jql += ` AND project = ${projectKey}`;
     }
 
-    const res = await api.asApp().requestJira(route`/rest/api/3/search/jql`, {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      },
-      body: `{
-        "fields": ["status", "priority", "labels"],
-        "jql": "${jql}",
-        "maxResults": 5000
-      }`
-    });
-
-    if (!res.ok) {
-      console.error(`failed to fetch workload for user ${accountId}:`, await res.text());
-      return { totalIssues: 0, statusBreakdown: {}, priorityBreakdown: {}, totalEstimateSeconds: 0 };
-    }
-
-    const data = await res.json();
-    const issues = Array.isArray(data.issues) ? data.issues : [];
+    const issues = await searchIssues(jql, { fields: ['status', 'priority', 'labels', 'timeestimate'] });
 
     const statusBreakdown = {};
     const priorityBreakdown = {};
@@ -354,7 +394,7 @@ export async function scrapeUserWorkload(accountId, projectKey = null) {
     }
 
     return {
-      totalIssues: data.total || issues.length,
+      totalIssues: issues.length,
       statusBreakdown,
       priorityBreakdown,
       totalEstimateSeconds: totalEstimate
@@ -380,22 +420,7 @@ export async function scrapeProjectEpics(projectKey) {
     }
 
     const jql = `project = ${projectKey} AND type = Epic ORDER BY created DESC`;
-    const res = await api.asApp().requestJira(
-      route`/rest/api/3/search/jql?jql=${jql}&maxResults=1000&fields=key,summary,status,assignee,labels`,
-      {
-        headers: {
-          'Accept': 'application/json'
-        }
-      }
-    );
-
-    if (!res.ok) {
-      console.error('failed to fetch epics:', await res.text());
-      return [];
-    }
-
-    const data = await res.json();
-    const issues = Array.isArray(data.issues) ? data.issues : [];
+    const issues = await searchIssues(jql, { fields: ['key', 'summary', 'status', 'assignee', 'labels'] });
 
     return issues.map(epic => ({
       key: epic.key,
@@ -413,6 +438,12 @@ export async function scrapeProjectEpics(projectKey) {
   }
 }
 
+/**
+ * most labelled issues read when collecting a project's labels; labels in
+ * use are nearly always found among the newest issues.
+ */
+export const MAX_LABEL_SCAN_ISSUES = 5000;
+
 /**
  * scrapes all unique labels used in a project
  *
@@ -429,22 +460,7 @@ export async function scrapeProjectLabels(projectKey) {
 
     // Fetch all issues with labels in the project
     const jql = `project = ${projectKey} AND labels is not EMPTY ORDER BY created DESC`;
-    const res = await api.asApp().requestJira(
-      route`/rest/api/3/search/jql?jql=${jql}&maxResults=1000&fields=labels`,
-      {
-        headers: {
-          'Accept': 'application/json'
-        }
-      }
-    );
-
-    if (!res.ok) {
-      console.error('failed to fetch labels:', await res.text());
-      return [];
-    }
-
-    const data = await res.json();
-    const issues = Array.isArray(data.issues) ? data.issues : [];
+    const issues = await searchIssues(jql, { fields: ['labels'], maxResults: MAX_LABEL_SCAN_ISSUES });
 
     // Collect all unique labels
     const labelSet = new Set();
@@ -468,3 +484,71 @@ export async function scrapeProjectLabels(projectKey) {
     return [];
   }
 }
+
+function normaliseIssue(issue, histories) {
+  const f = issue.fields || {};
+
+  return {
+    key: issue.key,
+    id: issue.id,
+    summary: f.summary || '',
+    description: f.description || '',
+    labels: Array.isArray(f.labels) ? f.labels : [],
+    components: Array.isArray(f.components) ? f.components.map(c => c && c.name ? c.name : String(c)) : [],
+    priority: f.priority?.name || null,
+    status: f.status?.name || null,
+    issueType: f.issuetype?.name || null,
+    assignee: f.assignee ? {
+      accountId: f.assignee.accountId,
+      displayName: f.assignee.displayName
+    } : null,
+    reporter: f.reporter ? {
+      accountId: f.reporter.accountId,
+      displayName: f.reporter.displayName
+    } : null,
+    parent: f.parent ? {
+      key: f.parent.key,
+      summary: f.parent.fields?.summary || ''
+    } : null,
+    // epic can vary by scheme; keep optional
+    epic: f.epic ? {
+      key: f.epic.key,
+      name: f.epic.name
+    } : null,
+    created: f.created || null,
+    updated: f.updated || null,
+    resolutionDate: f.resolutiondate || null,
+    dueDate: f.duedate || null,
+    timeTracking: {
+      originalEstimate: f.timeoriginalestimate || 0,
+      remainingEstimate: f.timeestimate || 0,
+      timeSpent: f.timespent || 0
+    },
+    changelog: Array.isArray(histories) ? histories : []
+  };
+}
+
+function normaliseWorklog(log) {
+  return {
+    author: {
+      accountId: log.author?.accountId || null,
+      displayName: log.author?.displayName || 'Unknown'
+    },
+    timeSpentSeconds: Number(log.timeSpentSeconds) || 0,
+    created: log.created || null,
+    updated: log.updated || null,
+    comment: log.comment || ''
+  };
+}
+
+function normaliseComment(c) {
+  return {
+    author: {
+      accountId: c.author?.accountId || null,
+      displayName: c.author?.displayName || 'Unknown'
+    },
+    body: c.body || '',
+    created: c.created || null,
+    updated: c.updated || null
+  };
+}
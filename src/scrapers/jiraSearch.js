@@ -0,0 +1,69 @@
+import { route } from '@forge/api';
+import { requestJira } from './jiraRequest.js';
+
+/**
+ * jira search client
+ *
+ * every jql search in the app goes through here. results are fetched from
+ * /rest/api/3/search/jql a page at a time by following nextPageToken, so
+ * large projects are no longer cut off at whatever maxResults a single
+ * request happened to ask for.
+ */
+
+/**
+ * issues requested per page; jira caps pages lower when many fields are
+ * selected, and the token loop copes with that either way.
+ */
+export const SEARCH_PAGE_SIZE = 100;
+
+/**
+ * runs a jql search and returns every matching issue, up to an optional cap
+ *
+ * @param {string} jql - jql query
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields=['key']] - issue fields to return
+ * @param {number|null} [options.maxResults=null] - stop after this many
+ * issues; null fetches them all
+ * @param {boolean} [options.asUser=false] - search with the current user's
+ * permissions instead of the app's
+ * @returns {Promise<Array<Object>>} issues as returned by jira
+ */
+export async function searchIssues(jql, { fields = ['key'], maxResults = null, asUser = false } = {}) {
+  if (!jql || typeof jql !== 'string') {
+    throw new Error('jql is required to search issues');
+  }
+
+  const cap = Number.isFinite(maxResults) && maxResults > 0 ? Math.floor(maxResults) : Infinity;
+  const issues = [];
+  let nextPageToken;
+
+  do {
+    const pageSize = Math.min(SEARCH_PAGE_SIZE, cap - issues.length);
+    const res = await requestJira(route`/rest/api/3/search/jql`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ jql, fields, maxResults: pageSize, nextPageToken })
+    }, { asUser });
+
+    if (!res.ok) {
+      const txt = await res.text();
+      throw new Error(`jira search failed with status ${res.status}: ${txt}`);
+    }
+
+    const data = await res.json();
+    const page = Array.isArray(data.issues) ? data.issues : [];
+    issues.push(...page);
+
+    // an empty page that still hands back a token would loop forever
+    nextPageToken = page.length > 0 ? data.nextPageToken : undefined;
+  } while (nextPageToken && issues.length < cap);
+
+  if (nextPageToken) {
+    console.log(`jira search stopped at ${cap} issues for: ${jql}`);
+  }
+
+  return issues.slice(0, cap);
+}
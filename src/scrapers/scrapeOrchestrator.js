@@ -1,8 +1,10 @@
-import api, { route } from '@forge/api';
 import * as jiraScraper from './jiraScraper.js';
+import * as jiraSearch from './jiraSearch.js';
+import * as jiraRequest from './jiraRequest.js';
 import * as confluenceScraper from './confluenceScraper.js';
 import * as dataProcessor from './dataProcessor.js';
 import * as cache from '../cache.js';
+import { loadProjectConfluenceSettings } from '../assignment/confluence.js';
 
 /**
  * scrape orchestrator
@@ -22,7 +24,7 @@ export async function scrapeFullProject(projectKey, options = {}) {
   const {
     maxIssues = 1000,
     includeConfluence = true,
-    confluenceSpaceKey = null,
+    confluenceSpaceKeys = null,
     clearExistingData = false
   } = options;
 
@@ -36,9 +38,12 @@ export async function scrapeFullProject(projectKey, options = {}) {
     usersScraped: 0,
     epicsScraped: 0,
     confluencePagesScraped: 0,
-    errors: []
+    errors: [],
+    requestMetrics: {}
   };
 
+  jiraRequest.resetRequestMetrics();
+
   try {
     if (!projectKey || typeof projectKey !== 'string') {
       throw new Error('invalid projectKey');
@@ -47,7 +52,7 @@ export async function scrapeFullProject(projectKey, options = {}) {
     // step 1: optionally clear existing processed data
     if (clearExistingData) {
       console.log('clearing existing data...');
-      await cache.resetCache();
+      await cache.clearEntityData();
     }
 
     // step 2: assignable users
@@ -74,28 +79,19 @@ export async function scrapeFullProject(projectKey, options = {}) {
     console.log('step 4/6: processing issue details...');
     let processedCount = 0;
 
-    for (const issueKey of issueKeys) {
-      try {
-        const issueData = await jiraScraper.scrapeIssueDetails(issueKey);
-        if (!issueData) {
-          stats.errors.push(`failed to scrape issue: ${issueKey}`);
-          continue;
-        }
-
-        const worklogs = await jiraScraper.scrapeIssueWorklogs(issueKey);
-        const comments = await jiraScraper.scrapeIssueComments(issueKey);
-
-        await dataProcessor.processIssue(issueData, worklogs, comments);
+    await scrapeIssueBatch(issueKeys, (result) => {
+      if (!result.success) {
+        stats.errors.push(result.fetched
+          ? `error processing issue ${result.issueKey}: ${result.error}`
+          : `failed to scrape issue: ${result.issueKey}`);
+        return;
+      }
 
-        processedCount += 1;
-        if (processedCount % 10 === 0) {
-          console.log(`processed ${processedCount}/${issueKeys.length} issues...`);
-        }
-      } catch (err) {
-        console.error(`error processing issue ${issueKey}:`, err);
-        stats.errors.push(`error processing issue ${issueKey}: ${err.message}`);
+      processedCount += 1;
+      if (processedCount % 10 === 0) {
+        console.log(`processed ${processedCount}/${issueKeys.length} issues...`);
       }
-    }
+    });
 
     stats.issuesScraped = processedCount;
     console.log(`successfully processed ${processedCount} issues`);
@@ -112,19 +108,18 @@ export async function scrapeFullProject(projectKey, options = {}) {
       }
     }
 
-    // Could not figure out Confluence API; client did not further advise
-    // on or request its use.
-
     // step 7: confluence data
-    // if (includeConfluence) {
-    //   console.log('step 6/6: scraping confluence data...');
-    //   stats.confluencePagesScraped = await scrapeConfluenceData(users, confluenceSpaceKey, stats);
-    // } else {
-    //   console.log('step 6/6: skipping confluence scraping (disabled)');
-    // }
+    if (includeConfluence) {
+      console.log('step 6/6: scraping confluence data...');
+      const spaceKeys = confluenceSpaceKeys || (await loadProjectConfluenceSettings(projectKey)).spaceKeys;
+      stats.confluencePagesScraped = await scrapeConfluenceData(spaceKeys, stats);
+    } else {
+      console.log('step 6/6: skipping confluence scraping (disabled)');
+    }
 
     stats.endTime = new Date().toISOString();
     stats.duration = new Date(stats.endTime) - new Date(stats.startTime);
+    stats.requestMetrics = jiraRequest.getRequestMetrics();
 
     console.log('full project scrape completed');
     console.log('statistics:', stats);
@@ -134,23 +129,62 @@ export async function scrapeFullProject(projectKey, options = {}) {
     console.error('fatal error during project scrape:', error);
     stats.errors.push(`fatal error: ${error.message}`);
     stats.endTime = new Date().toISOString();
+    stats.requestMetrics = jiraRequest.getRequestMetrics();
     return stats;
   }
 }
 
 /**
- * scrapes confluence data for all users or a space
+ * scrapes the confluence spaces configured for a project on its own, e.g.
+ * after the spaces have been changed in the admin panel
  * 
- * @param {Array} users - array of user objects
- * @param {string|null} spaceKey - optional space key filter
+ * @param {string} projectKey - jira project key
+ * @returns {Object} scraping statistics
+ */
+export async function scrapeProjectConfluence(projectKey) {
+  console.log(`scraping confluence spaces for project: ${projectKey}`);
+
+  const stats = {
+    projectKey: projectKey,
+    spaceKeys: [],
+    confluencePagesScraped: 0,
+    errors: []
+  };
+
+  try {
+    if (!projectKey || typeof projectKey !== 'string') {
+      throw new Error('invalid projectKey');
+    }
+
+    const { spaceKeys } = await loadProjectConfluenceSettings(projectKey);
+    stats.spaceKeys = spaceKeys;
+    stats.confluencePagesScraped = await scrapeConfluenceData(spaceKeys, stats);
+  } catch (error) {
+    console.error('error scraping project confluence spaces:', error);
+    stats.errors.push(`fatal error: ${error.message}`);
+  }
+
+  return stats;
+}
+
+/**
+ * scrapes the pages of the given confluence spaces into the profiles of
+ * their contributors
+ * 
+ * @param {Array<string>} spaceKeys - confluence space keys
  * @param {Object} stats - stats object to update with errors
  * @returns {number} number of pages scraped
  */
-async function scrapeConfluenceData(users, spaceKey, stats) {
+async function scrapeConfluenceData(spaceKeys, stats) {
   let totalPages = 0;
 
-  try {
-    if (spaceKey && typeof spaceKey === 'string') {
+  if (!Array.isArray(spaceKeys) || spaceKeys.length === 0) {
+    console.log('no confluence spaces configured, skipping');
+    return totalPages;
+  }
+
+  for (const spaceKey of spaceKeys) {
+    try {
       console.log(`scraping pages in space: ${spaceKey}`);
       const pageIds = await confluenceScraper.scrapePagesInSpace(spaceKey, 100);
 
@@ -168,39 +202,13 @@ async function scrapeConfluenceData(users, spaceKey, stats) {
           stats.errors.push(`error processing confluence page ${pageId}: ${err.message}`);
         }
       }
-    } else {
-      // limit user based scraping to avoid long runs in early stage
-      const sample = Array.isArray(users) ? users.slice(0, 20) : [];
-
-      for (const user of sample) {
-        try {
-          const userPages = await confluenceScraper.scrapeUserPages(user.accountId, 10);
-
-          for (const page of userPages) {
-            try {
-              const pageData = await confluenceScraper.scrapePageDetails(page.id);
-              const contributors = await confluenceScraper.scrapePageContributors(page.id);
-
-              if (pageData) {
-                await dataProcessor.processConfluencePage(pageData, contributors);
-                totalPages += 1;
-              }
-            } catch (err) {
-              console.error(`error processing page ${page.id}:`, err);
-            }
-          }
-        } catch (err) {
-          console.error(`error scraping pages for user ${user.accountId}:`, err);
-        }
-      }
+    } catch (error) {
+      console.error(`error scraping confluence space ${spaceKey}:`, error);
+      stats.errors.push(`confluence scraping error in ${spaceKey}: ${error.message}`);
     }
-
-    console.log(`scraped ${totalPages} confluence pages`);
-  } catch (error) {
-    console.error('error during confluence scraping:', error);
-    stats.errors.push(`confluence scraping error: ${error.message}`);
   }
 
+  console.log(`scraped ${totalPages} confluence pages`);
   return totalPages;
 }
 
@@ -224,8 +232,10 @@ export async function scrapeSingleIssue(issueKey) {
       throw new Error('failed to scrape issue details');
     }
 
-    const worklogs = await jiraScraper.scrapeIssueWorklogs(issueKey);
-    const comments = await jiraScraper.scrapeIssueComments(issueKey);
+    const [worklogs, comments] = await Promise.all([
+      jiraScraper.scrapeIssueWorklogs(issueKey),
+      jiraScraper.scrapeIssueComments(issueKey)
+    ]);
 
     await dataProcessor.processIssue(issueData, worklogs, comments);
 
@@ -290,6 +300,49 @@ export async function updateUserWorkloads(projectKey) {
   }
 }
 
+/**
+ * scrapes and processes many issues through the bulk endpoints, a chunk of
+ * jiraScraper.BULK_FETCH_SIZE issues at a time
+ *
+ * @param {Array<string>} issueKeys - issue keys to scrape
+ * @param {Function} [onIssue] - awaited after each issue, in key order, with
+ * { issueKey, success, fetched, error }; fetched is false when jira did not
+ * return the issue at all
+ * @returns {Promise<Array<Object>>} one result per issue key
+ */
+export async function scrapeIssueBatch(issueKeys, onIssue = null) {
+  const results = [];
+
+  for (let start = 0; start < issueKeys.length; start += jiraScraper.BULK_FETCH_SIZE) {
+    const chunk = issueKeys.slice(start, start + jiraScraper.BULK_FETCH_SIZE);
+    const scraped = await jiraScraper.scrapeIssuesBulk(chunk);
+    const byKey = new Map(scraped.map(entry => [entry.issueData.key, entry]));
+
+    for (const issueKey of chunk) {
+      const entry = byKey.get(issueKey);
+      let result;
+      if (!entry) {
+        result = { issueKey, success: false, fetched: false, error: 'failed to scrape issue details' };
+      } else {
+        try {
+          await dataProcessor.processIssue(entry.issueData, entry.worklogs, entry.comments);
+          result = { issueKey, success: true, fetched: true };
+        } catch (err) {
+          console.error(`error processing issue ${issueKey}:`, err);
+          result = { issueKey, success: false, fetched: true, error: err.message };
+        }
+      }
+
+      results.push(result);
+      if (onIssue) {
+        await onIssue(result);
+      }
+    }
+  }
+
+  return results;
+}
+
 /**
  * gets current scraping status and summary statistics
  * 
@@ -329,58 +382,70 @@ export async function getScrapingStatus() {
  * 
  * @param {string} projectKey - jira project key
  * @param {string} sinceDate - iso date string for lower bound
+ * @param {Object} options - scraping options
+ * @param {boolean} [options.refreshWorkloads=true] - refresh user workloads afterwards
  * @returns {Object} update statistics
  */
-export async function incrementalScrape(projectKey, sinceDate) {
+export async function incrementalScrape(projectKey, sinceDate, options = {}) {
+  const { refreshWorkloads = true } = options;
+
   console.log(`starting incremental scrape for ${projectKey} since ${sinceDate}`);
 
   try {
     if (!projectKey || typeof projectKey !== 'string') {
       return { success: false, error: 'invalid projectKey' };
     }
-    if (!sinceDate || typeof sinceDate !== 'string') {
+    if (!sinceDate || typeof sinceDate !== 'string' || Number.isNaN(Date.parse(sinceDate))) {
       return { success: false, error: 'invalid sinceDate' };
     }
 
-    const jql = `project = ${projectKey} AND updated >= "${sinceDate}" ORDER BY updated DESC`;
-    const encodedJql = encodeURIComponent(jql);
-
-    const res = await api.asApp().requestJira(
-      route`/rest/api/3/search?jql=${encodedJql}&maxResults=1000&fields=key`
-    );
+    jiraRequest.resetRequestMetrics();
 
-    if (!res.ok) {
-      const txt = await res.text();
-      throw new Error(`failed to search for updated issues: ${txt}`);
-    }
-
-    const data = await res.json();
-    const issueKeys = Array.isArray(data.issues) ? data.issues.map(i => i.key) : [];
+    // jql does not accept iso timestamps and interprets absolute dates in the
+    // app user's timezone, so express the lower bound relative to now instead
+    const minutesAgo = minutesSince(sinceDate);
+    const jql = `project = ${projectKey} AND updated >= -${minutesAgo}m ORDER BY updated DESC`;
+    const issues = await jiraSearch.searchIssues(jql, { fields: ['key'] });
+    const issueKeys = issues.map(i => i.key);
 
     console.log(`found ${issueKeys.length} updated issues`);
 
     let processedCount = 0;
     const errors = [];
 
-    for (const issueKey of issueKeys) {
-      const result = await scrapeSingleIssue(issueKey);
+    await scrapeIssueBatch(issueKeys, (result) => {
       if (result.success) {
         processedCount += 1;
       } else {
         errors.push(result.error);
       }
-    }
+    });
 
-    await updateUserWorkloads(projectKey);
+    if (refreshWorkloads) {
+      await updateUserWorkloads(projectKey);
+    }
 
     return {
       success: true,
       issuesFound: issueKeys.length,
       issuesProcessed: processedCount,
-      errors: errors
+      errors: errors,
+      requestMetrics: jiraRequest.getRequestMetrics()
     };
   } catch (error) {
     console.error('error during incremental scrape:', error);
     return { success: false, error: error.message };
   }
 }
+
+/**
+ * whole minutes between the supplied date and now, rounded up so the
+ * boundary minute is scraped again rather than skipped
+ *
+ * @param {string} sinceDate - iso date string
+ * @returns {number} minutes elapsed (at least 1)
+ */
+function minutesSince(sinceDate) {
+  const elapsedMs = Date.now() - new Date(sinceDate).getTime();
+  return Math.max(1, Math.ceil(elapsedMs / 60000));
+}